@@ -11,38 +11,87 @@ import {
     updateShadows, updateSeasonalAssetsInThree, exportGLTFScene, 
     setAppContextForThree, removeElementFromThree, updateElementRotationInThree,
     resetCameraToNorthView, updateGroundPlane, addCustomHouseToThree,
-    updateCustomHouseInThree, removeCustomHouseFromThree
+    updateCustomHouseInThree, removeCustomHouseFromThree, rebuildElementInThree,
+    setWarningFootprintsInThree, updateElementPositionInThree, updateTerrainInThree,
+    setDrainageOverlayInThree, countSunlitSamplesInThree
 } from './three-scene.js';
 import { 
     initP5Sketch, getP5Canvas, p5handleZoom, p5handlePan, redrawP5, 
     setAppContextForP5, setDrawingModeP5, getCurrentLotPolygonP5,
     isLotShapeValidP5, clearDrawingP5, getCurrentHousePolygonP5,
-    isHouseShapeValidP5, getLotConfigP5, setLotConfigP5
+    isHouseShapeValidP5, getLotConfigP5, setLotConfigP5, setSnapSettingsP5,
+    setMeasureModeP5, getMeasurementP5, clearMeasurementP5,
+    setVertexEditModeP5, deleteSelectedVertexP5, setSelectedEdgeLengthP5,
+    setSelectedEdgeTypeP5, setDrawingEdgeTypeP5, getDrawingEdgeTypeP5, setTerrainSculptModeP5,
+    setGradingDisplayP5, setSpotPlacementModeP5
 } from './p5-sketch.js';
 import { 
     populatePlantSelector, setupEventListeners, showElementInfo, toggleView, 
     showModal, hideModal, updateTimeOfDayLabel, showDrawingInstructions,
     hideDrawingInstructions, updateLotConfigUI, updateHomeBuilderUI,
-    showCustomHouseControls, hideCustomHouseControls
+    showCustomHouseControls, hideCustomHouseControls, setAppContextForUiControls,
+    updateHistoryButtons, updateMeasureToolUI, updateDesignIssuesUI, populateClearanceSettings,
+    updateLotRestrictionsUI, updateEasementDrawingUI, updateVertexEditUI, updateSurveyClosureUI,
+    updateFreeformDrawingUI, updateRouteDrawingUI, updateTerrainToolUI, updateGradingUI, updateSunHoursUI, updatePlantSunSearchUI,
+    updateSiteUI
 } from './ui-controls.js';
 import { plantLibrary } from './features/data/plant-library.js';
 import { treeManifest }from './features/data/tree-models-manifest.js';
-import { calculateSunPosition } from './features/sunlight.js';
+import {
+    calculateSunPosition, getSunDirection, getSunSamples, createSunHoursGrid, getSunExposureSummary,
+    getSunExposureClass, getFootprintSunHours, getPlantSunRequirement, getSunMismatch, formatSunRequirement,
+    SHADE_CASTER_TYPES, GROWING_SEASON
+} from './features/sunlight.js';
+import { clearanceRules, footprintKinds, plantingContainerTypes } from './features/data/placement-rules.js';
+import { findDesignIssues } from './features/design-checks.js';
+import {
+    ROTATABLE_ELEMENT_TYPES, getElementFootprintFt, getLotPolygonFt, getLotEdgesFt, isFootprintInsideLot,
+    doFootprintsOverlap, formatDistanceFt
+} from './features/geometry.js';
+import { parseSurveyCalls, traverseSurveyCalls } from './features/survey.js';
+import { flattenOutline, reverseOutline } from './features/curves.js';
+import { OUTLINE_ELEMENT_TYPES, getOutlineGeometry } from './features/element-outlines.js';
+import { ROUTE_ELEMENT_TYPES, ROUTE_DEFAULTS, getRouteGeometry, getRouteLineWidthFt } from './features/routes.js';
+import { DEFAULT_ROOF_PITCH, DEFAULT_EAVE_OVERHANG_FT, GABLE_EDGE_PITCH } from './features/roofs.js';
+import { OPENING_DEFAULTS, getHouseEdgeFt, remapOpeningsForOutlineChange } from './features/house-openings.js';
+import { DEFAULT_STOREY_HEIGHT_FT, getStoreyLevels } from './features/storeys.js';
+import { DECK_SIDES, DECK_DEFAULTS } from './features/decks.js';
+import { getTerrainForBounds, updateTerrain, isTerrainFlat, getGroundHeightFt, getGroundDatumFt, isGroundLevel, getGroundGrid } from './terrain.js';
+import { getFootprintGrade } from './features/grading.js';
+import { DEFAULT_SITE, withSiteDefaults, isValidTimeZone, normalizeBearingDeg, getZonedDate, findSiteLocation, getSiteLocationLabel } from './features/site-location.js';
+import { RUNOFF_COEFFICIENTS, simulateDrainage, getDrainageRegions, getWetSpotDepthFt, findWetSpotIssues, getRainBarrelCatchment } from './features/drainage.js';
+import { 
+    executeCommand, recordCommand, undo, redo, clearHistory, setHistoryChangeListener 
+} from './features/history.js';
 
 // --- Configuration Constants ---
 const DEFAULT_LOT_WIDTH_FT = 173.2;
 const DEFAULT_LOT_DEPTH_FT = 173.2;
+const DEFAULT_SETBACKS_FT = { front: 0, side: 0, rear: 0 };
+const SURVEY_MIN_PRECISION_RATIO = 5000; // Closures worse than 1:5000 are confirmed before use
 const DEFAULT_VISIBLE_AREA_FT = 80; // For initial 2D view scaling
 const DEFAULT_CANVAS_SIZE_PX = 800; // Assumed default if not measurable
 const PIXELS_PER_FOOT_2D_INITIAL = (DEFAULT_CANVAS_SIZE_PX / DEFAULT_VISIBLE_AREA_FT);
 
 const HOUSE_FOOTPRINT = { width: 40, depth: 50, height: 15 }; // For default house
 const SHED_FOOTPRINT = { width: 10, depth: 10, height: 8 };
-const ROTATABLE_ELEMENT_TYPES = ['house', 'shed', 'raised_bed', 'compost_bin', 'bench', 'patio', 'fire_pit', 'rain_barrel', 'custom_house'];
+// Round footprints: width and depth are always resized together
+const UNIFORM_SIZE_ELEMENT_TYPES = ['tree', 'plant', 'rain_barrel', 'fire_pit', 'sprinkler'];
+const MIN_ELEMENT_SIZE_FT = 0.25;
+const MIN_ELEMENT_HEIGHT_FT = 0.05;
 
 const DEFAULT_CUSTOM_HOUSE_WALL_HEIGHT = 15;
 const DEFAULT_CUSTOM_HOUSE_ROOF_TYPE = 'flat';
 const DEFAULT_CUSTOM_HOUSE_WALL_COLOR = '#d3c1a4';
+const DEFAULT_CUSTOM_HOUSE_ROOF_COLOR = '#7a4b3a';
+
+const PASTE_OFFSET_FT = 2; // Each paste lands this far down-right of the previous one
+const MAX_ARRAY_COPIES = 500;
+const CONTAINMENT_SEARCH_STEPS = 60; // Grid resolution when looking for a spot inside a custom lot
+const SUN_HOURS_RAYS_PER_CHUNK = 20000; // Work done between repaints while the sun hours are analysed
+const PLANT_MOVE_SEARCH_FT = 30; // How far "move to a suitable spot" looks from the plant
+const PLANT_MOVE_STEP_FT = 1;
+const PLANT_SUN_CHECK_DELAY_MS = 150; // A burst of edits is checked once it settles
 
 
 // --- Global Application State ---
@@ -51,9 +100,13 @@ let elements = []; // Array of all placed design elements
 let nextElementId = 0;
 let currentP5Scale = 1.0;
 let p5PanOffset = { x: 0, y: 0 }; 
-let selectedElement = null;
+let selectedElement = null; // The single selected element; null when nothing or several elements are selected
+let selectedElements = []; // Every selected element, including the custom house
+let clipboardStates = []; // Serialized elements from the last copy
+let pasteCount = 0;
 let currentSeason = 'summer';
 let currentSunPosition = null;
+let sunDate = null; // 'YYYY-MM-DD' at the site that the sun is shown for; null for today
 let p5Instance = null;
 
 // Lot and Home Builder State
@@ -61,12 +114,58 @@ let lotConfig = {
     width: DEFAULT_LOT_WIDTH_FT,
     depth: DEFAULT_LOT_DEPTH_FT,
     isCustomShape: false,
-    customShapePoints: [] // Array of {x, y} points in feet
+    customShapePoints: [], // Array of {x, y} points in feet
+    setbacks: { ...DEFAULT_SETBACKS_FT }, // Distance in feet kept clear along each front/side/rear edge
+    edgeRoles: null, // 'front' | 'side' | 'rear' per lot edge; null uses the defaults from getLotEdgesFt()
+    easements: [], // [{ id, name, points: [{x, y}] }]
+    terrain: null, // Sculpted ground heightmap, see terrain.js; null while the lot is flat
+    spotElevations: [], // Surveyed ground heights, [{ id, x, y, elevation }] as in features/grading.js
+    site: { ...DEFAULT_SITE } // Location, time zone and true north, see features/site-location.js
 };
-let currentDrawingMode = null; // null, 'lot_polygon', 'home_builder_polygon'
-
-// customHouse structure: { id, type, name, x, y, width, depth, rotation, outline[], wallHeight, roofType, wallColor, threeInstance }
-let customHouse = null; 
+let currentDrawingMode = null; // null, 'lot_polygon', 'home_builder_polygon', 'easement_polygon', 'element_polygon', 'element_polyline'
+let drawingElementType = null; // Element type being outlined ('element_polygon') or routed ('element_polyline')
+let isMeasuring = false;
+let vertexEditTarget = null; // { kind: 'lot' } | { kind: 'house', houseId } while an outline's corners are being edited
+let vertexEditBefore = null; // Lot or house snapshot from before the current vertex edit gesture
+let vertexEditSelection = null; // Selected corner or edge, as reported by p5's onVertexEditSelect
+let terrainBrush = null; // { tool, radiusFt, strengthFt } while the terrain is being sculpted
+let terrainStroke = null; // { before, targetHeightFt } during a brush stroke; before is the terrain snapshot
+let isPlacingSpots = false;
+let groundRevision = 0; // Bumped whenever the terrain or spot elevations may have changed; what is worked out from the ground is cached against it
+let isDrainageShown = false;
+let drainageCache = { key: null, drainage: null }; // Re-simulated only when the ground or what stands on it changes
+let isElementDragLive = false; // Between the first live move or handle change of a drag and its end
+let drainageOverlaySource = null; // The simulation the 3D overlay was last built from
+
+// Sun hours: { key, grid, hours, days, summary } from the last analysis, key describing the design it
+// was run on (see getSunHoursKey); hours per grid cell are average daily hours of direct sun
+let sunHoursAnalysis = null;
+let sunHoursProgress = null; // 0..1 while an analysis runs
+let isSunHoursShown = true;
+let growingSeasonSampling = null; // Sun directions the plant checks use before any analysis (and the site they're for), see getSunSampling()
+let plantSunChecks = new Map(); // Plant id → { hours, requirement, mismatch }, rebuilt by refreshPlantSunChecks()
+let plantSunHoursCache = new Map(); // Plant id → { key, sampling, hours }, so only plants whose surroundings changed are cast again
+let sunHoursKey = null; // getSunHoursKey() as of the last design check, so drags and info panel refreshes don't rebuild it
+let plantSunCheckTimer = null;
+let plantSunCheckRun = 0; // Bumped whenever the checks are rescheduled, so a cast still running gives way
+let plantSpotSearchProgress = null; // 0..1 while "move to a suitable spot" searches
+let shadeModelRevision = 0; // Bumped as house and tree models finish loading in 3D, which changes the shade they cast
+
+// Pinned dimension lines: [{ id, start, end }], anchors as described in p5-sketch.js
+let dimensions = [];
+let nextDimensionId = 0;
+
+// Design checks, recomputed by refreshDesignChecks()
+let designIssues = []; // See design-checks.js for the issue format
+let warningElementIds = new Set(); // Elements involved in any issue; drawn with a red warning in both views
+let clearanceDistances = {}; // Per-rule overrides of the default minimum clearances, { [ruleId]: ft }
+
+// Polygon-drawn buildings (house, garage, studio, ...), each:
+// { id, type: 'custom_house', name, x, y, width, depth, rotation, outline[], wallHeight, roofType, roofPitch, eaveOverhang,
+//   roofColor, edgePitches, openings[], storeys[], wallColor, threeInstance }
+// edgePitches holds a pitch (x/12), 'gable' or null (the house pitch) per outline edge, or is null throughout;
+// openings are the doors and windows described in house-openings.js, storeys the upper floors in storeys.js
+let customHouses = [];
 
 // --- DOM Element References ---
 const loadingScreen = document.getElementById('loading-screen');
@@ -100,14 +199,18 @@ const customHouseControlsContainer = document.getElementById('customHouseControl
 const customHouseWallHeightInput = document.getElementById('customHouseWallHeightInput');
 const customHouseRoofTypeSelect = document.getElementById('customHouseRoofTypeSelect');
 const customHouseWallColorInput = document.getElementById('customHouseWallColorInput');
+const customHouseRoofPitchInput = document.getElementById('customHouseRoofPitchInput');
+const customHouseEaveOverhangInput = document.getElementById('customHouseEaveOverhangInput');
+const customHouseRoofColorInput = document.getElementById('customHouseRoofColorInput');
 const updateCustomHouseBtn = document.getElementById('updateCustomHouseBtn');
 
 
 // --- Context object for other modules ---
 const appContext = {
     elements: () => elements,
-    customHouse: () => customHouse,
+    customHouses: () => customHouses,
     selectedElement: () => selectedElement,
+    selectedElements: () => selectedElements,
     getLotConfig: () => lotConfig, 
     handleElementMove,
     handleElementSelect,
@@ -115,8 +218,18 @@ const appContext = {
     redrawP5: () => { if (p5Instance) redrawP5(p5Instance); },
     treeManifest: () => treeManifest,
     ROTATABLE_ELEMENT_TYPES: ROTATABLE_ELEMENT_TYPES,
+    UNIFORM_SIZE_ELEMENT_TYPES: UNIFORM_SIZE_ELEMENT_TYPES,
+    MIN_ELEMENT_SIZE_FT: MIN_ELEMENT_SIZE_FT,
     currentView: () => currentView,
     isDrawing: () => currentDrawingMode !== null,
+    isMeasuring: () => isMeasuring,
+    isSculptingTerrain: () => terrainBrush !== null,
+    isPlacingSpotElevations: () => isPlacingSpots,
+    getElementGrade,
+    getElementDrainage,
+    getElementSunHours,
+    getPlantSunCheck: (element) => plantSunChecks.get(element.id) || null,
+    isVertexEditing: () => vertexEditTarget !== null,
     getLotVertices: () => lotConfig.isCustomShape ? lotConfig.customShapePoints : null,
     validateAndPlaceElement,
 };
@@ -132,13 +245,25 @@ function getPolygonSignedArea(points) {
     return area / 2;
 }
 
+function rotatePointAround(point, center, angleDegrees) {
+    const angleRad = THREE.MathUtils.degToRad(angleDegrees);
+    const cos = Math.cos(angleRad), sin = Math.sin(angleRad);
+    const dx = point.x - center.x, dy = point.y - center.y;
+    return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+}
+
+function normalizeDegrees(degrees) {
+    const normalized = degrees % 360;
+    return normalized < 0 ? normalized + 360 : normalized;
+}
+
 function ensureWindingOrder(points, targetOrder = 'ccw') { // ccw for Three.js Shape
     if (!points || points.length < 3) return points; 
-    const area = getPolygonSignedArea(points);
+    const area = getPolygonSignedArea(flattenOutline(points)); // A big arc can flip the winding of the bare corners
     if (targetOrder === 'ccw' && area < 0) { 
-        return points.slice().reverse(); 
+        return reverseOutline(points); 
     } else if (targetOrder === 'cw' && area > 0) { 
-        return points.slice().reverse(); 
+        return reverseOutline(points); 
     }
     return points; 
 }
@@ -150,9 +275,7 @@ async function main() {
         console.log("Verdant Vision 3D: Initializing application...");
         setAppContextForThree(appContext);
         setAppContextForP5(appContext);
-        // Pass app context to ui-controls if it needs direct access (currently using handlers)
-        // import { setAppContextForUiControls } from './ui-controls.js'; 
-        // setAppContextForUiControls(appContext);
+        setAppContextForUiControls(appContext);
 
 
         if (typeof p5 === 'undefined') throw new Error("p5.js library not loaded.");
@@ -177,15 +300,35 @@ async function main() {
             initP5Sketch(sketch, {
                 lotConfigRef: () => lotConfig, 
                 elementsRef: () => elements,
-                customHouseRef: () => customHouse,
+                customHousesRef: () => customHouses,
                 onElementSelect: handleElementSelect,
-                onElementMove: handleElementMove,
+                onElementsSelect: handleElementsSelect,
+                onElementsMove: handleElementsMove,
+                onElementsMoveEnd: handleElementsMoveEnd,
+                onElementTransform: handleElementTransform,
+                onElementTransformEnd: handleElementTransformEnd,
                 getScale: () => currentP5Scale,
                 getPanOffset: () => p5PanOffset,
                 onPolygonVertexAdd: handlePolygonVertexAdd,
                 onDrawingModeChange: (isActive, mode) => {
-                    if (isActive) showDrawingInstructions(drawingInstructions, mode);
+                    if (isActive) showDrawingInstructions(drawingInstructions, mode, getDrawingEdgeTypeP5());
                     else hideDrawingInstructions(drawingInstructions);
+                },
+                dimensionsRef: () => dimensions,
+                designIssuesRef: () => designIssues,
+                onMeasure: handleMeasure,
+                onTerrainSculpt: handleTerrainSculpt,
+                onTerrainSculptEnd: handleTerrainSculptEnd,
+                onSpotElevationClick: handleSpotElevationClick,
+                groundRevisionRef: () => groundRevision,
+                drainageRef: getDrainage,
+                sunHoursRef: () => isSunHoursShown ? sunHoursAnalysis : null,
+                onDimensionRemove: handleDimensionRemove,
+                onVertexEdit: handleVertexEdit,
+                onVertexEditEnd: handleVertexEditEnd,
+                onVertexEditSelect: (selection) => {
+                    vertexEditSelection = selection;
+                    refreshVertexEditUI();
                 }
             });
         }, p5CanvasContainer);
@@ -194,12 +337,16 @@ async function main() {
             lotConfigRef: () => lotConfig, 
             onElementSelect: handleElementSelect, 
             elementsRef: () => elements, 
-            customHouseRef: () => customHouse, 
+            customHousesRef: () => customHouses,
+            onModelLoaded: handleModelLoaded,
             getGLTFExporter: () => GLTFExporter, OrbitControls, GLTFLoader,
         });
         updateGroundPlane(); 
 
         populatePlantSelector(plantLibrary, document.getElementById('plantSelector'));
+        populateClearanceSettings(clearanceRules, clearanceDistances);
+        refreshLotRestrictionsUI();
+        refreshGradingUI();
 
         setupEventListeners({
             onToggleView: () => {
@@ -226,18 +373,81 @@ async function main() {
             onDeleteSelectedElement: handleDeleteSelectedElement,
             onDeselectAll: () => handleElementSelect(null, 'escape_key'),
             onElementRotationChange: handleElementRotation,
+            onElementPropertyChange: handleElementPropertyChange,
+            onSnapSettingsChange: handleSnapSettingsChange,
+            onToggleMeasureTool: () => setMeasuring(!isMeasuring),
+            onExitMeasureTool: () => setMeasuring(false),
+            onToggleTerrainSculpt: (brush) => setTerrainSculpting(terrainBrush ? null : brush),
+            onExitTerrainSculpt: () => setTerrainSculpting(null),
+            onTerrainBrushChange: handleTerrainBrushChange,
+            onResetTerrain: handleResetTerrain,
+            onTogglePlaceSpots: () => setPlacingSpots(!isPlacingSpots),
+            onExitPlaceSpots: () => setPlacingSpots(false),
+            onUpdateSpotElevation: handleUpdateSpotElevation,
+            onRemoveSpotElevation: handleRemoveSpotElevation,
+            onGradingDisplayChange: handleGradingDisplayChange,
+            onAnalyzeSunHours: handleAnalyzeSunHours,
+            onToggleSunHours: handleToggleSunHours,
+            onMovePlantToSun: handleMovePlantToSun,
+            onSwapPlantForSun: handleSwapPlantForSun,
+            onPinDimension: handlePinDimension,
+            onSelectDesignIssue: (index) => { if (designIssues[index]) handleElementsSelect(designIssues[index].elementIds); },
+            onClearanceChange: handleClearanceChange,
+            onClearDimensions: handleClearDimensions,
+            onRotateSelection: handleRotateSelection,
+            onCopy: handleCopySelection,
+            onPaste: handlePaste,
+            onDuplicate: handleDuplicateSelection,
+            onCreateArray: handleCreateArray,
             onOrientNorth: orientViewNorth,
             onUpdateLotRect: handleUpdateLotRect,
+            onSurveyCallsInput: handleSurveyCallsInput,
+            onCreateSurveyLot: handleCreateSurveyLot,
             onDrawLotShape: () => startDrawingMode('lot_polygon'),
             onFinishDrawingLot: () => finishDrawingMode('lot_polygon'),
             onCancelDrawingLot: () => cancelDrawingMode('lot_polygon'),
+            onEditLotShape: () => startVertexEdit({ kind: 'lot' }),
+            onEditHouseOutline: () => {
+                if (selectedElement && selectedElement.type === 'custom_house') startVertexEdit({ kind: 'house', houseId: selectedElement.id });
+            },
+            onDeleteVertex: handleDeleteVertex,
+            onSetEdgeLength: handleSetEdgeLength,
+            onSetEdgeType: handleSetEdgeType,
+            onSetEdgeRoofPitch: handleSetEdgeRoofPitch,
+            onAddOpening: handleAddOpening,
+            onUpdateOpening: handleUpdateOpening,
+            onRemoveOpening: handleRemoveOpening,
+            onAddStorey: handleAddStorey,
+            onUpdateStorey: handleUpdateStorey,
+            onRemoveStorey: handleRemoveStorey,
+            onDrawingEdgeType: handleDrawingEdgeType,
+            onFinishVertexEdit: stopVertexEdit,
+            onSetbackChange: handleSetbackChange,
+            onEdgeRoleChange: handleEdgeRoleChange,
+            onDrawEasement: () => startDrawingMode('easement_polygon'),
+            onFinishEasement: () => finishDrawingMode('easement_polygon'),
+            onCancelEasement: () => cancelDrawingMode('easement_polygon'),
+            onRemoveEasement: handleRemoveEasement,
             onActivateHomeBuilder: () => startDrawingMode('home_builder_polygon'),
             onFinishHomeBuilder: () => finishDrawingMode('home_builder_polygon'),
             onCancelHomeBuilder: () => cancelDrawingMode('home_builder_polygon'),
-            onUpdateCustomHouse: handleUpdateCustomHouse
+            onDrawFreeform: startFreeformDrawing,
+            onFinishFreeform: () => finishDrawingMode('element_polygon'),
+            onCancelFreeform: () => cancelDrawingMode('element_polygon'),
+            onDrawRoute: startRouteDrawing,
+            onFinishRoute: () => finishDrawingMode('element_polyline'),
+            onCancelRoute: () => cancelDrawingMode('element_polyline'),
+            onUpdateCustomHouse: handleUpdateCustomHouse,
+            onSiteChange: handleSiteChange,
+            onFindSiteLocation: handleFindSiteLocation,
+            onSunDateChange: handleSunDateChange,
+            onUndo: handleUndo,
+            onRedo: handleRedo
         });
+        setHistoryChangeListener(updateHistoryButtons);
 
-        if (timeOfDaySlider) updateSunlight(new Date(), parseInt(timeOfDaySlider.value));
+        refreshSiteUI();
+        if (timeOfDaySlider) updateSunlight(parseInt(timeOfDaySlider.value));
         requestAnimationFrame(animate);
 
         if (loadingScreen) loadingScreen.style.display = 'none';
@@ -265,87 +475,126 @@ function startDrawingMode(mode) {
     if (currentDrawingMode) { 
         cancelDrawing();
     }
+    stopVertexEdit();
+    if (isMeasuring) setMeasuring(false);
+    if (terrainBrush) setTerrainSculpting(null);
+    if (isPlacingSpots) setPlacingSpots(false);
     currentDrawingMode = mode;
     if (p5Instance) setDrawingModeP5(true, mode);
-    showDrawingInstructions(drawingInstructions, mode);
+    showDrawingInstructions(drawingInstructions, mode, p5Instance ? getDrawingEdgeTypeP5() : 'line');
     if (mode === 'lot_polygon') {
         updateLotConfigUI(lotConfig.width, lotConfig.depth, true);
     } else if (mode === 'home_builder_polygon') {
         updateHomeBuilderUI(true);
+    } else if (mode === 'easement_polygon') {
+        updateEasementDrawingUI(true);
+    } else if (mode === 'element_polygon') {
+        updateFreeformDrawingUI(true);
+    } else if (mode === 'element_polyline') {
+        updateRouteDrawingUI(true);
     }
     if (currentView !== '2D') { 
         toggleViewBtn.click();
     }
 }
 
+// One past the highest "Custom House N" so a deleted house's number isn't handed out twice
+function getNextCustomHouseName() {
+    const next = customHouses.reduce((max, house) => {
+        const match = String(house.name || '').match(/^Custom House (\d+)$/);
+        return match && parseInt(match[1]) >= max ? parseInt(match[1]) + 1 : max;
+    }, 1);
+    return `Custom House ${next}`;
+}
+
 function finishDrawingMode(mode) {
     if (!p5Instance) return;
+    let newHouseId = null;
     if (mode === 'lot_polygon') {
-        let polygon = getCurrentLotPolygonP5();
-        if (polygon && polygon.length >= 3 && isLotShapeValidP5(polygon)) {
-            polygon = ensureWindingOrder(polygon, 'ccw'); 
-            lotConfig.isCustomShape = true;
-            lotConfig.customShapePoints = [...polygon]; 
-            lotConfig.width = 0; 
-            lotConfig.depth = 0;
-            console.log("Custom lot shape defined:", lotConfig.customShapePoints);
-            updateGroundPlane(); 
-            if (p5Instance) setLotConfigP5(lotConfig); 
-        } else {
-            alert("Invalid lot shape. Please ensure the shape is closed and not self-intersecting, with at least 3 points.");
-            return; 
-        }
+        if (!commitLotPolygon(getCurrentLotPolygonP5(), 'Draw custom lot')) return;
     } else if (mode === 'home_builder_polygon') {
         let polygon = getCurrentHousePolygonP5(); 
         if (polygon && polygon.length >= 3 && isHouseShapeValidP5(polygon)) {
             polygon = ensureWindingOrder(polygon, 'ccw'); 
+            const { x, y, width, depth, outline } = getOutlineGeometry(polygon);
 
-            if (customHouse && customHouse.threeInstance) {
-                 if(typeof removeCustomHouseFromThree === 'function') removeCustomHouseFromThree(customHouse.threeInstance);
-            }
-            
-            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-            polygon.forEach(p => {
-                minX = Math.min(minX, p.x);
-                minY = Math.min(minY, p.y);
-                maxX = Math.max(maxX, p.x);
-                maxY = Math.max(maxY, p.y);
-            });
-            const houseWidth = maxX - minX;
-            const houseDepth = maxY - minY;
-            const houseCenterX = minX + houseWidth / 2;
-            const houseCenterY = minY + houseDepth / 2;
-
-            customHouse = {
+            const newHouse = {
                 id: 'custom_house_' + nextElementId++, 
                 type: 'custom_house',
-                name: 'Custom House',
-                x: houseCenterX - houseWidth / 2, 
-                y: houseCenterY - houseDepth / 2,
-                width: houseWidth,
-                depth: houseDepth,
+                name: getNextCustomHouseName(),
+                x, y, width, depth,
                 rotation: 0,
-                outline: polygon.map(p => ({ x: p.x - houseCenterX, y: p.y - houseCenterY })), 
+                outline, 
                 wallHeight: parseFloat(customHouseWallHeightInput.value) || DEFAULT_CUSTOM_HOUSE_WALL_HEIGHT,
                 roofType: customHouseRoofTypeSelect.value || DEFAULT_CUSTOM_HOUSE_ROOF_TYPE,
+                roofPitch: parseFloat(customHouseRoofPitchInput.value) || DEFAULT_ROOF_PITCH,
+                eaveOverhang: parseFloat(customHouseEaveOverhangInput.value) >= 0 ? parseFloat(customHouseEaveOverhangInput.value) : DEFAULT_EAVE_OVERHANG_FT,
+                roofColor: customHouseRoofColorInput.value || DEFAULT_CUSTOM_HOUSE_ROOF_COLOR,
+                edgePitches: null,
+                openings: [],
+                storeys: [],
                 wallColor: customHouseWallColorInput.value || DEFAULT_CUSTOM_HOUSE_WALL_COLOR,
-                threeInstance: null, 
             };
-            // The 'height' property for customHouse in elementInfo will be wallHeight.
+            // The 'height' property for a custom house in elementInfo will be wallHeight.
             // The actual 3D model height will be wallHeight + roof height.
-            customHouse.height = customHouse.wallHeight; 
-
+            newHouse.height = newHouse.wallHeight; 
 
-            console.log("Custom house defined:", customHouse);
-            addCustomHouseToThree(customHouse);
-            handleElementSelect(customHouse.id, 'programmatic_add'); 
-            showCustomHouseControls(customHouse.wallHeight, customHouse.roofType, customHouse.wallColor);
+            newHouseId = newHouse.id;
+            executeCommand(createCustomHouseCommand('Draw custom house', newHouse.id, null, newHouse));
+            console.log("Custom house defined:", newHouse);
         } else {
             alert("Invalid house shape. Please ensure the shape is closed and not self-intersecting, with at least 3 points.");
             return; 
         }
+    } else if (mode === 'easement_polygon') {
+        const polygon = getCurrentLotPolygonP5();
+        if (!polygon || polygon.length < 3 || !isLotShapeValidP5(polygon)) {
+            alert("Invalid easement shape. Please ensure the shape is closed and not self-intersecting, with at least 3 points.");
+            return;
+        }
+        const defaultName = `Easement ${lotConfig.easements.length + 1}`;
+        const name = (prompt("Name this easement (e.g. Utility easement):", defaultName) || '').trim() || defaultName;
+        const lotBefore = snapshotLotConfig();
+        const lotAfter = { ...lotBefore, easements: [...lotBefore.easements, { id: getNextEasementId(), name, points: polygon.map(p => ({ ...p })) }] };
+        executeCommand(createSnapshotCommand('Add easement', applyLotConfig, lotBefore, lotAfter));
+    } else if (mode === 'element_polygon') {
+        const polygon = getCurrentLotPolygonP5();
+        if (!polygon || polygon.length < 3 || !isLotShapeValidP5(polygon)) {
+            alert("Invalid outline. Please ensure the shape is closed and not self-intersecting, with at least 3 points.");
+            return;
+        }
+        const type = drawingElementType;
+        cancelDrawing(); // Elements can't be added while drawing
+        handleAddElement(type, {}, undefined, ensureWindingOrder(polygon, 'ccw'));
+        return;
+    } else if (mode === 'element_polyline') {
+        const points = getCurrentLotPolygonP5();
+        if (points.length < 2) {
+            alert("Place at least 2 points along the route.");
+            return;
+        }
+        const type = drawingElementType;
+        cancelDrawing(); // Elements can't be added while drawing
+        handleAddElement(type, type === 'fence_segment' ? { ...ROUTE_DEFAULTS[type], gates: [] } : { ...ROUTE_DEFAULTS[type] }, undefined, null, points);
+        return;
     }
     cancelDrawing(); 
+    // Selection is ignored while drawing, so select the new house once drawing mode is off
+    if (newHouseId) handleElementSelect(newHouseId, 'programmatic_add');
+}
+
+// Shared by the drawn and surveyed lot paths; returns false (after telling the user) if the shape is invalid
+function commitLotPolygon(polygon, label) {
+    if (!polygon || polygon.length < 3 || !isLotShapeValidP5(polygon)) {
+        alert("Invalid lot shape. Please ensure the shape is closed and not self-intersecting, with at least 3 points.");
+        return false;
+    }
+    polygon = ensureWindingOrder(polygon, 'ccw'); 
+    const lotBefore = snapshotLotConfig();
+    const lotAfter = { ...lotBefore, isCustomShape: true, customShapePoints: polygon.map(p => ({ ...p })), width: 0, depth: 0, edgeRoles: null };
+    executeCommand(createSnapshotCommand(label, applyLotConfig, lotBefore, lotAfter));
+    console.log("Custom lot shape defined:", lotConfig.customShapePoints);
+    return true;
 }
 
 function cancelDrawing() { 
@@ -358,8 +607,15 @@ function cancelDrawing() {
         updateLotConfigUI(lotConfig.width, lotConfig.depth, false);
     } else if (currentDrawingMode === 'home_builder_polygon') {
         updateHomeBuilderUI(false);
+    } else if (currentDrawingMode === 'easement_polygon') {
+        updateEasementDrawingUI(false);
+    } else if (currentDrawingMode === 'element_polygon') {
+        updateFreeformDrawingUI(false);
+    } else if (currentDrawingMode === 'element_polyline') {
+        updateRouteDrawingUI(false);
     }
     currentDrawingMode = null;
+    drawingElementType = null;
     if (p5Instance) redrawP5(p5Instance);
 }
 function cancelDrawingMode(mode){ 
@@ -367,6 +623,142 @@ function cancelDrawingMode(mode){
 }
 
 
+// --- Measure Tool & Dimensions ---
+function setMeasuring(isActive) {
+    if (isActive && currentDrawingMode) cancelDrawing();
+    if (isActive) stopVertexEdit();
+    if (isActive && terrainBrush) setTerrainSculpting(null);
+    if (isActive && isPlacingSpots) setPlacingSpots(false);
+    isMeasuring = isActive;
+    if (p5Instance) setMeasureModeP5(isActive);
+    updateMeasureToolUI(isActive, null);
+    if (isActive) {
+        showDrawingInstructions(drawingInstructions, 'measure');
+        if (currentView !== '2D') toggleViewBtn.click();
+    } else {
+        hideDrawingInstructions(drawingInstructions);
+    }
+}
+
+function handleMeasure(measurement) {
+    updateMeasureToolUI(isMeasuring, measurement ? formatDistanceFt(measurement.distanceFt) : null);
+}
+
+// --- Terrain Sculpting ---
+// brush is { tool, radiusFt, strengthFt } to start (or retune) the brush, null to stop
+function setTerrainSculpting(brush) {
+    if (brush && currentDrawingMode) cancelDrawing();
+    if (brush) stopVertexEdit();
+    if (brush && isMeasuring) setMeasuring(false);
+    if (brush && isPlacingSpots) setPlacingSpots(false);
+    const wasSculpting = terrainBrush !== null;
+    terrainBrush = brush;
+    terrainStroke = null;
+    if (p5Instance) setTerrainSculptModeP5(brush);
+    updateTerrainToolUI(brush !== null);
+    if (brush && !wasSculpting) {
+        showDrawingInstructions(drawingInstructions, 'terrain');
+        if (currentView !== '2D') toggleViewBtn.click();
+    } else if (!brush && wasSculpting) {
+        hideDrawingInstructions(drawingInstructions);
+    }
+}
+
+function handleTerrainBrushChange(brush) {
+    if (terrainBrush) setTerrainSculpting(brush);
+}
+
+// One dab of the brush, reported by the 2D view as the mouse is pressed and dragged. The first dab of a
+// stroke grows the heightmap to cover the lot if needed and fixes the height flatten works towards.
+function handleTerrainSculpt(pointFt, isStrokeStart) {
+    if (!terrainBrush) return;
+    if (isStrokeStart || !terrainStroke) {
+        terrainStroke = { before: snapshotTerrain(), targetHeightFt: getGroundHeightFt(lotConfig, pointFt.x, pointFt.y) };
+        lotConfig.terrain = getTerrainForBounds(lotConfig.terrain, getLotBoundsFt());
+        groundRevision++;
+    }
+    const surveyedLot = { ...lotConfig, terrain: null }; // Flatten levels the survey and the sculpting together
+    const brush = { ...terrainBrush, x: pointFt.x, y: pointFt.y, targetHeightFt: terrainStroke.targetHeightFt, baseHeightAt: (x, y) => getGroundHeightFt(surveyedLot, x, y) };
+    if (updateTerrain(lotConfig.terrain, brush)) {
+        groundRevision++;
+        if (p5Instance) redrawP5(p5Instance);
+    }
+}
+
+// The whole stroke becomes one undo step; the 3D ground is rebuilt once it ends
+function handleTerrainSculptEnd() {
+    if (!terrainStroke) return;
+    const before = terrainStroke.before;
+    const after = snapshotTerrain();
+    terrainStroke = null;
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+    const label = terrainBrush ? terrainBrush.tool.charAt(0).toUpperCase() + terrainBrush.tool.slice(1) : 'Sculpt';
+    recordCommand(createSnapshotCommand(`${label} terrain`, applyTerrain, before, after));
+    refreshTerrainInThree();
+    refreshDesignChecks();
+    if (p5Instance) redrawP5(p5Instance);
+}
+
+function handleResetTerrain() {
+    if (isTerrainFlat(lotConfig.terrain)) return;
+    if (!confirm("Flatten the whole lot back to level ground?")) return;
+    executeCommand(createSnapshotCommand('Reset terrain', applyTerrain, snapshotTerrain(), null));
+}
+
+function snapshotTerrain() {
+    return lotConfig.terrain ? JSON.parse(JSON.stringify(lotConfig.terrain)) : null;
+}
+
+function applyTerrain(snapshot) {
+    lotConfig.terrain = snapshot ? JSON.parse(JSON.stringify(snapshot)) : null;
+    groundRevision++;
+    refreshTerrainInThree();
+    if (p5Instance) redrawP5(p5Instance);
+}
+
+function refreshTerrainInThree() {
+    updateTerrainInThree();
+    repositionAllInThree(); // Everything stands on the ground under its centre
+    if (currentView === '3D') renderThreeScene();
+}
+
+// The lot's extents in feet, curved edges included
+function getLotBoundsFt() {
+    const points = getLotPolygonFt(lotConfig);
+    return {
+        minX: Math.min(...points.map(p => p.x)), minY: Math.min(...points.map(p => p.y)),
+        maxX: Math.max(...points.map(p => p.x)), maxY: Math.max(...points.map(p => p.y))
+    };
+}
+
+function handlePinDimension() {
+    const measurement = p5Instance ? getMeasurementP5() : null;
+    if (!measurement) return;
+    const dimension = { id: 'dimension_' + nextDimensionId++, start: measurement.start, end: measurement.end };
+    executeCommand(createSnapshotCommand('Pin dimension', applyDimensions, snapshotDimensions(), [...snapshotDimensions(), dimension]));
+    clearMeasurementP5();
+    updateMeasureToolUI(isMeasuring, null);
+}
+
+function handleDimensionRemove(dimensionId) {
+    const before = snapshotDimensions();
+    executeCommand(createSnapshotCommand('Remove dimension', applyDimensions, before, before.filter(dim => dim.id !== dimensionId)));
+}
+
+function handleClearDimensions() {
+    if (dimensions.length === 0) return;
+    if (!confirm(`Remove all ${dimensions.length} pinned dimensions?`)) return;
+    executeCommand(createSnapshotCommand('Clear dimensions', applyDimensions, snapshotDimensions(), []));
+}
+
+function snapshotDimensions() {
+    return JSON.parse(JSON.stringify(dimensions));
+}
+
+function applyDimensions(snapshot) {
+    dimensions = JSON.parse(JSON.stringify(snapshot));
+}
+
 function handlePolygonVertexAdd(point, mode) {
     // console.log(`Vertex added for ${mode}:`, point);
 }
@@ -379,21 +771,483 @@ function handleUpdateLotRect() {
         alert("Please enter valid positive numbers for lot width and depth.");
         return;
     }
-    lotConfig.width = newWidth;
-    lotConfig.depth = newDepth;
-    lotConfig.isCustomShape = false;
-    lotConfig.customShapePoints = [];
-
+    const lotBefore = snapshotLotConfig();
+    const lotAfter = { ...lotBefore, width: newWidth, depth: newDepth, isCustomShape: false, customShapePoints: [] };
+    executeCommand(createSnapshotCommand('Update rectangular lot', applyLotConfig, lotBefore, lotAfter));
     console.log("Rectangular lot updated:", lotConfig);
-    updateGroundPlane(); 
+}
+
+// --- Vertex Editing ---
+function startVertexEdit(target) {
+    if (!p5Instance) return;
+    if (currentDrawingMode) cancelDrawing();
+    if (isMeasuring) setMeasuring(false);
+    if (terrainBrush) setTerrainSculpting(null);
+    if (isPlacingSpots) setPlacingSpots(false);
+    vertexEditTarget = target;
+    vertexEditBefore = null;
+    vertexEditSelection = null;
+    setVertexEditModeP5(target);
+    refreshVertexEditUI();
+    showDrawingInstructions(drawingInstructions, 'vertex_edit');
+    if (currentView !== '2D') toggleViewBtn.click();
+    redrawP5(p5Instance);
+}
+
+function stopVertexEdit() {
+    if (!vertexEditTarget) return;
+    vertexEditTarget = null;
+    vertexEditBefore = null;
+    vertexEditSelection = null;
     if (p5Instance) {
-        setLotConfigP5(lotConfig); 
+        setVertexEditModeP5(null);
         redrawP5(p5Instance);
     }
+    refreshVertexEditUI();
+    hideDrawingInstructions(drawingInstructions);
+}
+
+function getVertexEditLabel() {
+    if (!vertexEditTarget) return null;
+    if (vertexEditTarget.kind === 'lot') return 'Lot';
+    const house = findElementById(vertexEditTarget.houseId);
+    return house ? house.name || 'House' : 'House';
+}
+
+// House edges also carry a roof pitch; lot edges pass undefined, which hides that control
+function refreshVertexEditUI() {
+    let edgeRoofPitch;
+    if (vertexEditTarget && vertexEditTarget.kind === 'house' && vertexEditSelection && vertexEditSelection.type === 'edge') {
+        const house = findElementById(vertexEditTarget.houseId);
+        edgeRoofPitch = house && Array.isArray(house.edgePitches) ? house.edgePitches[vertexEditSelection.index] ?? null : null;
+    }
+    updateVertexEditUI(getVertexEditLabel(), vertexEditSelection, edgeRoofPitch);
+}
+
+// Live outline change from the 2D view; history is recorded once the gesture ends
+function handleVertexEdit(target, points, change) {
+    if (target.kind === 'lot') {
+        if (!vertexEditBefore) vertexEditBefore = snapshotLotConfig();
+        applyLotOutline(points, change);
+    } else {
+        const house = findElementById(target.houseId);
+        if (!house) return;
+        if (!vertexEditBefore) vertexEditBefore = serializeElement(house);
+        applyHouseOutline(house, points, change);
+        refreshElementInfo();
+    }
+    if (p5Instance) redrawP5(p5Instance);
+    if (currentView === '3D') renderThreeScene();
+}
+
+function handleVertexEditEnd(target, label) {
+    if (!vertexEditBefore) return;
+    if (target.kind === 'lot') {
+        recordCommand(createSnapshotCommand(`${label} (lot)`, applyLotConfig, vertexEditBefore, snapshotLotConfig()));
+    } else {
+        const house = findElementById(target.houseId);
+        if (house) recordCommand(createCustomHouseCommand(`${label} (${house.name || 'house'})`, house.id, vertexEditBefore, serializeElement(house)));
+    }
+    vertexEditBefore = null;
+    refreshDesignChecks(); // Held back while the outline was being dragged
+    if (p5Instance) redrawP5(p5Instance);
+}
+
+// Editing a rectangular lot turns it into a custom shape; edge roles follow inserted and deleted corners
+function applyLotOutline(points, change) {
+    let edgeRoles = lotConfig.edgeRoles;
+    if (Array.isArray(edgeRoles) && change.type !== 'move') {
+        edgeRoles = [...edgeRoles];
+        // Inserting at index i splits edge i - 1; deleting corner i merges edge i into edge i - 1
+        if (change.type === 'insert') edgeRoles.splice(change.index, 0, edgeRoles[change.index - 1]);
+        else edgeRoles.splice(change.index, 1);
+    }
+    Object.assign(lotConfig, { isCustomShape: true, customShapePoints: points, width: 0, depth: 0, edgeRoles });
+    updateGroundPlane();
+    repositionAllInThree(); // The 3D scene is centred on the lot
+    refreshLotRestrictionsUI();
+}
+
+// Points are in lot feet; the outline is stored unrotated around the house centre.
+// Per-edge roof pitches follow inserted and deleted corners the way lot edge roles do, and doors
+// and windows stay on the stretch of wall they were on
+function applyHouseOutline(house, points, change) {
+    if (Array.isArray(house.edgePitches) && change && change.type !== 'move') {
+        house.edgePitches = [...house.edgePitches];
+        if (change.type === 'insert') house.edgePitches.splice(change.index, 0, house.edgePitches[change.index - 1] ?? null);
+        else house.edgePitches.splice(change.index, 1);
+    }
+    const oldOutline = house.outline;
+    const rotation = house.rotation || 0;
+    const center = { x: house.x + house.width / 2, y: house.y + house.depth / 2 };
+    const unrotated = points.map(p => ({ ...p, ...rotatePointAround(p, center, -rotation) })); // Curves are edge-relative and survive rotation
+    const traced = flattenOutline(unrotated);
+    const minX = Math.min(...traced.map(p => p.x)), maxX = Math.max(...traced.map(p => p.x));
+    const minY = Math.min(...traced.map(p => p.y)), maxY = Math.max(...traced.map(p => p.y));
+    const localCenter = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+    const newCenter = rotatePointAround(localCenter, center, rotation);
+    house.outline = unrotated.map(p => ({ ...p, x: p.x - localCenter.x, y: p.y - localCenter.y }));
+    house.openings = remapOpeningsForOutlineChange(house.openings, oldOutline, house.outline, change);
+    house.width = maxX - minX;
+    house.depth = maxY - minY;
+    house.x = newCenter.x - house.width / 2;
+    house.y = newCenter.y - house.depth / 2;
+    updateCustomHouseInThree(house);
+}
+
+function handleDeleteVertex() {
+    if (!vertexEditTarget) return;
+    if (!deleteSelectedVertexP5()) alert("Select a corner to delete. Outlines need at least 3 corners and can't cross themselves.");
+}
+
+function handleSetEdgeLength(value) {
+    const lengthFt = parseFloat(value);
+    if (isNaN(lengthFt) || lengthFt <= 0) {
+        alert("Please enter a valid positive edge length.");
+        return;
+    }
+    if (!setSelectedEdgeLengthP5(lengthFt)) alert("That length would make the outline cross itself.");
+}
+
+function handleSetEdgeType(edgeType) {
+    if (!vertexEditTarget) return;
+    if (!setSelectedEdgeTypeP5(edgeType)) alert("That edge shape would make the outline cross itself.");
+}
+
+// value is '' for the house's own pitch, 'gable' or a pitch in x/12
+function handleSetEdgeRoofPitch(value) {
+    if (!vertexEditTarget || vertexEditTarget.kind !== 'house' || !vertexEditSelection || vertexEditSelection.type !== 'edge') return;
+    const house = findElementById(vertexEditTarget.houseId);
+    if (!house) return;
+    const pitch = value === GABLE_EDGE_PITCH ? GABLE_EDGE_PITCH : (parseFloat(value) > 0 ? parseFloat(value) : null);
+    const edgePitches = house.outline.map((_, i) => Array.isArray(house.edgePitches) ? house.edgePitches[i] ?? null : null);
+    if (edgePitches[vertexEditSelection.index] === pitch) return;
+    edgePitches[vertexEditSelection.index] = pitch;
+    const houseBefore = serializeElement(house);
+    executeCommand(createCustomHouseCommand('Change roof edge', house.id, houseBefore, { ...houseBefore, edgePitches }));
+    refreshVertexEditUI();
+}
+
+// --- Doors & Windows ---
+// Adds a door or window centred on the wall selected while editing the house outline
+function handleAddOpening(type) {
+    if (!vertexEditTarget || vertexEditTarget.kind !== 'house' || !vertexEditSelection || vertexEditSelection.type !== 'edge') {
+        alert("Select a wall of the house first.");
+        return;
+    }
+    const house = findElementById(vertexEditTarget.houseId);
+    const edge = house && getHouseEdgeFt(house, vertexEditSelection.index);
+    if (!edge) return;
+    if (edge.isCurved) { alert("Doors and windows can only go in straight walls."); return; }
+    const { width, height, sill } = OPENING_DEFAULTS[type];
+    if (edge.lengthFt < width) { alert(`That wall is too short for a ${width} ft ${type}.`); return; }
+    const opening = { id: getNextOpeningId(house), type, edge: vertexEditSelection.index, offset: edge.lengthFt / 2, width, height: Math.min(height, house.wallHeight - sill), sill };
+    if (opening.height <= 0) { alert(`The walls are too low for a ${type}.`); return; }
+    const houseBefore = serializeElement(house);
+    executeCommand(createCustomHouseCommand(`Add ${type}`, house.id, houseBefore, { ...houseBefore, openings: [...(houseBefore.openings || []), opening] }));
+}
+
+// field is 'offset', 'width', 'height' or 'sill' (all feet)
+function handleUpdateOpening(openingId, field, value) {
+    const house = selectedElement?.type === 'custom_house' ? selectedElement : null;
+    const opening = house && (house.openings || []).find(candidate => candidate.id === openingId);
+    if (!opening) return;
+    const amount = parseFloat(value);
+    const edge = getHouseEdgeFt(house, opening.edge);
+    let error = null;
+    if (isNaN(amount) || amount < 0 || (amount === 0 && (field === 'width' || field === 'height'))) error = "Please enter a valid positive size in feet.";
+    else if (field === 'width' && edge && amount > edge.lengthFt) error = `That wall is only ${edge.lengthFt.toFixed(1)} ft long.`;
+    else if ((field === 'height' && amount + (opening.sill || 0) > house.wallHeight) || (field === 'sill' && amount + opening.height > house.wallHeight)) error = `The opening has to fit below the ${house.wallHeight} ft walls.`;
+    if (error) {
+        alert(error);
+        updateSelectionUI(); // Puts the old value back in the list
+        return;
+    }
+    if (opening[field] === amount) return;
+    const houseBefore = serializeElement(house);
+    const openings = houseBefore.openings.map(candidate => candidate.id === openingId ? { ...candidate, [field]: amount } : candidate);
+    executeCommand(createCustomHouseCommand(`Edit ${opening.type}`, house.id, houseBefore, { ...houseBefore, openings }));
+}
+
+function handleRemoveOpening(openingId) {
+    const house = selectedElement?.type === 'custom_house' ? selectedElement : null;
+    if (!house || !(house.openings || []).some(opening => opening.id === openingId)) return;
+    const houseBefore = serializeElement(house);
+    const removed = houseBefore.openings.find(opening => opening.id === openingId);
+    executeCommand(createCustomHouseCommand(`Remove ${removed.type}`, house.id, houseBefore, { ...houseBefore, openings: houseBefore.openings.filter(opening => opening.id !== openingId) }));
+}
+
+// --- Storeys ---
+function handleAddStorey() {
+    const house = selectedElement?.type === 'custom_house' ? selectedElement : null;
+    if (!house) return;
+    const houseBefore = serializeElement(house);
+    const storeys = [...(houseBefore.storeys || []), { height: DEFAULT_STOREY_HEIGHT_FT, setback: 0 }];
+    executeCommand(createCustomHouseCommand('Add storey', house.id, houseBefore, { ...houseBefore, storeys }));
+}
+
+// index counts upper storeys from 0 (the one over the ground floor); field is 'height' or 'setback'
+function handleUpdateStorey(index, field, value) {
+    const house = selectedElement?.type === 'custom_house' ? selectedElement : null;
+    if (!house || !house.storeys || !house.storeys[index]) return;
+    const amount = parseFloat(value);
+    if (isNaN(amount) || amount < 0 || (field === 'height' && amount === 0)) {
+        alert(field === 'height' ? "Please enter a valid positive storey height." : "Please enter a setback of zero or more feet.");
+        updateSelectionUI();
+        return;
+    }
+    if (house.storeys[index][field] === amount) return;
+    const houseBefore = serializeElement(house);
+    const storeys = houseBefore.storeys.map((storey, i) => i === index ? { ...storey, [field]: amount } : storey);
+    if (getStoreyLevels({ ...houseBefore, storeys }).length < storeys.length + 1) {
+        alert("That setback is too deep for the storey below.");
+        updateSelectionUI();
+        return;
+    }
+    executeCommand(createCustomHouseCommand('Edit storey', house.id, houseBefore, { ...houseBefore, storeys }));
+}
+
+function handleRemoveStorey(index) {
+    const house = selectedElement?.type === 'custom_house' ? selectedElement : null;
+    if (!house || !house.storeys || !house.storeys[index]) return;
+    const houseBefore = serializeElement(house);
+    const storeys = houseBefore.storeys.filter((_, i) => i !== index);
+    executeCommand(createCustomHouseCommand('Remove storey', house.id, houseBefore, { ...houseBefore, storeys }));
+}
+
+function getNextOpeningId(house) {
+    const next = (house.openings || []).reduce((max, opening) => {
+        const idNum = parseInt(String(opening.id).split('_').pop());
+        return !isNaN(idNum) && idNum >= max ? idNum + 1 : max;
+    }, 0);
+    return 'opening_' + next;
+}
+
+// Shape of the edges placed from now on while drawing an outline
+function handleDrawingEdgeType(edgeType) {
+    if (!p5Instance || !currentDrawingMode) return;
+    setDrawingEdgeTypeP5(edgeType);
+    showDrawingInstructions(drawingInstructions, currentDrawingMode, edgeType);
+}
+
+// --- Survey Lot Entry ---
+// Returns the traverse for the calls typed so far, or { error } for the first unreadable line
+function getSurveyTraverse(text) {
+    try {
+        const calls = parseSurveyCalls(text);
+        if (calls.length < 3) return { error: "Enter at least 3 calls, one per line." };
+        return traverseSurveyCalls(calls);
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+function handleSurveyCallsInput(text) {
+    updateSurveyClosureUI(getSurveyTraverse(text), formatDistanceFt);
+}
+
+function handleCreateSurveyLot(text) {
+    const traverse = getSurveyTraverse(text);
+    if (traverse.error) { alert(traverse.error); return; }
+    // The gap between the last call and the point of beginning is closed by the final edge
+    if (traverse.precisionRatio < SURVEY_MIN_PRECISION_RATIO &&
+        !confirm(`The calls miss the point of beginning by ${formatDistanceFt(traverse.closureErrorFt)} (1:${Math.round(traverse.precisionRatio)}). Close the lot anyway?`)) {
+        return;
+    }
+    // Start the lot at the plan origin, like a rectangular lot
+    const minX = Math.min(...traverse.points.map(p => p.x)), minY = Math.min(...traverse.points.map(p => p.y));
+    const polygon = traverse.points.map(p => ({ x: p.x - minX, y: p.y - minY }));
+    stopVertexEdit();
+    if (currentDrawingMode) cancelDrawing();
+    if (commitLotPolygon(polygon, 'Enter surveyed lot')) hideModal('surveyLotModal');
+}
+
+// --- Setbacks & Easements ---
+function handleSetbackChange(role, value) {
+    const distanceFt = parseFloat(value);
+    if (isNaN(distanceFt) || distanceFt < 0) {
+        alert("Please enter a setback of zero or more feet.");
+        refreshLotRestrictionsUI();
+        return;
+    }
+    if (lotConfig.setbacks[role] === distanceFt) return;
+    const lotBefore = snapshotLotConfig();
+    const lotAfter = { ...lotBefore, setbacks: { ...lotBefore.setbacks, [role]: distanceFt } };
+    executeCommand(createSnapshotCommand('Change setback', applyLotConfig, lotBefore, lotAfter));
+}
+
+function handleEdgeRoleChange(edgeIndex, role) {
+    // Store every edge's role so the defaults don't shift once one is set by hand
+    const edgeRoles = getLotEdgesFt(lotConfig).map(edge => edge.role);
+    if (edgeIndex < 0 || edgeIndex >= edgeRoles.length || edgeRoles[edgeIndex] === role) return;
+    edgeRoles[edgeIndex] = role;
+    const lotBefore = snapshotLotConfig();
+    executeCommand(createSnapshotCommand('Change lot edge', applyLotConfig, lotBefore, { ...lotBefore, edgeRoles }));
+}
+
+function handleRemoveEasement(easementId) {
+    const lotBefore = snapshotLotConfig();
+    const lotAfter = { ...lotBefore, easements: lotBefore.easements.filter(easement => easement.id !== easementId) };
+    if (lotAfter.easements.length === lotBefore.easements.length) return;
+    executeCommand(createSnapshotCommand('Remove easement', applyLotConfig, lotBefore, lotAfter));
+}
+
+function getNextEasementId() {
+    const next = lotConfig.easements.reduce((max, easement) => {
+        const idNum = parseInt(String(easement.id).split('_').pop());
+        return !isNaN(idNum) && idNum >= max ? idNum + 1 : max;
+    }, 0);
+    return 'easement_' + next;
+}
+
+function refreshLotRestrictionsUI() {
+    updateLotRestrictionsUI(lotConfig.setbacks, getLotEdgesFt(lotConfig), lotConfig.easements, formatDistanceFt);
+}
+
+// --- Grading ---
+function setPlacingSpots(isActive) {
+    if (isActive && currentDrawingMode) cancelDrawing();
+    if (isActive) stopVertexEdit();
+    if (isActive && isMeasuring) setMeasuring(false);
+    if (isActive && terrainBrush) setTerrainSculpting(null);
+    isPlacingSpots = isActive;
+    if (p5Instance) setSpotPlacementModeP5(isActive);
+    refreshGradingUI();
+    if (isActive) {
+        showDrawingInstructions(drawingInstructions, 'spot_elevation');
+        if (currentView !== '2D') toggleViewBtn.click();
+    } else {
+        hideDrawingInstructions(drawingInstructions);
+    }
+}
+
+// A click on open ground adds a spot there, suggesting the current ground's elevation; a click on a
+// spot edits it, and clearing its elevation removes it
+function handleSpotElevationClick(pointFt, spotId) {
+    const spot = spotId ? lotConfig.spotElevations.find(candidate => candidate.id === spotId) : null;
+    const suggestion = spot ? spot.elevation : getGroundDatumFt(lotConfig) + getGroundHeightFt(lotConfig, pointFt.x, pointFt.y);
+    const input = prompt(spot ? "Elevation at this spot (ft), or leave blank to remove it:" : "Surveyed elevation at this point (ft):", Number(suggestion.toFixed(2)));
+    if (input === null) return;
+    if (spot && input.trim() === '') {
+        handleRemoveSpotElevation(spot.id);
+        return;
+    }
+    const elevation = parseFloat(input);
+    if (isNaN(elevation)) {
+        alert("Please enter the elevation as a number of feet.");
+        return;
+    }
+    if (spot) {
+        handleUpdateSpotElevation(spot.id, elevation);
+        return;
+    }
+    const lotBefore = snapshotLotConfig();
+    const lotAfter = { ...lotBefore, spotElevations: [...lotBefore.spotElevations, { id: getNextSpotElevationId(), x: pointFt.x, y: pointFt.y, elevation }] };
+    executeCommand(createSnapshotCommand('Add spot elevation', applyLotConfig, lotBefore, lotAfter));
+}
+
+function handleUpdateSpotElevation(spotId, value) {
+    const elevation = parseFloat(value);
+    const spot = lotConfig.spotElevations.find(candidate => candidate.id === spotId);
+    if (!spot) return;
+    if (isNaN(elevation)) {
+        alert("Please enter the elevation as a number of feet.");
+        refreshGradingUI();
+        return;
+    }
+    if (spot.elevation === elevation) return;
+    const lotBefore = snapshotLotConfig();
+    const lotAfter = { ...lotBefore, spotElevations: lotBefore.spotElevations.map(candidate => candidate.id === spotId ? { ...candidate, elevation } : candidate) };
+    executeCommand(createSnapshotCommand('Change spot elevation', applyLotConfig, lotBefore, lotAfter));
+}
+
+function handleRemoveSpotElevation(spotId) {
+    const lotBefore = snapshotLotConfig();
+    const lotAfter = { ...lotBefore, spotElevations: lotBefore.spotElevations.filter(spot => spot.id !== spotId) };
+    if (lotAfter.spotElevations.length === lotBefore.spotElevations.length) return;
+    executeCommand(createSnapshotCommand('Remove spot elevation', applyLotConfig, lotBefore, lotAfter));
+}
+
+function getNextSpotElevationId() {
+    const next = lotConfig.spotElevations.reduce((max, spot) => {
+        const idNum = parseInt(String(spot.id).split('_').pop());
+        return !isNaN(idNum) && idNum >= max ? idNum + 1 : max;
+    }, 0);
+    return 'spot_' + next;
+}
+
+function handleGradingDisplayChange(settings) {
+    if (!(settings.contourIntervalFt > 0)) delete settings.contourIntervalFt; // Keep the last good interval
+    if (p5Instance) setGradingDisplayP5(settings);
+    if (settings.showDrainage !== undefined && settings.showDrainage !== isDrainageShown) {
+        isDrainageShown = settings.showDrainage;
+        refreshDrainageOverlay();
+        if (currentView === '3D') renderThreeScene();
+    }
+}
+
+// How the ground runs under an element, for its info panel; null while the whole lot is level
+function getElementGrade(element) {
+    if (isGroundLevel(lotConfig)) return null;
+    return getFootprintGrade(getElementFootprintFt(element), (x, y) => getGroundHeightFt(lotConfig, x, y));
+}
+
+// --- Drainage ---
+// Every element and outlined custom house with its footprint, as the drainage simulation reads them
+function getDrainageItems() {
+    return [...elements, ...customHouses].filter(el => el.type !== 'custom_house' || (el.outline && el.outline.length >= 3))
+        .map(element => ({ element, footprint: getElementFootprintFt(element) }));
+}
+
+// Where rain runs and pools across the lot (see features/drainage.js); null while the ground is level.
+// While a stroke, drag or outline edit is under way the last result stands in; it is caught up once
+// the gesture ends.
+function getDrainage() {
+    if (isGroundLevel(lotConfig)) return null;
+    if (terrainStroke || vertexEditBefore || isElementDragLive) return drainageCache.drainage;
+    const items = getDrainageItems();
+    const lotPolygon = getLotPolygonFt(lotConfig);
+    // Only surfaces that shed water and the barrels catching it change the flow; plants moving don't
+    const key = JSON.stringify([groundRevision, lotPolygon,
+        items.filter(({ element }) => RUNOFF_COEFFICIENTS[element.type] !== undefined || element.type === 'rain_barrel')
+            .map(({ element, footprint }) => [element.id, element.type, element.width, element.height, footprint])]);
+    if (drainageCache.key !== key) {
+        const bounds = getLotBoundsFt();
+        drainageCache = { key, drainage: simulateDrainage(getGroundGrid(lotConfig, bounds), lotPolygon, items) };
+    }
+    return drainageCache.drainage;
+}
+
+// For an element's info panel: { wetSpotDepthFt, catchment } (catchment only for rain barrels), or null
+function getElementDrainage(element) {
+    const drainage = getDrainage();
+    if (!drainage) return null;
+    return {
+        wetSpotDepthFt: getWetSpotDepthFt(drainage, getElementFootprintFt(element)),
+        catchment: element.type === 'rain_barrel' ? getRainBarrelCatchment(drainage, element) : null
+    };
+}
+
+function refreshDrainageOverlay() {
+    const drainage = isDrainageShown ? getDrainage() : null;
+    if (drainage === drainageOverlaySource) return;
+    drainageOverlaySource = drainage;
+    setDrainageOverlayInThree(drainage ? getDrainageRegions(drainage) : null);
+}
+
+function refreshGradingUI() {
+    updateGradingUI(lotConfig.spotElevations, isPlacingSpots);
+}
+
+// Designs saved before setbacks existed have none of these fields
+function withLotRestrictionDefaults(lot) {
+    return { ...lot, setbacks: { ...DEFAULT_SETBACKS_FT, ...(lot.setbacks || {}) }, edgeRoles: lot.edgeRoles || null, easements: lot.easements || [], terrain: lot.terrain || null,
+        spotElevations: lot.spotElevations || [], site: withSiteDefaults(lot.site) };
 }
 
 function handleUpdateCustomHouse() {
-    if (!customHouse || selectedElement?.type !== 'custom_house') {
+    const house = selectedElement?.type === 'custom_house' ? selectedElement : null;
+    if (!house) {
         // Silently return if no custom house is selected, or an element that is not a custom house is selected.
         // This can happen if the input events fire when not intended.
         return;
@@ -401,21 +1255,43 @@ function handleUpdateCustomHouse() {
     const newWallHeight = parseFloat(customHouseWallHeightInput.value);
     const newRoofType = customHouseRoofTypeSelect.value;
     const newWallColor = customHouseWallColorInput.value;
+    const newRoofPitch = parseFloat(customHouseRoofPitchInput.value);
+    const newEaveOverhang = parseFloat(customHouseEaveOverhangInput.value);
+    const newRoofColor = customHouseRoofColorInput.value;
 
     if (isNaN(newWallHeight) || newWallHeight <= 0) {
         alert("Please enter a valid positive number for house wall height.");
         // Restore previous valid value to UI if possible, or just return
-        customHouseWallHeightInput.value = customHouse.wallHeight;
+        customHouseWallHeightInput.value = house.wallHeight;
         return;
     }
-    customHouse.wallHeight = newWallHeight;
-    customHouse.height = newWallHeight; // Ensure the generic 'height' property for info panel is also updated
-    customHouse.roofType = newRoofType;
-    customHouse.wallColor = newWallColor;
-    
-    updateCustomHouseInThree(customHouse);
-    if (p5Instance) redrawP5(p5Instance); 
-    showElementInfo(customHouse, plantLibrary, customHouse); // Refresh info panel
+    if (isNaN(newRoofPitch) || newRoofPitch <= 0) {
+        alert("Please enter a roof pitch greater than zero (inches of rise per 12 inches).");
+        customHouseRoofPitchInput.value = house.roofPitch;
+        return;
+    }
+    if (isNaN(newEaveOverhang) || newEaveOverhang < 0) {
+        alert("Please enter an eave overhang of zero or more feet.");
+        customHouseEaveOverhangInput.value = house.eaveOverhang;
+        return;
+    }
+    if (house.wallHeight === newWallHeight && house.roofType === newRoofType && house.wallColor === newWallColor &&
+        house.roofPitch === newRoofPitch && house.eaveOverhang === newEaveOverhang && house.roofColor === newRoofColor) {
+        return; // 'input' and 'change' both fire for the same edit
+    }
+    const houseBefore = serializeElement(house);
+    const houseAfter = {
+        ...houseBefore,
+        wallHeight: newWallHeight,
+        height: newWallHeight, // Ensure the generic 'height' property for info panel is also updated
+        roofType: newRoofType,
+        roofPitch: newRoofPitch,
+        eaveOverhang: newEaveOverhang,
+        roofColor: newRoofColor,
+        wallColor: newWallColor
+    };
+    // Live edits (typing, colour picker drags) collapse into one undo step
+    executeCommand(createCustomHouseCommand('Edit custom house', house.id, houseBefore, houseAfter, `custom_house:${house.id}`));
 }
 
 
@@ -435,6 +1311,20 @@ function orientViewNorth() {
 }
 
 // --- Element Manipulation ---
+// Beds, patios, paths and lawns can be drawn as an outline instead of added as a box
+function startFreeformDrawing(type) {
+    if (!OUTLINE_ELEMENT_TYPES.includes(type)) return;
+    startDrawingMode('element_polygon');
+    drawingElementType = type;
+}
+
+// Fences, paths and hedges can be drawn as one element following a clicked route
+function startRouteDrawing(type) {
+    if (!ROUTE_ELEMENT_TYPES.includes(type)) return;
+    startDrawingMode('element_polyline');
+    drawingElementType = type;
+}
+
 function handleAddSpecificElement(elementType) {
     let data = {}; let nameForElement = elementType;
     if (elementType === 'plant') {
@@ -456,7 +1346,9 @@ function handleAddSpecificElement(elementType) {
     handleAddElement(elementType, data, nameForElement);
 }
 
-function handleAddElement(type, specificData = {}, elementNameFromSpecific) {
+// outlinePoints (lot feet) makes a freeform element shaped and placed like the drawn polygon;
+// routePoints (lot feet) makes a fence, path or hedge following the drawn polyline
+function handleAddElement(type, specificData = {}, elementNameFromSpecific, outlinePoints = null, routePoints = null) {
     if (currentDrawingMode) {
         alert(`Please finish or cancel ${currentDrawingMode.replace('_polygon', '')} drawing first.`);
         return;
@@ -489,6 +1381,7 @@ function handleAddElement(type, specificData = {}, elementNameFromSpecific) {
                 newElement.width = specificData.canopy || 20; newElement.depth = specificData.canopy || 20; newElement.height = specificData.height || 30;
                 newElement.isTree = true; break;
             case 'fence_segment': newElement.width = 10; newElement.depth = 0.5; newElement.height = 6; break;
+            case 'hedge': newElement.width = 10; newElement.depth = 2.5; newElement.height = 4; break;
             case 'patio': newElement.width = 10; newElement.depth = 10; newElement.height = 0.25; break;
             case 'path': newElement.width = 10; newElement.depth = 3; newElement.height = 0.15; break;
             case 'sprinkler': newElement.width = 0.5; newElement.depth = 0.5; newElement.height = 0.5; break;
@@ -496,101 +1389,237 @@ function handleAddElement(type, specificData = {}, elementNameFromSpecific) {
             case 'bench': newElement.width = 5; newElement.depth = 2; newElement.height = 2.5; break;
             case 'fire_pit': newElement.width = 3.5; newElement.depth = 3.5; newElement.height = 1.5; break;
             case 'lawn_area': newElement.width = 20; newElement.depth = 20; newElement.height = 0.05; break;
+            case 'deck': newElement.width = 12; newElement.depth = 10; newElement.height = 3; newElement.data = { ...DECK_DEFAULTS, ...specificData }; break;
             default: newElement.width = 5; newElement.depth = 5; newElement.height = 1;
         }
         newElement.x -= newElement.width / 2; newElement.y -= newElement.depth / 2;
+        if (outlinePoints) Object.assign(newElement, getOutlineGeometry(outlinePoints));
+        if (routePoints) Object.assign(newElement, getRouteGeometry(routePoints, getRouteLineWidthFt(newElement)));
         
-        if (!validateAndPlaceElement(newElement)) {
+        // A drawn route stays where it was drawn (fences often run along the lot line); the design checks flag any overhang
+        if (!routePoints && !validateAndPlaceElement(newElement)) {
              alert("Element cannot be placed outside the lot boundary.");
              return;
         }
 
-        elements.push(newElement);
-        addElementToThree(newElement, currentSeason); 
+        executeCommand(createElementPresenceCommand(`Add ${newElement.name}`, [{ state: serializeElement(newElement), index: elements.length }], true));
         handleElementSelect(newElement.id, 'programmatic_add');
-        if (p5Instance) redrawP5(p5Instance);
     } catch (error) { console.error(`Error adding element type ${type}:`, error); alert(`Failed to add ${type}.`); }
 }
 
+// Keeps an element's (rotated) footprint inside the lot. Rectangular lots clamp it back inside;
+// on custom lots it moves to the nearest position that fits. Returns false when nothing fits.
 function validateAndPlaceElement(element) {
-    const p5LotConfig = p5Instance ? getLotConfigP5() : lotConfig;
-    if (p5LotConfig.isCustomShape && p5LotConfig.customShapePoints.length > 0) {
-        const lotBoundingBox = p5LotConfig.customShapePoints.reduce((acc, p) => ({
-            minX: Math.min(acc.minX, p.x), minY: Math.min(acc.minY, p.y),
-            maxX: Math.max(acc.maxX, p.x), maxY: Math.max(acc.maxY, p.y)
-        }), {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity});
-
-        if (element.x < lotBoundingBox.minX || element.x + element.width > lotBoundingBox.maxX ||
-            element.y < lotBoundingBox.minY || element.y + element.depth > lotBoundingBox.maxY) {
-        }
+    if (lotConfig.isCustomShape && lotConfig.customShapePoints.length > 0) {
+        if (isElementInsideLot(element)) return true;
+        const offset = findNearestFittingOffset(element, flattenOutline(lotConfig.customShapePoints));
+        if (!offset) return false;
+        element.x += offset.x; element.y += offset.y;
     } else {
-        element.x = Math.max(0, Math.min(element.x, p5LotConfig.width - element.width));
-        element.y = Math.max(0, Math.min(element.y, p5LotConfig.depth - element.depth));
+        const footprint = getElementFootprintFt(element);
+        const minX = Math.min(...footprint.map(p => p.x)), maxX = Math.max(...footprint.map(p => p.x));
+        const minY = Math.min(...footprint.map(p => p.y)), maxY = Math.max(...footprint.map(p => p.y));
+        if (minX < 0) element.x -= minX; else if (maxX > lotConfig.width) element.x -= maxX - lotConfig.width;
+        if (minY < 0) element.y -= minY; else if (maxY > lotConfig.depth) element.y -= maxY - lotConfig.depth;
     }
     return true; 
 }
 
+function isElementInsideLot(element) {
+    if (element.type === 'custom_house' && (!element.outline || element.outline.length < 3)) return true;
+    return isFootprintInsideLot(getElementFootprintFt(element), getLotPolygonFt(lotConfig));
+}
+
+// Tries element centres on a grid over the lot, closest first
+function findNearestFittingOffset(element, lotPoints) {
+    const minX = Math.min(...lotPoints.map(p => p.x)), maxX = Math.max(...lotPoints.map(p => p.x));
+    const minY = Math.min(...lotPoints.map(p => p.y)), maxY = Math.max(...lotPoints.map(p => p.y));
+    const step = Math.max(0.5, Math.min(maxX - minX, maxY - minY) / CONTAINMENT_SEARCH_STEPS);
+    const centerX = element.x + element.width / 2, centerY = element.y + element.depth / 2;
+    const offsets = [];
+    for (let x = minX; x <= maxX; x += step) {
+        for (let y = minY; y <= maxY; y += step) offsets.push({ x: x - centerX, y: y - centerY });
+    }
+    offsets.sort((a, b) => Math.hypot(a.x, a.y) - Math.hypot(b.x, b.y));
+    return offsets.find(offset => isElementInsideLot({ ...element, x: element.x + offset.x, y: element.y + offset.y })) || null;
+}
+
+// Re-runs lot containment, overlap and clearance checks and refreshes the warnings in both views.
+// The plant sun checks cast rays in the 3D scene, so they follow once the edits settle.
+function refreshDesignChecks() {
+    sunHoursKey = getSunHoursKey();
+    showDesignIssues();
+    refreshDrainageOverlay();
+    refreshSunHoursUI();
+    schedulePlantSunChecks();
+}
+
+function showDesignIssues() {
+    const candidates = [...elements, ...customHouses];
+    designIssues = [...findDesignIssues(candidates, clearanceDistances, lotConfig), ...findWetSpotIssues(getDrainage(), getDrainageItems()), ...findPlantSunIssues()];
+    warningElementIds = new Set(designIssues.flatMap(issue => issue.elementIds));
+    setWarningFootprintsInThree(candidates.filter(el => warningElementIds.has(el.id)).map(el => getElementFootprintFt(el)));
+    updateDesignIssuesUI(designIssues);
+}
+
+function handleClearanceChange(ruleId, value) {
+    const distanceFt = parseFloat(value);
+    if (isNaN(distanceFt) || distanceFt < 0) delete clearanceDistances[ruleId]; // Back to the rule's default
+    else clearanceDistances[ruleId] = distanceFt;
+    refreshDesignChecks();
+    if (p5Instance) redrawP5(p5Instance);
+    if (currentView === '3D') renderThreeScene();
+}
 
-function handleElementSelect(elementId, sourceView = 'unknown') {
+
+function handleElementSelect(elementId, sourceView = 'unknown', isAdditive = false) {
     if (currentDrawingMode && elementId !== null) { 
         return;
     }
-    if (elementId === null) {
-        selectedElement = null;
-    } else if (typeof elementId === 'string' && elementId.startsWith('custom_house')) {
-        selectedElement = customHouse;
+    const element = elementId === null ? null : findElementById(elementId);
+    if (isAdditive) {
+        // Shift-click toggles membership; shift-clicking empty space keeps the selection
+        if (element) {
+            selectedElements = selectedElements.includes(element) ?
+                selectedElements.filter(el => el !== element) : [...selectedElements, element];
+        }
     } else {
-        selectedElement = elements.find(el => el.id === elementId);
+        selectedElements = element ? [element] : [];
     }
-    
+    updateSelectionUI();
+}
+
+// Marquee selection from the 2D view
+function handleElementsSelect(elementIds, isAdditive = false) {
+    if (currentDrawingMode) return;
+    const picked = elementIds.map(findElementById).filter(Boolean);
+    selectedElements = isAdditive ? [...selectedElements, ...picked.filter(el => !selectedElements.includes(el))] : picked;
+    updateSelectionUI();
+}
+
+function updateSelectionUI() {
+    selectedElement = selectedElements.length === 1 ? selectedElements[0] : null;
+
     if (selectedElement && selectedElement.type === 'custom_house') {
-        showCustomHouseControls(selectedElement.wallHeight, selectedElement.roofType, selectedElement.wallColor);
+        showCustomHouseControls(selectedElement);
     } else {
         hideCustomHouseControls();
     }
     // Always call showElementInfo, it will hide custom controls if element is not custom_house
-    showElementInfo(selectedElement, plantLibrary, customHouse); 
+    refreshElementInfo();
 
     if (p5Instance) redrawP5(p5Instance);
 }
 
+function refreshElementInfo() {
+    showElementInfo(selectedElements.length > 1 ? selectedElements : selectedElement, plantLibrary);
+}
+
 
 function handleElementMove(elementId, newXFt, newYFt) {
-    let elementToMove;
-    if (typeof elementId === 'string' && elementId.startsWith('custom_house')) {
-        elementToMove = customHouse;
-    } else {
-        elementToMove = elements.find(el => el.id === elementId);
+    handleElementsMove([{ id: elementId, x: newXFt, y: newYFt }]);
+}
+
+// moves: [{ id, x, y }] - live updates while dragging; history and the design checks wait for
+// handleElementsMoveEnd
+function handleElementsMove(moves) {
+    isElementDragLive = true;
+    moves.forEach(move => {
+        const elementToMove = findElementById(move.id);
+        if (!elementToMove) return;
+        elementToMove.x = move.x; elementToMove.y = move.y; 
+        positionElementInThree(elementToMove);
+    });
+    if (currentView === '3D') renderThreeScene();
+    refreshElementInfo();
+}
+
+function positionElementInThree(elementToMove) {
+    updateElementPositionInThree(elementToMove);
+}
+
+// Called by the 2D view once a drag finishes; the live moves above are collapsed into one undo step.
+function handleElementsMoveEnd(startPositions) {
+    isElementDragLive = false;
+    const before = [];
+    const after = [];
+    startPositions.forEach(start => {
+        const movedElement = findElementById(start.id);
+        if (!movedElement || (movedElement.x === start.x && movedElement.y === start.y)) return;
+        before.push({ id: start.id, x: start.x, y: start.y });
+        after.push({ id: start.id, x: movedElement.x, y: movedElement.y });
+    });
+    if (after.length === 0) return;
+    recordCommand(createSnapshotCommand(`Move ${describeElements(after.map(state => findElementById(state.id)))}`, applyElementStates, before, after));
+    refreshDesignChecks();
+    refreshElementInfo();
+    if (p5Instance) redrawP5(p5Instance);
+}
+
+// Live resize/rotate from the 2D selection handles. Rotation is mirrored to 3D immediately;
+// the mesh is rebuilt for the new size, and the design checked, once, when the drag ends.
+function handleElementTransform(elementId, changes) {
+    const element = findElementById(elementId);
+    if (!element) return;
+    isElementDragLive = true;
+    Object.assign(element, changes);
+    if (changes.rotation !== undefined && element.threeInstance) {
+        updateElementRotationInThree(element.threeInstance, element.rotation);
     }
-    
-    if (elementToMove) {
-        elementToMove.x = newXFt; elementToMove.y = newYFt; 
-        
-        if(elementToMove.threeInstance) {
-            const p5LotConfig = p5Instance ? getLotConfigP5() : lotConfig;
-            const lotCenterX = p5LotConfig.isCustomShape && p5LotConfig.customShapePoints.length > 0 ? 
-                                (Math.min(...p5LotConfig.customShapePoints.map(p => p.x)) + Math.max(...p5LotConfig.customShapePoints.map(p => p.x))) / 2 
-                                : p5LotConfig.width / 2;
-            const lotCenterZ = p5LotConfig.isCustomShape && p5LotConfig.customShapePoints.length > 0 ?
-                                (Math.min(...p5LotConfig.customShapePoints.map(p => p.y)) + Math.max(...p5LotConfig.customShapePoints.map(p => p.y))) / 2
-                                : p5LotConfig.depth / 2;
-
-            const threeX = elementToMove.x + elementToMove.width / 2 - lotCenterX;
-            const threeZ = elementToMove.y + elementToMove.depth / 2 - lotCenterZ;
-            let threeY = 0; 
-
-            if (elementToMove.type === 'custom_house') {
-                threeY = 0; 
-            } else if (elementToMove.type === 'house' || elementToMove.type === 'shed' || elementToMove.isTree || elementToMove.isPlant) {
-                threeY = 0; 
-            } else {
-                threeY = elementToMove.height / 2; 
-            }
-            elementToMove.threeInstance.position.set(threeX, threeY, threeZ);
-            if (currentView === '3D') renderThreeScene();
-        }
-        showElementInfo(elementToMove, plantLibrary, customHouse);
+    refreshElementInfo();
+}
+
+// startState: { id, x, y, width, depth, rotation } captured when the handle drag began
+function handleElementTransformEnd(startState) {
+    isElementDragLive = false;
+    const element = findElementById(startState.id);
+    if (!element) return;
+    const keys = Object.keys(startState).filter(key => key !== 'id');
+    const endState = { id: element.id };
+    keys.forEach(key => { endState[key] = key === 'rotation' ? (element.rotation || 0) : element[key]; });
+    if (keys.every(key => startState[key] === endState[key])) return;
+
+    const isResize = startState.width !== endState.width || startState.depth !== endState.depth;
+    const beforeState = { ...startState };
+    if (isResize && element.isTree && element.data) {
+        // The tree's own size fields follow the handles, in the same undo step
+        beforeState.data = element.data;
+        element.data = { ...element.data, canopy: element.width, height: element.height };
+        endState.data = element.data;
     }
+    if (isResize) syncElementToThree(element);
+    else positionElementInThree(element);
+    if (currentView === '3D') renderThreeScene();
+    recordCommand(createSnapshotCommand(`${isResize ? 'Resize' : 'Rotate'} ${element.name || element.type}`, applyElementStates, [beforeState], [endState]));
+    refreshDesignChecks();
+    refreshElementInfo();
+    if (p5Instance) redrawP5(p5Instance);
+}
+
+function describeElements(elementList) {
+    if (elementList.length === 1) return elementList[0].name || elementList[0].type;
+    return `${elementList.length} elements`;
+}
+
+// Rotates every selected element about the selection's centroid (mean of element centres).
+// Plants and trees only orbit the centroid; rotatable types also turn by the same angle.
+function handleRotateSelection(deltaDegrees) {
+    const delta = parseFloat(deltaDegrees);
+    if (selectedElements.length === 0 || isNaN(delta) || delta % 360 === 0) return;
+
+    const centers = selectedElements.map(el => ({ x: el.x + el.width / 2, y: el.y + el.depth / 2 }));
+    const centroid = {
+        x: centers.reduce((sum, c) => sum + c.x, 0) / centers.length,
+        y: centers.reduce((sum, c) => sum + c.y, 0) / centers.length
+    };
+    const before = selectedElements.map(el => ({ id: el.id, x: el.x, y: el.y, rotation: el.rotation || 0 }));
+    const after = selectedElements.map((el, i) => {
+        const newCenter = rotatePointAround(centers[i], centroid, delta);
+        const state = { id: el.id, x: newCenter.x - el.width / 2, y: newCenter.y - el.depth / 2, rotation: el.rotation || 0 };
+        if (ROTATABLE_ELEMENT_TYPES.includes(el.type)) state.rotation = normalizeDegrees(state.rotation + delta);
+        return state;
+    });
+    executeCommand(createSnapshotCommand(`Rotate ${describeElements(selectedElements)}`, applyElementStates, before, after));
 }
 
 function handleElementRotation(newRotationDegrees, isLiveUpdate = false) {
@@ -598,69 +1627,399 @@ function handleElementRotation(newRotationDegrees, isLiveUpdate = false) {
         return;
     }
     let normalizedRotation = parseFloat(newRotationDegrees) % 360;
+    if (isNaN(normalizedRotation)) return;
     if (normalizedRotation < 0) normalizedRotation += 360;
+    const previousRotation = selectedElement.rotation || 0;
     selectedElement.rotation = normalizedRotation;
+    if (previousRotation !== normalizedRotation) {
+        // Spinner clicks and typing arrive as a burst of events; they merge into one undo step
+        recordCommand(createSnapshotCommand(`Rotate ${selectedElement.name || selectedElement.type}`, applyElementStates,
+            [{ id: selectedElement.id, rotation: previousRotation }],
+            [{ id: selectedElement.id, rotation: normalizedRotation }],
+            `rotate:${selectedElement.id}`
+        ));
+    }
 
     if (selectedElement.threeInstance && typeof updateElementRotationInThree === 'function') {
         updateElementRotationInThree(selectedElement.threeInstance, selectedElement.rotation);
     }
     
+    refreshDesignChecks();
     if (p5Instance) redrawP5(p5Instance);
     if (currentView === '3D' && isLiveUpdate) renderThreeScene();
     if (!isLiveUpdate) {
-        showElementInfo(selectedElement, plantLibrary, customHouse);
+        showElementInfo(selectedElement, plantLibrary);
     }
 }
 
-function handleDeleteSelectedElement() {
-    if (!selectedElement) { return; }
-    
-    const elementName = selectedElement.name || selectedElement.type;
-    if (!confirm(`Are you sure you want to delete "${elementName}"?`)) return;
+function handleSnapSettingsChange(settings) {
+    // Blank or invalid numbers fall back to the p5 defaults
+    if (isNaN(settings.gridSizeFt)) delete settings.gridSizeFt;
+    if (isNaN(settings.angleStepDegrees)) delete settings.angleStepDegrees;
+    if (p5Instance) setSnapSettingsP5(settings);
+}
 
-    if (selectedElement.type === 'custom_house') {
-        if (selectedElement.threeInstance && typeof removeCustomHouseFromThree === 'function') {
-            removeCustomHouseFromThree(selectedElement.threeInstance);
+// --- Property Inspector ---
+// property is an element key ('x', 'width', ...) or 'data.<key>' for type-specific fields
+function handleElementPropertyChange(property, rawValue, isLiveUpdate = false) {
+    if (!selectedElement || selectedElement.type === 'custom_house') return;
+    const element = selectedElement;
+    const changes = getElementPropertyChanges(element, property, rawValue);
+    if (!changes) return;
+
+    const before = { id: element.id };
+    const after = { id: element.id };
+    Object.keys(changes).forEach(key => {
+        before[key] = element[key] === undefined ? undefined : JSON.parse(JSON.stringify(element[key]));
+        after[key] = changes[key];
+    });
+    if (Object.keys(changes).every(key => JSON.stringify(before[key]) === JSON.stringify(after[key]))) return;
+
+    // Typing and spinner clicks in one field merge into a single undo step
+    executeCommand(createSnapshotCommand(`Edit ${element.name || element.type}`, applyElementStates, [before], [after], `property:${element.id}:${property}`));
+    if (!isLiveUpdate) refreshElementInfo();
+}
+
+// Returns the element keys to change, or null when the input is not (yet) a valid value
+function getElementPropertyChanges(element, property, rawValue) {
+    if (property === 'name') {
+        const name = String(rawValue).trim();
+        return name ? { name } : null;
+    }
+    if (property === 'data.species') {
+        const speciesInfo = treeManifest[rawValue];
+        if (!speciesInfo) return null;
+        const changes = { data: { ...element.data, species: rawValue, displayName: speciesInfo.displayName } };
+        if (element.name === element.data.displayName) changes.name = speciesInfo.displayName;
+        return changes;
+    }
+    if (property === 'data.id') {
+        const plantDetails = plantLibrary.find(p => p.id === rawValue);
+        if (!plantDetails) return null;
+        const sizeFt = (plantDetails.spacing || 6) / 12;
+        const changes = {
+            data: { ...plantDetails, modelFile: element.data.modelFile || "tomato_plant.glb" },
+            width: sizeFt, depth: sizeFt, height: (plantDetails.matureHeight || 6) / 12
+        };
+        if (element.name === element.data.name) changes.name = plantDetails.name;
+        return changes;
+    }
+
+    if (property === 'data.attachedSide' || property === 'data.stairSide') {
+        if (rawValue !== 'none' && !DECK_SIDES.includes(rawValue)) return null;
+        return { data: { ...element.data, [property.slice(5)]: rawValue } };
+    }
+
+    if (property === 'data.gates') { // Distances along the run to each gate's centre
+        const gates = String(rawValue).split(/[\s,]+/).filter(Boolean).map(Number);
+        if (gates.some(at => isNaN(at) || at < 0)) return null;
+        return { data: { ...element.data, gates } };
+    }
+
+    const value = parseFloat(rawValue);
+    if (isNaN(value)) return null;
+    switch (property) {
+        case 'x': case 'y':
+            return { [property]: value };
+        case 'width': case 'depth': case 'data.canopy': {
+            const size = Math.max(MIN_ELEMENT_SIZE_FT, value);
+            const key = property === 'data.canopy' ? 'width' : property;
+            const changes = UNIFORM_SIZE_ELEMENT_TYPES.includes(element.type) ? { width: size, depth: size } : { [key]: size };
+            if (element.isTree) changes.data = { ...element.data, canopy: size };
+            return changes;
         }
-        customHouse = null;
-        hideCustomHouseControls();
-    } else {
-        const elementIdToDelete = selectedElement.id;
-        if (typeof removeElementFromThree === 'function' && selectedElement.threeInstance) {
-            removeElementFromThree(selectedElement.threeInstance);
-        } else if (selectedElement.threeInstance?.parent) {
-            selectedElement.threeInstance.removeFromParent(); 
+        case 'data.spacing': { // Plant spacing is in inches and sets the footprint
+            const spacingInches = Math.max(1, value);
+            return { width: spacingInches / 12, depth: spacingInches / 12, data: { ...element.data, spacing: spacingInches } };
+        }
+        case 'data.lineWidth': { // The box grows with the route's line width, keeping the centreline in place
+            const lineWidth = Math.max(MIN_ELEMENT_SIZE_FT, value);
+            const growth = lineWidth - getRouteLineWidthFt(element);
+            return {
+                x: element.x - growth / 2, y: element.y - growth / 2, width: element.width + growth, depth: element.depth + growth,
+                data: { ...element.data, lineWidth }
+            };
+        }
+        case 'data.postSpacing': case 'data.gateWidth': case 'data.stairWidth':
+            return { data: { ...element.data, [property.slice(5)]: Math.max(1, value) } };
+        case 'data.railingHeight': // 0 leaves the deck open
+            return { data: { ...element.data, railingHeight: Math.max(0, value) } };
+        case 'height': {
+            const height = Math.max(MIN_ELEMENT_HEIGHT_FT, value);
+            const changes = { height };
+            if (element.isTree) changes.data = { ...element.data, height };
+            return changes;
+        }
+        default:
+            return null;
+    }
+}
+
+// --- Clipboard, Duplicate & Arrays ---
+function getCopyableSelection() {
+    // The custom house is a singleton and cannot be cloned
+    return selectedElements.filter(el => el.type !== 'custom_house');
+}
+
+function handleCopySelection() {
+    if (currentDrawingMode) return;
+    const copyable = getCopyableSelection();
+    if (copyable.length === 0) return;
+    clipboardStates = copyable.map(serializeElement);
+    pasteCount = 0;
+}
+
+function handlePaste() {
+    if (currentDrawingMode || clipboardStates.length === 0) return;
+    pasteCount++;
+    const offset = PASTE_OFFSET_FT * pasteCount;
+    addClones(clipboardStates.map(state => ({ state, offsetX: offset, offsetY: offset })), 'Paste');
+}
+
+function handleDuplicateSelection() {
+    if (currentDrawingMode) return;
+    const copyable = getCopyableSelection();
+    if (copyable.length === 0) return;
+    addClones(copyable.map(el => ({ state: serializeElement(el), offsetX: PASTE_OFFSET_FT, offsetY: PASTE_OFFSET_FT })), 'Duplicate');
+}
+
+// Clones the single selected element into a columns × rows grid (the original is the first cell).
+// Spacing is centre-to-centre in feet along the element's own axes, so rotated beds array along their length.
+function handleCreateArray(columns, rows, spacingXFt, spacingYFt) {
+    if (currentDrawingMode) return;
+    const source = selectedElement;
+    if (!source || source.type === 'custom_house') { alert("Select a single element to array."); return; }
+
+    columns = parseInt(columns); rows = parseInt(rows);
+    spacingXFt = parseFloat(spacingXFt); spacingYFt = parseFloat(spacingYFt);
+    if (isNaN(columns) || isNaN(rows) || columns < 1 || rows < 1 || (columns * rows) < 2) {
+        alert("Please enter at least 1 column and 1 row, with more than one cell in total.");
+        return;
+    }
+    if (isNaN(spacingXFt) || isNaN(spacingYFt) || spacingXFt <= 0 || spacingYFt <= 0) {
+        alert("Please enter valid positive spacing values.");
+        return;
+    }
+    if (columns * rows - 1 > MAX_ARRAY_COPIES) {
+        alert(`An array can create at most ${MAX_ARRAY_COPIES} copies at once.`);
+        return;
+    }
+
+    const sourceState = serializeElement(source);
+    const angle = ROTATABLE_ELEMENT_TYPES.includes(source.type) ? (source.rotation || 0) : 0;
+    const clones = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            if (row === 0 && col === 0) continue; // The original occupies the first cell
+            const offset = rotatePointAround({ x: col * spacingXFt, y: row * spacingYFt }, { x: 0, y: 0 }, angle);
+            clones.push({ state: sourceState, offsetX: offset.x, offsetY: offset.y });
+        }
+    }
+    addClones(clones, `Array ${source.name || source.type}`, true);
+}
+
+// clones: [{ state, offsetX, offsetY }]. When skipOutside is set, copies that would have to be
+// pushed back inside the lot are dropped instead of piling up along the boundary.
+function addClones(clones, label, skipOutside = false) {
+    const newStates = [];
+    let skippedCount = 0;
+    clones.forEach(({ state, offsetX, offsetY }) => {
+        const clone = JSON.parse(JSON.stringify(state));
+        clone.x += offsetX; clone.y += offsetY;
+        if (skipOutside ? !isElementInsideLot(clone) : !validateAndPlaceElement(clone)) {
+            skippedCount++;
+            return;
         }
-        elements = elements.filter(el => el.id !== elementIdToDelete);
+        clone.id = nextElementId++;
+        newStates.push(clone);
+    });
+    if (newStates.length > 0) {
+        const entries = newStates.map((state, i) => ({ state, index: elements.length + i }));
+        executeCommand(createElementPresenceCommand(`${label} (${newStates.length})`, entries, true));
+        handleElementsSelect(newStates.map(state => state.id));
     }
+    if (skippedCount > 0) {
+        alert(`${skippedCount} cop${skippedCount === 1 ? 'y falls' : 'ies fall'} outside the lot and ${skippedCount === 1 ? 'was' : 'were'} skipped.`);
+    }
+}
+
+function handleDeleteSelectedElement() {
+    if (selectedElements.length === 0) { return; }
     
-    selectedElement = null;
-    showElementInfo(null, plantLibrary, null); 
-    if (p5Instance) redrawP5(p5Instance);
+    const elementName = describeElements(selectedElements);
+    const prompt = selectedElements.length === 1 ? `"${elementName}"` : `${elementName}`;
+    if (!confirm(`Are you sure you want to delete ${prompt}?`)) return;
+
+    const commands = [];
+    const regularElements = selectedElements.filter(el => el.type !== 'custom_house');
+    if (regularElements.length > 0) {
+        const entries = regularElements.map(el => ({ state: serializeElement(el), index: elements.indexOf(el) }));
+        commands.push(createElementPresenceCommand(`Delete ${elementName}`, entries, false));
+    }
+    selectedElements.filter(el => el.type === 'custom_house').forEach(house => {
+        commands.push(createCustomHouseCommand(`Delete ${elementName}`, house.id, serializeElement(house), null));
+    });
+    executeCommand(commands.length === 1 ? commands[0] : createCompositeCommand(`Delete ${elementName}`, commands));
+    // The command's refresh clears the selection, the info panel and both views
+}
+
+function findElementById(elementId) {
+    if (typeof elementId === 'string' && elementId.startsWith('custom_house')) {
+        return customHouses.find(house => house.id === elementId) || null;
+    }
+    return elements.find(el => el.id === elementId) || null;
+}
+
+// Plain, deep-copied data for an element (no Three.js references), suitable for history and saving.
+function serializeElement(element) {
+    return JSON.parse(JSON.stringify({ ...element, threeInstance: undefined }));
+}
+
+function syncElementToThree(element) {
+    if (element.type === 'custom_house') {
+        updateCustomHouseInThree(element);
+        return;
+    }
+    rebuildElementInThree(element, currentSeason);
+}
+
+
+// --- Undo/Redo History ---
+// Commands capture plain data snapshots and address elements by id, so they stay valid
+// after an element has been deleted and re-created by another undo step.
+function createSnapshotCommand(label, apply, before, after, mergeKey = null) {
+    return {
+        label, mergeKey, before, after,
+        execute() { apply(this.after); refreshAfterHistoryStep(); },
+        undo() { apply(this.before); refreshAfterHistoryStep(); },
+        mergeWith(nextCommand) { this.after = nextCommand.after; return true; }
+    };
+}
+
+// Groups several commands into one undo step; undone in reverse order
+function createCompositeCommand(label, commands) {
+    return {
+        label,
+        execute() { commands.forEach(command => command.execute()); },
+        undo() { [...commands].reverse().forEach(command => command.undo()); }
+    };
+}
+
+// entries: [{ state, index }] - index is the position in `elements`, which is also the 2D draw order
+function createElementPresenceCommand(label, entries, isAdd) {
+    const insert = () => insertElementsFromStates(entries);
+    const remove = () => removeElementsByIds(entries.map(entry => entry.state.id));
+    return {
+        label,
+        execute() { (isAdd ? insert : remove)(); refreshAfterHistoryStep(); },
+        undo() { (isAdd ? remove : insert)(); refreshAfterHistoryStep(); }
+    };
+}
+
+function insertElementsFromStates(entries) {
+    [...entries].sort((a, b) => a.index - b.index).forEach(entry => {
+        const element = JSON.parse(JSON.stringify(entry.state));
+        elements.splice(Math.min(entry.index, elements.length), 0, element);
+        addElementToThree(element, currentSeason);
+    });
+}
+
+function removeElementsByIds(ids) {
+    elements.forEach(el => {
+        if (ids.includes(el.id) && el.threeInstance) removeElementFromThree(el.threeInstance);
+    });
+    elements = elements.filter(el => !ids.includes(el.id));
+}
+
+// states: [{ id, ...changedProperties }] - partial element data is merged onto the live element
+function applyElementStates(states) {
+    states.forEach(state => {
+        const element = findElementById(state.id);
+        if (!element) return;
+        Object.assign(element, JSON.parse(JSON.stringify(state)));
+        syncElementToThree(element);
+    });
+}
+
+function snapshotLotConfig() {
+    return JSON.parse(JSON.stringify(lotConfig));
+}
+
+function applyLotConfig(snapshot) {
+    Object.assign(lotConfig, JSON.parse(JSON.stringify(snapshot)));
+    groundRevision++; // The snapshot may carry other spot elevations or terrain
+    updateLotConfigUI(lotConfig.width, lotConfig.depth, false);
+    updateGroundPlane();
+    repositionAllInThree();
+    if (p5Instance) setLotConfigP5(lotConfig);
+    refreshLotRestrictionsUI();
+    refreshGradingUI();
+    refreshSiteUI();
+    if (timeOfDaySlider) updateSunlight(parseInt(timeOfDaySlider.value)); // The site may have moved
+}
+
+function repositionAllInThree() {
+    [...elements, ...customHouses].forEach(positionElementInThree);
+}
+
+// Adds (before = null), edits or deletes (after = null) one custom house.
+// The house keeps its place in the list, which is also its 2D draw order.
+function createCustomHouseCommand(label, houseId, before, after, mergeKey = null) {
+    const existingIndex = customHouses.findIndex(house => house.id === houseId);
+    const index = existingIndex >= 0 ? existingIndex : customHouses.length;
+    return createSnapshotCommand(label, snapshot => applyCustomHouseSnapshot(houseId, snapshot, index), before, after, mergeKey);
+}
+
+function applyCustomHouseSnapshot(houseId, snapshot, index) {
+    const existing = customHouses.find(house => house.id === houseId);
+    if (existing && existing.threeInstance) removeCustomHouseFromThree(existing.threeInstance);
+    customHouses = customHouses.filter(house => house.id !== houseId);
+    if (!snapshot) return;
+    const house = JSON.parse(JSON.stringify(snapshot));
+    customHouses.splice(Math.min(index, customHouses.length), 0, house);
+    addCustomHouseToThree(house);
+}
+
+function refreshAfterHistoryStep() {
+    // Re-resolve the selection: selected objects may have been removed or re-created
+    selectedElements = selectedElements.map(el => findElementById(el.id)).filter(Boolean);
+    refreshDesignChecks();
+    updateSelectionUI();
     if (currentView === '3D') renderThreeScene();
 }
 
+function handleUndo() {
+    if (currentDrawingMode) return;
+    undo();
+}
+
+function handleRedo() {
+    if (currentDrawingMode) return;
+    redo();
+}
+
 function handleSeasonChange(event) {
     currentSeason = event.target.value;
     updateSeasonalAssetsInThree(elements, currentSeason); 
-    if (customHouse && customHouse.threeInstance) {
-        // If custom houses have seasonal variations in future, update here
-    }
+    // If custom houses get seasonal variations in future, update them here
     elements.forEach(el => {
         if (el.isTree || el.isPlant) {
             if (!el.data) el.data = {}; el.data.currentSeason = currentSeason;
         }
     });
-    if(selectedElement) showElementInfo(selectedElement, plantLibrary, customHouse);
+    if (selectedElements.length > 0) refreshElementInfo();
     if (p5Instance) redrawP5(p5Instance);
 }
 
-function updateSunlight(date, hour) {
-    const lat = 39.8900; const lon = -85.9300; 
-    const currentDate = new Date(date); currentDate.setHours(hour, 0, 0, 0);
+// Shows the sun at `hour` on the site's clocks, on the chosen date
+function updateSunlight(hour) {
+    const { latitude, longitude, timeZone } = lotConfig.site;
+    const today = new Date();
+    const [year, month, day] = sunDate ? sunDate.split('-').map(Number) : [today.getFullYear(), today.getMonth() + 1, today.getDate()];
+    const currentDate = getZonedDate(year, month - 1, day, hour * 60, timeZone);
     try {
         if (typeof SunCalc !== 'undefined') {
-            currentSunPosition = calculateSunPosition(currentDate, lat, lon);
+            currentSunPosition = calculateSunPosition(currentDate, latitude, longitude);
             if (currentSunPosition) updateShadows(currentSunPosition);
         } else { 
             updateShadows({ altitude: Math.PI / 4, azimuth: Math.PI * 1.5 }); 
@@ -671,34 +2030,341 @@ function updateSunlight(date, hour) {
 function handleTimeOfDayChange(event) {
     const hour = parseInt(event.target.value);
     updateTimeOfDayLabel(hour, document.getElementById('timeOfDayValue'));
-    updateSunlight(new Date(), hour);
+    updateSunlight(hour);
+}
+
+function handleSunDateChange(value) {
+    sunDate = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null;
+    if (timeOfDaySlider) updateSunlight(parseInt(timeOfDaySlider.value));
+}
+
+// --- Site Location ---
+// settings: { latitude, longitude, timeZone, northRotationDeg } as typed in the site panel, plus placeName
+// when a lookup names the place
+function handleSiteChange(settings) {
+    const latitude = parseFloat(settings.latitude), longitude = parseFloat(settings.longitude);
+    const northRotationDeg = parseFloat(settings.northRotationDeg);
+    const timeZone = String(settings.timeZone || '').trim();
+    let problem = null;
+    if (isNaN(latitude) || latitude < -90 || latitude > 90) problem = "Please enter a latitude between -90 and 90 degrees.";
+    else if (isNaN(longitude) || longitude < -180 || longitude > 180) problem = "Please enter a longitude between -180 and 180 degrees.";
+    else if (!isValidTimeZone(timeZone)) problem = `"${timeZone}" isn't a time zone this browser knows. Use a name like America/Chicago.`;
+    else if (isNaN(northRotationDeg)) problem = "Please enter the rotation of true north in degrees.";
+    if (problem) {
+        alert(problem);
+        refreshSiteUI();
+        return;
+    }
+    // The looked-up place name stays while the coordinates do; typing new ones leaves it behind
+    const isSamePlace = latitude === lotConfig.site.latitude && longitude === lotConfig.site.longitude;
+    const placeName = settings.placeName !== undefined ? String(settings.placeName).trim() : (isSamePlace ? lotConfig.site.placeName : '');
+    const site = { placeName, latitude, longitude, timeZone, northRotationDeg: normalizeBearingDeg(northRotationDeg) };
+    if (JSON.stringify(site) === JSON.stringify(lotConfig.site)) return;
+    const lotBefore = snapshotLotConfig();
+    executeCommand(createSnapshotCommand('Change site location', applyLotConfig, lotBefore, { ...lotBefore, site }));
+}
+
+// Fills the site from the bundled ZIP and city table, keeping the lot's rotation
+function handleFindSiteLocation(query) {
+    if (!String(query || '').trim()) return;
+    const match = findSiteLocation(query);
+    if (!match) {
+        alert(`"${query}" isn't in the bundled list of places, which only covers about 50 major cities and ZIP codes sharing the first three digits of theirs. Enter the site's latitude, longitude and time zone instead.`);
+        return;
+    }
+    const { location, isApproximate } = match;
+    if (isApproximate) alert(`ZIP code ${String(query).trim()} isn't in the bundled list; using ${getSiteLocationLabel(location)} in the same mail region.`);
+    handleSiteChange({ ...lotConfig.site, placeName: getSiteLocationLabel(location), latitude: location.latitude, longitude: location.longitude, timeZone: location.timeZone });
+}
+
+function refreshSiteUI() {
+    updateSiteUI(lotConfig.site, sunDate);
+}
+
+// --- Sun Hours ---
+// Casts the sun at every sampled time over the range against the shade casters in the 3D scene, a
+// chunk of the lot at a time so the page stays responsive and the button can show progress
+async function handleAnalyzeSunHours(range) {
+    if (sunHoursProgress !== null) return;
+    if (typeof SunCalc === 'undefined') { alert("The sun position library didn't load, so sun hours can't be analysed."); return; }
+    const samples = getSunSamples(range.startDate, range.endDate, lotConfig.site);
+    if (samples.positions.length === 0) { alert("The sun doesn't rise on those dates at this location."); return; }
+    const key = getSunHoursKey();
+    const grid = createSunHoursGrid(getLotPolygonFt(lotConfig));
+    const sampling = toSunSampling(samples);
+    const hours = new Array(grid.points.length).fill(0);
+    const chunkSize = Math.max(1, Math.floor(SUN_HOURS_RAYS_PER_CHUNK / sampling.directions.length));
+    sunHoursProgress = 0;
+    refreshSunHoursUI();
+    try {
+        for (let start = 0; start < grid.points.length; start += chunkSize) {
+            const chunkHours = castSunHours(grid.points.slice(start, start + chunkSize), sampling);
+            if (!chunkHours) throw new Error("Shadows are cast in the 3D view, which isn't available");
+            chunkHours.forEach((value, i) => { hours[start + i] = value; });
+            sunHoursProgress = Math.min(1, (start + chunkSize) / grid.points.length);
+            refreshSunHoursUI();
+            await new Promise(resolve => setTimeout(resolve, 0)); // Lets the page repaint between chunks
+        }
+        sunHoursAnalysis = { key, siteKey: getSiteKey(), grid, hours, sampling, days: samples.days, summary: getSunExposureSummary(grid, hours) };
+    } catch (error) {
+        console.error("Error analysing sun hours:", error);
+        alert("The sun hours analysis failed. See the console for details.");
+    } finally {
+        sunHoursProgress = null;
+    }
+    refreshDesignChecks(); // Plant checks follow the analysed dates
+    refreshElementInfo();
+    if (p5Instance) redrawP5(p5Instance);
+}
+
+// A house or tree model that finishes loading in 3D changes the shade its element casts, so the
+// sun checks made while it was still loading are out of date
+function handleModelLoaded() {
+    shadeModelRevision++;
+    refreshDesignChecks();
+}
+
+function handleToggleSunHours(isShown) {
+    isSunHoursShown = isShown;
+    if (p5Instance) redrawP5(p5Instance);
+}
+
+// What the analysis depends on: the site, the lot, the ground the samples stand on and the shade casters,
+// down to which of their models have loaded
+function getSunHoursKey() {
+    return JSON.stringify([getSiteKey(), shadeModelRevision, getLotPolygonFt(lotConfig), groundRevision,
+        getShadeCasters().map(el => [el.id, el.height, el.wallHeight, el.roofType, el.roofPitch, el.storeys, getElementFootprintFt(el)])]);
+}
+
+// The site settings the sun depends on; the place name doesn't move it
+function getSiteKey() {
+    const { latitude, longitude, timeZone, northRotationDeg } = lotConfig.site;
+    return JSON.stringify([latitude, longitude, timeZone, northRotationDeg]);
+}
+
+function getShadeCasters() {
+    return [...elements, ...customHouses].filter(el => SHADE_CASTER_TYPES.includes(el.type));
+}
+
+// { directions, sampleHours, days }: sun directions in the 3D scene, each standing for sampleHours of
+// sun on one of `days` days
+function toSunSampling(samples) {
+    return { directions: samples.positions.map(position => getSunDirection(position, lotConfig.site.northRotationDeg)), sampleHours: samples.sampleHours, days: samples.days };
+}
+
+// Average daily hours of direct sun at each point (lot feet), or null without a 3D scene to cast in
+function castSunHours(points, sampling) {
+    const counts = countSunlitSamplesInThree(points, sampling.directions, getShadeCasters());
+    return counts ? counts.map(count => count * sampling.sampleHours / sampling.days) : null;
+}
+
+// The sun the plant checks cast: the last analysis's dates, otherwise this year's growing season,
+// both at the current site. null without the sun position library.
+function getSunSampling() {
+    const siteKey = getSiteKey();
+    if (sunHoursAnalysis && sunHoursAnalysis.siteKey === siteKey) return sunHoursAnalysis.sampling;
+    if (typeof SunCalc === 'undefined') return null;
+    if (!growingSeasonSampling || growingSeasonSampling.siteKey !== siteKey) {
+        const year = new Date().getFullYear();
+        const samples = getSunSamples(new Date(year, GROWING_SEASON.startMonth, GROWING_SEASON.startDay),
+            new Date(year, GROWING_SEASON.endMonth, GROWING_SEASON.endDay), lotConfig.site);
+        growingSeasonSampling = { ...toSunSampling(samples), siteKey };
+    }
+    return growingSeasonSampling;
+}
+
+// --- Plant Sun Checks ---
+// The library entry for a placed plant, whose sunHours may be newer than the copy saved with it
+function getPlantDetails(plant) {
+    return (plant.data && plantLibrary.find(p => p.id === plant.data.id)) || plant.data || {};
+}
+
+function schedulePlantSunChecks() {
+    plantSunCheckRun++;
+    clearTimeout(plantSunCheckTimer);
+    plantSunCheckTimer = setTimeout(() => {
+        plantSunCheckTimer = null;
+        refreshPlantSunChecks();
+    }, PLANT_SUN_CHECK_DELAY_MS);
+}
+
+// Casts the sun at the centre of every plant whose place or surroundings changed since it was last cast,
+// a chunk at a time, then shows the warnings that changed. Gives up if the design changes meanwhile.
+async function refreshPlantSunChecks() {
+    const run = plantSunCheckRun;
+    const sampling = getSunSampling();
+    const plants = elements.filter(el => el.type === 'plant');
+    const plantIds = new Set(plants.map(plant => plant.id));
+    [...plantSunHoursCache.keys()].forEach(id => { if (!plantIds.has(id)) plantSunHoursCache.delete(id); }); // Deleted plants
+    const stale = sampling ? plants.map(plant => ({
+        plant, key: `${sunHoursKey}|${plant.x},${plant.y},${plant.width},${plant.depth}`, point: { x: plant.x + plant.width / 2, y: plant.y + plant.depth / 2 }
+    })).filter(({ plant, key }) => {
+        const cached = plantSunHoursCache.get(plant.id);
+        return !cached || cached.key !== key || cached.sampling !== sampling;
+    }) : [];
+    if (stale.length > 0) {
+        const hours = [];
+        const chunkSize = Math.max(1, Math.floor(SUN_HOURS_RAYS_PER_CHUNK / sampling.directions.length));
+        for (let start = 0; start < stale.length; start += chunkSize) {
+            const chunkHours = castSunHours(stale.slice(start, start + chunkSize).map(({ point }) => point), sampling);
+            if (!chunkHours) return;
+            hours.push(...chunkHours);
+            await new Promise(resolve => setTimeout(resolve, 0)); // Lets the page repaint between chunks
+            if (run !== plantSunCheckRun) return;
+        }
+        stale.forEach(({ plant, key }, i) => plantSunHoursCache.set(plant.id, { key, sampling, hours: hours[i] }));
+    }
+
+    const checks = new Map();
+    if (sampling) plants.forEach(plant => {
+        const requirement = getPlantSunRequirement(getPlantDetails(plant));
+        if (!requirement) return;
+        const { hours } = plantSunHoursCache.get(plant.id);
+        checks.set(plant.id, { hours, requirement, mismatch: getSunMismatch(requirement, hours) });
+    });
+    const describe = map => JSON.stringify([...map].map(([id, check]) => [id, check.hours, check.mismatch]));
+    const hasChanged = describe(checks) !== describe(plantSunChecks);
+    plantSunChecks = checks;
+    if (!hasChanged) return;
+    showDesignIssues();
+    refreshElementInfo();
+    if (p5Instance) redrawP5(p5Instance);
+}
+
+function findPlantSunIssues() {
+    return elements.filter(el => plantSunChecks.has(el.id) && plantSunChecks.get(el.id).mismatch).map(plant => {
+        const check = plantSunChecks.get(plant.id);
+        return {
+            kind: 'sun', elementIds: [plant.id],
+            message: `${plant.name || plant.type} gets ${check.hours.toFixed(1)} h of sun a day (${check.mismatch === 'too_shady' ? 'needs' : 'suits'} ${formatSunRequirement(check.requirement)})`
+        };
+    });
+}
+
+async function handleMovePlantToSun() {
+    if (plantSpotSearchProgress !== null) return;
+    const plant = selectedElement;
+    const check = plant ? plantSunChecks.get(plant.id) : null;
+    if (!check || !check.mismatch) return;
+    const name = plant.name || plant.type;
+    plantSpotSearchProgress = 0;
+    updatePlantSunSearchUI(plantSpotSearchProgress);
+    let spot;
+    try {
+        spot = await findSunSuitedSpot(plant, check.requirement);
+    } finally {
+        plantSpotSearchProgress = null;
+        updatePlantSunSearchUI(plantSpotSearchProgress);
+    }
+    if (!findElementById(plant.id)) return; // Deleted while the search ran
+    if (!spot) {
+        alert(`No free spot within ${PLANT_MOVE_SEARCH_FT} ft of ${name} gets ${formatSunRequirement(check.requirement)} of sun a day. Try swapping it for a variety that suits ${check.hours.toFixed(1)} h.`);
+        return;
+    }
+    if (!confirm(`Move ${name} ${formatDistanceFt(spot.distanceFt)} to a spot with ${spot.hours.toFixed(1)} h of sun a day?`)) return;
+    executeCommand(createSnapshotCommand(`Move ${name}`, applyElementStates, [{ id: plant.id, x: plant.x, y: plant.y }], [{ id: plant.id, x: spot.x, y: spot.y }]));
+    refreshElementInfo();
+    if (p5Instance) redrawP5(p5Instance);
+}
+
+// The nearest place, on rings spreading out from the plant, that is inside the lot, clear of other
+// plants and solid elements (beds excepted) and gets the sun the plant needs:
+// { x, y, hours, distanceFt } with x/y the plant's new corner, or null. Casts a chunk of spots at a
+// time so the page stays responsive, reporting progress through plantSpotSearchProgress.
+async function findSunSuitedSpot(plant, requirement) {
+    const sampling = getSunSampling();
+    if (!sampling) return null;
+    const obstacles = [...elements, ...customHouses].filter(other => other.id !== plant.id &&
+        ((footprintKinds[other.type] === 'solid' && !plantingContainerTypes.includes(other.type)) || footprintKinds[other.type] === 'planting'))
+        .map(other => getElementFootprintFt(other));
+    const candidates = [];
+    for (let radius = PLANT_MOVE_STEP_FT; radius <= PLANT_MOVE_SEARCH_FT; radius += PLANT_MOVE_STEP_FT) {
+        const count = Math.max(8, Math.round(2 * Math.PI * radius / PLANT_MOVE_STEP_FT));
+        for (let i = 0; i < count; i++) {
+            const angle = 2 * Math.PI * i / count;
+            const moved = { ...plant, x: plant.x + Math.cos(angle) * radius, y: plant.y + Math.sin(angle) * radius };
+            if (!isElementInsideLot(moved)) continue;
+            const footprint = getElementFootprintFt(moved);
+            if (obstacles.some(obstacle => doFootprintsOverlap(footprint, obstacle))) continue;
+            candidates.push({ x: moved.x, y: moved.y, distanceFt: radius });
+        }
+    }
+    const chunkSize = Math.max(1, Math.floor(SUN_HOURS_RAYS_PER_CHUNK / sampling.directions.length));
+    for (let start = 0; start < candidates.length; start += chunkSize) {
+        const chunk = candidates.slice(start, start + chunkSize);
+        const hours = castSunHours(chunk.map(spot => ({ x: spot.x + plant.width / 2, y: spot.y + plant.depth / 2 })), sampling);
+        if (!hours) return null;
+        const index = hours.findIndex(value => !getSunMismatch(requirement, value));
+        if (index >= 0) return { ...chunk[index], hours: hours[index] };
+        plantSpotSearchProgress = Math.min(1, (start + chunkSize) / candidates.length);
+        updatePlantSunSearchUI(plantSpotSearchProgress);
+        await new Promise(resolve => setTimeout(resolve, 0)); // Lets the page repaint between chunks
+    }
+    return null;
+}
+
+// Offers the library varieties that suit the sun the selected plant gets
+function handleSwapPlantForSun() {
+    const plant = selectedElement;
+    const check = plant ? plantSunChecks.get(plant.id) : null;
+    if (!check || !check.mismatch) return;
+    const currentId = plant.data ? plant.data.id : null;
+    const suited = plantLibrary.filter(p => p.id !== currentId && getPlantSunRequirement(p) && !getSunMismatch(getPlantSunRequirement(p), check.hours));
+    if (suited.length === 0) { alert(`No variety in the plant library suits ${check.hours.toFixed(1)} h of sun a day.`); return; }
+    const list = suited.map((p, i) => `${i + 1}. ${p.name} (${formatSunRequirement(getPlantSunRequirement(p))})`).join('\n');
+    const choice = prompt(`Varieties that suit ${check.hours.toFixed(1)} h of sun a day:\n${list}\n\nEnter a number to swap ${plant.name || plant.type} for it:`, '1');
+    if (choice === null) return;
+    const picked = suited[parseInt(choice) - 1];
+    if (!picked) { alert("Please enter one of the listed numbers."); return; }
+    handleElementPropertyChange('data.id', picked.id);
+}
+
+// For an element's info panel: { hours, exposure, isStale } averaged over its footprint, or null
+// before any analysis
+function getElementSunHours(element) {
+    if (!sunHoursAnalysis) return null;
+    const hours = getFootprintSunHours(sunHoursAnalysis.grid, sunHoursAnalysis.hours, getElementFootprintFt(element));
+    if (hours === null) return null;
+    return { hours, exposure: getSunExposureClass(hours), isStale: sunHoursAnalysis.key !== sunHoursKey };
+}
+
+function refreshSunHoursUI() {
+    updateSunHoursUI({
+        isAnalyzing: sunHoursProgress !== null,
+        progress: sunHoursProgress || 0,
+        summary: sunHoursAnalysis ? sunHoursAnalysis.summary : null,
+        days: sunHoursAnalysis ? sunHoursAnalysis.days : 0,
+        isStale: !!sunHoursAnalysis && sunHoursProgress === null && sunHoursAnalysis.key !== sunHoursKey
+    });
 }
 
 // --- Save/Load ---
 function saveDesign() {
     try {
-        if (elements.length === 0 && !customHouse && !lotConfig.isCustomShape) { alert("Nothing to save!"); return; }
+        if (elements.length === 0 && customHouses.length === 0 && !lotConfig.isCustomShape && lotConfig.easements.length === 0 &&
+            lotConfig.spotElevations.length === 0 && isTerrainFlat(lotConfig.terrain)) { alert("Nothing to save!"); return; }
         const designData = {
-            version: "1.4.0", // Incremented for wallHeight, roofType, wallColor
+            version: "1.17.0", // Incremented for the site location
             createdAt: new Date().toISOString(),
             lotConfiguration: lotConfig, 
-            customHouseData: customHouse ? { 
-                ...customHouse,
-                // Ensure new properties are saved
-                wallHeight: customHouse.wallHeight,
-                roofType: customHouse.roofType,
-                wallColor: customHouse.wallColor,
+            customHouses: customHouses.map(house => ({
+                ...house,
                 height: undefined, // Remove old 'height' if it was different from wallHeight
-                threeInstance: undefined 
-            } : null,
+                threeInstance: undefined
+            })),
             elements: elements.map(el => ({
                 id: el.id, type: el.type, name: el.name, x: el.x, y: el.y, z: el.z,
                 width: el.width, depth: el.depth, height: el.height, rotation: el.rotation || 0, data: el.data,
+                outline: el.outline, // Freeform beds, patios, paths and lawns
+                route: el.route, // Fences, paths and hedges drawn point-to-point
                 threeInstance: undefined 
             })),
+            dimensions: dimensions,
+            clearances: clearanceDistances,
             viewSettings: {
                 p5Scale: currentP5Scale, p5PanOffset: p5PanOffset, currentSeason: currentSeason,
-                timeOfDay: timeOfDaySlider ? parseInt(timeOfDaySlider.value) : 12
+                timeOfDay: timeOfDaySlider ? parseInt(timeOfDaySlider.value) : 12,
+                sunDate: sunDate // Added in 1.17.0
             }
         };
         const jsonData = JSON.stringify(designData, null, 2);
@@ -729,7 +2395,7 @@ if (loadDesignInput) {
             reader.onload = (e) => {
                 try {
                     const designData = JSON.parse(e.target.result);
-                    if ((!designData.elements && !designData.customHouseData && !designData.lotConfiguration) || !designData.version) {
+                    if ((!designData.elements && !designData.customHouses && !designData.customHouseData && !designData.lotConfiguration) || !designData.version) {
                         throw new Error("Invalid design file format.");
                     }
                     
@@ -737,39 +2403,68 @@ if (loadDesignInput) {
                         if (typeof removeElementFromThree === 'function' && el.threeInstance) removeElementFromThree(el.threeInstance);
                         else if (el.threeInstance?.parent) el.threeInstance.removeFromParent();
                     });
-                    if (customHouse && customHouse.threeInstance && typeof removeCustomHouseFromThree === 'function') {
-                         removeCustomHouseFromThree(customHouse.threeInstance);
-                    }
-                    elements = []; nextElementId = 0; selectedElement = null; customHouse = null;
+                    customHouses.forEach(house => {
+                        if (house.threeInstance) removeCustomHouseFromThree(house.threeInstance);
+                    });
+                    elements = []; nextElementId = 0; selectedElement = null; selectedElements = []; customHouses = [];
+                    clearHistory();
+                    if (p5Instance) clearMeasurementP5();
+                    updateMeasureToolUI(isMeasuring, null);
+
+                    clearanceDistances = designData.clearances && typeof designData.clearances === 'object' ? { ...designData.clearances } : {};
+                    populateClearanceSettings(clearanceRules, clearanceDistances);
+
+                    dimensions = Array.isArray(designData.dimensions) ? designData.dimensions : [];
+                    nextDimensionId = dimensions.reduce((next, dim) => {
+                        const idNum = parseInt(String(dim.id).split('_').pop());
+                        return !isNaN(idNum) && idNum >= next ? idNum + 1 : next;
+                    }, 0);
 
                     if (designData.lotConfiguration) {
-                        lotConfig = { ...designData.lotConfiguration };
+                        lotConfig = withLotRestrictionDefaults(designData.lotConfiguration);
                         updateLotConfigUI(lotConfig.width, lotConfig.depth, lotConfig.isCustomShape);
                         updateGroundPlane();
                         if (p5Instance) setLotConfigP5(lotConfig);
                     } else { 
-                        lotConfig = { width: DEFAULT_LOT_WIDTH_FT, depth: DEFAULT_LOT_DEPTH_FT, isCustomShape: false, customShapePoints: [] };
+                        lotConfig = withLotRestrictionDefaults({ width: DEFAULT_LOT_WIDTH_FT, depth: DEFAULT_LOT_DEPTH_FT, isCustomShape: false, customShapePoints: [] });
                         updateGroundPlane();
                         if (p5Instance) setLotConfigP5(lotConfig);
                     }
-
-                    if (designData.customHouseData) {
-                        const loadedHouseData = designData.customHouseData;
-                        customHouse = { ...loadedHouseData };
+                    groundRevision++;
+                    refreshLotRestrictionsUI();
+                    refreshGradingUI();
+                    refreshSiteUI();
+
+                    // Files before 1.8.0 hold at most one house in customHouseData
+                    const loadedHouses = Array.isArray(designData.customHouses) ? designData.customHouses :
+                        (designData.customHouseData ? [designData.customHouseData] : []);
+                    loadedHouses.forEach(loadedHouseData => {
+                        const house = { ...loadedHouseData };
                         // Handle potential old save format for height vs wallHeight
-                        customHouse.wallHeight = loadedHouseData.wallHeight || loadedHouseData.height || DEFAULT_CUSTOM_HOUSE_WALL_HEIGHT;
-                        customHouse.height = customHouse.wallHeight; // Ensure generic height matches wallHeight for info display
-                        customHouse.roofType = loadedHouseData.roofType || DEFAULT_CUSTOM_HOUSE_ROOF_TYPE;
-                        customHouse.wallColor = loadedHouseData.wallColor || DEFAULT_CUSTOM_HOUSE_WALL_COLOR;
-                        
-                        if (customHouse.id === undefined || typeof customHouse.id !== 'string' || !customHouse.id.startsWith('custom_house_')) {
-                            customHouse.id = 'custom_house_' + nextElementId++;
-                        } else {
-                             const idNum = parseInt(customHouse.id.split('_').pop());
-                             if (!isNaN(idNum) && idNum >= nextElementId) nextElementId = idNum + 1;
+                        house.wallHeight = loadedHouseData.wallHeight || loadedHouseData.height || DEFAULT_CUSTOM_HOUSE_WALL_HEIGHT;
+                        house.height = house.wallHeight; // Ensure generic height matches wallHeight for info display
+                        house.roofType = loadedHouseData.roofType || DEFAULT_CUSTOM_HOUSE_ROOF_TYPE;
+                        house.wallColor = loadedHouseData.wallColor || DEFAULT_CUSTOM_HOUSE_WALL_COLOR;
+                        // Files before 1.12.0 have no roof settings
+                        house.roofPitch = loadedHouseData.roofPitch || DEFAULT_ROOF_PITCH;
+                        house.eaveOverhang = loadedHouseData.eaveOverhang ?? DEFAULT_EAVE_OVERHANG_FT;
+                        house.roofColor = loadedHouseData.roofColor || DEFAULT_CUSTOM_HOUSE_ROOF_COLOR;
+                        house.edgePitches = Array.isArray(loadedHouseData.edgePitches) ? loadedHouseData.edgePitches : null;
+                        house.openings = Array.isArray(loadedHouseData.openings) ? loadedHouseData.openings : []; // Added in 1.13.0
+                        house.storeys = Array.isArray(loadedHouseData.storeys) ? loadedHouseData.storeys : []; // Added in 1.14.0
+                        customHouses.push(house);
+                    });
+                    // Ids are checked once all houses are in, so a missing id can't reuse a later house's number
+                    customHouses.forEach(house => {
+                        const idNum = typeof house.id === 'string' && house.id.startsWith('custom_house_') ? parseInt(house.id.split('_').pop()) : NaN;
+                        if (!isNaN(idNum) && idNum >= nextElementId) nextElementId = idNum + 1;
+                    });
+                    customHouses.forEach(house => {
+                        if (typeof house.id !== 'string' || !house.id.startsWith('custom_house_') || customHouses.some(other => other !== house && other.id === house.id)) {
+                            house.id = 'custom_house_' + nextElementId++;
                         }
-                        addCustomHouseToThree(customHouse);
-                    }
+                        addCustomHouseToThree(house);
+                    });
 
                     if (designData.elements) {
                         designData.elements.forEach(elData => {
@@ -788,14 +2483,16 @@ if (loadDesignInput) {
                         const timeOfDay = designData.viewSettings.timeOfDay || 12;
                         if (timeOfDaySlider) timeOfDaySlider.value = timeOfDay;
                         updateTimeOfDayLabel(timeOfDay, document.getElementById('timeOfDayValue'));
-                        updateSunlight(new Date(), timeOfDay);
+                        sunDate = designData.viewSettings.sunDate || null;
+                        refreshSiteUI();
+                        updateSunlight(timeOfDay);
                         updateSeasonalAssetsInThree(elements, currentSeason);
-                         if (customHouse && customHouse.threeInstance) { /* update custom house season if needed */ }
                     }
+                    refreshDesignChecks();
                     alert("Design loaded successfully!");
                     if (p5Instance) redrawP5(p5Instance); 
                     renderThreeScene(); 
-                    handleElementSelect(customHouse ? customHouse.id : null); // Select loaded house or clear selection
+                    handleElementSelect(customHouses.length === 1 ? customHouses[0].id : null); // Select a lone loaded house or clear selection
 
                 } catch (error) { console.error("Error loading design:", error); alert(`Failed to load design: ${error.message}`);
                 } finally { if (event.target) event.target.value = null; } 
@@ -856,12 +2553,12 @@ if (document.readyState === 'loading') document.addEventListener('DOMContentLoad
 else main();
 
 window.verdantApp = { 
-    elements, selectedElement, customHouse, currentSeason, p5Instance, lotConfig,
+    elements, selectedElement, customHouses, currentSeason, p5Instance, lotConfig,
     forceRedraw2D: () => { if(p5Instance) redrawP5(p5Instance); }, 
     forceRedraw3D: renderThreeScene, appContext 
 };
 
 export { 
-    lotConfig, elements, currentSeason, currentSunPosition, selectedElement, customHouse,
+    lotConfig, elements, currentSeason, currentSunPosition, selectedElement, customHouses,
     HOUSE_FOOTPRINT, SHED_FOOTPRINT, p5Instance, appContext, ROTATABLE_ELEMENT_TYPES 
 };
\ No newline at end of file
@@ -0,0 +1,157 @@
+// js/features/curves.js
+// Curved outline edges. An outline point may carry `curve`, which shapes the edge
+// from that point to the next one:
+//   { type: 'arc', bulge }    circular arc; bulge is tan(sweep / 4), positive bulging to
+//                             the left of the edge direction (DXF-style)
+//   { type: 'bezier', u, v }  quadratic Bezier whose control point is start + u·(end - start)
+//                             + v·perp(end - start), perp being the left-hand normal
+// Both forms are relative to the edge, so they survive moving, rotating and scaling the outline.
+
+export const EDGE_TYPES = ['line', 'arc', 'bezier'];
+
+const MAX_BULGE = 20; // Keeps a near-full circle from blowing up
+const ARC_STEP_RADIANS = Math.PI / 24;
+const BEZIER_SEGMENTS = 16;
+
+function getLeftNormal(start, end) {
+    return { x: -(end.y - start.y), y: end.x - start.x };
+}
+
+// The curve that bends the edge start→end through `through`, or null if it would be straight
+export function getCurveThroughPoint(type, start, end, through) {
+    const chord = { x: end.x - start.x, y: end.y - start.y };
+    const chordLengthSq = chord.x * chord.x + chord.y * chord.y;
+    if (chordLengthSq < 1e-9) return null;
+    const cross = chord.x * (through.y - start.y) - chord.y * (through.x - start.x);
+    if (Math.abs(cross) / Math.sqrt(chordLengthSq) < 1e-3) return null;
+
+    if (type === 'bezier') {
+        // Control point chosen so the curve passes through `through` at its middle
+        const control = { x: 2 * through.x - (start.x + end.x) / 2, y: 2 * through.y - (start.y + end.y) / 2 };
+        const normal = getLeftNormal(start, end);
+        return {
+            type: 'bezier',
+            u: ((control.x - start.x) * chord.x + (control.y - start.y) * chord.y) / chordLengthSq,
+            v: ((control.x - start.x) * normal.x + (control.y - start.y) * normal.y) / chordLengthSq
+        };
+    }
+    if (type === 'arc') {
+        // Inscribed angle at `through` is half the arc's sweep subtracted from 180°
+        const toStart = { x: start.x - through.x, y: start.y - through.y };
+        const toEnd = { x: end.x - through.x, y: end.y - through.y };
+        const angle = Math.abs(Math.atan2(toStart.x * toEnd.y - toStart.y * toEnd.x, toStart.x * toEnd.x + toStart.y * toEnd.y));
+        const bulge = Math.min(MAX_BULGE, 1 / Math.tan(angle / 2));
+        return { type: 'arc', bulge: Math.sign(cross) * bulge };
+    }
+    return null;
+}
+
+// Points along the edge start→end, excluding start and including end
+export function getEdgePathFt(start, end, curve) {
+    if (!curve) return [{ x: end.x, y: end.y }];
+    const chordLength = Math.hypot(end.x - start.x, end.y - start.y);
+    if (chordLength < 1e-9) return [{ x: end.x, y: end.y }];
+    const normal = getLeftNormal(start, end);
+
+    if (curve.type === 'bezier') {
+        const control = {
+            x: start.x + curve.u * (end.x - start.x) + curve.v * normal.x,
+            y: start.y + curve.u * (end.y - start.y) + curve.v * normal.y
+        };
+        const points = [];
+        for (let i = 1; i <= BEZIER_SEGMENTS; i++) {
+            const t = i / BEZIER_SEGMENTS, s = 1 - t;
+            points.push({ x: s * s * start.x + 2 * s * t * control.x + t * t * end.x, y: s * s * start.y + 2 * s * t * control.y + t * t * end.y });
+        }
+        return points;
+    }
+    if (curve.type === 'arc' && curve.bulge) {
+        const bulge = Math.max(-MAX_BULGE, Math.min(MAX_BULGE, curve.bulge));
+        const sweep = 4 * Math.atan(bulge); // Positive sweeps turn left of the edge direction
+        const radius = chordLength * (1 + bulge * bulge) / (4 * Math.abs(bulge));
+        const sagitta = bulge * chordLength / 2;
+        const unitNormal = { x: normal.x / chordLength, y: normal.y / chordLength };
+        const arcMid = { x: (start.x + end.x) / 2 + unitNormal.x * sagitta, y: (start.y + end.y) / 2 + unitNormal.y * sagitta };
+        const centre = { x: arcMid.x - unitNormal.x * Math.sign(bulge) * radius, y: arcMid.y - unitNormal.y * Math.sign(bulge) * radius };
+        const startAngle = Math.atan2(start.y - centre.y, start.x - centre.x);
+        // Going from start to the arc's midpoint fixes which way round the circle the arc runs
+        let halfSweep = Math.atan2(arcMid.y - centre.y, arcMid.x - centre.x) - startAngle;
+        while (halfSweep > Math.PI) halfSweep -= 2 * Math.PI;
+        while (halfSweep <= -Math.PI) halfSweep += 2 * Math.PI;
+        const segments = Math.max(4, Math.ceil(Math.abs(sweep) / ARC_STEP_RADIANS));
+        const points = [];
+        for (let i = 1; i < segments; i++) {
+            const angle = startAngle + 2 * halfSweep * i / segments;
+            points.push({ x: centre.x + Math.cos(angle) * radius, y: centre.y + Math.sin(angle) * radius });
+        }
+        points.push({ x: end.x, y: end.y });
+        return points;
+    }
+    return [{ x: end.x, y: end.y }];
+}
+
+// The point halfway along the edge, where its shaping handle sits
+export function getEdgeMidpointFt(start, end, curve) {
+    const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    if (!curve) return mid;
+    const normal = getLeftNormal(start, end);
+    if (curve.type === 'bezier') {
+        // B(½) sits halfway between the chord midpoint and the control point
+        const control = { x: start.x + curve.u * (end.x - start.x) + curve.v * normal.x, y: start.y + curve.u * (end.y - start.y) + curve.v * normal.y };
+        return { x: (mid.x + control.x) / 2, y: (mid.y + control.y) / 2 };
+    }
+    if (curve.type === 'arc') {
+        const bulge = Math.max(-MAX_BULGE, Math.min(MAX_BULGE, curve.bulge || 0));
+        return { x: mid.x + normal.x * bulge / 2, y: mid.y + normal.y * bulge / 2 };
+    }
+    return mid;
+}
+
+export function getEdgeLengthFt(start, end, curve) {
+    let previous = start;
+    return getEdgePathFt(start, end, curve).reduce((length, p) => {
+        const step = Math.hypot(p.x - previous.x, p.y - previous.y);
+        previous = p;
+        return length + step;
+    }, 0);
+}
+
+export function isCurvedOutline(points) {
+    return !!points && points.some(p => p.curve);
+}
+
+// Replaces curved edges with short straight segments. Outlines without curves come back as plain copies.
+export function flattenOutline(points, isClosed = true) {
+    if (!points || points.length === 0) return [];
+    const flattened = [{ x: points[0].x, y: points[0].y }];
+    const edgeCount = isClosed ? points.length : points.length - 1;
+    for (let i = 0; i < edgeCount; i++) {
+        const path = getEdgePathFt(points[i], points[(i + 1) % points.length], points[i].curve);
+        flattened.push(...(i === points.length - 1 ? path.slice(0, -1) : path));
+    }
+    return flattened;
+}
+
+// The same outline walked the other way round, with each curve moved to its edge's new start point
+export function reverseOutline(points) {
+    const count = points.length;
+    return points.map((_, i) => {
+        const point = points[count - 1 - i];
+        const reversedEdgeOwner = points[(2 * count - 2 - i) % count]; // The old start of the edge that now leaves `point`
+        const { curve, ...rest } = point;
+        const reversedCurve = reverseCurve(reversedEdgeOwner.curve);
+        return reversedCurve ? { ...rest, curve: reversedCurve } : rest;
+    });
+}
+
+function reverseCurve(curve) {
+    if (!curve) return null;
+    if (curve.type === 'arc') return { type: 'arc', bulge: -curve.bulge };
+    if (curve.type === 'bezier') return { type: 'bezier', u: 1 - curve.u, v: -curve.v };
+    return null;
+}
+
+// Plain { x, y, curve? } copy of an outline point, dropping anything else it carries
+export function copyOutlinePoint(point) {
+    return point.curve ? { x: point.x, y: point.y, curve: { ...point.curve } } : { x: point.x, y: point.y };
+}
@@ -0,0 +1,33 @@
+// js/features/data/placement-rules.js
+// Rules used by the design checks for overlapping elements, minimum clearances and lot restrictions.
+
+// How each element type occupies the ground when checking overlaps:
+// 'solid' footprints may not overlap other solids or plantings,
+// 'planting' footprints (plant spacing) may not overlap solids or each other,
+// 'surface' and 'canopy' footprints never conflict by overlapping (beds and plants may go under a raised deck).
+export const footprintKinds = {
+    house: 'solid', shed: 'solid', custom_house: 'solid', compost_bin: 'solid', bench: 'solid',
+    fire_pit: 'solid', rain_barrel: 'solid', fence_segment: 'solid', hedge: 'solid', raised_bed: 'solid',
+    plant: 'planting',
+    tree: 'canopy', deck: 'canopy',
+    patio: 'surface', path: 'surface', lawn_area: 'surface', inground_row: 'surface', sprinkler: 'surface'
+};
+
+// Solids that plants are meant to be placed in
+export const plantingContainerTypes = ['raised_bed'];
+
+// Groups that clearance rules can refer to, alongside plain element types
+export const elementGroups = {
+    structure: ['house', 'shed', 'custom_house'],
+    dwelling: ['house', 'custom_house']
+};
+
+// Minimum edge-to-edge distance between an element type and the types/groups listed in `near`.
+// `minDistanceFt` is the default; the design can override it per rule id.
+export const clearanceRules = [
+    { id: 'fire_pit', label: 'Fire pit to structures & trees', type: 'fire_pit', near: ['structure', 'tree', 'fence_segment', 'deck'], minDistanceFt: 10 },
+    { id: 'compost_bin', label: 'Compost bin to houses', type: 'compost_bin', near: ['dwelling'], minDistanceFt: 5 }
+];
+
+// Element types that must stay out of lot setbacks and easements
+export const setbackRestrictedTypes = ['house', 'custom_house', 'shed', 'fence_segment', 'deck'];
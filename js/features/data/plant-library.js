@@ -1,11 +1,13 @@
 // js/features/data/plant-library.js
+// sun is the label as growers give it; sunHours is the same as daily hours of direct sun,
+// { min, max } with max null when more sun never hurts. The design checks use sunHours.
 export const plantLibrary = [
     {
         id: 'tomato_roma', name: 'Tomato (Roma)', type: 'Vegetable',
         spacing: 18, // inches
         depth: 0.25, // planting depth in inches
         daysToMature: 70,
-        sun: 'Full Sun (6-8+ hours)', soil: 'Well-drained, pH 6.0-6.8',
+        sun: 'Full Sun (6-8+ hours)', sunHours: { min: 6, max: null }, soil: 'Well-drained, pH 6.0-6.8',
         watering: 'Consistent, deep watering',
         companions: ['Basil', 'Carrots', 'Marigolds'],
         avoid: ['Corn', 'Potatoes', 'Fennel'],
@@ -18,7 +20,7 @@ export const plantLibrary = [
         spacing: 12, // for bush types, 36-60 for vining on trellis
         depth: 0.5,
         daysToMature: 60,
-        sun: 'Full Sun', soil: 'Rich, well-drained, pH 6.0-7.0',
+        sun: 'Full Sun', sunHours: { min: 6, max: null }, soil: 'Rich, well-drained, pH 6.0-7.0',
         watering: 'Consistent moisture, especially during fruiting',
         companions: ['Beans', 'Corn', 'Radishes', 'Sunflowers'],
         avoid: ['Potatoes', 'Aromatic herbs (e.g., sage)'],
@@ -31,7 +33,7 @@ export const plantLibrary = [
         spacing: 8,
         depth: 0.25,
         daysToMature: 50, // to flower
-        sun: 'Full Sun', soil: 'Adaptable, prefers well-drained',
+        sun: 'Full Sun', sunHours: { min: 6, max: null }, soil: 'Adaptable, prefers well-drained',
         watering: 'Allow soil to dry between waterings',
         companions: ['Tomatoes', 'Peppers', 'Most vegetables (deters pests)'],
         avoid: [],
@@ -42,7 +44,7 @@ export const plantLibrary = [
     {
         id: 'bean_bush_blue_lake', name: 'Bean (Bush, Blue Lake)', type: 'Vegetable',
         spacing: 4, depth: 1, daysToMature: 55,
-        sun: 'Full Sun', soil: 'Well-drained, pH 6.0-7.0',
+        sun: 'Full Sun', sunHours: { min: 6, max: null }, soil: 'Well-drained, pH 6.0-7.0',
         watering: 'Regularly, keep soil moist',
         companions: ['Carrots', 'Corn', 'Cucumbers', 'Marigolds'],
         avoid: ['Onions', 'Garlic', 'Fennel'],
@@ -53,7 +55,7 @@ export const plantLibrary = [
     {
         id: 'lettuce_romaine', name: 'Lettuce (Romaine)', type: 'Leafy Green',
         spacing: 8, depth: 0.25, daysToMature: 65,
-        sun: 'Full Sun to Part Shade (afternoon shade in hot weather)',
+        sun: 'Full Sun to Part Shade (afternoon shade in hot weather)', sunHours: { min: 4, max: 8 },
         soil: 'Moist, well-drained, rich in organic matter, pH 6.0-7.0',
         watering: 'Consistent moisture',
         companions: ['Carrots', 'Radishes', 'Strawberries', 'Cucumbers'],
@@ -62,6 +64,42 @@ export const plantLibrary = [
         matureHeight: 12, // inches
         color: [152, 251, 152, 200]
     },
-    // Add 15+ more Zone 6a plants (peppers, zucchini, carrots, herbs like basil, parsley, cilantro, etc.)
-    // Include data for: spacing, planting depth, days to mature, sun, soil, watering, companions, avoid, notes, mature height.
+    {
+        id: 'spinach_bloomsdale', name: 'Spinach (Bloomsdale)', type: 'Leafy Green',
+        spacing: 6, depth: 0.5, daysToMature: 45,
+        sun: 'Full Sun to Part Shade', sunHours: { min: 3, max: 8 },
+        soil: 'Rich, moist, well-drained, pH 6.5-7.5',
+        watering: 'Keep evenly moist',
+        companions: ['Peas', 'Radishes', 'Strawberries'],
+        avoid: ['Potatoes'],
+        notes: 'Cool-season crop; bolts in long hot days, so welcomes afternoon shade.',
+        matureHeight: 8, // inches
+        color: [34, 110, 60, 200]
+    },
+    {
+        id: 'parsley_italian', name: 'Parsley (Italian Flat Leaf)', type: 'Herb',
+        spacing: 10, depth: 0.25, daysToMature: 75,
+        sun: 'Full Sun to Part Shade', sunHours: { min: 4, max: null },
+        soil: 'Moist, well-drained, pH 6.0-7.0',
+        watering: 'Regularly, keep soil moist',
+        companions: ['Tomatoes', 'Asparagus', 'Carrots'],
+        avoid: ['Lettuce'],
+        notes: 'Slow to germinate. Biennial, usually grown as an annual.',
+        matureHeight: 12, // inches
+        color: [90, 160, 70, 200]
+    },
+    {
+        id: 'impatiens_walleriana', name: 'Impatiens', type: 'Flower',
+        spacing: 10, depth: 0, daysToMature: 60, // transplants, to flower
+        sun: 'Part Shade to Full Shade', sunHours: { min: 1, max: 4 },
+        soil: 'Rich, moist, well-drained',
+        watering: 'Keep moist; wilts quickly in dry soil',
+        companions: ['Hostas', 'Ferns', 'Begonias'],
+        avoid: [],
+        notes: 'Reliable color for shady beds. Scorches in strong afternoon sun.',
+        matureHeight: 12, // inches
+        color: [230, 80, 150, 200]
+    },
+    // Add 15+ more Zone 6a plants (peppers, zucchini, carrots, herbs like basil, cilantro, etc.)
+    // Include data for: spacing, planting depth, days to mature, sun, sunHours, soil, watering, companions, avoid, notes, mature height.
 ];
\ No newline at end of file
@@ -0,0 +1,61 @@
+// js/features/data/site-locations.js
+// Places the site settings can be looked up by without a network connection: one representative
+// ZIP code per city (null outside the US), its coordinates in degrees and its IANA time zone.
+// Only major cities are listed. Other ZIP codes fall back to a listed city sharing their first three
+// digits, and anywhere else has its coordinates entered by hand.
+
+export const siteLocations = [
+    { zip: '02108', city: 'Boston', state: 'MA', latitude: 42.3575, longitude: -71.0636, timeZone: 'America/New_York' },
+    { zip: '04101', city: 'Portland', state: 'ME', latitude: 43.6591, longitude: -70.2568, timeZone: 'America/New_York' },
+    { zip: '05401', city: 'Burlington', state: 'VT', latitude: 44.4759, longitude: -73.2121, timeZone: 'America/New_York' },
+    { zip: '10001', city: 'New York', state: 'NY', latitude: 40.7506, longitude: -73.9972, timeZone: 'America/New_York' },
+    { zip: '15222', city: 'Pittsburgh', state: 'PA', latitude: 40.4473, longitude: -79.9926, timeZone: 'America/New_York' },
+    { zip: '19103', city: 'Philadelphia', state: 'PA', latitude: 39.9525, longitude: -75.1740, timeZone: 'America/New_York' },
+    { zip: '20001', city: 'Washington', state: 'DC', latitude: 38.9108, longitude: -77.0179, timeZone: 'America/New_York' },
+    { zip: '21201', city: 'Baltimore', state: 'MD', latitude: 39.2946, longitude: -76.6252, timeZone: 'America/New_York' },
+    { zip: '27601', city: 'Raleigh', state: 'NC', latitude: 35.7730, longitude: -78.6345, timeZone: 'America/New_York' },
+    { zip: '28202', city: 'Charlotte', state: 'NC', latitude: 35.2272, longitude: -80.8431, timeZone: 'America/New_York' },
+    { zip: '30303', city: 'Atlanta', state: 'GA', latitude: 33.7525, longitude: -84.3888, timeZone: 'America/New_York' },
+    { zip: '32801', city: 'Orlando', state: 'FL', latitude: 28.5421, longitude: -81.3790, timeZone: 'America/New_York' },
+    { zip: '33101', city: 'Miami', state: 'FL', latitude: 25.7793, longitude: -80.1979, timeZone: 'America/New_York' },
+    { zip: '33602', city: 'Tampa', state: 'FL', latitude: 27.9517, longitude: -82.4588, timeZone: 'America/New_York' },
+    { zip: '37203', city: 'Nashville', state: 'TN', latitude: 36.1500, longitude: -86.7900, timeZone: 'America/Chicago' },
+    { zip: '40202', city: 'Louisville', state: 'KY', latitude: 38.2527, longitude: -85.7585, timeZone: 'America/Kentucky/Louisville' },
+    { zip: '43215', city: 'Columbus', state: 'OH', latitude: 39.9612, longitude: -83.0007, timeZone: 'America/New_York' },
+    { zip: '44113', city: 'Cleveland', state: 'OH', latitude: 41.4822, longitude: -81.6697, timeZone: 'America/New_York' },
+    { zip: '45202', city: 'Cincinnati', state: 'OH', latitude: 39.1031, longitude: -84.5120, timeZone: 'America/New_York' },
+    { zip: '46140', city: 'Greenfield', state: 'IN', latitude: 39.7851, longitude: -85.7694, timeZone: 'America/Indiana/Indianapolis' },
+    { zip: '46204', city: 'Indianapolis', state: 'IN', latitude: 39.7716, longitude: -86.1555, timeZone: 'America/Indiana/Indianapolis' },
+    { zip: '48226', city: 'Detroit', state: 'MI', latitude: 42.3314, longitude: -83.0458, timeZone: 'America/Detroit' },
+    { zip: '53202', city: 'Milwaukee', state: 'WI', latitude: 43.0450, longitude: -87.8997, timeZone: 'America/Chicago' },
+    { zip: '55401', city: 'Minneapolis', state: 'MN', latitude: 44.9833, longitude: -93.2700, timeZone: 'America/Chicago' },
+    { zip: '60601', city: 'Chicago', state: 'IL', latitude: 41.8858, longitude: -87.6181, timeZone: 'America/Chicago' },
+    { zip: '63101', city: 'St. Louis', state: 'MO', latitude: 38.6312, longitude: -90.1923, timeZone: 'America/Chicago' },
+    { zip: '64106', city: 'Kansas City', state: 'MO', latitude: 39.1050, longitude: -94.5700, timeZone: 'America/Chicago' },
+    { zip: '68102', city: 'Omaha', state: 'NE', latitude: 41.2590, longitude: -95.9380, timeZone: 'America/Chicago' },
+    { zip: '70112', city: 'New Orleans', state: 'LA', latitude: 29.9560, longitude: -90.0770, timeZone: 'America/Chicago' },
+    { zip: '73102', city: 'Oklahoma City', state: 'OK', latitude: 35.4700, longitude: -97.5200, timeZone: 'America/Chicago' },
+    { zip: '75201', city: 'Dallas', state: 'TX', latitude: 32.7876, longitude: -96.7994, timeZone: 'America/Chicago' },
+    { zip: '77002', city: 'Houston', state: 'TX', latitude: 29.7560, longitude: -95.3650, timeZone: 'America/Chicago' },
+    { zip: '78205', city: 'San Antonio', state: 'TX', latitude: 29.4241, longitude: -98.4936, timeZone: 'America/Chicago' },
+    { zip: '78701', city: 'Austin', state: 'TX', latitude: 30.2711, longitude: -97.7437, timeZone: 'America/Chicago' },
+    { zip: '80202', city: 'Denver', state: 'CO', latitude: 39.7527, longitude: -104.9992, timeZone: 'America/Denver' },
+    { zip: '83702', city: 'Boise', state: 'ID', latitude: 43.6150, longitude: -116.2023, timeZone: 'America/Boise' },
+    { zip: '84101', city: 'Salt Lake City', state: 'UT', latitude: 40.7550, longitude: -111.8960, timeZone: 'America/Denver' },
+    { zip: '85004', city: 'Phoenix', state: 'AZ', latitude: 33.4510, longitude: -112.0690, timeZone: 'America/Phoenix' },
+    { zip: '85701', city: 'Tucson', state: 'AZ', latitude: 32.2217, longitude: -110.9690, timeZone: 'America/Phoenix' },
+    { zip: '87102', city: 'Albuquerque', state: 'NM', latitude: 35.0844, longitude: -106.6504, timeZone: 'America/Denver' },
+    { zip: '89101', city: 'Las Vegas', state: 'NV', latitude: 36.1720, longitude: -115.1400, timeZone: 'America/Los_Angeles' },
+    { zip: '90012', city: 'Los Angeles', state: 'CA', latitude: 34.0614, longitude: -118.2385, timeZone: 'America/Los_Angeles' },
+    { zip: '92101', city: 'San Diego', state: 'CA', latitude: 32.7157, longitude: -117.1611, timeZone: 'America/Los_Angeles' },
+    { zip: '94102', city: 'San Francisco', state: 'CA', latitude: 37.7793, longitude: -122.4193, timeZone: 'America/Los_Angeles' },
+    { zip: '95814', city: 'Sacramento', state: 'CA', latitude: 38.5816, longitude: -121.4944, timeZone: 'America/Los_Angeles' },
+    { zip: '96813', city: 'Honolulu', state: 'HI', latitude: 21.3069, longitude: -157.8583, timeZone: 'Pacific/Honolulu' },
+    { zip: '97204', city: 'Portland', state: 'OR', latitude: 45.5183, longitude: -122.6760, timeZone: 'America/Los_Angeles' },
+    { zip: '98101', city: 'Seattle', state: 'WA', latitude: 47.6101, longitude: -122.3344, timeZone: 'America/Los_Angeles' },
+    { zip: '99501', city: 'Anchorage', state: 'AK', latitude: 61.2181, longitude: -149.9003, timeZone: 'America/Anchorage' },
+    { zip: null, city: 'Toronto', state: 'ON', latitude: 43.6532, longitude: -79.3832, timeZone: 'America/Toronto' },
+    { zip: null, city: 'Vancouver', state: 'BC', latitude: 49.2827, longitude: -123.1207, timeZone: 'America/Vancouver' },
+    { zip: null, city: 'London', state: 'UK', latitude: 51.5074, longitude: -0.1278, timeZone: 'Europe/London' },
+    { zip: null, city: 'Sydney', state: 'NSW', latitude: -33.8688, longitude: 151.2093, timeZone: 'Australia/Sydney' }
+];
@@ -0,0 +1,75 @@
+// js/features/decks.js
+// Raised decks. A deck is a regular rectangular element whose height is the deck surface above
+// grade; `data` adds (defaults below):
+//   { railingHeight,   feet above the surface; 0 for no railing
+//     attachedSide,    side against the house, left without railing: 'top' | 'right' | 'bottom' | 'left' | 'none'
+//     stairSide,       side the stairs come down from, same values
+//     stairWidth }
+// Sides are named as they appear on the plan before the deck is rotated. Geometry here is in the
+// deck's local frame: feet from its centre, unrotated.
+
+export const DECK_SIDES = ['top', 'right', 'bottom', 'left'];
+
+export const DECK_DEFAULTS = { railingHeight: 3, attachedSide: 'top', stairSide: 'bottom', stairWidth: 4 };
+
+const MAX_STAIR_RISE_FT = 7.5 / 12;
+const STAIR_RUN_FT = 10 / 12;
+
+function getDeckData(element) {
+    return { ...DECK_DEFAULTS, ...(element.data || {}) };
+}
+
+// A side as the segment start→end running clockwise round the deck, with its outward unit normal
+export function getDeckSide(element, side) {
+    const halfWidth = element.width / 2, halfDepth = element.depth / 2;
+    switch (side) {
+        case 'top': return { start: { x: -halfWidth, y: -halfDepth }, end: { x: halfWidth, y: -halfDepth }, outward: { x: 0, y: -1 }, lengthFt: element.width };
+        case 'right': return { start: { x: halfWidth, y: -halfDepth }, end: { x: halfWidth, y: halfDepth }, outward: { x: 1, y: 0 }, lengthFt: element.depth };
+        case 'bottom': return { start: { x: halfWidth, y: halfDepth }, end: { x: -halfWidth, y: halfDepth }, outward: { x: 0, y: 1 }, lengthFt: element.width };
+        case 'left': return { start: { x: -halfWidth, y: halfDepth }, end: { x: -halfWidth, y: -halfDepth }, outward: { x: -1, y: 0 }, lengthFt: element.depth };
+        default: return null;
+    }
+}
+
+// Stairs down from the surface, centred on their side, or null for none (or a deck too low to need them):
+// { side, start, end, outward, runFt, treads: [{ corners, height }] }. start/end span the stair opening
+// along the side; each tread is a rectangle of four corners stepping out from it, ending at `height`.
+export function getDeckStairs(element) {
+    const { stairSide, stairWidth } = getDeckData(element);
+    const side = getDeckSide(element, stairSide);
+    const riserCount = Math.ceil(element.height / MAX_STAIR_RISE_FT - 1e-9);
+    if (!side || riserCount < 2) return null;
+    const width = Math.min(side.lengthFt, parseFloat(stairWidth) > 0 ? parseFloat(stairWidth) : DECK_DEFAULTS.stairWidth);
+    const along = { x: (side.end.x - side.start.x) / side.lengthFt, y: (side.end.y - side.start.y) / side.lengthFt };
+    const middle = { x: (side.start.x + side.end.x) / 2, y: (side.start.y + side.end.y) / 2 };
+    const start = { x: middle.x - along.x * width / 2, y: middle.y - along.y * width / 2 };
+    const end = { x: middle.x + along.x * width / 2, y: middle.y + along.y * width / 2 };
+    const rise = element.height / riserCount;
+    const out = (p, distance) => ({ x: p.x + side.outward.x * distance, y: p.y + side.outward.y * distance });
+    const treads = [];
+    for (let i = 0; i < riserCount - 1; i++) { // The deck itself is the top step
+        treads.push({ corners: [out(start, i * STAIR_RUN_FT), out(end, i * STAIR_RUN_FT), out(end, (i + 1) * STAIR_RUN_FT), out(start, (i + 1) * STAIR_RUN_FT)], height: element.height - (i + 1) * rise });
+    }
+    return { side: stairSide, start, end, outward: side.outward, runFt: (riserCount - 1) * STAIR_RUN_FT, treads };
+}
+
+// Railing runs as [{ start, end }]: every side but the one against the house, broken for the stairs
+export function getDeckRailings(element) {
+    const { railingHeight, attachedSide } = getDeckData(element);
+    if (!(parseFloat(railingHeight) > 0)) return [];
+    const stairs = getDeckStairs(element);
+    const runs = [];
+    DECK_SIDES.filter(side => side !== attachedSide).forEach(sideName => {
+        const side = getDeckSide(element, sideName);
+        if (stairs && stairs.side === sideName) {
+            runs.push({ start: side.start, end: stairs.start }, { start: stairs.end, end: side.end });
+        } else {
+            runs.push({ start: side.start, end: side.end });
+        }
+    });
+    return runs.filter(run => Math.hypot(run.end.x - run.start.x, run.end.y - run.start.y) > 1e-6);
+}
+
+export function getDeckRailingHeightFt(element) {
+    return Math.max(0, parseFloat(getDeckData(element).railingHeight) || 0);
+}
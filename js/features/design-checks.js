@@ -0,0 +1,126 @@
+// js/features/design-checks.js
+// Finds placement problems in a design: elements outside the lot, overlapping
+// footprints, elements closer together than their minimum clearance and
+// structures inside a lot setback or easement.
+// An issue is { kind: 'lot' | 'overlap' | 'clearance' | 'setback' | 'easement', elementIds: [], message, line? }
+
+import {
+    getElementFootprintFt, isFootprintInsideLot, doFootprintsOverlap, getFootprintClearanceFt, formatDistanceFt,
+    getLotEdgesFt, getLotPolygonFt
+} from './geometry.js';
+import { footprintKinds, plantingContainerTypes, elementGroups, clearanceRules, setbackRestrictedTypes } from './data/placement-rules.js';
+import { flattenOutline } from './curves.js';
+
+// candidates: elements plus the custom houses. clearanceDistances: { [ruleId]: ft } overrides.
+// lot: the lot configuration, with its outline, setbacks and easements.
+export function findDesignIssues(candidates, clearanceDistances, lot) {
+    const checkable = candidates.filter(el => el.type !== 'custom_house' || (el.outline && el.outline.length >= 3));
+    const footprints = new Map(checkable.map(el => [el.id, getElementFootprintFt(el)]));
+    const issues = [];
+    const lotPolygon = getLotPolygonFt(lot);
+
+    checkable.forEach(el => {
+        if (!isFootprintInsideLot(footprints.get(el.id), lotPolygon)) {
+            issues.push({ kind: 'lot', elementIds: [el.id], message: `${getLabel(el)} extends outside the lot boundary` });
+        }
+    });
+    issues.push(...findLotRestrictionIssues(checkable.filter(el => setbackRestrictedTypes.includes(el.type)), footprints, lot));
+
+    const bounds = new Map(checkable.map(el => [el.id, getBounds(footprints.get(el.id))]));
+    const maxClearanceFt = Math.max(0, ...clearanceRules.map(rule => getRuleDistanceFt(rule, clearanceDistances)));
+    for (let i = 0; i < checkable.length; i++) {
+        for (let j = i + 1; j < checkable.length; j++) {
+            const a = checkable[i], b = checkable[j];
+            // Cheap bounding-box rejection before any polygon work
+            const boundsA = bounds.get(a.id), boundsB = bounds.get(b.id);
+            const gapFt = Math.max(boundsA.minX - boundsB.maxX, boundsB.minX - boundsA.maxX, boundsA.minY - boundsB.maxY, boundsB.minY - boundsA.maxY);
+            if (gapFt > maxClearanceFt) continue;
+
+            const footprintA = footprints.get(a.id), footprintB = footprints.get(b.id);
+            if (canConflictByOverlap(a, b) && doFootprintsOverlap(footprintA, footprintB)) {
+                issues.push({ kind: 'overlap', elementIds: [a.id, b.id], message: `${getLabel(a)} overlaps ${getLabel(b)}` });
+                continue;
+            }
+            const requiredFt = getRequiredClearanceFt(a, b, clearanceDistances);
+            if (requiredFt <= 0 || gapFt > requiredFt) continue;
+            const clearance = getFootprintClearanceFt(footprintA, footprintB);
+            if (clearance.distanceFt < requiredFt) {
+                issues.push({
+                    kind: 'clearance', elementIds: [a.id, b.id],
+                    message: `${getLabel(a)} is ${formatDistanceFt(clearance.distanceFt)} from ${getLabel(b)} (needs ${formatDistanceFt(requiredFt)})`,
+                    line: { start: clearance.from, end: clearance.to }
+                });
+            }
+        }
+    }
+    return issues;
+}
+
+export function getRuleDistanceFt(rule, clearanceDistances = {}) {
+    const override = clearanceDistances[rule.id];
+    return typeof override === 'number' && override >= 0 ? override : rule.minDistanceFt;
+}
+
+// Setbacks are measured from each lot edge; an element gets one issue for the edge it intrudes on most
+function findLotRestrictionIssues(restricted, footprints, lot) {
+    const issues = [];
+    const setbackEdges = getLotEdgesFt(lot).filter(edge => edge.setbackFt > 0);
+    const easements = (lot.easements || []).filter(easement => easement.points && easement.points.length >= 3)
+        .map(easement => ({ ...easement, points: flattenOutline(easement.points) }));
+    restricted.forEach(el => {
+        const footprint = footprints.get(el.id);
+        let worst = null;
+        setbackEdges.forEach(edge => {
+            // Curved edges are measured piece by piece along their path
+            edge.path.slice(1).forEach((end, i) => {
+                const clearance = getFootprintClearanceFt(footprint, [edge.path[i], end]);
+                const shortfallFt = edge.setbackFt - clearance.distanceFt;
+                if (shortfallFt > 1e-6 && (!worst || shortfallFt > worst.shortfallFt)) worst = { edge, clearance, shortfallFt };
+            });
+        });
+        if (worst) {
+            issues.push({
+                kind: 'setback', elementIds: [el.id],
+                message: `${getLabel(el)} is ${formatDistanceFt(worst.clearance.distanceFt)} from the ${worst.edge.role} lot line (setback ${formatDistanceFt(worst.edge.setbackFt)})`,
+                line: { start: worst.clearance.from, end: worst.clearance.to }
+            });
+        }
+        easements.filter(easement => doFootprintsOverlap(footprint, easement.points)).forEach(easement => {
+            issues.push({ kind: 'easement', elementIds: [el.id], message: `${getLabel(el)} encroaches on ${easement.name || 'an easement'}` });
+        });
+    });
+    return issues;
+}
+
+function getLabel(element) {
+    return element.name || element.type;
+}
+
+function getBounds(footprint) {
+    return {
+        minX: Math.min(...footprint.map(p => p.x)), maxX: Math.max(...footprint.map(p => p.x)),
+        minY: Math.min(...footprint.map(p => p.y)), maxY: Math.max(...footprint.map(p => p.y))
+    };
+}
+
+function canConflictByOverlap(a, b) {
+    const kindA = footprintKinds[a.type] || 'solid';
+    const kindB = footprintKinds[b.type] || 'solid';
+    if (kindA === 'solid' && kindB === 'solid') return true;
+    if (kindA === 'planting' && kindB === 'planting') return true;
+    if (kindA === 'planting' && kindB === 'solid') return !plantingContainerTypes.includes(b.type);
+    if (kindA === 'solid' && kindB === 'planting') return !plantingContainerTypes.includes(a.type);
+    return false;
+}
+
+function matchesRuleTarget(element, targets) {
+    return targets.some(target => target === element.type || (elementGroups[target] && elementGroups[target].includes(element.type)));
+}
+
+// The strictest rule that applies to the pair, in either direction
+function getRequiredClearanceFt(a, b, clearanceDistances) {
+    return clearanceRules.reduce((requiredFt, rule) => {
+        const applies = (rule.type === a.type && matchesRuleTarget(b, rule.near)) || (rule.type === b.type && matchesRuleTarget(a, rule.near));
+        return applies ? Math.max(requiredFt, getRuleDistanceFt(rule, clearanceDistances)) : requiredFt;
+    }, 0);
+}
@@ -0,0 +1,296 @@
+// js/features/drainage.js
+// Where rain goes once the ground has some fall. The simulation runs on a sampled ground grid (see
+// terrain.js), each sample standing for the square cell around it:
+//   - every sample inside the lot sheds the rain landing on it, less what its surface soaks up, to its
+//     steepest downhill neighbour; water leaves the lot at the boundary
+//   - hollows are filled to the height they spill over at first, and how deep they fill is ponding
+//   - custom houses are solid: water runs round them, and their roofs drain to downspouts at the
+//     outline's corners, split equally, unless a rain barrel stands close enough to catch one
+// Flow is measured in square feet of runoff: a sample's flow is the area shedding rain through it,
+// each surface counted at its runoff coefficient (the share of rain that runs off rather than soaking in).
+import { isPointInPolygon, isOnPolygonBoundaryFt, getPolygonAreaFt, getVertexCentreFt } from './geometry.js';
+
+// Runoff coefficients by element type; elements not listed (plants, trees, furniture) leave the ground as it is
+export const RUNOFF_COEFFICIENTS = {
+    custom_house: 0.95, house: 0.95, shed: 0.95, patio: 0.9, path: 0.85,
+    lawn_area: 0.25, inground_row: 0.15, raised_bed: 0.1
+};
+export const PONDING_MIN_DEPTH_FT = 0.05; // Shallower fill is just unevenness in the ground
+export const CHANNEL_MIN_FLOW_SQFT = 200; // Flow concentrated enough to count as a channel
+export const DOWNSPOUT_REACH_FT = 4; // How far a rain barrel can stand from the corner it catches
+
+// Plantings that suffer standing in water; they are flagged when placed in a wet spot
+export const WET_SPOT_SENSITIVE_TYPES = ['raised_bed', 'inground_row', 'plant'];
+
+const BARE_GROUND_RUNOFF = 0.4;
+const DOWNSPOUT_CORNER_TURN = Math.PI / 6; // Outline vertices turning less than this are along a wall, not a corner
+const ARROW_MIN_FLOW_CELLS = 3; // Arrows start where a sample carries rain from a few cells upslope
+const GALLONS_PER_SQFT_INCH = 0.623; // One inch of rain on one square foot
+const GALLONS_PER_CUBIC_FT = 7.48;
+const FILL_STEP_FT = 1e-5; // Filled hollows keep this much fall so their water still finds the spill point
+
+// Runs the simulation over grid for the lot polygon and items, [{ element, footprint }] with footprints
+// in lot feet, later items lying on top of earlier ones. Returns
+//   { grid, isOpen, flow, directions, ponding, downspouts }
+// with one entry per sample in isOpen (inside the lot and not under a house), flow, directions (the
+// index of the sample it drains to, -1 where it leaves the lot or has nowhere lower to go) and ponding
+// (feet), and downspouts as [{ x, y, houseId, roofAreaSqFt, barrelId }].
+export function simulateDrainage(grid, lotPolygon, items) {
+    const { columns, rows, cellSizeFt, heights } = grid;
+    const count = columns * rows;
+    const cellArea = cellSizeFt * cellSizeFt;
+    const pointAt = index => ({ x: grid.originX + (index % columns) * cellSizeFt, y: grid.originY + Math.floor(index / columns) * cellSizeFt });
+
+    const isInside = new Uint8Array(count);
+    const isOpen = new Uint8Array(count);
+    const runoff = new Float32Array(count).fill(BARE_GROUND_RUNOFF);
+    for (let i = 0; i < count; i++) {
+        const p = pointAt(i);
+        isInside[i] = isPointInPolygon(p, lotPolygon) || isOnPolygonBoundaryFt(p, lotPolygon) ? 1 : 0;
+        isOpen[i] = isInside[i];
+    }
+    const houses = items.filter(item => item.element.type === 'custom_house' && item.footprint.length >= 3);
+    items.filter(item => RUNOFF_COEFFICIENTS[item.element.type] !== undefined).forEach(item => {
+        forEachSampleIn(grid, item.footprint, index => {
+            if (item.element.type === 'custom_house') isOpen[index] = 0;
+            else runoff[index] = RUNOFF_COEFFICIENTS[item.element.type];
+        });
+    });
+
+    const filled = fillHollows(grid, isInside, isOpen);
+    const directions = new Int32Array(count).fill(-1);
+    for (let i = 0; i < count; i++) {
+        if (!isOpen[i]) continue;
+        let steepest = 0;
+        forEachNeighbour(grid, i, (neighbour, distance) => {
+            if (!isOpen[neighbour]) return;
+            const drop = (filled[i] - filled[neighbour]) / distance;
+            if (drop > steepest) { steepest = drop; directions[i] = neighbour; }
+        });
+    }
+
+    const flow = new Float32Array(count);
+    for (let i = 0; i < count; i++) if (isOpen[i]) flow[i] = runoff[i] * cellArea;
+    const barrels = items.filter(item => item.element.type === 'rain_barrel');
+    const downspouts = houses.flatMap(house => getDownspouts(house, barrels));
+    downspouts.forEach(downspout => {
+        const index = findNearestOpenSample(grid, isOpen, downspout);
+        if (index >= 0 && !downspout.barrelId) flow[index] += downspout.roofAreaSqFt * RUNOFF_COEFFICIENTS.custom_house;
+    });
+    // Highest first, so every sample has all its upslope water before passing it on
+    const order = Array.from({ length: count }, (_, i) => i).filter(i => isOpen[i]).sort((a, b) => filled[b] - filled[a]);
+    order.forEach(i => { if (directions[i] >= 0) flow[directions[i]] += flow[i]; });
+
+    const ponding = new Float32Array(count);
+    for (let i = 0; i < count; i++) if (isOpen[i]) ponding[i] = Math.max(0, filled[i] - heights[i]);
+    return { grid, isOpen, flow, directions, ponding, downspouts };
+}
+
+// Priority flood: spreads inwards from the samples water can leave by (the lot boundary) in order of
+// height, raising every sample to at least just above the one it was reached from. A region no water
+// can leave, walled in by houses, drains to its own lowest sample.
+function fillHollows(grid, isInside, isOpen) {
+    const count = grid.columns * grid.rows;
+    const filled = Float64Array.from(grid.heights);
+    const isDone = new Uint8Array(count);
+    const queue = createHeightQueue();
+    const reach = index => {
+        isDone[index] = 1;
+        queue.push(index, filled[index]);
+    };
+    for (let i = 0; i < count; i++) {
+        if (!isOpen[i]) continue;
+        let isOutlet = false;
+        forEachNeighbour(grid, i, neighbour => { if (!isInside[neighbour]) isOutlet = true; }, true);
+        if (isOutlet) reach(i);
+    }
+    for (;;) {
+        while (queue.size() > 0) {
+            const index = queue.pop();
+            forEachNeighbour(grid, index, neighbour => {
+                if (!isOpen[neighbour] || isDone[neighbour]) return;
+                filled[neighbour] = Math.max(filled[neighbour], filled[index] + FILL_STEP_FT);
+                reach(neighbour);
+            });
+        }
+        let lowest = -1;
+        for (let i = 0; i < count; i++) {
+            if (isOpen[i] && !isDone[i] && (lowest < 0 || filled[i] < filled[lowest])) lowest = i;
+        }
+        if (lowest < 0) return filled;
+        reach(lowest);
+    }
+}
+
+// Calls visit(neighbour, distance) for the eight samples around index. With countEdges set, a side
+// of the grid calls visit with -1, read as outside the lot.
+function forEachNeighbour(grid, index, visit, countEdges = false) {
+    const column = index % grid.columns, row = Math.floor(index / grid.columns);
+    for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+            if (dr === 0 && dc === 0) continue;
+            const c = column + dc, r = row + dr;
+            if (c < 0 || r < 0 || c >= grid.columns || r >= grid.rows) {
+                if (countEdges) visit(-1, 0);
+                continue;
+            }
+            visit(r * grid.columns + c, grid.cellSizeFt * (dr && dc ? Math.SQRT2 : 1));
+        }
+    }
+}
+
+function forEachSampleIn(grid, polygon, visit) {
+    const minX = Math.min(...polygon.map(p => p.x)), maxX = Math.max(...polygon.map(p => p.x));
+    const minY = Math.min(...polygon.map(p => p.y)), maxY = Math.max(...polygon.map(p => p.y));
+    const firstColumn = Math.max(0, Math.ceil((minX - grid.originX) / grid.cellSizeFt));
+    const lastColumn = Math.min(grid.columns - 1, Math.floor((maxX - grid.originX) / grid.cellSizeFt));
+    const firstRow = Math.max(0, Math.ceil((minY - grid.originY) / grid.cellSizeFt));
+    const lastRow = Math.min(grid.rows - 1, Math.floor((maxY - grid.originY) / grid.cellSizeFt));
+    for (let row = firstRow; row <= lastRow; row++) {
+        for (let column = firstColumn; column <= lastColumn; column++) {
+            const p = { x: grid.originX + column * grid.cellSizeFt, y: grid.originY + row * grid.cellSizeFt };
+            if (isPointInPolygon(p, polygon)) visit(row * grid.columns + column);
+        }
+    }
+}
+
+// Downspouts stand at the corners of the house outline, each taking an equal share of the roof.
+// A rain barrel within reach of a corner catches its share; the nearest one wins.
+function getDownspouts(house, barrels) {
+    const footprint = house.footprint;
+    let corners = footprint.filter((p, i) => {
+        const previous = footprint[(i + footprint.length - 1) % footprint.length], next = footprint[(i + 1) % footprint.length];
+        const turn = Math.abs(Math.atan2(
+            (p.x - previous.x) * (next.y - p.y) - (p.y - previous.y) * (next.x - p.x),
+            (p.x - previous.x) * (next.x - p.x) + (p.y - previous.y) * (next.y - p.y)));
+        return turn >= DOWNSPOUT_CORNER_TURN;
+    });
+    if (corners.length === 0) corners = [footprint[0]]; // A round house drains at one point
+    const shareSqFt = getPolygonAreaFt(footprint) / corners.length;
+    return corners.map(corner => {
+        let barrelId = null, nearestFt = DOWNSPOUT_REACH_FT;
+        barrels.forEach(barrel => {
+            const centre = getVertexCentreFt(barrel.footprint);
+            const distanceFt = Math.hypot(centre.x - corner.x, centre.y - corner.y);
+            if (distanceFt <= nearestFt) { nearestFt = distanceFt; barrelId = barrel.element.id; }
+        });
+        return { x: corner.x, y: corner.y, houseId: house.element.id, roofAreaSqFt: shareSqFt, barrelId };
+    });
+}
+
+// The open sample closest to point, looking a couple of cells out since corners sit on the house itself
+function findNearestOpenSample(grid, isOpen, point) {
+    const centreColumn = Math.round((point.x - grid.originX) / grid.cellSizeFt);
+    const centreRow = Math.round((point.y - grid.originY) / grid.cellSizeFt);
+    let nearest = -1, nearestFt = Infinity;
+    for (let row = Math.max(0, centreRow - 2); row <= Math.min(grid.rows - 1, centreRow + 2); row++) {
+        for (let column = Math.max(0, centreColumn - 2); column <= Math.min(grid.columns - 1, centreColumn + 2); column++) {
+            const index = row * grid.columns + column;
+            const distanceFt = Math.hypot(grid.originX + column * grid.cellSizeFt - point.x, grid.originY + row * grid.cellSizeFt - point.y);
+            if (isOpen[index] && distanceFt < nearestFt) { nearest = index; nearestFt = distanceFt; }
+        }
+    }
+    return nearest;
+}
+
+// Flow arrows for the overlay, [{ from, to, flow }] in lot feet, where enough water runs to show
+export function getDrainageArrows(drainage) {
+    const { grid, isOpen, flow, directions } = drainage;
+    const minFlow = ARROW_MIN_FLOW_CELLS * grid.cellSizeFt * grid.cellSizeFt;
+    const at = index => ({ x: grid.originX + (index % grid.columns) * grid.cellSizeFt, y: grid.originY + Math.floor(index / grid.columns) * grid.cellSizeFt });
+    const arrows = [];
+    for (let i = 0; i < flow.length; i++) {
+        if (isOpen[i] && directions[i] >= 0 && flow[i] >= minFlow) arrows.push({ from: at(i), to: at(directions[i]), flow: flow[i] });
+    }
+    return arrows;
+}
+
+// Cells worth tinting, [{ kind: 'ponding' | 'channel', x, y, sizeFt, depthFt, flow }] with x/y the
+// cell's centre (its sample). Ponding wins where a channel runs into a pond.
+export function getDrainageRegions(drainage) {
+    const { grid, isOpen, flow, ponding } = drainage;
+    const regions = [];
+    for (let i = 0; i < flow.length; i++) {
+        if (!isOpen[i]) continue;
+        const kind = ponding[i] >= PONDING_MIN_DEPTH_FT ? 'ponding' : flow[i] >= CHANNEL_MIN_FLOW_SQFT ? 'channel' : null;
+        if (!kind) continue;
+        regions.push({
+            kind, x: grid.originX + (i % grid.columns) * grid.cellSizeFt, y: grid.originY + Math.floor(i / grid.columns) * grid.cellSizeFt,
+            sizeFt: grid.cellSizeFt, depthFt: ponding[i], flow: flow[i]
+        });
+    }
+    return regions;
+}
+
+// Deepest ponding under a footprint in feet, 0 when it stays dry. A footprint too small to cover a
+// sample reads the one nearest its centre.
+export function getWetSpotDepthFt(drainage, footprint) {
+    if (!drainage || !footprint || footprint.length < 3) return 0;
+    let deepest = 0, hasSample = false;
+    forEachSampleIn(drainage.grid, footprint, index => {
+        hasSample = true;
+        if (drainage.isOpen[index]) deepest = Math.max(deepest, drainage.ponding[index]);
+    });
+    if (!hasSample) {
+        const index = findNearestOpenSample(drainage.grid, drainage.isOpen, getVertexCentreFt(footprint));
+        if (index >= 0) deepest = drainage.ponding[index];
+    }
+    return deepest >= PONDING_MIN_DEPTH_FT ? deepest : 0;
+}
+
+// Design issues for plantings sitting in ponding: { kind: 'wet_spot', elementIds, message }
+export function findWetSpotIssues(drainage, items) {
+    if (!drainage) return [];
+    return items.filter(item => WET_SPOT_SENSITIVE_TYPES.includes(item.element.type)).flatMap(item => {
+        const depthFt = getWetSpotDepthFt(drainage, item.footprint);
+        if (depthFt <= 0) return [];
+        return [{ kind: 'wet_spot', elementIds: [item.element.id], message: `${item.element.name || item.element.type} sits in a wet spot (ponds up to ${formatInches(depthFt)})` }];
+    });
+}
+
+// What a rain barrel catches: { roofAreaSqFt, gallonsPerInch, capacityGal, fillsAfterInches }
+export function getRainBarrelCatchment(drainage, barrel) {
+    const roofAreaSqFt = drainage ? drainage.downspouts.filter(downspout => downspout.barrelId === barrel.id).reduce((sum, downspout) => sum + downspout.roofAreaSqFt, 0) : 0;
+    const gallonsPerInch = roofAreaSqFt * GALLONS_PER_SQFT_INCH;
+    const capacityGal = Math.PI * (barrel.width / 2) ** 2 * barrel.height * GALLONS_PER_CUBIC_FT;
+    return { roofAreaSqFt, gallonsPerInch, capacityGal, fillsAfterInches: gallonsPerInch > 0 ? capacityGal / gallonsPerInch : null };
+}
+
+export function formatInches(depthFt) {
+    return `${Number((depthFt * 12).toFixed(1))}"`;
+}
+
+function createHeightQueue() {
+    const indices = [], keys = [];
+    const swap = (a, b) => {
+        [indices[a], indices[b]] = [indices[b], indices[a]];
+        [keys[a], keys[b]] = [keys[b], keys[a]];
+    };
+    return {
+        size: () => indices.length,
+        push(index, key) {
+            indices.push(index); keys.push(key);
+            for (let i = indices.length - 1; i > 0;) {
+                const parent = (i - 1) >> 1;
+                if (keys[parent] <= keys[i]) break;
+                swap(i, parent); i = parent;
+            }
+        },
+        pop() {
+            const top = indices[0];
+            const lastIndex = indices.pop(), lastKey = keys.pop();
+            if (indices.length > 0) {
+                indices[0] = lastIndex; keys[0] = lastKey;
+                for (let i = 0; ;) {
+                    const left = 2 * i + 1, right = left + 1;
+                    let smallest = i;
+                    if (left < keys.length && keys[left] < keys[smallest]) smallest = left;
+                    if (right < keys.length && keys[right] < keys[smallest]) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest); i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+}
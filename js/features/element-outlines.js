@@ -0,0 +1,51 @@
+// js/features/element-outlines.js
+// Freeform elements: beds, patios, paths and lawns drawn as a polygon instead of a box.
+// Such an element keeps its usual x/y/width/depth bounding box plus `outline`, points relative
+// to the box centre in its unrotated frame (curves allowed, see curves.js). The outline is stretched
+// to the current width/depth, so resizing and undoing a resize need no extra bookkeeping.
+
+import { flattenOutline } from './curves.js';
+import { hasElementRoute, getRouteLengthFt, getRouteLineWidthFt } from './routes.js';
+
+export const OUTLINE_ELEMENT_TYPES = ['raised_bed', 'patio', 'path', 'lawn_area'];
+
+// Element types whose footprint is reported as an area
+export const AREA_ELEMENT_TYPES = ['raised_bed', 'inground_row', 'patio', 'path', 'lawn_area'];
+
+export function hasElementOutline(element) {
+    return !!element && element.type !== 'custom_house' && Array.isArray(element.outline) && element.outline.length >= 3;
+}
+
+// The outline scaled to the element's current width and depth
+export function getSizedOutline(element) {
+    const traced = flattenOutline(element.outline);
+    const outlineWidth = Math.max(...traced.map(p => p.x)) - Math.min(...traced.map(p => p.x));
+    const outlineDepth = Math.max(...traced.map(p => p.y)) - Math.min(...traced.map(p => p.y));
+    const scaleX = outlineWidth > 0 ? element.width / outlineWidth : 1;
+    const scaleY = outlineDepth > 0 ? element.depth / outlineDepth : 1;
+    return element.outline.map(p => ({ ...p, x: p.x * scaleX, y: p.y * scaleY }));
+}
+
+// Bounding box and centred outline for a polygon drawn in lot feet: { x, y, width, depth, outline }
+export function getOutlineGeometry(pointsFt) {
+    const traced = flattenOutline(pointsFt); // Curved edges can bulge past the corners
+    const minX = Math.min(...traced.map(p => p.x)), maxX = Math.max(...traced.map(p => p.x));
+    const minY = Math.min(...traced.map(p => p.y)), maxY = Math.max(...traced.map(p => p.y));
+    const centerX = (minX + maxX) / 2, centerY = (minY + maxY) / 2;
+    return {
+        x: minX, y: minY, width: maxX - minX, depth: maxY - minY,
+        outline: pointsFt.map(p => ({ ...p, x: p.x - centerX, y: p.y - centerY }))
+    };
+}
+
+// Square feet covered: the polygon's area for outlined elements, run length × line width
+// for routes, otherwise width × depth
+export function getElementAreaSqFt(element) {
+    if (hasElementRoute(element)) return getRouteLengthFt(element) * getRouteLineWidthFt(element);
+    if (!hasElementOutline(element)) return element.width * element.depth;
+    const traced = flattenOutline(getSizedOutline(element));
+    return Math.abs(traced.reduce((sum, p, i) => {
+        const next = traced[(i + 1) % traced.length];
+        return sum + p.x * next.y - next.x * p.y;
+    }, 0)) / 2;
+}
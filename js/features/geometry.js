@@ -0,0 +1,248 @@
+// js/features/geometry.js
+// Footprint and polygon geometry shared by the 2D view, the design checks and the analyses.
+// Points are { x, y } in lot feet with y growing down the plan; polygons are closed point lists.
+// Lot helpers take the lot configuration ({ width, depth, isCustomShape, customShapePoints,
+// setbacks, edgeRoles }) rather than reading it from a view.
+
+import { hasElementOutline, getSizedOutline } from './element-outlines.js';
+import { hasElementRoute, getRouteOutline } from './routes.js';
+import { getEdgePathFt, getEdgeMidpointFt, getEdgeLengthFt, flattenOutline } from './curves.js';
+
+export const ROTATABLE_ELEMENT_TYPES = ['house', 'shed', 'raised_bed', 'compost_bin', 'bench', 'patio', 'fire_pit', 'rain_barrel', 'custom_house', 'deck'];
+
+const CONTAINMENT_EPSILON_FT = 1e-6; // Footprints flush with the boundary still count as inside
+
+export function isRotatableElement(element) {
+    return ROTATABLE_ELEMENT_TYPES.includes(element.type);
+}
+
+export function rotatePoint(point, center, angleDegrees) {
+    const angleRad = angleDegrees * Math.PI / 180;
+    const s = Math.sin(angleRad);
+    const c = Math.cos(angleRad);
+    const px = point.x - center.x;
+    const py = point.y - center.y;
+    return { x: px * c - py * s + center.x, y: px * s + py * c + center.y };
+}
+
+// --- Element Footprints ---
+// Outline points (custom houses, freeform elements and the band around a route) are stored relative
+// to the element centre. Curves are relative to their edge, so they carry over unchanged.
+export function getOutlineWorldVerticesFt(element) {
+    const center = { x: element.x + element.width / 2, y: element.y + element.depth / 2 };
+    const angle = element.type === 'custom_house' || isRotatableElement(element) ? element.rotation || 0 : 0;
+    const outline = hasElementRoute(element) ? getRouteOutline(element) : hasElementOutline(element) ? getSizedOutline(element) : element.outline;
+    return outline.map(p => {
+        const point = { x: center.x + p.x, y: center.y + p.y };
+        const worldPoint = angle ? rotatePoint(point, center, angle) : point;
+        return p.curve ? { ...worldPoint, curve: { ...p.curve } } : worldPoint;
+    });
+}
+
+export function getOutlineWorldPointsFt(element) {
+    return flattenOutline(getOutlineWorldVerticesFt(element));
+}
+
+// Footprint polygon in lot feet: rotated corners, or the custom house / freeform / route outline
+export function getElementFootprintFt(element) {
+    if (element.type === 'custom_house' || hasElementOutline(element) || hasElementRoute(element)) return getOutlineWorldPointsFt(element);
+    const center = { x: element.x + element.width / 2, y: element.y + element.depth / 2 };
+    const angle = isRotatableElement(element) ? element.rotation || 0 : 0;
+    return [
+        { x: element.x, y: element.y }, { x: element.x + element.width, y: element.y },
+        { x: element.x + element.width, y: element.y + element.depth }, { x: element.x, y: element.y + element.depth }
+    ].map(corner => angle ? rotatePoint(corner, center, angle) : corner);
+}
+
+// --- Lot Outline & Edges ---
+export const SETBACK_ROLES = ['front', 'side', 'rear'];
+
+// The lot's corners, curved edges still described by their curve
+export function getLotVerticesFt(lot) {
+    if (lot.isCustomShape && lot.customShapePoints.length >= 3) return lot.customShapePoints;
+    return [{ x: 0, y: 0 }, { x: lot.width, y: 0 }, { x: lot.width, y: lot.depth }, { x: 0, y: lot.depth }];
+}
+
+// The lot boundary with any curved edges broken into short straight segments
+export function getLotPolygonFt(lot) {
+    return flattenOutline(getLotVerticesFt(lot));
+}
+
+// Lot edges with their setback role and distance: [{ index, start, end, curve, path, midpoint, lengthFt, inwardNormal, role, setbackFt }].
+// lot.edgeRoles assigns a role per edge; without one (or after the lot changes shape)
+// the lowest edge on the plan is the front, the highest the rear and the rest are sides.
+export function getLotEdgesFt(lot) {
+    const lotPolygon = getLotVerticesFt(lot);
+    const setbacks = lot.setbacks || {};
+    const storedRoles = Array.isArray(lot.edgeRoles) && lot.edgeRoles.length === lotPolygon.length ? lot.edgeRoles : null;
+    const roles = storedRoles || getDefaultEdgeRolesFt(lotPolygon);
+    return getPolygonEdgesFt(lotPolygon).map(edge => {
+        const role = SETBACK_ROLES.includes(roles[edge.index]) ? roles[edge.index] : 'side';
+        return { ...edge, role, setbackFt: Math.max(0, setbacks[role] || 0) };
+    });
+}
+
+function getDefaultEdgeRolesFt(lotPolygon) {
+    const midYs = lotPolygon.map((p, i) => (p.y + lotPolygon[(i + 1) % lotPolygon.length].y) / 2);
+    const frontIndex = midYs.indexOf(Math.max(...midYs));
+    const rearIndex = midYs.indexOf(Math.min(...midYs));
+    return midYs.map((_, i) => i === frontIndex ? 'front' : (i === rearIndex ? 'rear' : 'side'));
+}
+
+// [{ index, start, end, curve, path, midpoint, lengthFt, inwardNormal }] for each edge of a closed polygon.
+// path runs along the edge from start to end; lengthFt is measured along it and inwardNormal is the chord's.
+export function getPolygonEdgesFt(polygon) {
+    // Signed area tells which side of each edge the inside is on, whatever the winding
+    const flattened = flattenOutline(polygon);
+    const signedArea = flattened.reduce((sum, p, i) => {
+        const next = flattened[(i + 1) % flattened.length];
+        return sum + p.x * next.y - next.x * p.y;
+    }, 0);
+    return polygon.map((start, index) => {
+        const end = polygon[(index + 1) % polygon.length];
+        const curve = start.curve || null;
+        const chordFt = Math.hypot(end.x - start.x, end.y - start.y);
+        const dirX = chordFt ? (end.x - start.x) / chordFt : 0, dirY = chordFt ? (end.y - start.y) / chordFt : 0;
+        const inwardNormal = signedArea > 0 ? { x: -dirY, y: dirX } : { x: dirY, y: -dirX };
+        return {
+            index, start, end, curve, path: [{ x: start.x, y: start.y }, ...getEdgePathFt(start, end, curve)],
+            midpoint: getEdgeMidpointFt(start, end, curve), lengthFt: curve ? getEdgeLengthFt(start, end, curve) : chordFt, inwardNormal
+        };
+    });
+}
+
+// --- Lot Containment ---
+// True when the footprint lies entirely within the lot polygon (touching the boundary is allowed)
+export function isFootprintInsideLot(footprint, lotPolygon) {
+    if (!footprint.every(p => isPointInPolygon(p, lotPolygon) || isOnPolygonBoundaryFt(p, lotPolygon))) return false;
+    // All corners inside can still straddle a notch in the lot, so check the edges cross nowhere
+    if (doPolygonEdgesCrossFt(footprint, lotPolygon)) return false;
+    // A lot vertex strictly inside the footprint means the boundary pokes into it
+    return !lotPolygon.some(p => isPointStrictlyInPolygonFt(p, footprint));
+}
+
+// --- Overlap & Clearance ---
+// True when two footprints share some area; footprints that only touch don't overlap
+export function doFootprintsOverlap(footprintA, footprintB) {
+    if (doPolygonEdgesCrossFt(footprintA, footprintB)) return true;
+    if (footprintA.some(p => isPointStrictlyInPolygonFt(p, footprintB)) || footprintB.some(p => isPointStrictlyInPolygonFt(p, footprintA))) return true;
+    // Coincident outlines share every vertex and edge, so compare their centres too
+    return isPointStrictlyInPolygonFt(getVertexCentreFt(footprintA), footprintB) || isPointStrictlyInPolygonFt(getVertexCentreFt(footprintB), footprintA);
+}
+
+// Shortest gap between two footprints: { distanceFt, from, to } (0 when they overlap)
+export function getFootprintClearanceFt(footprintA, footprintB) {
+    if (doFootprintsOverlap(footprintA, footprintB)) {
+        return { distanceFt: 0, from: getVertexCentreFt(footprintA), to: getVertexCentreFt(footprintB) };
+    }
+    let best = { distanceFt: Infinity, from: null, to: null };
+    const checkVerticesAgainstEdges = (vertices, polygon, isReversed) => vertices.forEach(p => {
+        polygon.forEach((a, i) => {
+            const closest = closestPointOnSegmentFt(p, a, polygon[(i + 1) % polygon.length]);
+            const distanceFt = Math.hypot(closest.x - p.x, closest.y - p.y);
+            if (distanceFt < best.distanceFt) best = isReversed ? { distanceFt, from: closest, to: p } : { distanceFt, from: p, to: closest };
+        });
+    });
+    checkVerticesAgainstEdges(footprintA, footprintB, false);
+    checkVerticesAgainstEdges(footprintB, footprintA, true);
+    return best;
+}
+
+// e.g. 12' 6" (rounded to the nearest inch)
+export function formatDistanceFt(distanceFt) {
+    const totalInches = Math.round(distanceFt * 12);
+    const feet = Math.floor(totalInches / 12);
+    const inches = totalInches % 12;
+    return inches === 0 ? `${feet}'` : `${feet}' ${inches}"`;
+}
+
+// --- Polygon Utilities ---
+export function getPolygonBoundsFt(polygonFt) {
+    if (!polygonFt || polygonFt.length === 0) return { minX: 0, minY: 0, maxX: 0, maxY: 0, width: 0, height: 0 };
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    polygonFt.forEach(p => {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    });
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+export function getPolygonAreaFt(polygon) {
+    return Math.abs(polygon.reduce((sum, p, i) => {
+        const next = polygon[(i + 1) % polygon.length];
+        return sum + p.x * next.y - next.x * p.y;
+    }, 0)) / 2;
+}
+
+export function getVertexCentreFt(polygon) {
+    return { x: polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length, y: polygon.reduce((sum, p) => sum + p.y, 0) / polygon.length };
+}
+
+export function closestPointOnSegmentFt(point, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq));
+    return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+export function isPointInPolygon(point, polygon) {
+    // Ray-casting algorithm
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const xi = polygon[i].x, yi = polygon[i].y;
+        const xj = polygon[j].x, yj = polygon[j].y;
+        const intersect = ((yi > point.y) !== (yj > point.y)) &&
+            (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
+        if (intersect) inside = !inside;
+    }
+    return inside;
+}
+
+export function isOnPolygonBoundaryFt(point, polygon) {
+    return polygon.some((a, i) => {
+        const closest = closestPointOnSegmentFt(point, a, polygon[(i + 1) % polygon.length]);
+        return Math.hypot(closest.x - point.x, closest.y - point.y) <= CONTAINMENT_EPSILON_FT;
+    });
+}
+
+function isPointStrictlyInPolygonFt(point, polygon) {
+    return isPointInPolygon(point, polygon) && !isOnPolygonBoundaryFt(point, polygon);
+}
+
+// Edges that properly cross; segments that only touch (shared points, collinear runs) don't count
+function doPolygonEdgesCrossFt(polygonA, polygonB) {
+    for (let i = 0; i < polygonA.length; i++) {
+        const a1 = polygonA[i], a2 = polygonA[(i + 1) % polygonA.length];
+        for (let j = 0; j < polygonB.length; j++) {
+            const b1 = polygonB[j], b2 = polygonB[(j + 1) % polygonB.length];
+            if (!segmentsIntersect(a1, a2, b1, b2)) continue;
+            const touches = [[a1, b1, b2], [a2, b1, b2], [b1, a1, a2], [b2, a1, a2]].some(([point, s1, s2]) => {
+                const closest = closestPointOnSegmentFt(point, s1, s2);
+                return Math.hypot(closest.x - point.x, closest.y - point.y) <= CONTAINMENT_EPSILON_FT;
+            });
+            if (!touches) return true;
+        }
+    }
+    return false;
+}
+
+// Helper for segment intersection (from a common algorithm)
+export function segmentsIntersect(p1, p2, p3, p4) {
+    function orientation(p, q, r) {
+        const val = (q.y - p.y) * (r.x - q.x) - (q.x - p.x) * (r.y - q.y);
+        if (val === 0) return 0; // Collinear
+        return (val > 0) ? 1 : 2; // Clockwise or Counterclockwise
+    }
+    function onSegment(p, q, r) {
+        return (q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) &&
+                q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y));
+    }
+    const o1 = orientation(p1, p2, p3); const o2 = orientation(p1, p2, p4);
+    const o3 = orientation(p3, p4, p1); const o4 = orientation(p3, p4, p2);
+    if (o1 !== o2 && o3 !== o4) return true;
+    if (o1 === 0 && onSegment(p1, p3, p2)) return true; if (o2 === 0 && onSegment(p1, p4, p2)) return true;
+    if (o3 === 0 && onSegment(p3, p1, p4)) return true; if (o4 === 0 && onSegment(p3, p2, p4)) return true;
+    return false;
+}
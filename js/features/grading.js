@@ -0,0 +1,111 @@
+// js/features/grading.js
+// Grading plan: the ground surface from surveyed spot elevations, and the contours and slopes read
+// off it. Spot elevations live on the lot as
+//   spotElevations: [{ id, x, y, elevation }]   lot feet; elevation in feet above the survey datum
+// Contours and slopes work on a sampled ground grid, { originX, originY, cellSizeFt, columns, rows,
+// heights }, laid out like a terrain heightmap (see terrain.js).
+
+export const SLOPE_CLASSES = [
+    { id: 'flat', label: 'Flat', maxPercent: 2 },
+    { id: 'gentle', label: 'Gentle', maxPercent: 10 },
+    { id: 'steep', label: 'Steep', maxPercent: Infinity }
+];
+
+export const DEFAULT_CONTOUR_INTERVAL_FT = 1;
+export const MAJOR_CONTOUR_EVERY = 5; // Every fifth contour is drawn heavier and labelled
+
+const IDW_POWER = 2;
+
+// The surveyed surface at (x, y): spot elevations blended by inverse distance weighting, so the
+// surface passes through every spot. null without any spots.
+export function getSpotSurfaceElevationFt(spots, x, y) {
+    if (!Array.isArray(spots) || spots.length === 0) return null;
+    let weightSum = 0, elevationSum = 0;
+    for (const spot of spots) {
+        const distanceSq = (spot.x - x) ** 2 + (spot.y - y) ** 2;
+        if (distanceSq < 1e-12) return spot.elevation;
+        const weight = 1 / distanceSq ** (IDW_POWER / 2);
+        weightSum += weight;
+        elevationSum += weight * spot.elevation;
+    }
+    return elevationSum / weightSum;
+}
+
+export function getSlopeClass(slopePercent) {
+    return SLOPE_CLASSES.find(slopeClass => slopePercent <= slopeClass.maxPercent) || SLOPE_CLASSES[SLOPE_CLASSES.length - 1];
+}
+
+// Slope of grid cell (column, row), the square between four samples, as a percentage
+export function getCellSlopePercent(grid, column, row) {
+    const at = (c, r) => grid.heights[r * grid.columns + c];
+    const riseX = (at(column + 1, row) + at(column + 1, row + 1) - at(column, row) - at(column, row + 1)) / 2;
+    const riseY = (at(column, row + 1) + at(column + 1, row + 1) - at(column, row) - at(column + 1, row)) / 2;
+    return Math.hypot(riseX, riseY) / grid.cellSizeFt * 100;
+}
+
+// Contour lines every intervalFt of elevation (grid heights plus datumFt) by marching squares:
+// [{ elevation, isMajor, segments: [[start, end], ...] }], points in lot feet
+export function getContourLines(grid, intervalFt, datumFt = 0) {
+    if (!grid || !(intervalFt > 0) || grid.columns < 2 || grid.rows < 2) return [];
+    const elevations = grid.heights.map(height => height + datumFt);
+    const lowest = Math.min(...elevations), highest = Math.max(...elevations);
+    const lines = [];
+    for (let step = Math.ceil(lowest / intervalFt); step * intervalFt <= highest; step++) {
+        const level = step * intervalFt;
+        const segments = [];
+        for (let row = 0; row < grid.rows - 1; row++) {
+            for (let column = 0; column < grid.columns - 1; column++) {
+                segments.push(...getCellContourSegments(grid, elevations, column, row, level));
+            }
+        }
+        if (segments.length > 0) lines.push({ elevation: level, isMajor: step % MAJOR_CONTOUR_EVERY === 0, segments });
+    }
+    return lines;
+}
+
+function getCellContourSegments(grid, elevations, column, row, level) {
+    const corners = [[column, row], [column + 1, row], [column + 1, row + 1], [column, row + 1]].map(([c, r]) => ({
+        x: grid.originX + c * grid.cellSizeFt, y: grid.originY + r * grid.cellSizeFt, elevation: elevations[r * grid.columns + c]
+    }));
+    // Where the level crosses each side, going clockwise from the top
+    const crossings = corners.map((a, i) => {
+        const b = corners[(i + 1) % 4];
+        if ((a.elevation >= level) === (b.elevation >= level)) return null;
+        const t = (level - a.elevation) / (b.elevation - a.elevation);
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    });
+    const sides = crossings.map((p, i) => p ? i : -1).filter(i => i >= 0);
+    if (sides.length === 2) return [[crossings[sides[0]], crossings[sides[1]]]];
+    if (sides.length !== 4) return [];
+    // A saddle: the cell's average decides whether the high corners are joined across the middle
+    const centre = corners.reduce((sum, corner) => sum + corner.elevation, 0) / 4;
+    const isTopLeftHigh = corners[0].elevation >= level;
+    return (centre >= level) === isTopLeftHigh
+        ? [[crossings[0], crossings[1]], [crossings[2], crossings[3]]]
+        : [[crossings[3], crossings[0]], [crossings[1], crossings[2]]];
+}
+
+// How the ground runs under a footprint (lot feet polygon), from its corners, edge midpoints and
+// centre: { slopePercent, slopeClass, fallFt } where fall is the height difference across it.
+// heightAt(x, y) gives the ground height.
+export function getFootprintGrade(footprint, heightAt) {
+    if (!footprint || footprint.length < 3) return null;
+    const centre = footprint.reduce((sum, p) => ({ x: sum.x + p.x / footprint.length, y: sum.y + p.y / footprint.length }), { x: 0, y: 0 });
+    const samples = [centre, ...footprint.flatMap((p, i) => {
+        const next = footprint[(i + 1) % footprint.length];
+        return [p, { x: (p.x + next.x) / 2, y: (p.y + next.y) / 2 }];
+    })].map(p => ({ x: p.x - centre.x, y: p.y - centre.y, height: heightAt(p.x, p.y) }));
+    // Least-squares plane through the samples, centred so the cross terms stay small
+    const meanHeight = samples.reduce((sum, s) => sum + s.height, 0) / samples.length;
+    let sxx = 0, syy = 0, sxy = 0, sxh = 0, syh = 0;
+    samples.forEach(s => {
+        sxx += s.x * s.x; syy += s.y * s.y; sxy += s.x * s.y;
+        sxh += s.x * (s.height - meanHeight); syh += s.y * (s.height - meanHeight);
+    });
+    const determinant = sxx * syy - sxy * sxy;
+    const gradientX = Math.abs(determinant) > 1e-9 ? (sxh * syy - syh * sxy) / determinant : 0;
+    const gradientY = Math.abs(determinant) > 1e-9 ? (syh * sxx - sxh * sxy) / determinant : 0;
+    const slopePercent = Math.hypot(gradientX, gradientY) * 100;
+    const heights = samples.map(s => s.height);
+    return { slopePercent, slopeClass: getSlopeClass(slopePercent), fallFt: Math.max(...heights) - Math.min(...heights) };
+}
@@ -0,0 +1,87 @@
+// js/features/history.js
+// Command-based undo/redo history for design operations.
+// A command is a plain object: { label, execute(), undo(), mergeKey?, mergeWith?(nextCommand) }
+
+const MAX_HISTORY_LENGTH = 200;
+const MERGE_WINDOW_MS = 1000; // Consecutive commands with the same mergeKey inside this window collapse into one step
+
+// --- Module-level Variables ---
+let undoStack = [];
+let redoStack = [];
+let onHistoryChange = () => {};
+
+export function setHistoryChangeListener(listener) {
+    onHistoryChange = typeof listener === 'function' ? listener : () => {};
+    notifyHistoryChange();
+}
+
+function notifyHistoryChange() {
+    onHistoryChange({
+        canUndo: undoStack.length > 0,
+        canRedo: redoStack.length > 0,
+        undoLabel: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+        redoLabel: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+    });
+}
+
+// --- Recording ---
+// Runs the command and pushes it onto the undo stack.
+export function executeCommand(command) {
+    if (!command) return;
+    command.execute();
+    recordCommand(command);
+}
+
+// Pushes a command whose effect has already been applied (e.g. the end of a drag).
+export function recordCommand(command) {
+    if (!command) return;
+    const now = Date.now();
+    const top = undoStack[undoStack.length - 1];
+    if (top && redoStack.length === 0 && command.mergeKey && top.mergeKey === command.mergeKey &&
+        (now - top.timestamp) < MERGE_WINDOW_MS && typeof top.mergeWith === 'function' && top.mergeWith(command)) {
+        top.timestamp = now;
+    } else {
+        command.timestamp = now;
+        undoStack.push(command);
+        if (undoStack.length > MAX_HISTORY_LENGTH) undoStack.shift();
+    }
+    redoStack = [];
+    notifyHistoryChange();
+}
+
+// --- Undo / Redo ---
+export function undo() {
+    const command = undoStack.pop();
+    if (!command) return null;
+    try {
+        command.undo();
+        redoStack.push(command);
+    } catch (error) {
+        console.error(`Error undoing "${command.label}":`, error);
+    }
+    notifyHistoryChange();
+    return command;
+}
+
+export function redo() {
+    const command = redoStack.pop();
+    if (!command) return null;
+    try {
+        command.execute();
+        command.timestamp = 0; // A redone step never merges with the next edit
+        undoStack.push(command);
+    } catch (error) {
+        console.error(`Error redoing "${command.label}":`, error);
+    }
+    notifyHistoryChange();
+    return command;
+}
+
+export function canUndo() { return undoStack.length > 0; }
+export function canRedo() { return redoStack.length > 0; }
+
+export function clearHistory() {
+    undoStack = [];
+    redoStack = [];
+    notifyHistoryChange();
+}
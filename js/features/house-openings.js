@@ -0,0 +1,119 @@
+// js/features/house-openings.js
+// Doors and windows in custom house walls. A house's `openings` list holds
+//   { id, type: 'door' | 'window', edge, offset, width, height, sill }
+// where `edge` is the outline edge index (the edge from outline[edge] to the next corner) and
+// `offset` the distance in feet from that edge's start corner to the opening's centre. Sizes are
+// in feet; `sill` is the height of the opening's bottom above the ground (0 for doors).
+// Openings sit on straight edges only; one left on an edge that was later curved is ignored.
+
+import { flattenOutline } from './curves.js';
+
+export const OPENING_TYPES = ['door', 'window'];
+
+export const OPENING_DEFAULTS = {
+    door: { width: 3, height: 6.75, sill: 0 },
+    window: { width: 3, height: 4, sill: 3 }
+};
+
+const MIN_WALL_PIECE_FT = 0.01;
+
+// Edge `index` of the house outline in house-local feet: { start, end, lengthFt, isCurved }
+export function getHouseEdgeFt(house, index) {
+    const outline = house.outline || [];
+    if (index < 0 || index >= outline.length) return null;
+    const start = outline[index], end = outline[(index + 1) % outline.length];
+    return { start: { x: start.x, y: start.y }, end: { x: end.x, y: end.y }, lengthFt: Math.hypot(end.x - start.x, end.y - start.y), isCurved: !!start.curve };
+}
+
+// Unit normal of the wall segment start→end (house-local feet) pointing into the house
+export function getInwardNormal(house, start, end) {
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+    if (length === 0) return { x: 0, y: 0 };
+    const traced = flattenOutline(house.outline || []);
+    const signedArea = traced.reduce((sum, p, i) => {
+        const next = traced[(i + 1) % traced.length];
+        return sum + p.x * next.y - next.x * p.y;
+    }, 0);
+    const side = signedArea >= 0 ? 1 : -1; // The interior is to the left of each edge for positive area
+    return { x: -(end.y - start.y) / length * side, y: (end.x - start.x) / length * side };
+}
+
+// Where an opening actually lands, clamped to its edge and the wall height:
+// { opening, edge, fromFt, toFt, start, end, bottom, top } or null when it can't be placed
+export function getOpeningSpan(house, opening) {
+    const edge = getHouseEdgeFt(house, opening.edge);
+    if (!edge || edge.isCurved || edge.lengthFt === 0) return null;
+    const defaults = OPENING_DEFAULTS[opening.type] || OPENING_DEFAULTS.window;
+    const width = Math.min(edge.lengthFt, parseFloat(opening.width) > 0 ? parseFloat(opening.width) : defaults.width);
+    const centre = Math.min(edge.lengthFt - width / 2, Math.max(width / 2, parseFloat(opening.offset) || 0));
+    const wallHeight = house.wallHeight || 0;
+    const bottom = Math.min(wallHeight, Math.max(0, parseFloat(opening.sill) || 0));
+    const top = Math.min(wallHeight, bottom + (parseFloat(opening.height) > 0 ? parseFloat(opening.height) : defaults.height));
+    if (top - bottom <= 0) return null;
+    const fromFt = centre - width / 2, toFt = centre + width / 2;
+    const pointAt = distance => ({
+        x: edge.start.x + (edge.end.x - edge.start.x) * distance / edge.lengthFt,
+        y: edge.start.y + (edge.end.y - edge.start.y) * distance / edge.lengthFt
+    });
+    return { opening, edge, fromFt, toFt, start: pointAt(fromFt), end: pointAt(toFt), bottom, top };
+}
+
+export function getEdgeOpeningSpans(house, edgeIndex) {
+    return (house.openings || []).filter(opening => opening.edge === edgeIndex)
+        .map(opening => getOpeningSpan(house, opening)).filter(Boolean)
+        .sort((a, b) => a.fromFt - b.fromFt);
+}
+
+// The solid parts of a straight wall once its openings are cut out, as rectangles in the wall's
+// plane: [{ fromFt, toFt, bottom, top }], distances along the edge and heights above the ground
+export function getEdgeWallPieces(house, edgeIndex) {
+    const edge = getHouseEdgeFt(house, edgeIndex);
+    const wallHeight = house.wallHeight || 0;
+    if (!edge) return [];
+    const spans = getEdgeOpeningSpans(house, edgeIndex);
+    const breaks = [...new Set([0, edge.lengthFt, ...spans.flatMap(span => [span.fromFt, span.toFt])])].sort((a, b) => a - b);
+    const pieces = [];
+    breaks.slice(0, -1).forEach((from, i) => {
+        const to = breaks[i + 1];
+        if (to - from < MIN_WALL_PIECE_FT) return;
+        // Heights cut away over this stretch, merged where openings overlap
+        const gaps = spans.filter(span => span.fromFt < to - 1e-9 && span.toFt > from + 1e-9)
+            .map(span => [span.bottom, span.top]).sort((a, b) => a[0] - b[0]);
+        let solidFrom = 0;
+        gaps.forEach(([bottom, top]) => {
+            if (bottom - solidFrom > MIN_WALL_PIECE_FT) pieces.push({ fromFt: from, toFt: to, bottom: solidFrom, top: bottom });
+            solidFrom = Math.max(solidFrom, top);
+        });
+        if (wallHeight - solidFrom > MIN_WALL_PIECE_FT) pieces.push({ fromFt: from, toFt: to, bottom: solidFrom, top: wallHeight });
+    });
+    return pieces;
+}
+
+// Keeps openings on the same stretch of wall when a corner is inserted or deleted
+// (change is the vertex edit's { type: 'insert' | 'delete' | 'move', index })
+export function remapOpeningsForOutlineChange(openings, oldOutline, newOutline, change) {
+    if (!Array.isArray(openings) || !change || change.type === 'move') return openings;
+    const oldLength = index => {
+        const start = oldOutline[index], end = oldOutline[(index + 1) % oldOutline.length];
+        return Math.hypot(end.x - start.x, end.y - start.y);
+    };
+    if (change.type === 'insert') {
+        // Inserting at index i splits edge i - 1 into new edges i - 1 and i
+        const splitEdge = (change.index - 1 + oldOutline.length) % oldOutline.length;
+        const first = newOutline[splitEdge], middle = newOutline[change.index];
+        const firstLength = Math.hypot(middle.x - first.x, middle.y - first.y);
+        return openings.map(opening => {
+            if (opening.edge === splitEdge && opening.offset > firstLength) return { ...opening, edge: change.index, offset: opening.offset - firstLength };
+            if (opening.edge >= change.index) return { ...opening, edge: opening.edge + 1 };
+            return opening;
+        });
+    }
+    // Deleting corner i merges edge i into the edge before it
+    const previousEdge = (change.index - 1 + oldOutline.length) % oldOutline.length;
+    return openings.map(opening => {
+        const merged = opening.edge === change.index;
+        const edge = merged ? previousEdge : opening.edge;
+        const offset = merged ? opening.offset + oldLength(previousEdge) : opening.offset;
+        return { ...opening, edge: edge > change.index ? edge - 1 : edge, offset };
+    });
+}
@@ -0,0 +1,317 @@
+// js/features/roofs.js
+// Custom house roofs. Pitched roofs are built from a weighted straight skeleton of the eave line:
+// every eave edge's roof plane rises at that edge's pitch (x/12), and the planes meet in the hips,
+// valleys and ridges of the outline, so L- and T-shaped houses get the roof they would really have.
+// A gable end is an edge whose plane is vertical: it stays put while the others move in.
+// Faces are planar polygons of { x, y, z } in the house's local plan frame (feet, relative to the
+// house centre), with z measured up from the top of the walls.
+
+import { getEdgePathFt } from './curves.js';
+
+export const ROOF_TYPES = ['flat', 'gabled', 'hipped', 'shed'];
+export const DEFAULT_ROOF_PITCH = 6; // Rise in inches per 12 inches of run
+export const DEFAULT_EAVE_OVERHANG_FT = 1;
+export const GABLE_EDGE_PITCH = 'gable'; // Per-edge pitch value that makes the edge a gable end
+
+const MAX_SKELETON_EVENTS = 2000; // Bails out (and the roof goes flat) rather than loop on bad input
+const TIME_EPSILON = 1e-7;
+const LENGTH_EPSILON = 1e-6;
+
+// Everything needed to mesh a custom house's roof:
+//   { type, eaves, faces, gableFaces, shedPlane }
+// `eaves` is the roof's flattened outline with the overhang applied. `faces` are the sloped roof
+// faces and `gableFaces` the vertical ones (gable ends, the sides of a shed roof), which are built
+// as wall. Flat roofs have neither; a shed roof's top is `eaves` lifted by getShedRoofHeightFt.
+export function getRoofPlan(house) {
+    const pieces = getOutlinePieces(house.outline);
+    const type = ROOF_TYPES.includes(house.roofType) ? house.roofType : 'flat';
+    const pitch = parseFloat(house.roofPitch) > 0 ? parseFloat(house.roofPitch) : DEFAULT_ROOF_PITCH;
+    const overhang = parseFloat(house.eaveOverhang) >= 0 ? parseFloat(house.eaveOverhang) : DEFAULT_EAVE_OVERHANG_FT;
+    const edgePitches = Array.isArray(house.edgePitches) ? house.edgePitches : [];
+    const plan = { type, eaves: [], faces: [], gableFaces: [], shedPlane: null };
+    if (pieces.length < 3) return plan;
+
+    if (type === 'flat') {
+        plan.eaves = offsetPolygon(pieces.map(p => p.start), pieces.map(() => overhang));
+        return plan;
+    }
+    if (type === 'shed') {
+        plan.eaves = offsetPolygon(pieces.map(p => p.start), pieces.map(() => overhang));
+        plan.shedPlane = getShedPlane(plan.eaves, pitch);
+        plan.eaves.forEach((a, i) => {
+            const b = plan.eaves[(i + 1) % plan.eaves.length];
+            const heightA = getShedRoofHeightFt(plan.shedPlane, a), heightB = getShedRoofHeightFt(plan.shedPlane, b);
+            if (heightA < LENGTH_EPSILON && heightB < LENGTH_EPSILON) return; // The low eave needs no wall
+            plan.gableFaces.push([{ ...a, z: 0 }, { ...b, z: 0 }, { ...b, z: heightB }, { ...a, z: heightA }]);
+        });
+        return plan;
+    }
+
+    // Each flattened piece takes its source edge's pitch; curved pieces are never made gables automatically
+    const edgePitch = pieces.map(piece => edgePitches[piece.sourceEdge]);
+    let isGable = edgePitch.map(value => value === GABLE_EDGE_PITCH);
+    const getSpeeds = () => edgePitch.map((value, i) => isGable[i] ? 0 : 12 / (parseFloat(value) > 0 ? parseFloat(value) : pitch));
+    if (type === 'gabled') {
+        // The hip roof's triangular ends become gables, skipping neighbours so two gables never share a corner
+        const hipEaves = offsetPolygon(pieces.map(p => p.start), pieces.map((_, i) => isGable[i] ? 0 : overhang));
+        const hipRoof = buildSkeletonRoof(hipEaves, getSpeeds());
+        if (hipRoof) {
+            const candidates = hipRoof.triangularEdges.filter(i => !pieces[i].isCurved && !isGable[i])
+                .sort((a, b) => pieces[a].length - pieces[b].length || a - b);
+            const count = pieces.length;
+            isGable = [...isGable];
+            candidates.forEach(i => {
+                if (!isGable[(i + 1) % count] && !isGable[(i + count - 1) % count]) isGable[i] = true;
+            });
+        }
+    }
+    plan.eaves = offsetPolygon(pieces.map(p => p.start), pieces.map((_, i) => isGable[i] ? 0 : overhang));
+    const roof = buildSkeletonRoof(plan.eaves, getSpeeds());
+    if (!roof) { // Fall back to a flat roof rather than show a broken one
+        plan.type = 'flat';
+        return plan;
+    }
+    roof.faces.forEach(face => (isGable[face.edge] ? plan.gableFaces : plan.faces).push(face.points));
+    return plan;
+}
+
+// Height of a shed roof above the wall top at a plan point
+export function getShedRoofHeightFt(shedPlane, point) {
+    return Math.max(0, (shedPlane.normal.x * (point.x - shedPlane.origin.x) + shedPlane.normal.y * (point.y - shedPlane.origin.y)) * shedPlane.slope);
+}
+
+// Highest point of the roof above the wall top
+export function getRoofRiseFt(plan) {
+    if (plan.type === 'shed') return Math.max(...plan.eaves.map(p => getShedRoofHeightFt(plan.shedPlane, p)));
+    return plan.faces.reduce((rise, face) => Math.max(rise, ...face.map(p => p.z)), 0);
+}
+
+// The outline split into straight pieces (curves flattened), each remembering the outline edge it came from
+export function getOutlinePieces(outline) {
+    if (!Array.isArray(outline) || outline.length < 3) return [];
+    const pieces = [];
+    outline.forEach((start, i) => {
+        const end = outline[(i + 1) % outline.length];
+        let previous = { x: start.x, y: start.y };
+        getEdgePathFt(start, end, start.curve).forEach(point => {
+            const length = Math.hypot(point.x - previous.x, point.y - previous.y);
+            if (length > LENGTH_EPSILON) pieces.push({ start: previous, length, sourceEdge: i, isCurved: !!start.curve });
+            previous = { x: point.x, y: point.y };
+        });
+    });
+    return pieces;
+}
+
+function getSignedArea(points) {
+    return points.reduce((sum, p, i) => {
+        const next = points[(i + 1) % points.length];
+        return sum + p.x * next.y - next.x * p.y;
+    }, 0) / 2;
+}
+
+// Unit normal of edge a→b pointing into a polygon of the given orientation
+function getInwardNormal(a, b, orientation) {
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    return { x: -(b.y - a.y) / length * orientation, y: (b.x - a.x) / length * orientation };
+}
+
+// Moves each edge outward by its own distance (negative moves it in); corners land where the moved edges meet
+export function offsetPolygon(points, distances) {
+    const count = points.length;
+    const orientation = Math.sign(getSignedArea(points)) || 1;
+    const lines = points.map((a, i) => {
+        const b = points[(i + 1) % count];
+        const normal = getInwardNormal(a, b, orientation);
+        return { normal, offset: normal.x * a.x + normal.y * a.y - distances[i] };
+    });
+    return points.map((p, i) => {
+        const before = lines[(i + count - 1) % count], after = lines[i];
+        return intersectLines(before, after) || { x: p.x - after.normal.x * distances[i], y: p.y - after.normal.y * distances[i] };
+    });
+}
+
+// Where n1·x = c1 meets n2·x = c2, or null for (nearly) parallel lines
+function intersectLines(first, second) {
+    const det = first.normal.x * second.normal.y - first.normal.y * second.normal.x;
+    if (Math.abs(det) < 1e-9) return null;
+    return {
+        x: (first.offset * second.normal.y - first.normal.y * second.offset) / det,
+        y: (first.normal.x * second.offset - first.offset * second.normal.x) / det
+    };
+}
+
+// Shed roofs rise away from the longest eave
+function getShedPlane(eaves, pitch) {
+    const orientation = Math.sign(getSignedArea(eaves)) || 1;
+    let longest = 0;
+    eaves.forEach((a, i) => {
+        const b = eaves[(i + 1) % eaves.length], best = eaves[(longest + 1) % eaves.length];
+        if (Math.hypot(b.x - a.x, b.y - a.y) > Math.hypot(best.x - eaves[longest].x, best.y - eaves[longest].y)) longest = i;
+    });
+    const origin = eaves[longest];
+    return { origin: { ...origin }, normal: getInwardNormal(origin, eaves[(longest + 1) % eaves.length], orientation), slope: pitch / 12 };
+}
+
+// --- Straight skeleton ---
+// The eave line is shrunk as a wavefront: edge i moves inward at speeds[i] feet of run per foot of rise,
+// so time is height. Between events every wavefront edge sweeps a planar trapezoid of its roof face.
+// Edge events (an edge shrinks to nothing) merge its two corners; split events (a reflex corner runs
+// into another edge) cut the wavefront in two. Returns { faces: [{ edge, points }], triangularEdges },
+// where triangularEdges are the edges whose face closed to a point (a hip end), or null on failure.
+function buildSkeletonRoof(eaves, speeds) {
+    const orientation = Math.sign(getSignedArea(eaves)) || 1;
+    const edges = eaves.map((a, i) => {
+        const b = eaves[(i + 1) % eaves.length];
+        const normal = getInwardNormal(a, b, orientation);
+        return { normal, direction: { x: normal.y * orientation, y: -normal.x * orientation }, speed: speeds[i], pieces: 1, closedAtPoint: false };
+    });
+    let wavefronts = [eaves.map((p, i) => ({ x: p.x, y: p.y, edge: i }))];
+    const faces = [];
+    let time = 0;
+
+    for (let eventCount = 0; wavefronts.length > 0; eventCount++) {
+        if (eventCount > MAX_SKELETON_EVENTS) return null;
+        wavefronts.forEach(wavefront => wavefront.forEach((vertex, i) => {
+            vertex.velocity = getVertexVelocity(edges[wavefront[(i + wavefront.length - 1) % wavefront.length].edge], edges[vertex.edge]);
+        }));
+        const event = findNextSkeletonEvent(wavefronts, edges, orientation);
+        if (!event || !isFinite(event.delay)) return null;
+
+        if (event.delay > TIME_EPSILON) {
+            wavefronts.forEach(wavefront => wavefront.forEach((vertex, i) => {
+                const next = wavefront[(i + 1) % wavefront.length];
+                faces.push({ edge: vertex.edge, points: [
+                    { x: vertex.x, y: vertex.y, z: time }, { x: next.x, y: next.y, z: time },
+                    { x: next.x + next.velocity.x * event.delay, y: next.y + next.velocity.y * event.delay, z: time + event.delay },
+                    { x: vertex.x + vertex.velocity.x * event.delay, y: vertex.y + vertex.velocity.y * event.delay, z: time + event.delay }
+                ] });
+            }));
+            wavefronts.forEach(wavefront => wavefront.forEach(vertex => {
+                vertex.x += vertex.velocity.x * event.delay;
+                vertex.y += vertex.velocity.y * event.delay;
+            }));
+            time += event.delay;
+        }
+
+        const wavefront = event.wavefront;
+        const remaining = wavefronts.filter(other => other !== wavefront);
+        const count = wavefront.length;
+        if (event.type === 'edge') {
+            const vertex = wavefront[event.index], next = wavefront[(event.index + 1) % count];
+            if (edges[vertex.edge].pieces === 1) edges[vertex.edge].closedAtPoint = true;
+            const merged = { x: (vertex.x + next.x) / 2, y: (vertex.y + next.y) / 2, edge: next.edge };
+            remaining.push(wavefront.map((v, i) => i === event.index ? merged : v).filter((_, i) => i !== (event.index + 1) % count));
+        } else {
+            const vertex = wavefront[event.index];
+            const hit = { x: vertex.x, y: vertex.y };
+            edges[wavefront[event.edgeIndex].edge].pieces++;
+            const first = [{ ...hit, edge: vertex.edge }], second = [{ ...hit, edge: wavefront[event.edgeIndex].edge }];
+            for (let i = (event.index + 1) % count; i !== (event.edgeIndex + 1) % count; i = (i + 1) % count) first.push(wavefront[i]);
+            for (let i = (event.edgeIndex + 1) % count; i !== event.index; i = (i + 1) % count) second.push(wavefront[i]);
+            remaining.push(first, second);
+        }
+        remaining.forEach(front => removeOvertakenEdges(front, edges));
+        // A wavefront with no area left has closed into ridges; its edges already shrunk to nothing were hip ends
+        wavefronts = remaining.filter(front => {
+            if (front.length >= 3 && Math.abs(getSignedArea(front)) > 1e-6) return true;
+            front.forEach((vertex, i) => {
+                const next = front[(i + 1) % front.length];
+                if (Math.hypot(next.x - vertex.x, next.y - vertex.y) < 1e-4 && edges[vertex.edge].pieces === 1) edges[vertex.edge].closedAtPoint = true;
+            });
+            return false;
+        });
+    }
+    const triangularEdges = edges.map((edge, i) => edge.closedAtPoint ? i : -1).filter(i => i >= 0);
+    return { faces: faces.filter(face => getFaceArea(face.points) > 1e-9), triangularEdges };
+}
+
+// Two neighbouring edges on one line (left when the edge between them collapses) can't both stay in
+// the wavefront: the faster one overtakes the slower, whose face ends there
+function removeOvertakenEdges(wavefront, edges) {
+    for (let i = 0; i < wavefront.length && wavefront.length > 2; i++) {
+        const previous = wavefront[(i + wavefront.length - 1) % wavefront.length], vertex = wavefront[i];
+        const edgeIn = edges[previous.edge], edgeOut = edges[vertex.edge];
+        const isSameLine = Math.abs(edgeIn.normal.x * edgeOut.normal.y - edgeIn.normal.y * edgeOut.normal.x) < 1e-9 &&
+            edgeIn.normal.x * edgeOut.normal.x + edgeIn.normal.y * edgeOut.normal.y > 0;
+        if (!isSameLine) continue;
+        if (edgeIn.speed < edgeOut.speed) previous.edge = vertex.edge;
+        wavefront.splice(i, 1);
+        i--;
+    }
+}
+
+// The velocity that keeps a corner on both of its (moving) edges
+function getVertexVelocity(edgeIn, edgeOut) {
+    const det = edgeIn.normal.x * edgeOut.normal.y - edgeIn.normal.y * edgeOut.normal.x;
+    if (Math.abs(det) < 1e-9) { // Parallel edges: move with them (antiparallel ones only meet as the wavefront closes)
+        return {
+            x: (edgeIn.normal.x * edgeIn.speed + edgeOut.normal.x * edgeOut.speed) / 2,
+            y: (edgeIn.normal.y * edgeIn.speed + edgeOut.normal.y * edgeOut.speed) / 2
+        };
+    }
+    return {
+        x: (edgeIn.speed * edgeOut.normal.y - edgeIn.normal.y * edgeOut.speed) / det,
+        y: (edgeIn.normal.x * edgeOut.speed - edgeIn.speed * edgeOut.normal.x) / det
+    };
+}
+
+// The soonest edge or split event, as { type, wavefront, index, edgeIndex?, delay }. Edge events win ties.
+function findNextSkeletonEvent(wavefronts, edges, orientation) {
+    let best = null;
+    const consider = (event) => {
+        if (event.delay < -TIME_EPSILON) return;
+        event.delay = Math.max(0, event.delay);
+        const isSooner = !best || event.delay < best.delay - TIME_EPSILON ||
+            (event.delay < best.delay + TIME_EPSILON && event.type === 'edge' && best.type === 'split');
+        if (isSooner) best = event;
+    };
+    wavefronts.forEach(wavefront => {
+        const count = wavefront.length;
+        wavefront.forEach((vertex, index) => {
+            const next = wavefront[(index + 1) % count];
+            const direction = edges[vertex.edge].direction;
+            const length = direction.x * (next.x - vertex.x) + direction.y * (next.y - vertex.y);
+            const shrinkRate = direction.x * (next.velocity.x - vertex.velocity.x) + direction.y * (next.velocity.y - vertex.velocity.y);
+            if (length < LENGTH_EPSILON) consider({ type: 'edge', wavefront, index, delay: 0 });
+            else if (shrinkRate < -1e-12) consider({ type: 'edge', wavefront, index, delay: -length / shrinkRate });
+
+            const previous = wavefront[(index + count - 1) % count];
+            const inDirection = edges[previous.edge].direction;
+            const turn = inDirection.x * direction.y - inDirection.y * direction.x;
+            if (turn * orientation >= -1e-9) return; // Only reflex corners split the wavefront
+            for (let k = 0; k < count; k++) {
+                if (k === index || k === (index + count - 1) % count) continue;
+                const delay = getSplitDelay(vertex, wavefront[k], wavefront[(k + 1) % count], edges[wavefront[k].edge]);
+                if (delay !== null) consider({ type: 'split', wavefront, index, edgeIndex: k, delay });
+            }
+        });
+    });
+    return best;
+}
+
+// When a reflex corner reaches the segment start→end of a moving edge, or null if it never does
+function getSplitDelay(vertex, start, end, edge) {
+    const gap = edge.normal.x * (vertex.x - start.x) + edge.normal.y * (vertex.y - start.y);
+    const closingSpeed = edge.speed - (edge.normal.x * vertex.velocity.x + edge.normal.y * vertex.velocity.y);
+    if (gap < -LENGTH_EPSILON || closingSpeed <= 1e-12) return null;
+    const delay = Math.max(0, gap) / closingSpeed;
+    const hit = { x: vertex.x + vertex.velocity.x * delay, y: vertex.y + vertex.velocity.y * delay };
+    const a = { x: start.x + start.velocity.x * delay, y: start.y + start.velocity.y * delay };
+    const b = { x: end.x + end.velocity.x * delay, y: end.y + end.velocity.y * delay };
+    const span = edge.direction.x * (b.x - a.x) + edge.direction.y * (b.y - a.y);
+    if (span < LENGTH_EPSILON) return null;
+    const along = (edge.direction.x * (hit.x - a.x) + edge.direction.y * (hit.y - a.y)) / span;
+    return along > -1e-6 && along < 1 + 1e-6 ? delay : null;
+}
+
+// Area of a planar 3D face, so vertical (gable) faces count too
+function getFaceArea(points) {
+    let x = 0, y = 0, z = 0;
+    points.forEach((p, i) => {
+        const next = points[(i + 1) % points.length];
+        x += (p.y - next.y) * (p.z + next.z);
+        y += (p.z - next.z) * (p.x + next.x);
+        z += (p.x - next.x) * (p.y + next.y);
+    });
+    return Math.hypot(x, y, z) / 2;
+}
@@ -0,0 +1,186 @@
+// js/features/routes.js
+// Fences, paths and hedges drawn point-to-point. Such an element keeps its usual x/y/width/depth
+// bounding box plus `route`, an open polyline relative to the box centre (curves allowed, see
+// curves.js). The box is the centreline's extents grown by the line width, and the route is
+// stretched to fit it, so resizing works as it does for freeform outlines.
+// Line width, post spacing and gates live in `data` (defaults below; height is the element's own):
+//   { lineWidth, postSpacing, gates: [distance along the run to each gate's centre], gateWidth }
+
+import { flattenOutline, getEdgeLengthFt } from './curves.js';
+
+export const ROUTE_ELEMENT_TYPES = ['fence_segment', 'path', 'hedge'];
+
+export const ROUTE_DEFAULTS = {
+    fence_segment: { lineWidth: 0.5, postSpacing: 8, gateWidth: 4 },
+    path: { lineWidth: 3 },
+    hedge: { lineWidth: 2.5 }
+};
+export const FENCE_POST_SIZE_FT = 0.4; // Posts are at least this wide in both views, even on a thin fence
+
+const MITER_LIMIT = 2; // Sharper corners are bevelled instead of spiking out
+const POST_MERGE_DISTANCE_FT = 0.25;
+
+export function hasElementRoute(element) {
+    return !!element && Array.isArray(element.route) && element.route.length >= 2;
+}
+
+export function getRouteLineWidthFt(element) {
+    const lineWidth = parseFloat(element.data && element.data.lineWidth);
+    return lineWidth > 0 ? lineWidth : (ROUTE_DEFAULTS[element.type] || ROUTE_DEFAULTS.path).lineWidth;
+}
+
+// The route scaled to the element's current width and depth
+export function getSizedRoute(element) {
+    const traced = flattenOutline(element.route, false);
+    const lineWidth = getRouteLineWidthFt(element);
+    const routeWidth = Math.max(...traced.map(p => p.x)) - Math.min(...traced.map(p => p.x));
+    const routeDepth = Math.max(...traced.map(p => p.y)) - Math.min(...traced.map(p => p.y));
+    const scaleX = routeWidth > 0 ? Math.max(0, element.width - lineWidth) / routeWidth : 1;
+    const scaleY = routeDepth > 0 ? Math.max(0, element.depth - lineWidth) / routeDepth : 1;
+    return element.route.map(p => ({ ...p, x: p.x * scaleX, y: p.y * scaleY }));
+}
+
+// Bounding box and centred route for a polyline drawn in lot feet: { x, y, width, depth, route }
+export function getRouteGeometry(pointsFt, lineWidth) {
+    const traced = flattenOutline(pointsFt, false);
+    const minX = Math.min(...traced.map(p => p.x)), maxX = Math.max(...traced.map(p => p.x));
+    const minY = Math.min(...traced.map(p => p.y)), maxY = Math.max(...traced.map(p => p.y));
+    const centerX = (minX + maxX) / 2, centerY = (minY + maxY) / 2;
+    return {
+        x: minX - lineWidth / 2, y: minY - lineWidth / 2, width: maxX - minX + lineWidth, depth: maxY - minY + lineWidth,
+        route: pointsFt.map(p => ({ ...p, x: p.x - centerX, y: p.y - centerY }))
+    };
+}
+
+// Centreline in element-centre feet, curves flattened
+export function getRouteCentreline(element) {
+    return flattenOutline(getSizedRoute(element), false);
+}
+
+export function getRouteLengthFt(element) {
+    const route = getSizedRoute(element);
+    return route.slice(0, -1).reduce((length, p, i) => length + getEdgeLengthFt(p, route[i + 1], p.curve), 0);
+}
+
+// Closed polygon around the centreline, half the line width to each side
+export function getRouteOutline(element) {
+    const line = removeRepeatedPoints(getRouteCentreline(element));
+    if (line.length < 2) return [];
+    const halfWidth = getRouteLineWidthFt(element) / 2;
+    const left = [], right = [];
+    line.forEach((p, i) => {
+        const before = line[Math.max(0, i - 1)], after = line[Math.min(line.length - 1, i + 1)];
+        const normalIn = getUnitNormal(i > 0 ? before : p, i > 0 ? p : after);
+        const normalOut = getUnitNormal(i < line.length - 1 ? p : before, i < line.length - 1 ? after : p);
+        const miter = { x: normalIn.x + normalOut.x, y: normalIn.y + normalOut.y };
+        const miterLengthSq = miter.x * miter.x + miter.y * miter.y;
+        const miterScale = 2 / miterLengthSq; // Reaches halfWidth / cos(half the turn) along the miter
+        if (miterLengthSq < 1e-9 || Math.sqrt(2 * miterScale) > MITER_LIMIT) {
+            [normalIn, normalOut].forEach(n => {
+                left.push({ x: p.x + n.x * halfWidth, y: p.y + n.y * halfWidth });
+                right.push({ x: p.x - n.x * halfWidth, y: p.y - n.y * halfWidth });
+            });
+        } else {
+            left.push({ x: p.x + miter.x * miterScale * halfWidth, y: p.y + miter.y * miterScale * halfWidth });
+            right.push({ x: p.x - miter.x * miterScale * halfWidth, y: p.y - miter.y * miterScale * halfWidth });
+        }
+    });
+    return [...left, ...right.reverse()];
+}
+
+// Gate openings as [startFt, endFt] distances along the run, clipped to it and merged where they overlap
+export function getRouteGateSpansFt(element) {
+    const gates = element.data && Array.isArray(element.data.gates) ? element.data.gates : [];
+    if (gates.length === 0) return [];
+    const lengthFt = getRouteLengthFt(element);
+    const gateWidth = parseFloat(element.data.gateWidth) > 0 ? parseFloat(element.data.gateWidth) : ROUTE_DEFAULTS.fence_segment.gateWidth;
+    const spans = gates.filter(at => at >= 0 && at <= lengthFt)
+        .map(at => [Math.max(0, at - gateWidth / 2), Math.min(lengthFt, at + gateWidth / 2)])
+        .sort((a, b) => a[0] - b[0]);
+    return spans.reduce((merged, span) => {
+        const last = merged[merged.length - 1];
+        if (last && span[0] <= last[1]) last[1] = Math.max(last[1], span[1]);
+        else merged.push(span);
+        return merged;
+    }, []);
+}
+
+// The centreline split into the runs between gates
+export function getRouteRuns(element) {
+    const line = getRouteCentreline(element);
+    const lengthFt = getPolylineLengthFt(line);
+    const runs = [];
+    let from = 0;
+    getRouteGateSpansFt(element).forEach(([start, end]) => {
+        if (start > from) runs.push(getPolylineBetween(line, from, start));
+        from = end;
+    });
+    if (from < lengthFt) runs.push(getPolylineBetween(line, from, lengthFt));
+    return runs;
+}
+
+// Each gate as the straight line across its opening: [{ start, end }]
+export function getRouteGates(element) {
+    const line = getRouteCentreline(element);
+    return getRouteGateSpansFt(element).map(([start, end]) => ({ start: getPointAtDistance(line, start), end: getPointAtDistance(line, end) }));
+}
+
+// Fence posts: evenly spaced along each drawn leg (so every corner gets one) and either side of each gate
+export function getRoutePosts(element) {
+    const spacing = parseFloat(element.data && element.data.postSpacing) > 0 ? parseFloat(element.data.postSpacing) : ROUTE_DEFAULTS.fence_segment.postSpacing;
+    const route = getSizedRoute(element);
+    const gateSpans = getRouteGateSpansFt(element);
+    const distances = [];
+    let legStart = 0;
+    route.slice(0, -1).forEach((p, i) => {
+        const legLength = getEdgeLengthFt(p, route[i + 1], p.curve);
+        const postCount = Math.max(1, Math.ceil(legLength / spacing - 1e-6));
+        for (let k = 0; k <= postCount; k++) distances.push(legStart + legLength * k / postCount);
+        legStart += legLength;
+    });
+    gateSpans.forEach(([start, end]) => distances.push(start, end));
+
+    const line = getRouteCentreline(element);
+    return distances
+        .filter(d => !gateSpans.some(([start, end]) => d > start + 1e-6 && d < end - 1e-6))
+        .sort((a, b) => a - b)
+        .filter((d, i, sorted) => i === 0 || d - sorted[i - 1] > POST_MERGE_DISTANCE_FT)
+        .map(d => getPointAtDistance(line, d));
+}
+
+function getUnitNormal(start, end) {
+    const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+    return { x: -(end.y - start.y) / length, y: (end.x - start.x) / length };
+}
+
+function removeRepeatedPoints(line) {
+    return line.filter((p, i) => i === 0 || Math.hypot(p.x - line[i - 1].x, p.y - line[i - 1].y) > 1e-9);
+}
+
+function getPolylineLengthFt(line) {
+    return line.slice(1).reduce((length, p, i) => length + Math.hypot(p.x - line[i].x, p.y - line[i].y), 0);
+}
+
+function getPointAtDistance(line, distanceFt) {
+    let remaining = distanceFt;
+    for (let i = 1; i < line.length; i++) {
+        const step = Math.hypot(line[i].x - line[i - 1].x, line[i].y - line[i - 1].y);
+        if (remaining <= step && step > 0) {
+            const t = remaining / step;
+            return { x: line[i - 1].x + (line[i].x - line[i - 1].x) * t, y: line[i - 1].y + (line[i].y - line[i - 1].y) * t };
+        }
+        remaining -= step;
+    }
+    return { ...line[line.length - 1] };
+}
+
+function getPolylineBetween(line, fromFt, toFt) {
+    const points = [getPointAtDistance(line, fromFt)];
+    let travelled = 0;
+    for (let i = 1; i < line.length; i++) {
+        travelled += Math.hypot(line[i].x - line[i - 1].x, line[i].y - line[i - 1].y);
+        if (travelled > fromFt && travelled < toFt) points.push({ ...line[i] });
+    }
+    points.push(getPointAtDistance(line, toFt));
+    return points;
+}
@@ -0,0 +1,71 @@
+// js/features/site-location.js
+// Where the lot is and which way it faces. The design keeps this on the lot as
+//   site: { placeName, latitude, longitude, timeZone, northRotationDeg }
+// latitude and longitude in degrees (north and east positive), timeZone the IANA zone that sun dates
+// and times are read in, and northRotationDeg the bearing of true north measured clockwise from up
+// on the plan (0 when the plan is drawn north-up). Also the offline ZIP and city lookup.
+import { siteLocations } from './data/site-locations.js';
+
+// The site every design used before it could be set
+export const DEFAULT_SITE = { placeName: '', latitude: 39.89, longitude: -85.93, timeZone: 'America/Indiana/Indianapolis', northRotationDeg: 0 };
+
+// Fills in what older designs lack and drops a time zone this browser doesn't know
+export function withSiteDefaults(site) {
+    const merged = { ...DEFAULT_SITE, ...(site || {}) };
+    if (!isValidTimeZone(merged.timeZone)) merged.timeZone = DEFAULT_SITE.timeZone;
+    return merged;
+}
+
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+export function normalizeBearingDeg(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+// Minutes the zone's clocks are ahead of UTC at the instant `date`
+export function getTimeZoneOffsetMinutes(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = parseInt(part.value); });
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// The instant the zone's clocks read `minutes` past midnight on the given day (month from 0, as in
+// Date). A clock time skipped by a daylight saving change reads with the offset from after it.
+export function getZonedDate(year, month, day, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month, day, 0, minutes);
+    const guess = wallClock - getTimeZoneOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+    return new Date(wallClock - getTimeZoneOffsetMinutes(new Date(guess), timeZone) * 60000);
+}
+
+// A bundled place by ZIP code or "City" / "City, ST": { location, isApproximate }, or null.
+// A ZIP code missing from the table falls back to a place sharing its first three digits, which
+// make up the same mail region.
+export function findSiteLocation(query) {
+    const text = String(query || '').trim();
+    if (/^\d{5}$/.test(text)) {
+        const exact = siteLocations.find(location => location.zip === text);
+        if (exact) return { location: exact, isApproximate: false };
+        const region = siteLocations.find(location => location.zip && location.zip.slice(0, 3) === text.slice(0, 3));
+        return region ? { location: region, isApproximate: true } : null;
+    }
+    const [cityPart, statePart] = text.toLowerCase().split(',').map(part => part.trim());
+    if (!cityPart) return null;
+    const location = siteLocations.find(candidate => candidate.city.toLowerCase() === cityPart &&
+        (!statePart || candidate.state.toLowerCase() === statePart));
+    return location ? { location, isApproximate: false } : null;
+}
+
+export function getSiteLocationLabel(location) {
+    return `${location.city}, ${location.state}${location.zip ? ` ${location.zip}` : ''}`;
+}
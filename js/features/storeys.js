@@ -0,0 +1,60 @@
+// js/features/storeys.js
+// Upper storeys of a custom house. The house's own outline and wallHeight are the ground storey;
+// each entry of `storeys` stacks another on top:
+//   { height, setback }   walls `height` feet tall, standing `setback` feet in from every wall of
+//                         the storey below (0 keeps them flush)
+// The roof sits on the top storey.
+
+import { getOutlinePieces, offsetPolygon } from './roofs.js';
+
+export const DEFAULT_STOREY_HEIGHT_FT = 9;
+
+// Every storey, ground first: [{ outline, sourceEdges, baseHeight, height }]. Outlines are flattened
+// points in the house's local frame, and sourceEdges maps each of their edges to the ground outline
+// edge it stands over. Stacking stops at the first storey whose setback the one below can't take.
+export function getStoreyLevels(house) {
+    const pieces = getOutlinePieces(house.outline);
+    if (pieces.length < 3) return [];
+    const sourceEdges = pieces.map(piece => piece.sourceEdge);
+    let outline = pieces.map(piece => piece.start);
+    let baseHeight = house.wallHeight || 0;
+    const levels = [{ outline, sourceEdges, baseHeight: 0, height: baseHeight }];
+    for (const storey of Array.isArray(house.storeys) ? house.storeys : []) {
+        const setback = Math.max(0, parseFloat(storey.setback) || 0);
+        const inset = setback > 0 ? offsetPolygon(outline, outline.map(() => -setback)) : outline;
+        if (!isInsetIntact(outline, inset)) break;
+        const height = parseFloat(storey.height) > 0 ? parseFloat(storey.height) : DEFAULT_STOREY_HEIGHT_FT;
+        levels.push({ outline: inset, sourceEdges, baseHeight, height });
+        outline = inset;
+        baseHeight += height;
+    }
+    return levels;
+}
+
+// Height of the top of the highest storey's walls, where the roof starts
+export function getHouseTopHeightFt(house) {
+    const levels = getStoreyLevels(house);
+    if (levels.length === 0) return house.wallHeight || 0;
+    const top = levels[levels.length - 1];
+    return top.baseHeight + top.height;
+}
+
+// The house as the roof sees it: the top storey's outline, with each edge keeping the roof pitch
+// set on the ground edge below it. A single-storey house is returned as it is.
+export function getRoofBase(house) {
+    const levels = getStoreyLevels(house);
+    if (levels.length <= 1) return house;
+    const top = levels[levels.length - 1];
+    const edgePitches = Array.isArray(house.edgePitches) ? top.sourceEdges.map(edge => house.edgePitches[edge] ?? null) : null;
+    return { ...house, outline: top.outline.map(p => ({ x: p.x, y: p.y })), edgePitches };
+}
+
+// Setting every wall back keeps each one running the way it did; a setback too deep for the
+// outline turns short walls around (or collapses the whole storey)
+function isInsetIntact(outline, inset) {
+    return inset.every((p, i) => {
+        const next = inset[(i + 1) % inset.length];
+        const start = outline[i], end = outline[(i + 1) % outline.length];
+        return (next.x - p.x) * (end.x - start.x) + (next.y - p.y) * (end.y - start.y) > 1e-6;
+    });
+}
@@ -1,5 +1,10 @@
 // js/features/sunlight.js
 // Assumes SunCalc.js is loaded globally via CDN
+// Also the sun-hours analysis: how many hours of direct sun each part of the lot gets in a day,
+// averaged over a date range, and the sun each plant needs. The shadow casting itself happens in
+// three-scene.js.
+import { getZonedDate } from './site-location.js';
+import { isPointInPolygon } from './geometry.js';
 
 export function calculateSunPosition(date, latitude, longitude) {
     if (typeof SunCalc === 'undefined') {
@@ -17,4 +22,140 @@ export function calculateSunPosition(date, latitude, longitude) {
         console.error("Error calculating sun position with SunCalc:", error);
         return null;
     }
-}
\ No newline at end of file
+}
+
+// Exposure classes by daily hours of direct sun, as plant labels use them, with their heatmap colours
+export const SUN_EXPOSURE_CLASSES = [
+    { id: 'full_sun', label: 'Full sun', minHours: 6, colour: [250, 215, 60] },
+    { id: 'part_shade', label: 'Part shade', minHours: 3, colour: [240, 150, 60] },
+    { id: 'shade', label: 'Shade', minHours: 0, colour: [90, 110, 170] }
+];
+
+// Element types that throw shade worth analysing; low surfaces and the plants themselves don't
+export const SHADE_CASTER_TYPES = ['house', 'shed', 'custom_house', 'tree', 'fence_segment', 'hedge', 'deck', 'compost_bin', 'rain_barrel'];
+
+// Plant sun checks use this stretch of the year until a sun-hours analysis picks the dates;
+// months count from 0 as in Date
+export const GROWING_SEASON = { startMonth: 4, startDay: 1, endMonth: 8, endDay: 30 };
+
+const SUN_SAMPLE_MINUTES = 30;
+const MAX_ANALYSIS_DAYS = 7; // Longer ranges are sampled on this many evenly spread days
+const SUN_GRID_CELLS_PER_SIDE = 60; // Large lots get coarser cells rather than a very long analysis
+const MIN_SUN_GRID_CELL_FT = 2;
+
+export function getSunExposureClass(hours) {
+    return SUN_EXPOSURE_CLASSES.find(exposure => hours >= exposure.minHours) || SUN_EXPOSURE_CLASSES[SUN_EXPOSURE_CLASSES.length - 1];
+}
+
+// Unit vector towards the sun in the 3D scene, where x runs east, y up and z south on the plan (plan
+// y points down). SunCalc measures azimuth from true south towards west; northRotationDeg turns it
+// to the plan when true north isn't up, see site-location.js.
+export function getSunDirection(sunPosition, northRotationDeg = 0) {
+    const azimuth = sunPosition.azimuth + northRotationDeg * Math.PI / 180;
+    const horizontal = Math.cos(sunPosition.altitude);
+    return { x: -Math.sin(azimuth) * horizontal, y: Math.sin(sunPosition.altitude), z: Math.cos(azimuth) * horizontal };
+}
+
+// Sun positions every SUN_SAMPLE_MINUTES while it is up, over the days from startDate to endDate
+// (inclusive; only their calendar dates count, read as days at the site):
+// { days, sampleHours, positions: [{ azimuth, altitude }] }. `site` gives latitude, longitude and
+// timeZone. Each position stands for sampleHours of sun on one of `days` days.
+export function getSunSamples(startDate, endDate, site) {
+    const first = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const last = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    if (last < first) return getSunSamples(endDate, startDate, site);
+    const dayCount = Math.round((last - first) / 86400000) + 1;
+    const days = Math.min(dayCount, MAX_ANALYSIS_DAYS);
+    const positions = [];
+    for (let day = 0; day < days; day++) {
+        const dayOffset = days > 1 ? Math.round(day * (dayCount - 1) / (days - 1)) : 0;
+        for (let minutes = SUN_SAMPLE_MINUTES / 2; minutes < 24 * 60; minutes += SUN_SAMPLE_MINUTES) {
+            const date = getZonedDate(first.getFullYear(), first.getMonth(), first.getDate() + dayOffset, minutes, site.timeZone);
+            const position = calculateSunPosition(date, site.latitude, site.longitude);
+            if (position && position.altitude > 0) positions.push({ azimuth: position.azimuth, altitude: position.altitude });
+        }
+    }
+    return { days, sampleHours: SUN_SAMPLE_MINUTES / 60, positions };
+}
+
+// The points the analysis samples: cell centres over the lot polygon's bounds,
+// { originX, originY, cellSizeFt, columns, rows, points, isInside } with points and isInside per
+// cell, row by row, and origin the corner of the first cell
+export function createSunHoursGrid(lotPolygon) {
+    const minX = Math.min(...lotPolygon.map(p => p.x)), maxX = Math.max(...lotPolygon.map(p => p.x));
+    const minY = Math.min(...lotPolygon.map(p => p.y)), maxY = Math.max(...lotPolygon.map(p => p.y));
+    const cellSizeFt = Math.max(MIN_SUN_GRID_CELL_FT, Math.max(maxX - minX, maxY - minY) / SUN_GRID_CELLS_PER_SIDE);
+    const columns = Math.max(1, Math.ceil((maxX - minX) / cellSizeFt)), rows = Math.max(1, Math.ceil((maxY - minY) / cellSizeFt));
+    const points = [], isInside = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const point = { x: minX + (column + 0.5) * cellSizeFt, y: minY + (row + 0.5) * cellSizeFt };
+            points.push(point);
+            isInside.push(isPointInPolygon(point, lotPolygon));
+        }
+    }
+    return { originX: minX, originY: minY, cellSizeFt, columns, rows, points, isInside };
+}
+
+// Share of the lot in each exposure class: { [classId]: fraction } over the cells inside the lot
+export function getSunExposureSummary(grid, hours) {
+    const summary = Object.fromEntries(SUN_EXPOSURE_CLASSES.map(exposure => [exposure.id, 0]));
+    const insideCount = grid.isInside.filter(Boolean).length;
+    if (insideCount === 0) return summary;
+    grid.isInside.forEach((isInside, i) => {
+        if (isInside) summary[getSunExposureClass(hours[i]).id] += 1 / insideCount;
+    });
+    return summary;
+}
+
+// Average hours of sun over a footprint (lot feet polygon): the cells whose centres it covers, or the
+// cell under its middle when it is smaller than a cell. null off the analysed grid.
+export function getFootprintSunHours(grid, hours, footprint) {
+    const covered = [];
+    grid.points.forEach((point, i) => { if (isPointInPolygon(point, footprint)) covered.push(hours[i]); });
+    if (covered.length > 0) return covered.reduce((sum, value) => sum + value, 0) / covered.length;
+    const centre = { x: footprint.reduce((sum, p) => sum + p.x, 0) / footprint.length, y: footprint.reduce((sum, p) => sum + p.y, 0) / footprint.length };
+    const column = Math.floor((centre.x - grid.originX) / grid.cellSizeFt), row = Math.floor((centre.y - grid.originY) / grid.cellSizeFt);
+    if (column < 0 || row < 0 || column >= grid.columns || row >= grid.rows) return null;
+    return hours[row * grid.columns + column];
+}
+
+// --- Plant Sun Requirements ---
+// Daily hours of direct sun each label term stands for; maxHours null means no upper limit
+const SUN_LABEL_HOURS = [
+    { pattern: /full\s+sun/, minHours: 6, maxHours: null },
+    { pattern: /part(ial)?\s+(shade|sun)/, minHours: 3, maxHours: 6 },
+    { pattern: /full\s+shade|^\s*shade/, minHours: 0, maxHours: 3 }
+];
+
+// The sun a plant needs, { minHours, maxHours }: the library's structured sunHours or, for plants
+// saved before they had one, read from the free-text `sun` label. null when neither says.
+export function getPlantSunRequirement(plantData) {
+    const sunHours = plantData && plantData.sunHours;
+    if (sunHours && typeof sunHours.min === 'number') return { minHours: sunHours.min, maxHours: typeof sunHours.max === 'number' ? sunHours.max : null };
+    const label = plantData && typeof plantData.sun === 'string' ? plantData.sun.toLowerCase() : '';
+    // "Full Sun to Part Shade" spans both terms; anything after a bracket is a note, not a term
+    const terms = label.split('(')[0].split(/\bto\b|\/|,/).map(term => term.trim());
+    const matches = SUN_LABEL_HOURS.filter(entry => terms.some(term => entry.pattern.test(term)));
+    if (matches.length === 0) return null;
+    const requirement = {
+        minHours: Math.min(...matches.map(entry => entry.minHours)),
+        maxHours: matches.some(entry => entry.maxHours === null) ? null : Math.max(...matches.map(entry => entry.maxHours))
+    };
+    const stated = /(\d+)\s*-\s*\d+\+?\s*hours/.exec(label); // e.g. "(6-8+ hours)": at least 6
+    if (stated) requirement.minHours = parseInt(stated[1]);
+    return requirement;
+}
+
+// 'too_shady', 'too_sunny' or null when the hours suit the requirement
+export function getSunMismatch(requirement, hours) {
+    if (!requirement || typeof hours !== 'number') return null;
+    if (hours < requirement.minHours) return 'too_shady';
+    if (requirement.maxHours !== null && hours > requirement.maxHours) return 'too_sunny';
+    return null;
+}
+
+// e.g. "6+ h" or "3-6 h"
+export function formatSunRequirement(requirement) {
+    return requirement.maxHours === null ? `${requirement.minHours}+ h` : `${requirement.minHours}-${requirement.maxHours} h`;
+}
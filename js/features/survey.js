@@ -0,0 +1,56 @@
+// js/features/survey.js
+// Metes-and-bounds lot entry: parses survey calls such as "N 12°30' E 143.20 ft"
+// and walks them into a lot polygon in plan feet (north is up, i.e. -y).
+
+// Parses one call. Accepts degrees/minutes/seconds written with °'" or d/m/s,
+// dashes or spaces ("N12-30-00E 143.2"), and decimal degrees ("S 45.5 W 80"). Distances may
+// carry thousands separators or a bare trailing point ("1,143.20'", "100.").
+// Returns { text, azimuthDegrees, distanceFt }; throws an Error describing what is wrong.
+export function parseSurveyCall(text) {
+    const normalized = text.trim().toUpperCase().replace(/[’′]/g, "'").replace(/[”″]/g, '"');
+    const match = normalized.match(/^([NS])\s*([\d.°'"DMS\s-]+?)\s*([EW])\s*[,:]?\s*(\d[\d,]*(?:\.\d*)?)\s*(FT|FEET|')?$/);
+    if (!match) throw new Error(`"${text.trim()}" is not a bearing and distance like N 12°30' E 143.20 ft`);
+    const [, northSouth, anglePart, eastWest, distancePart] = match;
+
+    const parts = anglePart.split(/[^\d.]+/).filter(Boolean).map(Number);
+    if (parts.length === 0 || parts.length > 3 || parts.some(isNaN)) throw new Error(`"${text.trim()}" has an unreadable bearing angle`);
+    const [degrees, minutes = 0, seconds = 0] = parts;
+    if (minutes >= 60 || seconds >= 60) throw new Error(`"${text.trim()}" has minutes or seconds of 60 or more`);
+    const angle = degrees + minutes / 60 + seconds / 3600;
+    if (angle > 90) throw new Error(`"${text.trim()}" has a bearing over 90°`);
+
+    const distanceFt = parseFloat(distancePart.replace(/,/g, ''));
+    if (!(distanceFt > 0)) throw new Error(`"${text.trim()}" needs a distance greater than zero`);
+
+    // Quadrant bearing to an azimuth clockwise from north
+    let azimuthDegrees;
+    if (northSouth === 'N') azimuthDegrees = eastWest === 'E' ? angle : 360 - angle;
+    else azimuthDegrees = eastWest === 'E' ? 180 - angle : 180 + angle;
+    return { text: text.trim(), azimuthDegrees: azimuthDegrees % 360, distanceFt };
+}
+
+const SURVEY_CLOSURE_TOLERANCE_FT = 1e-6;
+
+// One call per line; blank lines and lines starting with # are skipped
+export function parseSurveyCalls(text) {
+    return text.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#')).map(parseSurveyCall);
+}
+
+// Walks the calls from the point of beginning. Returns
+// { points, closureErrorFt, perimeterFt, precisionRatio } where points excludes the
+// closing point and precisionRatio is N in "1:N" (Infinity for a perfect closure). A miss
+// under a millionth of a foot is rounding in the trigonometry and counts as closed.
+export function traverseSurveyCalls(calls) {
+    const points = [{ x: 0, y: 0 }];
+    let perimeterFt = 0;
+    calls.forEach(call => {
+        const last = points[points.length - 1];
+        const radians = call.azimuthDegrees * Math.PI / 180;
+        points.push({ x: last.x + Math.sin(radians) * call.distanceFt, y: last.y - Math.cos(radians) * call.distanceFt });
+        perimeterFt += call.distanceFt;
+    });
+    const end = points.pop();
+    const miss = Math.hypot(end.x, end.y);
+    const closureErrorFt = miss < SURVEY_CLOSURE_TOLERANCE_FT ? 0 : miss;
+    return { points, closureErrorFt, perimeterFt, precisionRatio: closureErrorFt > 0 ? perimeterFt / closureErrorFt : Infinity };
+}
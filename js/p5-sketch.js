@@ -1,6 +1,22 @@
 // js/p5-sketch.js
 // Handles all p5.js related logic for the 2D planning view.
 
+import { hasElementOutline, getSizedOutline } from './features/element-outlines.js';
+import { hasElementRoute, getRouteOutline, getRouteCentreline, getRouteLineWidthFt, getRoutePosts, getRouteGates, FENCE_POST_SIZE_FT } from './features/routes.js';
+import { getOpeningSpan, getInwardNormal, getHouseEdgeFt } from './features/house-openings.js';
+import { getStoreyLevels } from './features/storeys.js';
+import { getDeckStairs, getDeckRailings } from './features/decks.js';
+import { getCurveThroughPoint, getEdgeMidpointFt, flattenOutline, copyOutlinePoint, EDGE_TYPES } from './features/curves.js';
+import { getGroundGrid, getGroundDatumFt, isGroundLevel } from './terrain.js';
+import { DEFAULT_CONTOUR_INTERVAL_FT, getContourLines, getCellSlopePercent, getSlopeClass } from './features/grading.js';
+import { getDrainageArrows, getDrainageRegions } from './features/drainage.js';
+import { getSunExposureClass } from './features/sunlight.js';
+import {
+    isRotatableElement, rotatePoint, getOutlineWorldVerticesFt, getOutlineWorldPointsFt, getElementFootprintFt,
+    getLotVerticesFt, getLotPolygonFt, getLotEdgesFt, getPolygonEdgesFt, formatDistanceFt,
+    getPolygonBoundsFt, getVertexCentreFt, closestPointOnSegmentFt, isPointInPolygon, segmentsIntersect
+} from './features/geometry.js';
+
 // --- Module-level Variables ---
 let p5Instance; 
 let p5Canvas;  
@@ -8,25 +24,65 @@ let p5Canvas;
 let config = {
     lotConfigRef: () => ({ width: 173.2, depth: 173.2, isCustomShape: false, customShapePoints: [] }), // Default
     elementsRef: () => [],
-    customHouseRef: () => null,
-    onElementSelect: () => {},
-    onElementMove: () => {},
+    customHousesRef: () => [], // Polygon-drawn buildings, drawn above the regular elements
+    onElementSelect: (elementId, sourceView, isAdditive) => {},
+    onElementsSelect: (elementIds, isAdditive) => {},
+    onElementsMove: (moves) => {}, // moves: [{ id, x, y }]
+    onElementsMoveEnd: (startPositions) => {}, // startPositions: [{ id, x, y }] from before the drag
+    onElementTransform: (elementId, changes) => {}, // Live resize/rotate from the selection handles
+    onElementTransformEnd: (startState) => {},
     getScale: () => 1.0,
     getPanOffset: () => ({ x: 0, y: 0 }),
     onPolygonVertexAdd: (point, mode) => {},
-    onDrawingModeChange: (isActive, mode) => {}
+    onDrawingModeChange: (isActive, mode) => {},
+    dimensionsRef: () => [], // Pinned dimensions: [{ id, start: anchor, end: anchor }]
+    designIssuesRef: () => [], // [{ kind, elementIds, message, line? }]; involved elements get a red warning outline
+    onMeasure: (measurement) => {}, // { start, end, distanceFt } once both points are placed, null when restarted
+    onDimensionRemove: (dimensionId) => {},
+    onVertexEdit: (target, pointsFt, change) => {}, // Live outline change; change: { type: 'move' | 'insert' | 'delete', index }
+    onVertexEditEnd: (target, label) => {}, // The gesture is finished and can be recorded as one undo step
+    onVertexEditSelect: (selection) => {}, // { type: 'vertex' | 'edge', index, lengthFt?, edgeType? } or null
+    onTerrainSculpt: (pointFt, isStrokeStart) => {}, // One brush dab while sculpting
+    onTerrainSculptEnd: () => {}, // The stroke is finished and can be recorded as one undo step
+    onSpotElevationClick: (pointFt, spotId) => {}, // Placing spot elevations; spotId is the spot clicked, or null for open ground
+    groundRevisionRef: () => 0, // Changes whenever the terrain or spot elevations do
+    drainageRef: () => null, // The drainage simulation (see features/drainage.js), null while the ground is level
+    sunHoursRef: () => null // { grid, hours } from the sun-hours analysis (see features/sunlight.js) while it is shown
 };
 
 let currentZoomScaleP5 = 1.0;
 let currentPanOffsetP5 = { x: 0, y: 0 }; 
 
-const GRID_SIZE_FT = 1; 
+const GRID_SIZE_FT = 1; // Default grid spacing; the user can change it in the snapping settings
+const MIN_GRID_SIZE_FT = 0.25; // Finer grids draw too many lines each frame; matches the input's min
 const PIXELS_PER_FOOT_P5 = 10; // Base scale for 1ft = 10px in p5 world units
+const SNAP_TOLERANCE_PX = 8; // Screen pixels within which edges/centres snap together
+
+const HANDLE_SIZE_PX = 8; // Screen pixels, independent of zoom
+const ROTATION_HANDLE_OFFSET_PX = 22;
+const RESIZE_SNAP_FT = 0.5;
+const WINDOW_SYMBOL_GAP_FT = 0.35; // Between the two lines of a window's glass
+const DECK_HATCH_SPACING_FT = 1.5;
+const TERRAIN_DAB_SPACING = 0.25; // Brush dabs along a stroke are this share of the radius apart
+const TERRAIN_LOW_COLOUR = [70, 120, 200];
+const TERRAIN_HIGH_COLOUR = [160, 110, 60];
+const SLOPE_COLOURS = { flat: [110, 190, 110], gentle: [235, 200, 80], steep: [220, 80, 60] };
 
-let selectedP5ElementData = null; 
 let isDraggingP5 = false;
 let dragStartMouseP5 = { x:0, y:0 };    
-let dragStartElementPosFt = { x:0, y:0 }; 
+let dragStartPositionsFt = []; // [{ id, x, y, width, depth }] for every element being dragged
+let hasDragReportedMovesP5 = false; // Whether app.js has been sent live moves for the current drag
+let pressedElementIdP5 = null; // Element under the cursor when the drag started
+
+// Selection handle state (resize/rotate of the single selected element)
+let activeHandleP5 = null; // { type: 'resize', sx, sy } or { type: 'rotate' }
+let transformStartStateP5 = null; // { id, x, y, width, depth, rotation }
+
+// Rubber-band (marquee) selection state
+let isMarqueeSelectingP5 = false;
+let isMarqueeAdditiveP5 = false;
+let marqueeStartFt = null;
+let marqueeEndFt = null;
 
 // Drawing mode state
 let isInDrawingModeP5 = false;
@@ -34,10 +90,43 @@ let currentDrawingPolygonTypeP5 = null; // 'lot_polygon' or 'home_builder_polygo
 // let currentPolygonPointsP5 = []; // Points in canvas pixel coordinates for drawing - REMOVED, use currentPolygonPointsFt
 let currentPolygonPointsFt = []; // Points in lot feet coordinates for logic
 let mousePreviewLineP5 = null; // For drawing line to cursor {x1Ft, y1Ft, x2Ft, y2Ft}
+let drawingEdgeTypeP5 = 'line'; // Shape of the edges being drawn: 'line', 'arc' or 'bezier'
+let pendingCurveIndexP5 = null; // Point whose outgoing curved edge is waiting for its shaping click
 let hoverSnapPointFt = null; // For showing snap point on hover {x, y} in Ft
+
+// Snapping (grid, element/lot/house edges and centres, rotation angle)
+let snapSettingsP5 = { grid: true, gridSizeFt: GRID_SIZE_FT, objects: true, angle: true, angleStepDegrees: 15 };
+let alignmentGuidesP5 = []; // [{ axis: 'x'|'y', value, from, to }] in Ft, shown while dragging
+let dragStartBoundsFt = null; // Bounding box of the dragged selection before the drag
+
+// Measure tool. Points are stored as anchors so pinned dimensions follow the things they measure:
+// { type: 'point', x, y } | { type: 'element', elementId, offsetX, offsetY } | { type: 'lot_edge', edgeIndex }
+let isMeasuringP5 = false;
+let measureStartAnchorP5 = null;
+let measureEndAnchorP5 = null; // Set once the second point is clicked
+let measureHoverAnchorP5 = null;
 let isShapeClosedP5 = false;
 let isShapeValidPreviewP5 = true; // For visual feedback on polygon validity
 
+// Vertex editing of a finished lot or custom house outline, in lot feet
+let vertexEditTargetP5 = null; // { kind: 'lot' } | { kind: 'house', houseId }
+let vertexEditSelectionP5 = null; // { type: 'vertex' | 'edge', index }
+let draggedVertexIndexP5 = null;
+let draggedCurveEdgeIndexP5 = null; // Curved edge being reshaped by its midpoint handle
+let hasVertexDragChangedP5 = false;
+let rejectedVertexPointFt = null; // Where the dragged vertex would self-intersect the outline
+let frozenViewCentreFt = null; // See getViewCentreFt()
+
+// Terrain sculpting
+let terrainBrushP5 = null; // { tool, radiusFt, strengthFt } while the tool is on
+let terrainHoverFt = null; // Where the brush outline is drawn
+let lastTerrainDabFt = null; // Set during a stroke
+
+// Grading overlay: contours and slope shading of the ground, and the spot elevations it comes from
+let gradingDisplayP5 = { showContours: true, contourIntervalFt: DEFAULT_CONTOUR_INTERVAL_FT, showSlopes: false, showDrainage: false };
+let isPlacingSpotsP5 = false;
+let groundOverlayCacheP5 = { key: null, grid: null, contours: [] }; // Rebuilt only when the ground changes
+
 let appContextRefP5 = null;
 export function setAppContextForP5(context) {
     appContextRefP5 = context;
@@ -92,7 +181,6 @@ export function initP5Sketch(sketch, appConfig) {
         if (!p5Instance) return;
         currentZoomScaleP5 = config.getScale();
         currentPanOffsetP5 = config.getPanOffset(); 
-        const lotCfg = config.lotConfigRef();
 
         p5Instance.background(235, 245, 230); 
         p5Instance.push(); 
@@ -105,31 +193,50 @@ export function initP5Sketch(sketch, appConfig) {
         p5Instance.translate(-currentPanOffsetP5.x * PIXELS_PER_FOOT_P5, -currentPanOffsetP5.y * PIXELS_PER_FOOT_P5);
 
         // The "world" origin (0,0 in feet) should be at the center of the lot.
-        // If custom shape, calculate lot center dynamically.
-        let lotCenterXFt, lotCenterYFt;
-        if (lotCfg.isCustomShape && lotCfg.customShapePoints.length > 0) {
-            const bounds = getPolygonBoundsFt(lotCfg.customShapePoints);
-            lotCenterXFt = bounds.minX + bounds.width / 2;
-            lotCenterYFt = bounds.minY + bounds.height / 2;
-        } else {
-            lotCenterXFt = lotCfg.width / 2;
-            lotCenterYFt = lotCfg.depth / 2;
-        }
-        p5Instance.translate(-lotCenterXFt * PIXELS_PER_FOOT_P5, -lotCenterYFt * PIXELS_PER_FOOT_P5);
+        const lotCenterFt = getViewCentreFt();
+        p5Instance.translate(-lotCenterFt.x * PIXELS_PER_FOOT_P5, -lotCenterFt.y * PIXELS_PER_FOOT_P5);
         
         drawP5Grid();
+        if (terrainBrushP5) drawTerrainShadingP5();
+        else if (gradingDisplayP5.showSlopes) drawSlopeShadingP5();
+        if (gradingDisplayP5.showContours) drawContoursP5();
+        if (gradingDisplayP5.showDrainage) drawDrainageP5();
+        drawSunHoursP5();
         drawP5LotBoundary();
 
         const elementsToDraw = config.elementsRef();
-        const currentSelectedAppElement = appContextRefP5?.selectedElement ? appContextRefP5.selectedElement() : null;
-        const currentCustomHouse = config.customHouseRef ? config.customHouseRef() : null;
+        const selectedIds = new Set(getSelectedElementsP5().map(el => el.id));
+        const customHouses = getCustomHousesP5();
 
         elementsToDraw.forEach(el => {
-            drawP5Element(el, PIXELS_PER_FOOT_P5, currentSelectedAppElement);
+            drawP5Element(el, PIXELS_PER_FOOT_P5, selectedIds);
+        });
+
+        customHouses.forEach(house => {
+            drawP5CustomHouse(house, PIXELS_PER_FOOT_P5, selectedIds);
         });
+        drawWarningOutlinesP5([...elementsToDraw, ...customHouses]);
 
-        if (currentCustomHouse) {
-            drawP5CustomHouse(currentCustomHouse, PIXELS_PER_FOOT_P5, currentSelectedAppElement);
+        if (isMarqueeSelectingP5 && marqueeStartFt && marqueeEndFt) {
+            drawMarqueeP5();
+        }
+        if (alignmentGuidesP5.length > 0) {
+            drawAlignmentGuidesP5();
+        }
+
+        (config.dimensionsRef ? config.dimensionsRef() : []).forEach(dimension => {
+            const resolved = resolveDimensionFt(dimension);
+            if (resolved) drawDimensionP5(resolved.start, resolved.end, true);
+        });
+        if (isMeasuringP5) {
+            drawMeasurePreviewP5();
+        }
+        if (vertexEditTargetP5) {
+            drawVertexEditP5();
+        }
+        drawSpotElevationsP5();
+        if (terrainBrushP5 && terrainHoverFt) {
+            drawTerrainBrushP5();
         }
         
         // Drawing mode visual feedback
@@ -175,15 +282,16 @@ export function redrawP5(sketch = p5Instance) {
 
 function drawP5Grid() {
     const lotCfg = config.lotConfigRef();
+    const gridSizeFt = snapSettingsP5.gridSizeFt;
     let displayWidthFt, displayDepthFt;
     let originXFt = 0, originYFt = 0;
 
     if (lotCfg.isCustomShape && lotCfg.customShapePoints.length > 0) {
-        const bounds = getPolygonBoundsFt(lotCfg.customShapePoints);
-        displayWidthFt = bounds.width + GRID_SIZE_FT * 4; // Add some padding
-        displayDepthFt = bounds.height + GRID_SIZE_FT * 4;
-        originXFt = bounds.minX - GRID_SIZE_FT * 2;
-        originYFt = bounds.minY - GRID_SIZE_FT * 2;
+        const bounds = getPolygonBoundsFt(flattenOutline(lotCfg.customShapePoints));
+        displayWidthFt = bounds.width + gridSizeFt * 4; // Add some padding
+        displayDepthFt = bounds.height + gridSizeFt * 4;
+        originXFt = bounds.minX - gridSizeFt * 2;
+        originYFt = bounds.minY - gridSizeFt * 2;
     } else {
         displayWidthFt = lotCfg.width;
         displayDepthFt = lotCfg.depth;
@@ -192,11 +300,11 @@ function drawP5Grid() {
     p5Instance.stroke(190, 210, 180); 
     p5Instance.strokeWeight(0.5 / currentZoomScaleP5); 
 
-    for (let xFt = 0; xFt <= displayWidthFt; xFt += GRID_SIZE_FT) {
+    for (let xFt = 0; xFt <= displayWidthFt; xFt += gridSizeFt) {
         const xPx = (originXFt + xFt) * PIXELS_PER_FOOT_P5;
         p5Instance.line(xPx, originYFt * PIXELS_PER_FOOT_P5, xPx, (originYFt + displayDepthFt) * PIXELS_PER_FOOT_P5);
     }
-    for (let yFt = 0; yFt <= displayDepthFt; yFt += GRID_SIZE_FT) {
+    for (let yFt = 0; yFt <= displayDepthFt; yFt += gridSizeFt) {
         const yPx = (originYFt + yFt) * PIXELS_PER_FOOT_P5;
         p5Instance.line(originXFt * PIXELS_PER_FOOT_P5, yPx, (originXFt + displayWidthFt) * PIXELS_PER_FOOT_P5, yPx);
     }
@@ -210,7 +318,7 @@ function drawP5LotBoundary() {
     
     if (lotCfg.isCustomShape && lotCfg.customShapePoints.length >= 3) {
         p5Instance.beginShape();
-        lotCfg.customShapePoints.forEach(p => {
+        flattenOutline(lotCfg.customShapePoints).forEach(p => {
             p5Instance.vertex(p.x * PIXELS_PER_FOOT_P5, p.y * PIXELS_PER_FOOT_P5);
         });
         p5Instance.endShape(p5Instance.CLOSE);
@@ -218,8 +326,10 @@ function drawP5LotBoundary() {
         // Fallback to rectangular display if custom shape isn't valid or set
         p5Instance.rectMode(p5Instance.CORNER); 
         p5Instance.rect(0, 0, lotCfg.width * PIXELS_PER_FOOT_P5, lotCfg.depth * PIXELS_PER_FOOT_P5);
-        p5Instance.rectMode(p5Instance.CENTER); 
+        p5Instance.rectMode(p5Instance.CENTER);
     }
+    drawP5Easements(lotCfg.easements || []);
+    drawP5Setbacks();
 
     // Lot info text (consider moving if it clutters custom shapes)
     p5Instance.push();
@@ -240,8 +350,71 @@ function drawP5LotBoundary() {
     p5Instance.pop();
 }
 
+function drawP5Easements(easements) {
+    p5Instance.push();
+    easements.filter(easement => easement.points && easement.points.length >= 3).forEach(easement => {
+        p5Instance.fill(230, 140, 0, 35);
+        p5Instance.stroke(200, 110, 0, 200);
+        p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
+        p5Instance.drawingContext.setLineDash([8 / currentZoomScaleP5, 3 / currentZoomScaleP5, 2 / currentZoomScaleP5, 3 / currentZoomScaleP5]);
+        p5Instance.beginShape();
+        flattenOutline(easement.points).forEach(p => p5Instance.vertex(p.x * PIXELS_PER_FOOT_P5, p.y * PIXELS_PER_FOOT_P5));
+        p5Instance.endShape(p5Instance.CLOSE);
+        p5Instance.drawingContext.setLineDash([]);
+
+        const centre = getVertexCentreFt(easement.points);
+        p5Instance.noStroke();
+        p5Instance.fill(160, 80, 0);
+        p5Instance.textSize(10 / currentZoomScaleP5);
+        p5Instance.textAlign(p5Instance.CENTER, p5Instance.CENTER);
+        p5Instance.text(easement.name || 'Easement', centre.x * PIXELS_PER_FOOT_P5, centre.y * PIXELS_PER_FOOT_P5);
+    });
+    p5Instance.pop();
+}
 
-function drawP5Element(element, pxPerFtUnit, currentSelectedAppElement) {
+// Dashed buildable-area outline inset from each lot edge by its setback, with the edge roles labelled
+function drawP5Setbacks() {
+    const edges = getLotEdgesFt(config.lotConfigRef());
+    if (!edges.some(edge => edge.setbackFt > 0)) return;
+    p5Instance.push();
+    p5Instance.noFill();
+    p5Instance.stroke(120, 60, 180, 200);
+    p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
+    p5Instance.drawingContext.setLineDash([6 / currentZoomScaleP5, 4 / currentZoomScaleP5]);
+    p5Instance.beginShape();
+    getSetbackPolygonFt(getSetbackSegmentsFt(edges)).forEach(p => p5Instance.vertex(p.x * PIXELS_PER_FOOT_P5, p.y * PIXELS_PER_FOOT_P5));
+    p5Instance.endShape(p5Instance.CLOSE);
+    p5Instance.drawingContext.setLineDash([]);
+
+    p5Instance.noStroke();
+    p5Instance.fill(100, 40, 160);
+    p5Instance.textSize(9 / currentZoomScaleP5);
+    p5Instance.textAlign(p5Instance.CENTER, p5Instance.CENTER);
+    const labelInsetFt = 12 / (PIXELS_PER_FOOT_P5 * currentZoomScaleP5);
+    edges.forEach(edge => {
+        const mid = { x: edge.midpoint.x + edge.inwardNormal.x * labelInsetFt, y: edge.midpoint.y + edge.inwardNormal.y * labelInsetFt };
+        const roleLabel = edge.role.charAt(0).toUpperCase() + edge.role.slice(1);
+        p5Instance.text(`${edge.index + 1} · ${roleLabel} ${formatDistanceFt(edge.setbackFt)}`, mid.x * PIXELS_PER_FOOT_P5, mid.y * PIXELS_PER_FOOT_P5);
+    });
+    p5Instance.pop();
+}
+
+
+function drawMarqueeP5() {
+    const bounds = getMarqueeBoundsFt();
+    p5Instance.push();
+    p5Instance.rectMode(p5Instance.CORNER);
+    p5Instance.fill(0, 120, 255, 25);
+    p5Instance.stroke(0, 120, 255, 200);
+    p5Instance.strokeWeight(1 / currentZoomScaleP5);
+    p5Instance.drawingContext.setLineDash([4 / currentZoomScaleP5, 4 / currentZoomScaleP5]);
+    p5Instance.rect(bounds.minX * PIXELS_PER_FOOT_P5, bounds.minY * PIXELS_PER_FOOT_P5,
+                    bounds.width * PIXELS_PER_FOOT_P5, bounds.height * PIXELS_PER_FOOT_P5);
+    p5Instance.drawingContext.setLineDash([]);
+    p5Instance.pop();
+}
+
+function drawP5Element(element, pxPerFtUnit, selectedIds) {
     p5Instance.push(); 
     const elCenterX_px = (element.x + element.width / 2) * pxPerFtUnit;
     const elCenterY_px = (element.y + element.depth / 2) * pxPerFtUnit;
@@ -256,7 +429,7 @@ function drawP5Element(element, pxPerFtUnit, currentSelectedAppElement) {
     p5Instance.strokeWeight(1 / currentZoomScaleP5); 
     p5Instance.stroke(50, 70, 40); 
 
-    if (currentSelectedAppElement && element.id === currentSelectedAppElement.id && element.type !== 'custom_house') {
+    if (selectedIds.has(element.id) && element.type !== 'custom_house') {
         p5Instance.stroke(0, 120, 255, 220); 
         p5Instance.strokeWeight(3 / currentZoomScaleP5);
         p5Instance.fill(0, 120, 255, 40); 
@@ -271,6 +444,8 @@ function drawP5Element(element, pxPerFtUnit, currentSelectedAppElement) {
         case 'raised_bed': specificColor = [200, 170, 130, 210]; label = "RB"; break;
         case 'inground_row': specificColor = [130, 90, 60, 190]; label = "IR"; break;
         case 'compost_bin': specificColor = [110, 80, 60, 210]; label = "CB"; break;
+        case 'hedge': specificColor = [70, 130, 60, 210]; label = "HG"; break;
+        case 'deck': specificColor = [205, 170, 125, 170]; label = "DK"; break;
         case 'tree':
             p5Instance.fill(34, 139, 34, 150); 
             p5Instance.ellipse(0, 0, elW_px, elD_px); 
@@ -291,12 +466,26 @@ function drawP5Element(element, pxPerFtUnit, currentSelectedAppElement) {
         default: specificColor = [220, 220, 220, 180]; 
     }
 
-    if (specificColor && specificColor[3] > 0 && element.type !== 'tree' && element.type !== 'plant') {
-        p5Instance.fill(specificColor[0], specificColor[1], specificColor[2], specificColor[3]);
-        p5Instance.rect(0, 0, elW_px, elD_px); 
-    } else if (element.type !== 'tree' && element.type !== 'plant') {
-        p5Instance.noFill();
-        p5Instance.rect(0, 0, elW_px, elD_px);
+    if (element.type !== 'tree' && element.type !== 'plant') {
+        if (specificColor && specificColor[3] > 0) p5Instance.fill(specificColor[0], specificColor[1], specificColor[2], specificColor[3]);
+        else p5Instance.noFill();
+        if (hasElementRoute(element)) {
+            p5Instance.beginShape();
+            getRouteOutline(element).forEach(p => p5Instance.vertex(p.x * pxPerFtUnit, p.y * pxPerFtUnit));
+            p5Instance.endShape(p5Instance.CLOSE);
+            if (element.type === 'fence_segment') drawFenceDetailsP5(element, pxPerFtUnit);
+        } else if (hasElementOutline(element)) {
+            p5Instance.beginShape();
+            flattenOutline(getSizedOutline(element)).forEach(p => p5Instance.vertex(p.x * pxPerFtUnit, p.y * pxPerFtUnit));
+            p5Instance.endShape(p5Instance.CLOSE);
+        } else {
+            p5Instance.rect(0, 0, elW_px, elD_px);
+            if (element.type === 'deck') drawDeckDetailsP5(element, pxPerFtUnit);
+        }
+    }
+
+    if (getHandleTargetP5() === element) {
+        drawSelectionHandlesP5(element, pxPerFtUnit);
     }
 
     if (elW_px * currentZoomScaleP5 > 20 && elD_px * currentZoomScaleP5 > 20) {
@@ -309,13 +498,181 @@ function drawP5Element(element, pxPerFtUnit, currentSelectedAppElement) {
         p5Instance.textAlign(p5Instance.CENTER, p5Instance.CENTER);
         const labelTextSize = Math.max(6, Math.min(10, 12 / currentZoomScaleP5 * (currentZoomScaleP5 / 0.4)));
         p5Instance.textSize(labelTextSize);
-        p5Instance.text(label, 0, 0); 
+        // A route's centre can be far from the route itself, so its label sits on the centreline
+        const centreline = hasElementRoute(element) ? getRouteCentreline(element) : null;
+        const labelPosFt = centreline ? centreline[Math.floor(centreline.length / 2)] : { x: 0, y: 0 };
+        p5Instance.text(label, labelPosFt.x * pxPerFtUnit, labelPosFt.y * pxPerFtUnit); 
         p5Instance.pop();
     }
     p5Instance.pop(); 
 }
 
-function drawP5CustomHouse(house, pxPerFtUnit, currentSelectedAppElement) {
+// Diagonal board hatch, railings as heavier lines and the stair treads, in the deck's centred frame
+function drawDeckDetailsP5(element, pxPerFtUnit) {
+    const halfW = element.width / 2 * pxPerFtUnit, halfD = element.depth / 2 * pxPerFtUnit;
+    p5Instance.push();
+    p5Instance.drawingContext.save();
+    p5Instance.drawingContext.beginPath();
+    p5Instance.drawingContext.rect(-halfW, -halfD, 2 * halfW, 2 * halfD);
+    p5Instance.drawingContext.clip();
+    p5Instance.stroke(140, 100, 60, 160);
+    p5Instance.strokeWeight(0.75 / currentZoomScaleP5);
+    const spacingPx = DECK_HATCH_SPACING_FT * pxPerFtUnit;
+    for (let offset = -halfW - 2 * halfD; offset <= halfW; offset += spacingPx) {
+        p5Instance.line(offset, halfD, offset + 2 * halfD, -halfD);
+    }
+    p5Instance.drawingContext.restore();
+
+    p5Instance.stroke(110, 75, 40, 230);
+    p5Instance.strokeWeight(2.5 / currentZoomScaleP5);
+    getDeckRailings(element).forEach(({ start, end }) => p5Instance.line(start.x * pxPerFtUnit, start.y * pxPerFtUnit, end.x * pxPerFtUnit, end.y * pxPerFtUnit));
+
+    const stairs = getDeckStairs(element);
+    if (stairs) {
+        p5Instance.fill(215, 185, 145, 200);
+        p5Instance.stroke(110, 75, 40, 230);
+        p5Instance.strokeWeight(1 / currentZoomScaleP5);
+        stairs.treads.forEach(tread => {
+            p5Instance.beginShape();
+            tread.corners.forEach(p => p5Instance.vertex(p.x * pxPerFtUnit, p.y * pxPerFtUnit));
+            p5Instance.endShape(p5Instance.CLOSE);
+        });
+    }
+    p5Instance.pop();
+}
+
+// Posts as squares and each gate as a leaf with its swing, drawn in the element's centred frame
+function drawFenceDetailsP5(element, pxPerFtUnit) {
+    p5Instance.push();
+    p5Instance.noStroke();
+    p5Instance.fill(90, 70, 50, 230);
+    const postSizePx = Math.max(getRouteLineWidthFt(element), FENCE_POST_SIZE_FT) * pxPerFtUnit;
+    getRoutePosts(element).forEach(p => p5Instance.rect(p.x * pxPerFtUnit, p.y * pxPerFtUnit, postSizePx, postSizePx));
+    p5Instance.stroke(150, 100, 40, 230);
+    p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
+    p5Instance.noFill();
+    getRouteGates(element).forEach(({ start, end }) => {
+        const leafPx = Math.hypot(end.x - start.x, end.y - start.y) * pxPerFtUnit;
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        p5Instance.line(start.x * pxPerFtUnit, start.y * pxPerFtUnit, end.x * pxPerFtUnit, end.y * pxPerFtUnit);
+        p5Instance.arc(start.x * pxPerFtUnit, start.y * pxPerFtUnit, 2 * leafPx, 2 * leafPx, angle, angle + Math.PI / 2);
+    });
+    p5Instance.pop();
+}
+
+function drawWarningOutlinesP5(candidates) {
+    const issues = config.designIssuesRef ? config.designIssuesRef() : [];
+    if (issues.length === 0) return;
+    const warningIds = new Set(issues.flatMap(issue => issue.elementIds));
+    p5Instance.push();
+    p5Instance.stroke(220, 0, 0, 230);
+    p5Instance.strokeWeight(2.5 / currentZoomScaleP5);
+    p5Instance.fill(255, 0, 0, 50);
+    p5Instance.drawingContext.setLineDash([6 / currentZoomScaleP5, 4 / currentZoomScaleP5]);
+    candidates.filter(el => warningIds.has(el.id)).forEach(el => {
+        if (el.type === 'custom_house' && (!el.outline || el.outline.length < 3)) return;
+        p5Instance.beginShape();
+        getElementFootprintFt(el).forEach(p => p5Instance.vertex(p.x * PIXELS_PER_FOOT_P5, p.y * PIXELS_PER_FOOT_P5));
+        p5Instance.endShape(p5Instance.CLOSE);
+    });
+    // Clearance violations also show the shortest gap between the two elements
+    p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
+    issues.filter(issue => issue.line && issue.line.start && issue.line.end).forEach(issue => {
+        p5Instance.line(issue.line.start.x * PIXELS_PER_FOOT_P5, issue.line.start.y * PIXELS_PER_FOOT_P5,
+            issue.line.end.x * PIXELS_PER_FOOT_P5, issue.line.end.y * PIXELS_PER_FOOT_P5);
+    });
+    p5Instance.drawingContext.setLineDash([]);
+    p5Instance.pop();
+}
+
+function drawAlignmentGuidesP5() {
+    p5Instance.push();
+    p5Instance.stroke(230, 0, 140, 200);
+    p5Instance.strokeWeight(1 / currentZoomScaleP5);
+    p5Instance.drawingContext.setLineDash([4 / currentZoomScaleP5, 3 / currentZoomScaleP5]);
+    alignmentGuidesP5.forEach(guide => {
+        const valuePx = guide.value * PIXELS_PER_FOOT_P5;
+        if (guide.axis === 'x') p5Instance.line(valuePx, guide.from * PIXELS_PER_FOOT_P5, valuePx, guide.to * PIXELS_PER_FOOT_P5);
+        else p5Instance.line(guide.from * PIXELS_PER_FOOT_P5, valuePx, guide.to * PIXELS_PER_FOOT_P5, valuePx);
+    });
+    p5Instance.drawingContext.setLineDash([]);
+    p5Instance.pop();
+}
+
+// Dimension line with end ticks and a feet/inches label at its midpoint
+function drawDimensionP5(startFt, endFt, isPinned) {
+    const distanceFt = Math.hypot(endFt.x - startFt.x, endFt.y - startFt.y);
+    const x1 = startFt.x * PIXELS_PER_FOOT_P5, y1 = startFt.y * PIXELS_PER_FOOT_P5;
+    const x2 = endFt.x * PIXELS_PER_FOOT_P5, y2 = endFt.y * PIXELS_PER_FOOT_P5;
+    const tickPx = 5 / currentZoomScaleP5;
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const tickX = -Math.sin(angle) * tickPx, tickY = Math.cos(angle) * tickPx;
+
+    p5Instance.push();
+    p5Instance.stroke(isPinned ? p5Instance.color(40, 40, 160) : p5Instance.color(230, 90, 0));
+    p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
+    p5Instance.line(x1, y1, x2, y2);
+    p5Instance.line(x1 - tickX, y1 - tickY, x1 + tickX, y1 + tickY);
+    p5Instance.line(x2 - tickX, y2 - tickY, x2 + tickX, y2 + tickY);
+
+    const label = formatDistanceFt(distanceFt);
+    p5Instance.textSize(11 / currentZoomScaleP5);
+    p5Instance.textAlign(p5Instance.CENTER, p5Instance.CENTER);
+    const labelWidth = p5Instance.textWidth(label) + 6 / currentZoomScaleP5;
+    p5Instance.rectMode(p5Instance.CENTER);
+    p5Instance.noStroke();
+    p5Instance.fill(255, 255, 255, 220);
+    p5Instance.rect((x1 + x2) / 2, (y1 + y2) / 2, labelWidth, 15 / currentZoomScaleP5, 3 / currentZoomScaleP5);
+    p5Instance.fill(isPinned ? p5Instance.color(40, 40, 160) : p5Instance.color(230, 90, 0));
+    p5Instance.text(label, (x1 + x2) / 2, (y1 + y2) / 2);
+    p5Instance.pop();
+}
+
+function drawMeasurePreviewP5() {
+    const startAnchor = measureStartAnchorP5;
+    const endAnchor = measureEndAnchorP5 || measureHoverAnchorP5;
+    if (startAnchor && endAnchor) {
+        const start = resolveAnchorFt(startAnchor, endAnchor);
+        const end = resolveAnchorFt(endAnchor, startAnchor);
+        if (start && end) drawDimensionP5(start, end, false);
+    }
+    if (measureHoverAnchorP5 && !measureEndAnchorP5) {
+        const hoverPoint = resolveAnchorFt(measureHoverAnchorP5, startAnchor);
+        if (hoverPoint) {
+            p5Instance.push();
+            p5Instance.noStroke();
+            p5Instance.fill(230, 90, 0, 150);
+            const pointSize = 8 / currentZoomScaleP5;
+            p5Instance.ellipse(hoverPoint.x * PIXELS_PER_FOOT_P5, hoverPoint.y * PIXELS_PER_FOOT_P5, pointSize, pointSize);
+            p5Instance.pop();
+        }
+    }
+}
+
+// Drawn in the element's local (centred, rotated) frame
+function drawSelectionHandlesP5(element, pxPerFtUnit) {
+    const handleSizePx = HANDLE_SIZE_PX / currentZoomScaleP5;
+    p5Instance.push();
+    p5Instance.rectMode(p5Instance.CENTER);
+    p5Instance.strokeWeight(1 / currentZoomScaleP5);
+    getSelectionHandlesFt(element).forEach(handle => {
+        const hx = handle.x * pxPerFtUnit;
+        const hy = handle.y * pxPerFtUnit;
+        if (handle.type === 'rotate') {
+            p5Instance.stroke(0, 120, 255, 220);
+            p5Instance.line(0, -element.depth / 2 * pxPerFtUnit, hx, hy);
+            p5Instance.fill(255);
+            p5Instance.ellipse(hx, hy, handleSizePx * 1.2, handleSizePx * 1.2);
+        } else {
+            p5Instance.stroke(0, 120, 255, 220);
+            p5Instance.fill(255);
+            p5Instance.rect(hx, hy, handleSizePx, handleSizePx);
+        }
+    });
+    p5Instance.pop();
+}
+
+function drawP5CustomHouse(house, pxPerFtUnit, selectedIds) {
     if (!house || !house.outline || house.outline.length < 3) return;
     p5Instance.push();
 
@@ -330,7 +687,7 @@ function drawP5CustomHouse(house, pxPerFtUnit, currentSelectedAppElement) {
     }
 
     p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
-    if (currentSelectedAppElement && house.id === currentSelectedAppElement.id) {
+    if (selectedIds.has(house.id)) {
         p5Instance.stroke(0, 100, 200, 220); // Slightly different highlight for custom house
         p5Instance.strokeWeight(3.5 / currentZoomScaleP5);
         p5Instance.fill(0, 100, 200, 50);
@@ -340,11 +697,14 @@ function drawP5CustomHouse(house, pxPerFtUnit, currentSelectedAppElement) {
     }
 
     p5Instance.beginShape();
-    house.outline.forEach(p => {
+    flattenOutline(house.outline).forEach(p => {
         // outline points are already relative to house center in feet
         p5Instance.vertex(p.x * pxPerFtUnit, p.y * pxPerFtUnit);
     });
     p5Instance.endShape(p5Instance.CLOSE);
+    drawHouseOpeningsP5(house, pxPerFtUnit);
+    drawUpperStoreysP5(house, pxPerFtUnit);
+    if (selectedIds.has(house.id)) drawHouseEdgeNumbersP5(house, pxPerFtUnit);
 
     // Label for custom house
     if (house.width * pxPerFtUnit * currentZoomScaleP5 > 20 && house.depth * pxPerFtUnit * currentZoomScaleP5 > 20) {
@@ -362,19 +722,99 @@ function drawP5CustomHouse(house, pxPerFtUnit, currentSelectedAppElement) {
 }
 
 
+// Plan symbols in the house's local frame: a window is a break in the wall bridged by a double
+// line of glass, a door a break with its leaf drawn open into the house and its swing arc
+function drawHouseOpeningsP5(house, pxPerFtUnit) {
+    if (!Array.isArray(house.openings) || house.openings.length === 0) return;
+    p5Instance.push();
+    p5Instance.noFill();
+    house.openings.forEach(opening => {
+        const span = getOpeningSpan(house, opening);
+        if (!span) return;
+        const { start, end } = span;
+        const inward = getInwardNormal(house, span.edge.start, span.edge.end);
+        p5Instance.stroke(255, 255, 255, 240);
+        p5Instance.strokeWeight(4 / currentZoomScaleP5);
+        p5Instance.line(start.x * pxPerFtUnit, start.y * pxPerFtUnit, end.x * pxPerFtUnit, end.y * pxPerFtUnit);
+        p5Instance.stroke(60, 60, 80, 230);
+        p5Instance.strokeWeight(1 / currentZoomScaleP5);
+        if (opening.type === 'door') {
+            const widthFt = span.toFt - span.fromFt;
+            const leafEnd = { x: start.x + inward.x * widthFt, y: start.y + inward.y * widthFt };
+            p5Instance.line(start.x * pxPerFtUnit, start.y * pxPerFtUnit, leafEnd.x * pxPerFtUnit, leafEnd.y * pxPerFtUnit);
+            // p5 angles run clockwise on screen; the swing covers the quarter between the leaf and the wall
+            const leafAngle = Math.atan2(inward.y, inward.x);
+            const wallAngle = Math.atan2(end.y - start.y, end.x - start.x);
+            const isWallClockwiseOfLeaf = Math.sin(wallAngle - leafAngle) > 0;
+            const [from, to] = isWallClockwiseOfLeaf ? [leafAngle, wallAngle] : [wallAngle, leafAngle];
+            p5Instance.arc(start.x * pxPerFtUnit, start.y * pxPerFtUnit, 2 * widthFt * pxPerFtUnit, 2 * widthFt * pxPerFtUnit, from, to < from ? to + 2 * Math.PI : to);
+        } else {
+            [-WINDOW_SYMBOL_GAP_FT / 2, WINDOW_SYMBOL_GAP_FT / 2].forEach(shift => {
+                p5Instance.line((start.x + inward.x * shift) * pxPerFtUnit, (start.y + inward.y * shift) * pxPerFtUnit,
+                    (end.x + inward.x * shift) * pxPerFtUnit, (end.y + inward.y * shift) * pxPerFtUnit);
+            });
+        }
+    });
+    p5Instance.pop();
+}
+
+// Set-back upper storeys as dashed outlines over the ground floor
+function drawUpperStoreysP5(house, pxPerFtUnit) {
+    const upperLevels = getStoreyLevels(house).slice(1);
+    if (upperLevels.length === 0) return;
+    p5Instance.push();
+    p5Instance.noFill();
+    p5Instance.stroke(90, 90, 120, 220);
+    p5Instance.strokeWeight(1 / currentZoomScaleP5);
+    p5Instance.drawingContext.setLineDash([5 / currentZoomScaleP5, 3 / currentZoomScaleP5]);
+    upperLevels.forEach(level => {
+        p5Instance.beginShape();
+        level.outline.forEach(p => p5Instance.vertex(p.x * pxPerFtUnit, p.y * pxPerFtUnit));
+        p5Instance.endShape(p5Instance.CLOSE);
+    });
+    p5Instance.drawingContext.setLineDash([]);
+    p5Instance.pop();
+}
+
+// Edge numbers outside each wall of the selected house, matching the doors and windows list
+function drawHouseEdgeNumbersP5(house, pxPerFtUnit) {
+    p5Instance.push();
+    p5Instance.fill(0, 70, 160, 230);
+    p5Instance.noStroke();
+    p5Instance.textAlign(p5Instance.CENTER, p5Instance.CENTER);
+    p5Instance.textSize(10 / currentZoomScaleP5);
+    house.outline.forEach((corner, index) => {
+        const edge = getHouseEdgeFt(house, index);
+        const mid = getEdgeMidpointFt(corner, house.outline[(index + 1) % house.outline.length], corner.curve);
+        const inward = getInwardNormal(house, edge.start, edge.end);
+        const labelOffsetFt = 12 / currentZoomScaleP5 / pxPerFtUnit;
+        p5Instance.push();
+        p5Instance.translate((mid.x - inward.x * labelOffsetFt) * pxPerFtUnit, (mid.y - inward.y * labelOffsetFt) * pxPerFtUnit);
+        if (house.rotation) p5Instance.rotate(-p5Instance.radians(house.rotation));
+        p5Instance.text(index + 1, 0, 0);
+        p5Instance.pop();
+    });
+    p5Instance.pop();
+}
+
+
 // --- Canvas Interaction: Mouse Events ---
 // Transforms mouse coordinates from p5 canvas space to lot/world feet coordinates
-function p5CanvasToLotCoords(mouseX_canvas, mouseY_canvas) {
+// Centre of the lot's bounding box, which the view is centred on.
+// Held still while the lot outline is being edited so the canvas doesn't shift under the cursor.
+function getViewCentreFt() {
+    if (frozenViewCentreFt) return frozenViewCentreFt;
     const lotCfg = config.lotConfigRef();
-    let lotCenterXFt, lotCenterYFt;
     if (lotCfg.isCustomShape && lotCfg.customShapePoints.length > 0) {
         const bounds = getPolygonBoundsFt(lotCfg.customShapePoints);
-        lotCenterXFt = bounds.minX + bounds.width / 2;
-        lotCenterYFt = bounds.minY + bounds.height / 2;
-    } else {
-        lotCenterXFt = lotCfg.width / 2;
-        lotCenterYFt = lotCfg.depth / 2;
+        return { x: bounds.minX + bounds.width / 2, y: bounds.minY + bounds.height / 2 };
     }
+    return { x: lotCfg.width / 2, y: lotCfg.depth / 2 };
+}
+
+function p5CanvasToLotCoords(mouseX_canvas, mouseY_canvas) {
+    const lotCenter = getViewCentreFt();
+    const lotCenterXFt = lotCenter.x, lotCenterYFt = lotCenter.y;
 
     // Mouse coords relative to canvas center (view coords in pixels)
     let x_transformed = mouseX_canvas - p5Canvas.width / 2;
@@ -405,110 +845,319 @@ function handleP5MousePressed() {
 
     if (isInDrawingModeP5) {
         const lotMouseCoords = p5CanvasToLotCoords(p5Instance.mouseX, p5Instance.mouseY);
-        // Snap to grid for drawing
-        const snappedXFt = Math.round(lotMouseCoords.x / GRID_SIZE_FT) * GRID_SIZE_FT;
-        const snappedYFt = Math.round(lotMouseCoords.y / GRID_SIZE_FT) * GRID_SIZE_FT;
-
-        currentPolygonPointsFt.push({ x: snappedXFt, y: snappedYFt });
+        const snappedPointFt = snapDrawingPointFt(lotMouseCoords);
+        if (pendingCurveIndexP5 !== null) {
+            // The click after a curved edge's end point says where the curve passes through
+            const start = currentPolygonPointsFt[pendingCurveIndexP5];
+            const curve = getCurveThroughPoint(drawingEdgeTypeP5, start, currentPolygonPointsFt[pendingCurveIndexP5 + 1], snappedPointFt);
+            if (curve) currentPolygonPointsFt[pendingCurveIndexP5] = { ...start, curve };
+            pendingCurveIndexP5 = null;
+            isShapeValidPreviewP5 = isDrawingShapeValidP5(currentPolygonPointsFt);
+            redrawP5(p5Instance);
+            return;
+        }
+        currentPolygonPointsFt.push(snappedPointFt);
+        if (drawingEdgeTypeP5 !== 'line' && currentPolygonPointsFt.length > 1) pendingCurveIndexP5 = currentPolygonPointsFt.length - 2;
         
         isShapeClosedP5 = false; // Reset on new point
         if (currentPolygonPointsFt.length > 1) {
-            isShapeValidPreviewP5 = (currentDrawingPolygonTypeP5 === 'lot_polygon') ? 
-                                    isLotShapeValidP5(currentPolygonPointsFt) : 
-                                    isHouseShapeValidP5(currentPolygonPointsFt);
+            isShapeValidPreviewP5 = isDrawingShapeValidP5(currentPolygonPointsFt);
         }
 
 
-        if (config.onPolygonVertexAdd) config.onPolygonVertexAdd({ x: snappedXFt, y: snappedYFt }, currentDrawingPolygonTypeP5);
+        if (config.onPolygonVertexAdd) config.onPolygonVertexAdd({ ...snappedPointFt }, currentDrawingPolygonTypeP5);
         redrawP5(p5Instance);
         return; // Don't process element selection/dragging while drawing
     }
 
     const lotMouseCoords = p5CanvasToLotCoords(p5Instance.mouseX, p5Instance.mouseY);
+    if (vertexEditTargetP5) {
+        handleVertexEditPressP5(lotMouseCoords);
+        return; // Elements can't be selected while an outline is being edited
+    }
+    if (isMeasuringP5) {
+        handleMeasureClickP5(lotMouseCoords);
+        return; // The measure tool doesn't select or move elements
+    }
+    if (isPlacingSpotsP5) {
+        const spot = getSpotElevationAtLotPoint(lotMouseCoords);
+        if (config.onSpotElevationClick) config.onSpotElevationClick({ ...lotMouseCoords }, spot ? spot.id : null);
+        return;
+    }
+    if (terrainBrushP5) {
+        lastTerrainDabFt = lotMouseCoords;
+        terrainHoverFt = lotMouseCoords;
+        if (config.onTerrainSculpt) config.onTerrainSculpt({ ...lotMouseCoords }, true);
+        redrawP5(p5Instance);
+        return; // Sculpting doesn't select or move elements either
+    }
+    const handle = getHandleAtLotPoint(lotMouseCoords);
+    if (handle) {
+        const el = getHandleTargetP5();
+        activeHandleP5 = handle;
+        transformStartStateP5 = { id: el.id, x: el.x, y: el.y, width: el.width, depth: el.depth, rotation: el.rotation || 0 };
+        return;
+    }
+    const clickedElement = getElementAtLotPoint(lotMouseCoords);
+    const isAdditive = p5Instance.keyIsDown(p5Instance.SHIFT);
+
+    if (clickedElement) {
+        if (isAdditive) {
+            // Shift-click toggles the element in or out of the selection without dragging
+            if (config.onElementSelect) config.onElementSelect(clickedElement.id, '2D', true);
+        } else {
+            // Clicking an already-selected element keeps the group so it can be dragged together
+            const isAlreadySelected = getSelectedElementsP5().some(el => el.id === clickedElement.id);
+            if (!isAlreadySelected && config.onElementSelect) config.onElementSelect(clickedElement.id, '2D');
+            startDragP5(clickedElement.id);
+        }
+    } else {
+        if (!isAdditive && config.onElementSelect) config.onElementSelect(null, '2D');
+        isMarqueeSelectingP5 = true;
+        isMarqueeAdditiveP5 = isAdditive;
+        marqueeStartFt = lotMouseCoords;
+        marqueeEndFt = lotMouseCoords;
+    }
+    redrawP5(p5Instance);
+}
+
+// Hit-tests the custom houses first (complex shapes, drawn on top), then elements from top-most down.
+function getElementAtLotPoint(lotPointFt) {
     const elementsToCheck = config.elementsRef();
-    const currentCustomHouse = config.customHouseRef ? config.customHouseRef() : null;
-    let newlySelectedElement = null;
-
-    // Check custom house first due to potentially complex shape
-    if (currentCustomHouse) {
-        const house = currentCustomHouse;
-        // Transform mouse to house's local coordinate system
-        const dx = lotMouseCoords.x - (house.x + house.width / 2); // Mouse relative to house center (feet)
-        const dy = lotMouseCoords.y - (house.y + house.depth / 2);
-        const angleRad = -p5Instance.radians(house.rotation || 0); // Counter-rotate mouse
-        const localMouseX = dx * Math.cos(angleRad) - dy * Math.sin(angleRad); // Now in house local feet
-        const localMouseY = dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
-
-        if (isPointInPolygon({x: localMouseX, y: localMouseY}, house.outline)) {
-            newlySelectedElement = house;
+    const customHouses = getCustomHousesP5();
+
+    for (let i = customHouses.length - 1; i >= 0; i--) {
+        const house = customHouses[i];
+        if (!house.outline || house.outline.length < 3) continue;
+        // Transform point to house's local coordinate system
+        const dx = lotPointFt.x - (house.x + house.width / 2); // Relative to house center (feet)
+        const dy = lotPointFt.y - (house.y + house.depth / 2);
+        const angleRad = -p5Instance.radians(house.rotation || 0); // Counter-rotate
+        const localX = dx * Math.cos(angleRad) - dy * Math.sin(angleRad); // Now in house local feet
+        const localY = dx * Math.sin(angleRad) + dy * Math.cos(angleRad);
+
+        if (isPointInPolygon({x: localX, y: localY}, flattenOutline(house.outline))) {
+            return house;
+        }
+    }
+
+    for (let i = elementsToCheck.length - 1; i >= 0; i--) {
+        const el = elementsToCheck[i];
+        // Element's x,y is top-left. Calculate center for rotation.
+        const elCenterXFt = el.x + el.width/2;
+        const elCenterYFt = el.y + el.depth/2;
+        
+        const pointRotated = rotatePoint(lotPointFt, {x: elCenterXFt, y: elCenterYFt}, -(el.rotation || 0));
+
+        // Check against element's bounding box (defined by its top-left x,y and width/depth)
+        if (pointRotated.x >= el.x && pointRotated.x <= el.x + el.width &&
+            pointRotated.y >= el.y && pointRotated.y <= el.y + el.depth) {
+            // Freeform elements and routes only count inside their outline, not the whole bounding box
+            const localPointFt = { x: pointRotated.x - elCenterXFt, y: pointRotated.y - elCenterYFt };
+            if (hasElementRoute(el) && !isPointInPolygon(localPointFt, getRouteOutline(el))) continue;
+            if (hasElementOutline(el) && !isPointInPolygon(localPointFt, flattenOutline(getSizedOutline(el)))) continue;
+            return el;
         }
     }
+    return null;
+}
 
-    if (!newlySelectedElement) { // If custom house not selected, check other elements
-        for (let i = elementsToCheck.length - 1; i >= 0; i--) {
-            const el = elementsToCheck[i];
-            // Element's x,y is top-left. Calculate center for rotation.
-            const elCenterXFt = el.x + el.width/2;
-            const elCenterYFt = el.y + el.depth/2;
-            
-            const mouseRotated = rotatePoint(lotMouseCoords, {x: elCenterXFt, y: elCenterYFt}, -(el.rotation || 0));
+// --- Selection Handles ---
+// Handles are shown when exactly one regular element is selected (custom house shapes are edited elsewhere)
+function getHandleTargetP5() {
+    if (isInDrawingModeP5) return null;
+    const selection = getSelectedElementsP5();
+    return selection.length === 1 && selection[0].type !== 'custom_house' ? selection[0] : null;
+}
 
-            // Check against element's bounding box (defined by its top-left x,y and width/depth)
-            if (mouseRotated.x >= el.x && mouseRotated.x <= el.x + el.width &&
-                mouseRotated.y >= el.y && mouseRotated.y <= el.y + el.depth) {
-                newlySelectedElement = el; break;
-            }
+// Handle positions in feet, relative to the element centre in its unrotated frame (y grows downwards)
+function getSelectionHandlesFt(element) {
+    const halfW = element.width / 2, halfD = element.depth / 2;
+    const handles = [];
+    for (let sy = -1; sy <= 1; sy++) {
+        for (let sx = -1; sx <= 1; sx++) {
+            if (sx === 0 && sy === 0) continue;
+            handles.push({ type: 'resize', sx, sy, x: sx * halfW, y: sy * halfD });
         }
     }
+    if (isRotatableElement(element)) {
+        const offsetFt = ROTATION_HANDLE_OFFSET_PX / (PIXELS_PER_FOOT_P5 * currentZoomScaleP5);
+        handles.push({ type: 'rotate', x: 0, y: -halfD - offsetFt });
+    }
+    return handles;
+}
 
-    if (newlySelectedElement) {
-        selectedP5ElementData = newlySelectedElement; isDraggingP5 = true;
-        dragStartMouseP5 = { x: p5Instance.mouseX, y: p5Instance.mouseY }; // Canvas coords
-        dragStartElementPosFt = { x: selectedP5ElementData.x, y: selectedP5ElementData.y };
-        if (config.onElementSelect) config.onElementSelect(selectedP5ElementData.id, '2D');
-    } else {
-        selectedP5ElementData = null; isDraggingP5 = false;
-        if (config.onElementSelect) config.onElementSelect(null, '2D');
+function getHandleAtLotPoint(lotPointFt) {
+    const el = getHandleTargetP5();
+    if (!el) return null;
+    const center = { x: el.x + el.width / 2, y: el.y + el.depth / 2 };
+    const local = rotatePoint(lotPointFt, center, -(isRotatableElement(el) ? el.rotation || 0 : 0));
+    const toleranceFt = HANDLE_SIZE_PX / (PIXELS_PER_FOOT_P5 * currentZoomScaleP5);
+    return getSelectionHandlesFt(el).find(h =>
+        Math.abs(local.x - center.x - h.x) <= toleranceFt && Math.abs(local.y - center.y - h.y) <= toleranceFt
+    ) || null;
+}
+
+// Resizes against the fixed opposite edge/corner, working in the element's rotated frame
+function dragResizeHandleP5(lotMouseCoords) {
+    const start = transformStartStateP5;
+    const el = getHandleTargetP5();
+    if (!el || el.id !== start.id) return;
+    const angle = isRotatableElement(el) ? start.rotation : 0;
+    const startCenter = { x: start.x + start.width / 2, y: start.y + start.depth / 2 };
+    const localMouse = rotatePoint(lotMouseCoords, startCenter, -angle);
+    const mx = localMouse.x - startCenter.x, my = localMouse.y - startCenter.y;
+    const sizeStep = isSnappingSuspendedP5() || !snapSettingsP5.grid ? 0.01 : Math.min(RESIZE_SNAP_FT, snapSettingsP5.gridSizeFt);
+    const snapSize = size => Math.max(appContextRefP5.MIN_ELEMENT_SIZE_FT, Math.round(size / sizeStep) * sizeStep);
+
+    let minX = -start.width / 2, maxX = start.width / 2, minY = -start.depth / 2, maxY = start.depth / 2;
+    let newWidth = start.width, newDepth = start.depth;
+    if (activeHandleP5.sx === 1) newWidth = snapSize(mx - minX);
+    if (activeHandleP5.sx === -1) newWidth = snapSize(maxX - mx);
+    if (activeHandleP5.sy === 1) newDepth = snapSize(my - minY);
+    if (activeHandleP5.sy === -1) newDepth = snapSize(maxY - my);
+    if (appContextRefP5.UNIFORM_SIZE_ELEMENT_TYPES.includes(el.type)) {
+        const size = activeHandleP5.sx === 0 ? newDepth : (activeHandleP5.sy === 0 ? newWidth : Math.max(newWidth, newDepth));
+        newWidth = size; newDepth = size;
     }
-    redrawP5(p5Instance);
+
+    if (activeHandleP5.sx === 1) maxX = minX + newWidth;
+    else if (activeHandleP5.sx === -1) minX = maxX - newWidth;
+    else { minX = -newWidth / 2; maxX = newWidth / 2; }
+    if (activeHandleP5.sy === 1) maxY = minY + newDepth;
+    else if (activeHandleP5.sy === -1) minY = maxY - newDepth;
+    else { minY = -newDepth / 2; maxY = newDepth / 2; }
+
+    const localCenter = { x: startCenter.x + (minX + maxX) / 2, y: startCenter.y + (minY + maxY) / 2 };
+    const newCenter = rotatePoint(localCenter, startCenter, angle);
+    const changes = { x: newCenter.x - newWidth / 2, y: newCenter.y - newDepth / 2, width: newWidth, depth: newDepth };
+    if (changes.width !== el.width || changes.depth !== el.depth || changes.x !== el.x || changes.y !== el.y) {
+        if (config.onElementTransform) config.onElementTransform(el.id, changes);
+        redrawP5(p5Instance);
+    }
+}
+
+function dragRotateHandleP5(lotMouseCoords) {
+    const start = transformStartStateP5;
+    const el = getHandleTargetP5();
+    if (!el || el.id !== start.id) return;
+    const center = { x: el.x + el.width / 2, y: el.y + el.depth / 2 };
+    // The handle sits straight "up" (-y) from the centre at 0 degrees
+    let angle = p5Instance.degrees(Math.atan2(lotMouseCoords.y - center.y, lotMouseCoords.x - center.x)) + 90;
+    // Angle snapping is on by default; Shift (or Alt) rotates freely in 1 degree steps
+    const isFree = !snapSettingsP5.angle || p5Instance.keyIsDown(p5Instance.SHIFT) || isSnappingSuspendedP5();
+    const snapStep = isFree ? 1 : snapSettingsP5.angleStepDegrees;
+    angle = Math.round(angle / snapStep) * snapStep;
+    angle = ((angle % 360) + 360) % 360;
+    if (angle !== (el.rotation || 0)) {
+        if (config.onElementTransform) config.onElementTransform(el.id, { rotation: angle });
+        redrawP5(p5Instance);
+    }
+}
+
+function getSelectedElementsP5() {
+    return appContextRefP5?.selectedElements ? appContextRefP5.selectedElements() : [];
+}
+
+function startDragP5(pressedElementId) {
+    const selection = getSelectedElementsP5();
+    if (selection.length === 0) return;
+    isDraggingP5 = true;
+    pressedElementIdP5 = pressedElementId;
+    dragStartMouseP5 = { x: p5Instance.mouseX, y: p5Instance.mouseY }; // Canvas coords
+    dragStartPositionsFt = selection.map(el => ({ id: el.id, x: el.x, y: el.y, width: el.width, depth: el.depth, bounds: getElementBoundsFt(el) }));
+    dragStartBoundsFt = mergeBoundsFt(selection.map(getElementBoundsFt));
+    hasDragReportedMovesP5 = false;
+}
+
+function getMarqueeBoundsFt() {
+    const minX = Math.min(marqueeStartFt.x, marqueeEndFt.x);
+    const minY = Math.min(marqueeStartFt.y, marqueeEndFt.y);
+    const maxX = Math.max(marqueeStartFt.x, marqueeEndFt.x);
+    const maxY = Math.max(marqueeStartFt.y, marqueeEndFt.y);
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+// Elements whose centre lies inside the marquee are selected
+function getElementIdsInMarquee() {
+    const bounds = getMarqueeBoundsFt();
+    const candidates = [...config.elementsRef(), ...getCustomHousesP5()];
+    return candidates.filter(el => {
+        const centerX = el.x + el.width / 2;
+        const centerY = el.y + el.depth / 2;
+        return centerX >= bounds.minX && centerX <= bounds.maxX && centerY >= bounds.minY && centerY <= bounds.maxY;
+    }).map(el => el.id);
 }
 
 
 function handleP5MouseDragged() {
-    if (isDraggingP5 && selectedP5ElementData) {
-        const currentLotMouseCoords = p5CanvasToLotCoords(p5Instance.mouseX, p5Instance.mouseY); // Target new center in lot coords
-        const dragStartLotMouseCoords = p5CanvasToLotCoords(dragStartMouseP5.x, dragStartMouseP5.y); // Original center in lot coords
+    if (lastTerrainDabFt) {
+        dragTerrainBrushP5(p5CanvasToLotCoords(p5Instance.mouseX, p5Instance.mouseY));
+        return;
+    }
+    if (draggedVertexIndexP5 !== null) {
+        dragVertexP5(p5CanvasToLotCoords(p5Instance.mouseX, p5Instance.mouseY));
+        return;
+    }
+    if (draggedCurveEdgeIndexP5 !== null) {
+        dragCurveHandleP5(p5CanvasToLotCoords(p5Instance.mouseX, p5Instance.mouseY));
+        return;
+    }
+    if (activeHandleP5) {
+        const lotMouseCoords = p5CanvasToLotCoords(p5Instance.mouseX, p5Instance.mouseY);
+        if (activeHandleP5.type === 'rotate') dragRotateHandleP5(lotMouseCoords);
+        else dragResizeHandleP5(lotMouseCoords);
+        return;
+    }
+    if (isMarqueeSelectingP5) {
+        marqueeEndFt = p5CanvasToLotCoords(p5Instance.mouseX, p5Instance.mouseY);
+        redrawP5(p5Instance);
+        return;
+    }
+    if (isDraggingP5 && dragStartPositionsFt.length > 0) {
+        const currentLotMouseCoords = p5CanvasToLotCoords(p5Instance.mouseX, p5Instance.mouseY);
+        const dragStartLotMouseCoords = p5CanvasToLotCoords(dragStartMouseP5.x, dragStartMouseP5.y);
 
         let deltaX_ft = currentLotMouseCoords.x - dragStartLotMouseCoords.x;
         let deltaY_ft = currentLotMouseCoords.y - dragStartLotMouseCoords.y;
-        
-        let newElementX_ft = dragStartElementPosFt.x + deltaX_ft;
-        let newElementY_ft = dragStartElementPosFt.y + deltaY_ft;
 
-        // Snap to grid
-        newElementX_ft = Math.round(newElementX_ft / GRID_SIZE_FT) * GRID_SIZE_FT;
-        newElementY_ft = Math.round(newElementY_ft / GRID_SIZE_FT) * GRID_SIZE_FT;
+        // Edges/centres of nearby objects win over the grid; Alt suspends all snapping
+        alignmentGuidesP5 = [];
+        if (!isSnappingSuspendedP5()) {
+            const objectSnap = snapSettingsP5.objects ? getAlignmentSnapFt(offsetBoundsFt(dragStartBoundsFt, deltaX_ft, deltaY_ft), dragStartPositionsFt.map(p => p.id)) : { x: null, y: null };
+            // Snap to grid: the first dragged element lands on the grid and the rest keep their offsets
+            const anchor = dragStartPositionsFt[0];
+            if (objectSnap.x) deltaX_ft += objectSnap.x.offset;
+            else if (snapSettingsP5.grid) deltaX_ft = snapToGridFt(anchor.x + deltaX_ft) - anchor.x;
+            if (objectSnap.y) deltaY_ft += objectSnap.y.offset;
+            else if (snapSettingsP5.grid) deltaY_ft = snapToGridFt(anchor.y + deltaY_ft) - anchor.y;
+            alignmentGuidesP5 = [objectSnap.x, objectSnap.y].filter(Boolean).map(snap => snap.guide);
+        }
+        const snappedDeltaX = deltaX_ft, snappedDeltaY = deltaY_ft;
         
         const lotCfg = config.lotConfigRef();
-        if (!lotCfg.isCustomShape) { // Simple rectangular boundary
-            newElementX_ft = Math.max(0, Math.min(newElementX_ft, lotCfg.width - selectedP5ElementData.width));
-            newElementY_ft = Math.max(0, Math.min(newElementY_ft, lotCfg.depth - selectedP5ElementData.depth));
-        } else {
-            // For custom shapes, more complex boundary check is needed.
-            // For now, allow dragging, final placement validation can occur on drop or via appContext.validateAndPlaceElement.
-            // Or, check if the element's new center is within the custom lot polygon.
-            const elementCenter = { x: newElementX_ft + selectedP5ElementData.width / 2, y: newElementY_ft + selectedP5ElementData.depth / 2 };
-            if (!isPointInPolygon(elementCenter, lotCfg.customShapePoints)) {
-                // Potentially snap back or provide visual feedback, but can be complex with rotation.
-                // For now, we allow it, assuming some elements might partially overlap boundaries for visual reasons.
-            }
+        if (!lotCfg.isCustomShape) { // Simple rectangular boundary: limit the delta so every (rotated) footprint stays inside
+            const minDeltaX = Math.max(...dragStartPositionsFt.map(p => -p.bounds.minX));
+            const maxDeltaX = Math.min(...dragStartPositionsFt.map(p => lotCfg.width - p.bounds.maxX));
+            const minDeltaY = Math.max(...dragStartPositionsFt.map(p => -p.bounds.minY));
+            const maxDeltaY = Math.min(...dragStartPositionsFt.map(p => lotCfg.depth - p.bounds.maxY));
+            deltaX_ft = Math.max(minDeltaX, Math.min(deltaX_ft, maxDeltaX));
+            deltaY_ft = Math.max(minDeltaY, Math.min(deltaY_ft, maxDeltaY));
         }
-
-
-        if (selectedP5ElementData.x !== newElementX_ft || selectedP5ElementData.y !== newElementY_ft) {
-            if (config.onElementMove) {
-                config.onElementMove(selectedP5ElementData.id, newElementX_ft, newElementY_ft);
-            }
+        // Custom lot shapes are not constrained while dragging; footprints outside the polygon get a red warning.
+        // A guide is only meaningful if clamping didn't move the selection off it
+        alignmentGuidesP5 = alignmentGuidesP5.filter(guide => guide.axis === 'x' ? deltaX_ft === snappedDeltaX : deltaY_ft === snappedDeltaY);
+        if (alignmentGuidesP5.length > 0) extendGuidesToBoundsFt(alignmentGuidesP5, offsetBoundsFt(dragStartBoundsFt, deltaX_ft, deltaY_ft));
+
+        const moves = dragStartPositionsFt.map(p => ({ id: p.id, x: p.x + deltaX_ft, y: p.y + deltaY_ft }));
+        const selection = getSelectedElementsP5();
+        const hasChanged = moves.some(move => {
+            const el = selection.find(candidate => candidate.id === move.id);
+            return el && (el.x !== move.x || el.y !== move.y);
+        });
+        if (hasChanged) {
+            if (config.onElementsMove) config.onElementsMove(moves);
+            hasDragReportedMovesP5 = true;
             // Element data is updated by app.js, redraw will pick up new positions
             redrawP5(p5Instance); 
         }
@@ -516,7 +1165,62 @@ function handleP5MouseDragged() {
 }
 
 function handleP5MouseReleased() {
-    if (isDraggingP5) { isDraggingP5 = false; redrawP5(p5Instance); }
+    if (lastTerrainDabFt) {
+        lastTerrainDabFt = null;
+        if (config.onTerrainSculptEnd) config.onTerrainSculptEnd();
+        redrawP5(p5Instance);
+        return;
+    }
+    if (draggedVertexIndexP5 !== null) {
+        if (hasVertexDragChangedP5 && config.onVertexEditEnd) config.onVertexEditEnd({ ...vertexEditTargetP5 }, 'Move vertex');
+        draggedVertexIndexP5 = null;
+        hasVertexDragChangedP5 = false;
+        rejectedVertexPointFt = null;
+        redrawP5(p5Instance);
+        return;
+    }
+    if (draggedCurveEdgeIndexP5 !== null) {
+        if (hasVertexDragChangedP5 && config.onVertexEditEnd) config.onVertexEditEnd({ ...vertexEditTargetP5 }, 'Reshape edge');
+        draggedCurveEdgeIndexP5 = null;
+        hasVertexDragChangedP5 = false;
+        redrawP5(p5Instance);
+        return;
+    }
+    if (activeHandleP5) {
+        if (config.onElementTransformEnd && transformStartStateP5) config.onElementTransformEnd({ ...transformStartStateP5 });
+        activeHandleP5 = null;
+        transformStartStateP5 = null;
+        redrawP5(p5Instance);
+        return;
+    }
+    if (isMarqueeSelectingP5) {
+        isMarqueeSelectingP5 = false;
+        const bounds = getMarqueeBoundsFt();
+        // A plain click on empty ground is not a marquee
+        if (bounds.width * PIXELS_PER_FOOT_P5 * currentZoomScaleP5 > 3 || bounds.height * PIXELS_PER_FOOT_P5 * currentZoomScaleP5 > 3) {
+            if (config.onElementsSelect) config.onElementsSelect(getElementIdsInMarquee(), isMarqueeAdditiveP5);
+        }
+        marqueeStartFt = null; marqueeEndFt = null;
+        redrawP5(p5Instance);
+        return;
+    }
+    if (isDraggingP5) {
+        isDraggingP5 = false;
+        alignmentGuidesP5 = [];
+        dragStartBoundsFt = null;
+        if (hasDragReportedMovesP5) {
+            // Report the whole drag once so app.js can record a single undo step, even one that ended
+            // where it began, as app.js holds some updates back until the drag is over
+            hasDragReportedMovesP5 = false;
+            if (config.onElementsMoveEnd) config.onElementsMoveEnd(dragStartPositionsFt.map(p => ({ id: p.id, x: p.x, y: p.y })));
+        } else if (dragStartPositionsFt.length > 1 && config.onElementSelect) {
+            // A click without a drag on a member of a group narrows the selection to that element
+            config.onElementSelect(pressedElementIdP5, '2D');
+        }
+        dragStartPositionsFt = [];
+        pressedElementIdP5 = null;
+        redrawP5(p5Instance);
+    }
 }
 
 function handleP5MouseMoveForDrawing(event) {
@@ -534,11 +1238,9 @@ function handleP5MouseMoveForDrawing(event) {
     
     if (isInDrawingModeP5) {
         const lotMouseCoords = p5CanvasToLotCoords(mouseXInCanvas, mouseYInCanvas);
-        const snappedXFt = Math.round(lotMouseCoords.x / GRID_SIZE_FT) * GRID_SIZE_FT;
-        const snappedYFt = Math.round(lotMouseCoords.y / GRID_SIZE_FT) * GRID_SIZE_FT;
-        hoverSnapPointFt = { x: snappedXFt, y: snappedYFt };
+        hoverSnapPointFt = snapDrawingPointFt(lotMouseCoords);
 
-        if (currentPolygonPointsFt.length > 0 && !isShapeClosedP5) {
+        if (currentPolygonPointsFt.length > 0 && !isShapeClosedP5 && pendingCurveIndexP5 === null) {
             const lastPointFt = currentPolygonPointsFt[currentPolygonPointsFt.length - 1];
             mousePreviewLineP5 = { // Store in Ft coordinates
                 x1Ft: lastPointFt.x, y1Ft: lastPointFt.y,
@@ -548,6 +1250,12 @@ function handleP5MouseMoveForDrawing(event) {
             mousePreviewLineP5 = null;
         }
         redrawP5(p5Instance);
+    } else if (isMeasuringP5) {
+        measureHoverAnchorP5 = createMeasureAnchorFt(p5CanvasToLotCoords(mouseXInCanvas, mouseYInCanvas));
+        redrawP5(p5Instance);
+    } else if (terrainBrushP5) {
+        terrainHoverFt = p5CanvasToLotCoords(mouseXInCanvas, mouseYInCanvas);
+        redrawP5(p5Instance);
     } else {
         if (hoverSnapPointFt) { // If previously drawing and now not, clear the point
              hoverSnapPointFt = null;
@@ -557,6 +1265,732 @@ function handleP5MouseMoveForDrawing(event) {
     }
 }
 
+// --- Snapping ---
+export function getSnapSettingsP5() { return { ...snapSettingsP5 }; }
+
+export function setSnapSettingsP5(settings) {
+    snapSettingsP5 = { ...snapSettingsP5, ...settings };
+    if (!(snapSettingsP5.gridSizeFt > 0)) snapSettingsP5.gridSizeFt = GRID_SIZE_FT;
+    else snapSettingsP5.gridSizeFt = Math.max(MIN_GRID_SIZE_FT, snapSettingsP5.gridSizeFt);
+    if (!(snapSettingsP5.angleStepDegrees > 0)) snapSettingsP5.angleStepDegrees = 15;
+    redrawP5(p5Instance);
+}
+
+function isSnappingSuspendedP5() {
+    return !!(p5Instance && p5Instance.keyIsDown(p5Instance.ALT));
+}
+
+function snapToGridFt(valueFt) {
+    return Math.round(valueFt / snapSettingsP5.gridSizeFt) * snapSettingsP5.gridSizeFt;
+}
+
+function getSnapToleranceFt() {
+    return SNAP_TOLERANCE_PX / (PIXELS_PER_FOOT_P5 * currentZoomScaleP5);
+}
+
+// Axis-aligned bounds of an element's (possibly rotated) footprint
+function getElementBoundsFt(element) {
+    return getPolygonBoundsFt(getElementFootprintFt(element));
+}
+
+function mergeBoundsFt(boundsList) {
+    const minX = Math.min(...boundsList.map(b => b.minX)), minY = Math.min(...boundsList.map(b => b.minY));
+    const maxX = Math.max(...boundsList.map(b => b.maxX)), maxY = Math.max(...boundsList.map(b => b.maxY));
+    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+}
+
+function offsetBoundsFt(bounds, dx, dy) {
+    return { ...bounds, minX: bounds.minX + dx, maxX: bounds.maxX + dx, minY: bounds.minY + dy, maxY: bounds.maxY + dy };
+}
+
+// Lines that moving objects snap to: { x: [{ value, from, to }], y: [...] }.
+// `from`/`to` is the extent of the target along the other axis, used to draw the guide.
+function getSnapTargetsFt(excludedIds) {
+    const targets = { x: [], y: [] };
+    const addBounds = (b) => {
+        [b.minX, (b.minX + b.maxX) / 2, b.maxX].forEach(value => targets.x.push({ value, from: b.minY, to: b.maxY }));
+        [b.minY, (b.minY + b.maxY) / 2, b.maxY].forEach(value => targets.y.push({ value, from: b.minX, to: b.maxX }));
+    };
+    const addVertices = (points) => points.forEach(p => {
+        targets.x.push({ value: p.x, from: p.y, to: p.y });
+        targets.y.push({ value: p.y, from: p.x, to: p.x });
+    });
+
+    config.elementsRef().forEach(el => { if (!excludedIds.includes(el.id)) addBounds(getElementBoundsFt(el)); });
+
+    const lotCfg = config.lotConfigRef();
+    if (lotCfg.isCustomShape && lotCfg.customShapePoints.length >= 3) {
+        addVertices(lotCfg.customShapePoints);
+        addBounds(getPolygonBoundsFt(lotCfg.customShapePoints));
+    } else {
+        addBounds({ minX: 0, minY: 0, maxX: lotCfg.width, maxY: lotCfg.depth });
+    }
+
+    getCustomHousesP5().forEach(house => {
+        if (!house.outline || house.outline.length < 3 || excludedIds.includes(house.id)) return;
+        addVertices(getOutlineWorldVerticesFt(house));
+        addBounds(getPolygonBoundsFt(getOutlineWorldPointsFt(house)));
+    });
+    return targets;
+}
+
+// Finds the closest edge/centre alignment per axis for the moving bounds.
+// Returns { x: { offset, guide } | null, y: ... } where offset is added to the drag delta.
+function getAlignmentSnapFt(movingBounds, excludedIds) {
+    const targets = getSnapTargetsFt(excludedIds);
+    const tolerance = getSnapToleranceFt();
+    const findAxisSnap = (axis) => {
+        const min = axis === 'x' ? movingBounds.minX : movingBounds.minY;
+        const max = axis === 'x' ? movingBounds.maxX : movingBounds.maxY;
+        const movingValues = [min, (min + max) / 2, max];
+        let best = null;
+        targets[axis].forEach(target => {
+            movingValues.forEach(value => {
+                const offset = target.value - value;
+                if (Math.abs(offset) <= tolerance && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                    best = { offset, guide: { axis, value: target.value, from: target.from, to: target.to } };
+                }
+            });
+        });
+        return best;
+    };
+    return { x: findAxisSnap('x'), y: findAxisSnap('y') };
+}
+
+// Stretches each guide so it spans both the target and the (snapped) moving bounds
+function extendGuidesToBoundsFt(guides, bounds) {
+    guides.forEach(guide => {
+        const from = guide.axis === 'x' ? bounds.minY : bounds.minX;
+        const to = guide.axis === 'x' ? bounds.maxY : bounds.maxX;
+        guide.from = Math.min(guide.from, from);
+        guide.to = Math.max(guide.to, to);
+    });
+}
+
+// Polygon drawing snaps to existing lot/house vertices first, then to the grid.
+// ignoredVertexFt is a vertex being dragged, which mustn't snap to where it already is.
+function snapDrawingPointFt(lotPointFt, ignoredVertexFt = null) {
+    if (isSnappingSuspendedP5()) return { x: lotPointFt.x, y: lotPointFt.y };
+    if (snapSettingsP5.objects) {
+        const tolerance = getSnapToleranceFt();
+        const lotCfg = config.lotConfigRef();
+        const vertices = [
+            ...(lotCfg.isCustomShape ? lotCfg.customShapePoints : [{ x: 0, y: 0 }, { x: lotCfg.width, y: 0 }, { x: lotCfg.width, y: lotCfg.depth }, { x: 0, y: lotCfg.depth }]),
+            ...getCustomHousesP5().filter(house => house.outline && house.outline.length >= 3).flatMap(getOutlineWorldVerticesFt)
+        ];
+        const nearest = vertices.reduce((best, v) => {
+            if (ignoredVertexFt && v.x === ignoredVertexFt.x && v.y === ignoredVertexFt.y) return best;
+            const distance = Math.hypot(v.x - lotPointFt.x, v.y - lotPointFt.y);
+            return distance <= tolerance && (!best || distance < best.distance) ? { point: v, distance } : best;
+        }, null);
+        if (nearest) return { x: nearest.point.x, y: nearest.point.y };
+    }
+    if (snapSettingsP5.grid) return { x: snapToGridFt(lotPointFt.x), y: snapToGridFt(lotPointFt.y) };
+    return { x: lotPointFt.x, y: lotPointFt.y };
+}
+
+// --- Terrain Sculpting ---
+// brush: { tool, radiusFt, strengthFt } to sculpt with, null to stop
+export function setTerrainSculptModeP5(brush) {
+    terrainBrushP5 = brush ? { ...brush } : null;
+    if (!brush) {
+        terrainHoverFt = null;
+        lastTerrainDabFt = null;
+    }
+    redrawP5(p5Instance);
+}
+
+// Dabs are spaced along the stroke so the brush works at the same rate however fast the mouse moves
+function dragTerrainBrushP5(lotPointFt) {
+    terrainHoverFt = lotPointFt;
+    const spacingFt = terrainBrushP5.radiusFt * TERRAIN_DAB_SPACING;
+    const distanceFt = Math.hypot(lotPointFt.x - lastTerrainDabFt.x, lotPointFt.y - lastTerrainDabFt.y);
+    const dabCount = Math.floor(distanceFt / spacingFt);
+    for (let i = 1; i <= dabCount; i++) {
+        const t = i * spacingFt / distanceFt;
+        const dab = { x: lastTerrainDabFt.x + (lotPointFt.x - lastTerrainDabFt.x) * t, y: lastTerrainDabFt.y + (lotPointFt.y - lastTerrainDabFt.y) * t };
+        if (config.onTerrainSculpt) config.onTerrainSculpt(dab, false);
+        if (i === dabCount) lastTerrainDabFt = dab;
+    }
+    redrawP5(p5Instance);
+}
+
+// Each ground sample as a square tinted from blue (lowest) to brown (highest), clipped to the lot
+function drawTerrainShadingP5() {
+    const { grid } = getGroundOverlayP5();
+    if (!grid) return;
+    const lowest = Math.min(...grid.heights), highest = Math.max(...grid.heights);
+    const cellPx = grid.cellSizeFt * PIXELS_PER_FOOT_P5;
+    p5Instance.push();
+    clipToLotP5();
+    p5Instance.noStroke();
+    p5Instance.rectMode(p5Instance.CENTER);
+    for (let row = 0; row < grid.rows; row++) {
+        for (let column = 0; column < grid.columns; column++) {
+            const t = (grid.heights[row * grid.columns + column] - lowest) / (highest - lowest || 1);
+            p5Instance.fill(...TERRAIN_LOW_COLOUR.map((low, i) => low + (TERRAIN_HIGH_COLOUR[i] - low) * t), 110);
+            p5Instance.rect((grid.originX + column * grid.cellSizeFt) * PIXELS_PER_FOOT_P5, (grid.originY + row * grid.cellSizeFt) * PIXELS_PER_FOOT_P5, cellPx + 0.5, cellPx + 0.5);
+        }
+    }
+    p5Instance.drawingContext.restore();
+    p5Instance.pop();
+}
+
+function drawTerrainBrushP5() {
+    p5Instance.push();
+    p5Instance.noFill();
+    p5Instance.stroke(60, 60, 60, 200);
+    p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
+    p5Instance.drawingContext.setLineDash([4 / currentZoomScaleP5, 3 / currentZoomScaleP5]);
+    const diameterPx = terrainBrushP5.radiusFt * 2 * PIXELS_PER_FOOT_P5;
+    p5Instance.ellipse(terrainHoverFt.x * PIXELS_PER_FOOT_P5, terrainHoverFt.y * PIXELS_PER_FOOT_P5, diameterPx, diameterPx);
+    p5Instance.drawingContext.setLineDash([]);
+    p5Instance.pop();
+}
+
+// --- Grading ---
+// settings: any of { showContours, contourIntervalFt, showSlopes, showDrainage }
+export function setGradingDisplayP5(settings) {
+    gradingDisplayP5 = { ...gradingDisplayP5, ...settings };
+    redrawP5(p5Instance);
+}
+
+export function setSpotPlacementModeP5(isActive) {
+    isPlacingSpotsP5 = isActive;
+    redrawP5(p5Instance);
+}
+
+// The sampled ground and its contours, or { grid: null } while the ground is level everywhere
+function getGroundOverlayP5() {
+    const lotCfg = config.lotConfigRef();
+    const lotPolygon = getLotPolygonFt(config.lotConfigRef());
+    const key = JSON.stringify([config.groundRevisionRef(), lotPolygon, gradingDisplayP5.contourIntervalFt]);
+    if (groundOverlayCacheP5.key !== key) {
+        const grid = isGroundLevel(lotCfg) ? null : getGroundGrid(lotCfg, getPolygonBoundsFt(lotPolygon));
+        groundOverlayCacheP5 = { key, grid, contours: grid ? getContourLines(grid, gradingDisplayP5.contourIntervalFt, getGroundDatumFt(lotCfg)) : [] };
+    }
+    return groundOverlayCacheP5;
+}
+
+// Clips what follows to the lot; undone by drawingContext.restore()
+function clipToLotP5() {
+    const context = p5Instance.drawingContext;
+    context.save();
+    context.beginPath();
+    getLotPolygonFt(config.lotConfigRef()).forEach((p, i) => {
+        if (i === 0) context.moveTo(p.x * PIXELS_PER_FOOT_P5, p.y * PIXELS_PER_FOOT_P5);
+        else context.lineTo(p.x * PIXELS_PER_FOOT_P5, p.y * PIXELS_PER_FOOT_P5);
+    });
+    context.closePath();
+    context.clip();
+}
+
+// Every cell of the ground grid coloured by its slope class
+function drawSlopeShadingP5() {
+    const { grid } = getGroundOverlayP5();
+    if (!grid) return;
+    const cellPx = grid.cellSizeFt * PIXELS_PER_FOOT_P5;
+    p5Instance.push();
+    clipToLotP5();
+    p5Instance.noStroke();
+    p5Instance.rectMode(p5Instance.CORNER);
+    for (let row = 0; row < grid.rows - 1; row++) {
+        for (let column = 0; column < grid.columns - 1; column++) {
+            p5Instance.fill(...SLOPE_COLOURS[getSlopeClass(getCellSlopePercent(grid, column, row)).id], 90);
+            p5Instance.rect((grid.originX + column * grid.cellSizeFt) * PIXELS_PER_FOOT_P5, (grid.originY + row * grid.cellSizeFt) * PIXELS_PER_FOOT_P5, cellPx + 0.5, cellPx + 0.5);
+        }
+    }
+    p5Instance.drawingContext.restore();
+    p5Instance.rectMode(p5Instance.CENTER);
+    p5Instance.pop();
+}
+
+// Contour lines, the major ones heavier and labelled with their elevation
+function drawContoursP5() {
+    const { contours } = getGroundOverlayP5();
+    if (contours.length === 0) return;
+    p5Instance.push();
+    clipToLotP5();
+    contours.forEach(contour => {
+        p5Instance.stroke(130, 90, 50, contour.isMajor ? 220 : 140);
+        p5Instance.strokeWeight((contour.isMajor ? 1.5 : 0.75) / currentZoomScaleP5);
+        contour.segments.forEach(([start, end]) => p5Instance.line(start.x * PIXELS_PER_FOOT_P5, start.y * PIXELS_PER_FOOT_P5, end.x * PIXELS_PER_FOOT_P5, end.y * PIXELS_PER_FOOT_P5));
+    });
+    p5Instance.noStroke();
+    p5Instance.fill(110, 70, 35);
+    p5Instance.textSize(9 / currentZoomScaleP5);
+    p5Instance.textAlign(p5Instance.CENTER, p5Instance.CENTER);
+    contours.filter(contour => contour.isMajor).forEach(contour => {
+        const [start, end] = contour.segments[Math.floor(contour.segments.length / 2)];
+        p5Instance.text(formatElevationP5(contour.elevation), (start.x + end.x) / 2 * PIXELS_PER_FOOT_P5, (start.y + end.y) / 2 * PIXELS_PER_FOOT_P5);
+    });
+    p5Instance.drawingContext.restore();
+    p5Instance.pop();
+}
+
+// Ponding shaded deeper blue the deeper it fills, arrows down the flow paths growing with the water
+// they carry, and a dot at each downspout (filled when a rain barrel catches it)
+function drawDrainageP5() {
+    const drainage = config.drainageRef();
+    if (!drainage) return;
+    p5Instance.push();
+    clipToLotP5();
+    p5Instance.noStroke();
+    p5Instance.rectMode(p5Instance.CENTER);
+    getDrainageRegions(drainage).filter(region => region.kind === 'ponding').forEach(region => {
+        p5Instance.fill(50, 110, 220, Math.min(200, 70 + region.depthFt * 400));
+        p5Instance.rect(region.x * PIXELS_PER_FOOT_P5, region.y * PIXELS_PER_FOOT_P5, region.sizeFt * PIXELS_PER_FOOT_P5 + 0.5, region.sizeFt * PIXELS_PER_FOOT_P5 + 0.5);
+    });
+    const arrows = getDrainageArrows(drainage);
+    const largestLog = Math.log(Math.max(2, ...arrows.map(arrow => arrow.flow)));
+    arrows.forEach(({ from, to, flow }) => {
+        const weight = Math.log(flow) / largestLog; // 0..1, so a lot's main channels stand out whatever its size
+        const start = { x: from.x * PIXELS_PER_FOOT_P5, y: from.y * PIXELS_PER_FOOT_P5 };
+        const end = { x: (from.x + (to.x - from.x) * 0.7) * PIXELS_PER_FOOT_P5, y: (from.y + (to.y - from.y) * 0.7) * PIXELS_PER_FOOT_P5 };
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const headPx = (2 + weight * 3) / currentZoomScaleP5;
+        p5Instance.stroke(30, 90, 200, 80 + weight * 150);
+        p5Instance.strokeWeight((0.5 + weight * 2) / currentZoomScaleP5);
+        p5Instance.line(start.x, start.y, end.x, end.y);
+        p5Instance.line(end.x, end.y, end.x - headPx * Math.cos(angle - 0.5), end.y - headPx * Math.sin(angle - 0.5));
+        p5Instance.line(end.x, end.y, end.x - headPx * Math.cos(angle + 0.5), end.y - headPx * Math.sin(angle + 0.5));
+    });
+    p5Instance.drawingContext.restore();
+    p5Instance.stroke(30, 90, 200);
+    p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
+    drainage.downspouts.forEach(downspout => {
+        if (downspout.barrelId) p5Instance.fill(30, 90, 200); else p5Instance.noFill();
+        p5Instance.circle(downspout.x * PIXELS_PER_FOOT_P5, downspout.y * PIXELS_PER_FOOT_P5, 6 / currentZoomScaleP5);
+    });
+    p5Instance.pop();
+}
+
+// --- Sun Hours ---
+// Each analysed cell tinted by its exposure class: full sun, part shade or shade
+function drawSunHoursP5() {
+    const analysis = config.sunHoursRef();
+    if (!analysis) return;
+    const { grid, hours } = analysis;
+    const cellPx = grid.cellSizeFt * PIXELS_PER_FOOT_P5;
+    p5Instance.push();
+    clipToLotP5();
+    p5Instance.noStroke();
+    p5Instance.rectMode(p5Instance.CORNER);
+    grid.points.forEach((point, i) => { // Cells straddling the boundary are drawn too, clipped to the lot
+        p5Instance.fill(...getSunExposureClass(hours[i]).colour, 110);
+        p5Instance.rect(point.x * PIXELS_PER_FOOT_P5 - cellPx / 2, point.y * PIXELS_PER_FOOT_P5 - cellPx / 2, cellPx + 0.5, cellPx + 0.5);
+    });
+    p5Instance.drawingContext.restore();
+    p5Instance.rectMode(p5Instance.CENTER);
+    p5Instance.pop();
+}
+
+function drawSpotElevationsP5() {
+    const spots = config.lotConfigRef().spotElevations || [];
+    if (spots.length === 0) return;
+    const armPx = 4 / currentZoomScaleP5;
+    p5Instance.push();
+    spots.forEach(spot => {
+        const xPx = spot.x * PIXELS_PER_FOOT_P5, yPx = spot.y * PIXELS_PER_FOOT_P5;
+        p5Instance.stroke(40, 40, 40);
+        p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
+        p5Instance.line(xPx - armPx, yPx - armPx, xPx + armPx, yPx + armPx);
+        p5Instance.line(xPx - armPx, yPx + armPx, xPx + armPx, yPx - armPx);
+        p5Instance.noStroke();
+        p5Instance.fill(40, 40, 40);
+        p5Instance.textSize(10 / currentZoomScaleP5);
+        p5Instance.textAlign(p5Instance.LEFT, p5Instance.BOTTOM);
+        p5Instance.text(formatElevationP5(spot.elevation), xPx + armPx * 1.5, yPx - armPx * 0.5);
+    });
+    p5Instance.pop();
+}
+
+function getSpotElevationAtLotPoint(lotPointFt) {
+    const toleranceFt = getSnapToleranceFt();
+    return (config.lotConfigRef().spotElevations || []).find(spot => Math.hypot(spot.x - lotPointFt.x, spot.y - lotPointFt.y) <= toleranceFt) || null;
+}
+
+function formatElevationP5(elevationFt) {
+    return `${Number(elevationFt.toFixed(2))}'`;
+}
+
+// --- Measure Tool & Dimensions ---
+export function setMeasureModeP5(isActive) {
+    isMeasuringP5 = isActive;
+    measureStartAnchorP5 = null;
+    measureEndAnchorP5 = null;
+    measureHoverAnchorP5 = null;
+    redrawP5(p5Instance);
+}
+
+// The completed measurement (both points placed), or null
+export function getMeasurementP5() {
+    if (!measureStartAnchorP5 || !measureEndAnchorP5) return null;
+    const resolved = resolveDimensionFt({ start: measureStartAnchorP5, end: measureEndAnchorP5 });
+    return {
+        start: { ...measureStartAnchorP5 },
+        end: { ...measureEndAnchorP5 },
+        distanceFt: resolved ? Math.hypot(resolved.end.x - resolved.start.x, resolved.end.y - resolved.start.y) : 0
+    };
+}
+
+export function clearMeasurementP5() {
+    measureStartAnchorP5 = null;
+    measureEndAnchorP5 = null;
+    redrawP5(p5Instance);
+}
+
+function handleMeasureClickP5(lotPointFt) {
+    const dimensionId = getDimensionAtLotPoint(lotPointFt);
+    if (dimensionId !== null) {
+        if (config.onDimensionRemove) config.onDimensionRemove(dimensionId);
+        return;
+    }
+    const anchor = createMeasureAnchorFt(lotPointFt);
+    if (!measureStartAnchorP5 || measureEndAnchorP5) { // Start a new measurement
+        measureStartAnchorP5 = anchor;
+        measureEndAnchorP5 = null;
+        if (config.onMeasure) config.onMeasure(null);
+    } else {
+        measureEndAnchorP5 = anchor;
+        if (config.onMeasure) config.onMeasure(getMeasurementP5());
+    }
+    redrawP5(p5Instance);
+}
+
+// Pinned dimensions are picked by their label
+function getDimensionAtLotPoint(lotPointFt) {
+    const toleranceFt = 2 * getSnapToleranceFt();
+    const dimension = (config.dimensionsRef ? config.dimensionsRef() : []).find(dim => {
+        const resolved = resolveDimensionFt(dim);
+        if (!resolved) return false;
+        const mid = { x: (resolved.start.x + resolved.end.x) / 2, y: (resolved.start.y + resolved.end.y) / 2 };
+        return Math.hypot(lotPointFt.x - mid.x, lotPointFt.y - mid.y) <= toleranceFt;
+    });
+    return dimension ? dimension.id : null;
+}
+
+function findElementByIdP5(elementId) {
+    return config.elementsRef().find(el => el.id === elementId) || getCustomHousesP5().find(house => house.id === elementId) || null;
+}
+
+function getCustomHousesP5() {
+    return config.customHousesRef ? config.customHousesRef() : [];
+}
+
+// Picks what a click measures from: an element (centre, edge or interior point), a lot corner or edge, or a free point
+function createMeasureAnchorFt(lotPointFt) {
+    const tolerance = getSnapToleranceFt();
+    const element = getElementAtLotPoint(lotPointFt);
+    if (element) {
+        const center = { x: element.x + element.width / 2, y: element.y + element.depth / 2 };
+        const local = rotatePoint(lotPointFt, center, -(isRotatableElement(element) ? element.rotation || 0 : 0));
+        let offsetX = local.x - center.x, offsetY = local.y - center.y;
+        const halfW = element.width / 2, halfD = element.depth / 2;
+        const onVerticalEdge = Math.abs(Math.abs(offsetX) - halfW) <= tolerance;
+        const onHorizontalEdge = Math.abs(Math.abs(offsetY) - halfD) <= tolerance;
+        if (onVerticalEdge) offsetX = Math.sign(offsetX) * halfW;
+        if (onHorizontalEdge) offsetY = Math.sign(offsetY) * halfD;
+        // Centre and edge midpoints
+        if (Math.abs(offsetX) <= tolerance && !onVerticalEdge) offsetX = 0;
+        if (Math.abs(offsetY) <= tolerance && !onHorizontalEdge) offsetY = 0;
+        return { type: 'element', elementId: element.id, offsetX, offsetY };
+    }
+
+    const lotPolygon = getLotPolygonFt(config.lotConfigRef());
+    const corner = lotPolygon.find(p => Math.hypot(p.x - lotPointFt.x, p.y - lotPointFt.y) <= tolerance);
+    if (corner) return { type: 'point', x: corner.x, y: corner.y };
+    for (let i = 0; i < lotPolygon.length; i++) {
+        const closest = closestPointOnSegmentFt(lotPointFt, lotPolygon[i], lotPolygon[(i + 1) % lotPolygon.length]);
+        if (Math.hypot(closest.x - lotPointFt.x, closest.y - lotPointFt.y) <= tolerance) return { type: 'lot_edge', edgeIndex: i };
+    }
+    return { type: 'point', ...snapDrawingPointFt(lotPointFt) };
+}
+
+// Lot edge anchors resolve to the point on the edge closest to the other end, so the
+// dimension stays perpendicular to the boundary as the measured element moves.
+function resolveAnchorFt(anchor, otherAnchor = null) {
+    if (!anchor) return null;
+    if (anchor.type === 'point') return { x: anchor.x, y: anchor.y };
+    if (anchor.type === 'element') {
+        const element = findElementByIdP5(anchor.elementId);
+        if (!element) return null; // Deleted; the dimension reappears if the element is restored
+        const center = { x: element.x + element.width / 2, y: element.y + element.depth / 2 };
+        const point = { x: center.x + anchor.offsetX, y: center.y + anchor.offsetY };
+        return isRotatableElement(element) && element.rotation ? rotatePoint(point, center, element.rotation) : point;
+    }
+    if (anchor.type === 'lot_edge') {
+        const lotPolygon = getLotPolygonFt(config.lotConfigRef());
+        if (anchor.edgeIndex >= lotPolygon.length) return null;
+        const a = lotPolygon[anchor.edgeIndex], b = lotPolygon[(anchor.edgeIndex + 1) % lotPolygon.length];
+        const other = otherAnchor && otherAnchor.type !== 'lot_edge' ? resolveAnchorFt(otherAnchor) : null;
+        return other ? closestPointOnSegmentFt(other, a, b) : { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+    return null;
+}
+
+function resolveDimensionFt(dimension) {
+    const start = resolveAnchorFt(dimension.start, dimension.end);
+    const end = resolveAnchorFt(dimension.end, dimension.start);
+    return start && end ? { start, end } : null;
+}
+
+// --- Vertex Editing ---
+// target: { kind: 'lot' } or { kind: 'house', houseId }; null leaves vertex editing
+export function setVertexEditModeP5(target) {
+    vertexEditTargetP5 = target ? { ...target } : null;
+    frozenViewCentreFt = null;
+    if (target && target.kind === 'lot') frozenViewCentreFt = getViewCentreFt();
+    draggedVertexIndexP5 = null;
+    hasVertexDragChangedP5 = false;
+    rejectedVertexPointFt = null;
+    selectVertexEditItemP5(null);
+}
+
+// The outline being edited in lot feet, or null if its house no longer exists
+function getVertexEditPolygonFt() {
+    if (!vertexEditTargetP5) return null;
+    if (vertexEditTargetP5.kind === 'lot') return getLotVerticesFt(config.lotConfigRef()).map(copyOutlinePoint);
+    const house = getCustomHousesP5().find(h => h.id === vertexEditTargetP5.houseId);
+    return house && house.outline && house.outline.length >= 3 ? getOutlineWorldVerticesFt(house) : null;
+}
+
+function selectVertexEditItemP5(selection) {
+    vertexEditSelectionP5 = selection;
+    if (!config.onVertexEditSelect) return;
+    const polygon = getVertexEditPolygonFt();
+    if (selection && selection.type === 'edge' && polygon) {
+        const edge = getPolygonEdgesFt(polygon)[selection.index];
+        config.onVertexEditSelect({ ...selection, lengthFt: edge ? edge.lengthFt : 0, edgeType: edge && edge.curve ? edge.curve.type : 'line' });
+    } else {
+        config.onVertexEditSelect(selection ? { ...selection } : null);
+    }
+}
+
+// Applies the edit only if the outline stays a simple polygon
+function commitVertexEditP5(points, change) {
+    if (!isLotShapeValidP5(points)) return false;
+    if (config.onVertexEdit) config.onVertexEdit({ ...vertexEditTargetP5 }, points.map(copyOutlinePoint), change);
+    return true;
+}
+
+function handleVertexEditPressP5(lotPointFt) {
+    const polygon = getVertexEditPolygonFt();
+    if (!polygon) return;
+    const tolerance = getSnapToleranceFt();
+    const vertexIndex = polygon.findIndex(p => Math.hypot(p.x - lotPointFt.x, p.y - lotPointFt.y) <= tolerance);
+    if (vertexIndex >= 0) {
+        selectVertexEditItemP5({ type: 'vertex', index: vertexIndex });
+        draggedVertexIndexP5 = vertexIndex;
+    } else {
+        const edges = getPolygonEdgesFt(polygon);
+        // Pressing a straight edge's midpoint handle inserts a vertex there and starts dragging it;
+        // on a curved edge the handle reshapes the curve instead
+        const midpointEdge = edges.find(edge => Math.hypot(edge.midpoint.x - lotPointFt.x, edge.midpoint.y - lotPointFt.y) <= tolerance);
+        if (midpointEdge && midpointEdge.curve) {
+            selectVertexEditItemP5({ type: 'edge', index: midpointEdge.index });
+            draggedCurveEdgeIndexP5 = midpointEdge.index;
+        } else if (midpointEdge) {
+            const insertIndex = midpointEdge.index + 1;
+            const points = [...polygon];
+            points.splice(insertIndex, 0, { x: (midpointEdge.start.x + midpointEdge.end.x) / 2, y: (midpointEdge.start.y + midpointEdge.end.y) / 2 });
+            commitVertexEditP5(points, { type: 'insert', index: insertIndex });
+            selectVertexEditItemP5({ type: 'vertex', index: insertIndex });
+            draggedVertexIndexP5 = insertIndex;
+            hasVertexDragChangedP5 = true; // The insert is recorded with the drag that follows
+        } else {
+            const edge = edges.find(e => e.path.some((p, i) => {
+                if (i === 0) return false;
+                const closest = closestPointOnSegmentFt(lotPointFt, e.path[i - 1], p);
+                return Math.hypot(closest.x - lotPointFt.x, closest.y - lotPointFt.y) <= tolerance;
+            }));
+            selectVertexEditItemP5(edge ? { type: 'edge', index: edge.index } : null);
+        }
+    }
+    redrawP5(p5Instance);
+}
+
+function dragVertexP5(lotPointFt) {
+    const polygon = getVertexEditPolygonFt();
+    if (!polygon || draggedVertexIndexP5 >= polygon.length) return;
+    const current = polygon[draggedVertexIndexP5];
+    const target = snapDrawingPointFt(lotPointFt, current);
+    if (current.x === target.x && current.y === target.y) return;
+    const points = [...polygon];
+    points[draggedVertexIndexP5] = current.curve ? { ...target, curve: current.curve } : target;
+    if (commitVertexEditP5(points, { type: 'move', index: draggedVertexIndexP5 })) {
+        hasVertexDragChangedP5 = true;
+        rejectedVertexPointFt = null;
+    } else {
+        rejectedVertexPointFt = target;
+    }
+    redrawP5(p5Instance);
+}
+
+// The curve follows the handle through the cursor; outlines that would self-intersect are left as they were
+function dragCurveHandleP5(lotPointFt) {
+    const polygon = getVertexEditPolygonFt();
+    if (!polygon || draggedCurveEdgeIndexP5 >= polygon.length || !polygon[draggedCurveEdgeIndexP5].curve) return;
+    const start = polygon[draggedCurveEdgeIndexP5], end = polygon[(draggedCurveEdgeIndexP5 + 1) % polygon.length];
+    let through = snapDrawingPointFt(lotPointFt);
+    if (start.curve.type === 'arc') {
+        // An arc's handle is its midpoint, so it only moves along the chord's perpendicular bisector
+        const chordFt = Math.hypot(end.x - start.x, end.y - start.y);
+        const normal = { x: -(end.y - start.y) / chordFt, y: (end.x - start.x) / chordFt };
+        const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+        const offsetFt = (through.x - mid.x) * normal.x + (through.y - mid.y) * normal.y;
+        through = { x: mid.x + normal.x * offsetFt, y: mid.y + normal.y * offsetFt };
+    }
+    const curve = getCurveThroughPoint(start.curve.type, start, end, through);
+    if (!curve) return; // Dragged onto the chord; keep the last curve so the handle stays a curve handle
+    const points = [...polygon];
+    points[draggedCurveEdgeIndexP5] = { ...start, curve };
+    if (commitVertexEditP5(points, { type: 'move', index: draggedCurveEdgeIndexP5 })) hasVertexDragChangedP5 = true;
+    selectVertexEditItemP5({ ...vertexEditSelectionP5 });
+    redrawP5(p5Instance);
+}
+
+// Returns false when the vertex can't go (triangles keep all three, or the outline would self-intersect)
+export function deleteSelectedVertexP5() {
+    const polygon = getVertexEditPolygonFt();
+    if (!polygon || !vertexEditSelectionP5 || vertexEditSelectionP5.type !== 'vertex' || polygon.length <= 3) return false;
+    const index = vertexEditSelectionP5.index;
+    const points = polygon.filter((_, i) => i !== index);
+    if (!commitVertexEditP5(points, { type: 'delete', index })) return false;
+    if (config.onVertexEditEnd) config.onVertexEditEnd({ ...vertexEditTargetP5 }, 'Delete vertex');
+    selectVertexEditItemP5(null);
+    redrawP5(p5Instance);
+    return true;
+}
+
+// Moves the selected edge's end vertex along the edge; false if the result is invalid
+export function setSelectedEdgeLengthP5(lengthFt) {
+    const polygon = getVertexEditPolygonFt();
+    if (!polygon || !vertexEditSelectionP5 || vertexEditSelectionP5.type !== 'edge' || !(lengthFt > 0)) return false;
+    const edge = getPolygonEdgesFt(polygon)[vertexEditSelectionP5.index];
+    if (!edge || edge.lengthFt === 0) return false;
+    const endIndex = (edge.index + 1) % polygon.length;
+    const points = [...polygon];
+    // Curves scale with their chord, so stretching the chord stretches a curved edge's length by the same ratio
+    const scale = lengthFt / edge.lengthFt;
+    points[endIndex] = {
+        ...polygon[endIndex],
+        x: edge.start.x + (edge.end.x - edge.start.x) * scale,
+        y: edge.start.y + (edge.end.y - edge.start.y) * scale
+    };
+    if (!commitVertexEditP5(points, { type: 'move', index: endIndex })) return false;
+    if (config.onVertexEditEnd) config.onVertexEditEnd({ ...vertexEditTargetP5 }, 'Set edge length');
+    selectVertexEditItemP5({ ...vertexEditSelectionP5 });
+    redrawP5(p5Instance);
+    return true;
+}
+
+// Turns the selected edge straight or into an arc/curve bulging outwards; false if the result is invalid
+export function setSelectedEdgeTypeP5(edgeType) {
+    const polygon = getVertexEditPolygonFt();
+    if (!polygon || !vertexEditSelectionP5 || vertexEditSelectionP5.type !== 'edge' || !EDGE_TYPES.includes(edgeType)) return false;
+    const edge = getPolygonEdgesFt(polygon)[vertexEditSelectionP5.index];
+    if (!edge) return false;
+    if ((edge.curve ? edge.curve.type : 'line') === edgeType) return true;
+    const { curve, ...start } = polygon[edge.index];
+    let newCurve = null;
+    if (edgeType !== 'line') {
+        const chordFt = Math.hypot(edge.end.x - edge.start.x, edge.end.y - edge.start.y);
+        const through = curve ? edge.midpoint : { x: edge.midpoint.x - edge.inwardNormal.x * chordFt * 0.2, y: edge.midpoint.y - edge.inwardNormal.y * chordFt * 0.2 };
+        newCurve = getCurveThroughPoint(edgeType, edge.start, edge.end, through);
+        if (!newCurve) return false;
+    }
+    const points = [...polygon];
+    points[edge.index] = newCurve ? { ...start, curve: newCurve } : start;
+    if (!commitVertexEditP5(points, { type: 'move', index: edge.index })) {
+        selectVertexEditItemP5({ ...vertexEditSelectionP5 }); // Puts the edge panel back to the edge's actual shape
+        return false;
+    }
+    if (config.onVertexEditEnd) config.onVertexEditEnd({ ...vertexEditTargetP5 }, edgeType === 'line' ? 'Straighten edge' : 'Curve edge');
+    selectVertexEditItemP5({ ...vertexEditSelectionP5 });
+    redrawP5(p5Instance);
+    return true;
+}
+
+function drawVertexEditP5() {
+    const polygon = getVertexEditPolygonFt();
+    if (!polygon) return;
+    const edges = getPolygonEdgesFt(polygon);
+    const selection = vertexEditSelectionP5;
+    const handleSize = HANDLE_SIZE_PX / currentZoomScaleP5;
+    p5Instance.push();
+    p5Instance.noFill();
+    edges.forEach(edge => {
+        const isSelected = selection && selection.type === 'edge' && selection.index === edge.index;
+        p5Instance.stroke(isSelected ? p5Instance.color(0, 120, 255) : p5Instance.color(255, 140, 0));
+        p5Instance.strokeWeight((isSelected ? 4 : 2) / currentZoomScaleP5);
+        p5Instance.beginShape();
+        edge.path.forEach(p => p5Instance.vertex(p.x * PIXELS_PER_FOOT_P5, p.y * PIXELS_PER_FOOT_P5));
+        p5Instance.endShape();
+    });
+
+    // Edge lengths sit just outside each edge, next to its insert handle (a diamond shaping handle on curved edges)
+    p5Instance.textSize(10 / currentZoomScaleP5);
+    p5Instance.textAlign(p5Instance.CENTER, p5Instance.CENTER);
+    const labelOffsetFt = 10 / (PIXELS_PER_FOOT_P5 * currentZoomScaleP5);
+    edges.forEach(edge => {
+        const mid = edge.midpoint;
+        p5Instance.stroke(255, 140, 0);
+        p5Instance.strokeWeight(1 / currentZoomScaleP5);
+        p5Instance.fill(255);
+        if (edge.curve) {
+            const r = handleSize * 0.55, x = mid.x * PIXELS_PER_FOOT_P5, y = mid.y * PIXELS_PER_FOOT_P5;
+            p5Instance.quad(x, y - r, x + r, y, x, y + r, x - r, y);
+        } else {
+            p5Instance.ellipse(mid.x * PIXELS_PER_FOOT_P5, mid.y * PIXELS_PER_FOOT_P5, handleSize * 0.8, handleSize * 0.8);
+        }
+        p5Instance.noStroke();
+        p5Instance.fill(120, 60, 0);
+        p5Instance.text(formatDistanceFt(edge.lengthFt), (mid.x - edge.inwardNormal.x * labelOffsetFt) * PIXELS_PER_FOOT_P5, (mid.y - edge.inwardNormal.y * labelOffsetFt) * PIXELS_PER_FOOT_P5);
+    });
+
+    p5Instance.rectMode(p5Instance.CENTER);
+    p5Instance.stroke(255, 140, 0);
+    p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
+    polygon.forEach((p, i) => {
+        const isSelected = selection && selection.type === 'vertex' && selection.index === i;
+        p5Instance.fill(isSelected ? p5Instance.color(255, 140, 0) : p5Instance.color(255));
+        p5Instance.rect(p.x * PIXELS_PER_FOOT_P5, p.y * PIXELS_PER_FOOT_P5, handleSize, handleSize);
+    });
+    if (rejectedVertexPointFt) {
+        p5Instance.stroke(220, 0, 0);
+        p5Instance.strokeWeight(2 / currentZoomScaleP5);
+        const r = handleSize * 0.7;
+        const x = rejectedVertexPointFt.x * PIXELS_PER_FOOT_P5, y = rejectedVertexPointFt.y * PIXELS_PER_FOOT_P5;
+        p5Instance.line(x - r, y - r, x + r, y + r);
+        p5Instance.line(x - r, y + r, x + r, y - r);
+    }
+    p5Instance.pop();
+}
+
+// --- Setbacks ---
+// Curved lot edges are offset piece by piece, each piece keeping its edge's setback
+function getSetbackSegmentsFt(edges) {
+    const pieceSetbacks = edges.flatMap(edge => edge.path.slice(1).map(() => edge.setbackFt));
+    return getPolygonEdgesFt(edges.flatMap(edge => edge.path.slice(0, -1)))
+        .map((piece, i) => ({ ...piece, setbackFt: pieceSetbacks[i] }));
+}
+
+// Each corner is where the neighbouring edges' offset lines meet
+function getSetbackPolygonFt(edges) {
+    return edges.map((edge, i) => {
+        const prev = edges[(i - 1 + edges.length) % edges.length];
+        const p1 = { x: prev.start.x + prev.inwardNormal.x * prev.setbackFt, y: prev.start.y + prev.inwardNormal.y * prev.setbackFt };
+        const d1 = { x: prev.end.x - prev.start.x, y: prev.end.y - prev.start.y };
+        const p2 = { x: edge.start.x + edge.inwardNormal.x * edge.setbackFt, y: edge.start.y + edge.inwardNormal.y * edge.setbackFt };
+        const d2 = { x: edge.end.x - edge.start.x, y: edge.end.y - edge.start.y };
+        const cross = d1.x * d2.y - d1.y * d2.x;
+        if (Math.abs(cross) < 1e-9) return p2; // Collinear edges
+        const t = ((p2.x - p1.x) * d2.y - (p2.y - p1.y) * d2.x) / cross;
+        return { x: p1.x + d1.x * t, y: p1.y + d1.y * t };
+    });
+}
+
 // --- Drawing Mode API for app.js ---
 export function setDrawingModeP5(isDrawing, mode) {
     isInDrawingModeP5 = isDrawing;
@@ -568,6 +2002,7 @@ export function setDrawingModeP5(isDrawing, mode) {
         hoverSnapPointFt = null; // Clear hover point when exiting drawing mode
         isShapeClosedP5 = false;
         isShapeValidPreviewP5 = true;
+        pendingCurveIndexP5 = null;
     }
     if (config.onDrawingModeChange) config.onDrawingModeChange(isDrawing, mode);
     redrawP5(p5Instance);
@@ -580,11 +2015,23 @@ export function clearDrawingP5() {
     hoverSnapPointFt = null; // Clear hover point
     isShapeClosedP5 = false;
     isShapeValidPreviewP5 = true;
+    pendingCurveIndexP5 = null;
+    redrawP5(p5Instance);
+}
+
+// 'line', 'arc' or 'bezier' for the edges drawn from now on. A curved edge takes two clicks:
+// its end point, then a point the curve passes through.
+export function setDrawingEdgeTypeP5(edgeType) {
+    if (!EDGE_TYPES.includes(edgeType)) return;
+    drawingEdgeTypeP5 = edgeType;
+    if (edgeType === 'line') pendingCurveIndexP5 = null;
     redrawP5(p5Instance);
 }
 
-export function getCurrentLotPolygonP5() { return [...currentPolygonPointsFt]; } // Return copy
-export function getCurrentHousePolygonP5() { return [...currentPolygonPointsFt]; } // Return copy
+export function getDrawingEdgeTypeP5() { return drawingEdgeTypeP5; }
+
+export function getCurrentLotPolygonP5() { return currentPolygonPointsFt.map(copyOutlinePoint); } // Return copy
+export function getCurrentHousePolygonP5() { return currentPolygonPointsFt.map(copyOutlinePoint); } // Return copy
 
 function drawPolygonPreview() {
     if (!p5Instance || currentPolygonPointsFt.length === 0) return;
@@ -603,8 +2050,16 @@ function drawPolygonPreview() {
     }
     p5Instance.strokeWeight(1.5 / currentZoomScaleP5);
 
+    // A curved edge waiting for its shaping click follows the cursor
+    const previewPoints = [...currentPolygonPointsFt];
+    if (pendingCurveIndexP5 !== null && hoverSnapPointFt) {
+        const start = previewPoints[pendingCurveIndexP5];
+        const curve = getCurveThroughPoint(drawingEdgeTypeP5, start, previewPoints[pendingCurveIndexP5 + 1], hoverSnapPointFt);
+        if (curve) previewPoints[pendingCurveIndexP5] = { ...start, curve };
+    }
+    if (currentDrawingPolygonTypeP5 === 'element_polyline') p5Instance.noFill(); // Routes stay open
     p5Instance.beginShape();
-    currentPolygonPointsFt.forEach(pFt => {
+    flattenOutline(previewPoints, isShapeClosedP5).forEach(pFt => {
         p5Instance.vertex(pFt.x * PIXELS_PER_FOOT_P5, pFt.y * PIXELS_PER_FOOT_P5);
     });
     p5Instance.endShape(isShapeClosedP5 ? p5Instance.CLOSE : undefined);
@@ -617,21 +2072,16 @@ function drawPolygonPreview() {
     });
 }
 
-// --- Polygon Utilities ---
-function getPolygonBoundsFt(polygonFt) {
-    if (!polygonFt || polygonFt.length === 0) return { minX: 0, minY: 0, maxX: 0, maxY: 0, width: 0, height: 0 };
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    polygonFt.forEach(p => {
-        minX = Math.min(minX, p.x);
-        minY = Math.min(minY, p.y);
-        maxX = Math.max(maxX, p.x);
-        maxY = Math.max(maxY, p.y);
-    });
-    return { minX, minY, maxX, maxY, width: maxX - minX, height: maxY - minY };
+// Routes are open and may cross themselves; the polygon modes need a simple closed shape
+function isDrawingShapeValidP5(points) {
+    if (currentDrawingPolygonTypeP5 === 'element_polyline') return true;
+    return currentDrawingPolygonTypeP5 === 'lot_polygon' ? isLotShapeValidP5(points) : isHouseShapeValidP5(points);
 }
 
-export function isLotShapeValidP5(polygon) {
-    if (!polygon || polygon.length < 3) return false; // Need at least 3 points for a polygon
+// --- Polygon Utilities ---
+export function isLotShapeValidP5(outline) {
+    if (!outline || outline.length < 3) return false; // Need at least 3 points for a polygon
+    const polygon = flattenOutline(outline); // Curved edges are checked as the segments they're drawn with
     // Basic check for self-intersection (simple version, might need robust library for complex cases)
     // This is a naive check, for complex polygons a robust library (e.g.martinez-polygon-clipping) would be better
     for (let i = 0; i < polygon.length; i++) {
@@ -650,51 +2100,6 @@ export function isHouseShapeValidP5(polygon) {
     return isLotShapeValidP5(polygon); // Same validation for now
 }
 
-// Helper for segment intersection (from a common algorithm)
-function segmentsIntersect(p1, p2, p3, p4) {
-    function orientation(p, q, r) {
-        const val = (q.y - p.y) * (r.x - q.x) - (q.x - p.x) * (r.y - q.y);
-        if (val === 0) return 0; // Collinear
-        return (val > 0) ? 1 : 2; // Clockwise or Counterclockwise
-    }
-    function onSegment(p, q, r) {
-        return (q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) &&
-                q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y));
-    }
-    const o1 = orientation(p1, p2, p3); const o2 = orientation(p1, p2, p4);
-    const o3 = orientation(p3, p4, p1); const o4 = orientation(p3, p4, p2);
-    if (o1 !== o2 && o3 !== o4) return true;
-    if (o1 === 0 && onSegment(p1, p3, p2)) return true; if (o2 === 0 && onSegment(p1, p4, p2)) return true;
-    if (o3 === 0 && onSegment(p3, p1, p4)) return true; if (o4 === 0 && onSegment(p3, p2, p4)) return true;
-    return false;
-}
-
-function isPointInPolygon(point, polygon) {
-    // Ray-casting algorithm
-    let inside = false;
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-        const xi = polygon[i].x, yi = polygon[i].y;
-        const xj = polygon[j].x, yj = polygon[j].y;
-        const intersect = ((yi > point.y) !== (yj > point.y)) &&
-            (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
-        if (intersect) inside = !inside;
-    }
-    return inside;
-}
-function rotatePoint(point, center, angleDegrees) {
-    const angleRad = p5Instance.radians(angleDegrees);
-    const s = Math.sin(angleRad);
-    const c = Math.cos(angleRad);
-    // Translate point back to origin:
-    const px = point.x - center.x;
-    const py = point.y - center.y;
-    // Rotate point
-    const xnew = px * c - py * s;
-    const ynew = px * s + py * c;
-    // Translate point back:
-    return { x: xnew + center.x, y: ynew + center.y };
-}
-
 // --- Canvas Interaction: Zoom & Pan ---
 export function getP5Canvas() { return p5Canvas ? p5Canvas.elt : null; }
 
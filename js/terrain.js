@@ -1,16 +1,228 @@
-// This file handles terrain generation and manipulation within the 3D scene. 
+// js/terrain.js
+// The ground's shape. A terrain is a heightmap laid over the lot in lot feet:
+//   { originX, originY, cellSizeFt, columns, rows, heights }
+// where heights[row * columns + column] is the ground's height in feet at
+// (originX + column * cellSizeFt, originY + row * cellSizeFt). Between samples the ground is
+// interpolated bilinearly; outside the grid it carries on level with the nearest edge.
+// A lot without a terrain (null) is flat at height 0.
+// The ground itself is the lot's surveyed surface (see features/grading.js) with the sculpted terrain
+// added on top. Ground heights are measured from the lowest spot elevation, the ground datum, so the
+// 3D scene stays near y = 0 whatever the survey's datum.
 
-function createTerrain() {
-    // Code to generate terrain goes here
+import * as THREE from 'three';
+import { getSpotSurfaceElevationFt } from './features/grading.js';
+
+export const TERRAIN_BRUSHES = ['raise', 'lower', 'flatten', 'smooth'];
+export const TERRAIN_CELL_SIZE_FT = 2;
+
+const MAX_TERRAIN_CELLS_PER_SIDE = 150; // Large lots get coarser cells rather than huge meshes
+const BLEND_PER_DAB = 0.5; // Share of the way flatten and smooth move the ground at the brush centre
+const HEIGHT_PRECISION_FT = 0.001;
+
+// A flat heightmap covering bounds ({ minX, minY, maxX, maxY } in lot feet), or the previous terrain
+// resampled onto the new grid so reshaping the lot keeps the ground that was already sculpted
+function createTerrain(bounds, previous = null) {
+    return sampleGrid(bounds, (x, y) => previous ? getTerrainHeightFt(previous, x, y) : 0);
+}
+
+// The whole ground (survey and sculpting) sampled over bounds on a grid like a terrain's
+export function getGroundGrid(lot, bounds) {
+    return sampleGrid(bounds, (x, y) => getGroundHeightFt(lot, x, y));
+}
+
+function sampleGrid(bounds, heightAt) {
+    const width = Math.max(0, bounds.maxX - bounds.minX), depth = Math.max(0, bounds.maxY - bounds.minY);
+    const cellSizeFt = Math.max(TERRAIN_CELL_SIZE_FT, Math.max(width, depth) / MAX_TERRAIN_CELLS_PER_SIDE);
+    const columns = Math.ceil(width / cellSizeFt) + 1, rows = Math.ceil(depth / cellSizeFt) + 1;
+    const heights = new Array(columns * rows);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            heights[row * columns + column] = heightAt(bounds.minX + column * cellSizeFt, bounds.minY + row * cellSizeFt);
+        }
+    }
+    return { originX: bounds.minX, originY: bounds.minY, cellSizeFt, columns, rows, heights };
+}
+
+// The terrain itself when its grid already covers bounds, otherwise a resampled copy that does
+export function getTerrainForBounds(terrain, bounds) {
+    if (terrain) {
+        const maxX = terrain.originX + (terrain.columns - 1) * terrain.cellSizeFt;
+        const maxY = terrain.originY + (terrain.rows - 1) * terrain.cellSizeFt;
+        if (terrain.originX <= bounds.minX && terrain.originY <= bounds.minY && maxX >= bounds.maxX && maxY >= bounds.maxY) return terrain;
+    }
+    return createTerrain(bounds, terrain);
+}
+
+export function getTerrainHeightFt(terrain, x, y) {
+    if (!terrain) return 0;
+    const { columns, rows, heights } = terrain;
+    const gridX = Math.min(columns - 1, Math.max(0, (x - terrain.originX) / terrain.cellSizeFt));
+    const gridY = Math.min(rows - 1, Math.max(0, (y - terrain.originY) / terrain.cellSizeFt));
+    const column = Math.min(columns - 2, Math.floor(gridX)), row = Math.min(rows - 2, Math.floor(gridY));
+    if (column < 0 || row < 0) return heights[0] || 0; // A grid one sample wide or deep
+    const tx = gridX - column, ty = gridY - row;
+    const at = (c, r) => heights[r * columns + c];
+    const top = at(column, row) * (1 - tx) + at(column + 1, row) * tx;
+    const bottom = at(column, row + 1) * (1 - tx) + at(column + 1, row + 1) * tx;
+    return top * (1 - ty) + bottom * ty;
+}
+
+export function isTerrainFlat(terrain) {
+    return !terrain || terrain.heights.every(height => height === terrain.heights[0]);
+}
+
+// The elevation ground heights are measured from: the lowest spot elevation, or 0 without a survey
+export function getGroundDatumFt(lot) {
+    const spots = lot && Array.isArray(lot.spotElevations) ? lot.spotElevations : [];
+    return spots.length > 0 ? Math.min(...spots.map(spot => spot.elevation)) : 0;
+}
+
+// Height of the ground at (x, y) in lot feet, above the ground datum
+export function getGroundHeightFt(lot, x, y) {
+    if (!lot) return 0;
+    const surveyed = getSpotSurfaceElevationFt(lot.spotElevations, x, y);
+    return (surveyed === null ? 0 : surveyed - getGroundDatumFt(lot)) + getTerrainHeightFt(lot.terrain, x, y);
+}
+
+// Whether the ground is level everywhere: no sculpting and at most one surveyed height
+export function isGroundLevel(lot) {
+    const spots = lot && Array.isArray(lot.spotElevations) ? lot.spotElevations : [];
+    return isTerrainFlat(lot && lot.terrain) && spots.every(spot => spot.elevation === spots[0].elevation);
+}
+
+// Applies one dab of a brush to the heightmap in place and reports whether anything changed.
+// brush: { tool, x, y, radiusFt, strengthFt, targetHeightFt, baseHeightAt }. Raise and lower move the
+// ground by up to strengthFt; flatten draws it towards targetHeightFt and smooth towards its neighbours'
+// average. baseHeightAt(x, y), if given, is the ground under the heightmap that flatten levels along with it.
+// Every tool fades out smoothly towards the edge of the radius.
+function updateTerrain(terrain, brush) {
+    if (!terrain || !TERRAIN_BRUSHES.includes(brush.tool) || !(brush.radiusFt > 0)) return false;
+    const { columns, rows, cellSizeFt } = terrain;
+    const before = terrain.heights.slice(); // Smoothing reads the ground as it was before this dab
+    const reach = Math.ceil(brush.radiusFt / cellSizeFt);
+    const centreColumn = Math.round((brush.x - terrain.originX) / cellSizeFt);
+    const centreRow = Math.round((brush.y - terrain.originY) / cellSizeFt);
+    let hasChanged = false;
+    for (let row = Math.max(0, centreRow - reach); row <= Math.min(rows - 1, centreRow + reach); row++) {
+        for (let column = Math.max(0, centreColumn - reach); column <= Math.min(columns - 1, centreColumn + reach); column++) {
+            const distance = Math.hypot(terrain.originX + column * cellSizeFt - brush.x, terrain.originY + row * cellSizeFt - brush.y);
+            if (distance >= brush.radiusFt) continue;
+            const falloff = 0.5 * (1 + Math.cos(Math.PI * distance / brush.radiusFt));
+            const index = row * columns + column;
+            const height = before[index];
+            const baseHeight = brush.baseHeightAt ? brush.baseHeightAt(terrain.originX + column * cellSizeFt, terrain.originY + row * cellSizeFt) : 0;
+            let target;
+            switch (brush.tool) {
+                case 'raise': target = height + brush.strengthFt * falloff; break;
+                case 'lower': target = height - brush.strengthFt * falloff; break;
+                case 'flatten': target = height + ((brush.targetHeightFt || 0) - baseHeight - height) * falloff * BLEND_PER_DAB; break;
+                case 'smooth': target = height + (getNeighbourAverage(terrain, before, column, row) - height) * falloff * BLEND_PER_DAB; break;
+            }
+            target = Math.round(target / HEIGHT_PRECISION_FT) * HEIGHT_PRECISION_FT;
+            if (target !== height) {
+                terrain.heights[index] = target;
+                hasChanged = true;
+            }
+        }
+    }
+    return hasChanged;
+}
+
+function getNeighbourAverage(terrain, heights, column, row) {
+    let sum = 0, count = 0;
+    for (let r = Math.max(0, row - 1); r <= Math.min(terrain.rows - 1, row + 1); r++) {
+        for (let c = Math.max(0, column - 1); c <= Math.min(terrain.columns - 1, column + 1); c++) {
+            sum += heights[r * terrain.columns + c];
+            count++;
+        }
+    }
+    return sum / count;
+}
+
+// The lot's ground inside boundary (a closed polygon in lot feet, curves already flattened) as
+// geometry for the 3D scene, whose origin sits at centre ({ x, y } in lot feet). Plan y runs along +Z.
+// Each grid cell is clipped to the boundary so the mesh follows the lot's edges exactly; UVs are in feet.
+function renderTerrain(lot, boundary, centre) {
+    const terrain = lot.terrain;
+    const cellSizeFt = terrain ? terrain.cellSizeFt : TERRAIN_CELL_SIZE_FT;
+    const bounds = getPointBounds(boundary);
+    const originX = terrain ? terrain.originX : bounds.minX, originY = terrain ? terrain.originY : bounds.minY;
+    const firstColumn = Math.floor((bounds.minX - originX) / cellSizeFt), lastColumn = Math.ceil((bounds.maxX - originX) / cellSizeFt);
+    const firstRow = Math.floor((bounds.minY - originY) / cellSizeFt), lastRow = Math.ceil((bounds.maxY - originY) / cellSizeFt);
+    const positions = [], normals = [], uvs = [];
+    const addVertex = p => {
+        positions.push(p.x - centre.x, getGroundHeightFt(lot, p.x, p.y), p.y - centre.y);
+        normals.push(...getGroundNormal(lot, p.x, p.y, cellSizeFt / 2));
+        uvs.push(p.x, p.y);
+    };
+    for (let row = firstRow; row < lastRow; row++) {
+        for (let column = firstColumn; column < lastColumn; column++) {
+            const minX = originX + column * cellSizeFt, minY = originY + row * cellSizeFt;
+            const piece = clipPolygonToRect(boundary, minX, minY, minX + cellSizeFt, minY + cellSizeFt);
+            if (piece.length < 3 || Math.abs(getSignedArea(piece)) < 1e-9) continue;
+            THREE.ShapeUtils.triangulateShape(piece.map(p => new THREE.Vector2(p.x, p.y)), []).forEach(([a, b, c]) => {
+                // Counter-clockwise on the plan faces down once plan y becomes +Z, so those are turned over
+                const triangle = getSignedArea([piece[a], piece[b], piece[c]]) > 0 ? [piece[a], piece[c], piece[b]] : [piece[a], piece[b], piece[c]];
+                triangle.forEach(addVertex);
+            });
+        }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    return geometry;
+}
+
+function getGroundNormal(lot, x, y, step) {
+    const slopeX = (getGroundHeightFt(lot, x + step, y) - getGroundHeightFt(lot, x - step, y)) / (2 * step);
+    const slopeY = (getGroundHeightFt(lot, x, y + step) - getGroundHeightFt(lot, x, y - step)) / (2 * step);
+    const length = Math.hypot(slopeX, 1, slopeY);
+    return [-slopeX / length, 1 / length, -slopeY / length];
+}
+
+// Sutherland–Hodgman against each side of the rectangle in turn
+function clipPolygonToRect(polygon, minX, minY, maxX, maxY) {
+    const sides = [
+        { isInside: p => p.x >= minX, cross: (a, b) => ({ x: minX, y: a.y + (b.y - a.y) * (minX - a.x) / (b.x - a.x) }) },
+        { isInside: p => p.x <= maxX, cross: (a, b) => ({ x: maxX, y: a.y + (b.y - a.y) * (maxX - a.x) / (b.x - a.x) }) },
+        { isInside: p => p.y >= minY, cross: (a, b) => ({ x: a.x + (b.x - a.x) * (minY - a.y) / (b.y - a.y), y: minY }) },
+        { isInside: p => p.y <= maxY, cross: (a, b) => ({ x: a.x + (b.x - a.x) * (maxY - a.y) / (b.y - a.y), y: maxY }) }
+    ];
+    let clipped = polygon;
+    for (const side of sides) {
+        if (clipped.length === 0) break;
+        const input = clipped;
+        clipped = [];
+        input.forEach((current, i) => {
+            const previous = input[(i + input.length - 1) % input.length];
+            if (side.isInside(current)) {
+                if (!side.isInside(previous)) clipped.push(side.cross(previous, current));
+                clipped.push(current);
+            } else if (side.isInside(previous)) {
+                clipped.push(side.cross(previous, current));
+            }
+        });
+    }
+    return clipped.filter((p, i) => {
+        const next = clipped[(i + 1) % clipped.length];
+        return Math.abs(p.x - next.x) > 1e-9 || Math.abs(p.y - next.y) > 1e-9;
+    });
 }
 
-function updateTerrain() {
-    // Code to update terrain based on user interactions or other factors
+function getSignedArea(points) {
+    return points.reduce((sum, p, i) => {
+        const next = points[(i + 1) % points.length];
+        return sum + p.x * next.y - next.x * p.y;
+    }, 0) / 2;
 }
 
-function renderTerrain() {
-    // Code to render the terrain in the 3D scene
+function getPointBounds(points) {
+    return {
+        minX: Math.min(...points.map(p => p.x)), minY: Math.min(...points.map(p => p.y)),
+        maxX: Math.max(...points.map(p => p.x)), maxY: Math.max(...points.map(p => p.y))
+    };
 }
 
 // Export functions for use in other modules
-export { createTerrain, updateTerrain, renderTerrain };
\ No newline at end of file
+export { createTerrain, updateTerrain, renderTerrain };
@@ -2,16 +2,28 @@
 // Handles all Three.js related logic for the 3D view
 
 import * as THREE from 'three';
+import { flattenOutline, getEdgePathFt } from './features/curves.js';
+import { hasElementOutline, getSizedOutline } from './features/element-outlines.js';
+import { hasElementRoute, getRouteOutline, getRouteLineWidthFt, getRouteRuns, getRouteGates, getRoutePosts, FENCE_POST_SIZE_FT } from './features/routes.js';
+import { getRoofPlan, getShedRoofHeightFt } from './features/roofs.js';
+import { getHouseEdgeFt, getInwardNormal, getEdgeWallPieces, getEdgeOpeningSpans } from './features/house-openings.js';
+import { getStoreyLevels, getHouseTopHeightFt, getRoofBase } from './features/storeys.js';
+import { getDeckStairs, getDeckRailings, getDeckRailingHeightFt } from './features/decks.js';
+import { renderTerrain, getGroundHeightFt } from './terrain.js';
+import { getSunDirection } from './features/sunlight.js';
 // OrbitControls, GLTFLoader, GLTFExporterConstructor are passed in options from app.js
 
 // --- Module-level Variables ---
 let scene, camera, renderer, controls, raycaster, mouse;
 let groundPlane, sunlight, ambientLight;
+let warningMarkersGroup = null; // Red footprints for elements flagged by the design checks
+let drainageOverlayGroup = null; // Tinted ponding and channel cells from the drainage simulation
 let threeCanvas;
 
 let onElementSelectCallback;
+let onModelLoadedCallback; // Told when a house or tree model has been added, as it changes the shade cast
 let currentElementsRef; // Function to get elements array
-let currentCustomHouseRef; // Function to get customHouse object
+let currentCustomHousesRef; // Function to get the custom house objects
 let currentLotConfigRef; // Function to get lotConfig object
 
 let GLTFExporterConstructor;
@@ -26,6 +38,18 @@ const HOUSE_MODEL_PATH = 'assets/models/other/houses/';
 const DEFAULT_CANVAS_SIZE_PX_THREE = 600;
 const DEFAULT_LOT_WIDTH_FT = 50; 
 const DEFAULT_LOT_DEPTH_FT = 100; 
+const WALL_THICKNESS_FT = 0.5; // Custom house walls, measured in from the outline
+const DOOR_LEAF_THICKNESS_FT = 0.15;
+const GLASS_THICKNESS_FT = 0.05;
+const DECK_BOARD_THICKNESS_FT = 0.2;
+const DECK_POST_SIZE_FT = 0.35;
+const DECK_POST_SPACING_FT = 6;
+const DECK_RAIL_SIZE_FT = 0.2;
+const DECK_BALUSTER_SIZE_FT = 0.12;
+const DECK_BALUSTER_SPACING_FT = 0.5;
+const GROUND_TEXTURE_SIZE_FT = 25; // One tile of the grass texture
+const MARKER_LIFT_FT = 0.05; // Warning footprints float just above the ground
+const SUN_SAMPLE_LIFT_FT = 0.5; // Sun-hours samples sit this far above the ground, clear of paving and lawn
 
 let appContextRef = null;
 export function setAppContextForThree(context) {
@@ -43,8 +67,9 @@ export function initThreeScene(container, options) {
         
         currentLotConfigRef = options.lotConfigRef; 
         onElementSelectCallback = options.onElementSelect;
+        onModelLoadedCallback = options.onModelLoaded;
         currentElementsRef = options.elementsRef;
-        currentCustomHouseRef = options.customHouseRef;
+        currentCustomHousesRef = options.customHousesRef;
 
         GLTFExporterConstructor = options.getGLTFExporter;
         OrbitControlsConstructor = options.OrbitControls; GLTFLoaderConstructor = options.GLTFLoader;
@@ -129,35 +154,13 @@ export function updateGroundPlane() {
         groundPlane = null;
     }
     
-    let groundGeometry;
-    let lotActualWidth = lotCfg.width || DEFAULT_LOT_WIDTH_FT;
-    let lotActualDepth = lotCfg.depth || DEFAULT_LOT_DEPTH_FT;
-
-    if (lotCfg.isCustomShape && lotCfg.customShapePoints && lotCfg.customShapePoints.length >= 3) {
-        const shape = new THREE.Shape();
-        const bounds = lotCfg.customShapePoints.reduce((acc, p) => ({
-            minX: Math.min(acc.minX, p.x), minY: Math.min(acc.minY, p.y),
-            maxX: Math.max(acc.maxX, p.x), maxY: Math.max(acc.maxY, p.y)
-        }), {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity});
-        
-        lotActualWidth = bounds.maxX - bounds.minX;
-        lotActualDepth = bounds.maxY - bounds.minY;
-
-        const offsetX = -(bounds.minX + lotActualWidth / 2);
-        const offsetY = -(bounds.minY + lotActualDepth / 2);
-
-        shape.moveTo(lotCfg.customShapePoints[0].x + offsetX, lotCfg.customShapePoints[0].y + offsetY);
-        for (let i = 1; i < lotCfg.customShapePoints.length; i++) {
-            shape.lineTo(lotCfg.customShapePoints[i].x + offsetX, lotCfg.customShapePoints[i].y + offsetY);
-        }
-        groundGeometry = new THREE.ShapeGeometry(shape);
-    } else {
-        groundGeometry = new THREE.PlaneGeometry(lotActualWidth, lotActualDepth);
-    }
+    const boundary = getLotBoundaryFt(lotCfg);
+    const lotActualWidth = Math.max(...boundary.map(p => p.x)) - Math.min(...boundary.map(p => p.x));
+    const lotActualDepth = Math.max(...boundary.map(p => p.y)) - Math.min(...boundary.map(p => p.y));
+    const groundGeometry = renderTerrain(lotCfg, boundary, getLotCentreFt(lotCfg));
 
     const groundMaterial = new THREE.MeshStandardMaterial({ color: 0x77aa55, roughness: 0.9, metalness: 0.1 });
     groundPlane = new THREE.Mesh(groundGeometry, groundMaterial);
-    groundPlane.rotation.x = -Math.PI / 2; 
     groundPlane.receiveShadow = true;
     groundPlane.name = "ground";
     scene.add(groundPlane);
@@ -165,10 +168,7 @@ export function updateGroundPlane() {
     textureLoader.load('assets/textures/grass_detailed.jpg',
         (texture) => {
             texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-            const textureWorldWidth = 25; 
-            const repeatX = lotActualWidth / textureWorldWidth;
-            const repeatY = lotActualDepth / textureWorldWidth;
-            texture.repeat.set(repeatX, repeatY);
+            texture.repeat.set(1 / GROUND_TEXTURE_SIZE_FT, 1 / GROUND_TEXTURE_SIZE_FT); // The ground's UVs are in feet
             texture.colorSpace = THREE.SRGBColorSpace;
             groundPlane.material.map = texture; 
             groundPlane.material.needsUpdate = true;
@@ -205,6 +205,52 @@ export function updateGroundPlane() {
     renderThreeScene();
 }
 
+// Reshapes the ground after the terrain is sculpted, keeping its material and texture.
+// Elements are lifted separately, see updateElementPositionInThree().
+export function updateTerrainInThree() {
+    if (!groundPlane || !currentLotConfigRef) return;
+    const lotCfg = currentLotConfigRef();
+    groundPlane.geometry.dispose();
+    groundPlane.geometry = renderTerrain(lotCfg, getLotBoundaryFt(lotCfg), getLotCentreFt(lotCfg));
+    [warningMarkersGroup, drainageOverlayGroup].filter(Boolean).forEach(group => group.children.forEach(marker => drapeOnGround(marker.geometry, lotCfg)));
+    renderThreeScene();
+}
+
+// --- Lot Placement ---
+// The scene is centred on the lot's bounding box; plan x runs along +X and plan y along +Z
+function getLotCentreFt(lotCfg) {
+    const points = lotCfg.isCustomShape && lotCfg.customShapePoints && lotCfg.customShapePoints.length > 0 ? lotCfg.customShapePoints : null;
+    if (!points) return { x: (lotCfg.width || DEFAULT_LOT_WIDTH_FT) / 2, y: (lotCfg.depth || DEFAULT_LOT_DEPTH_FT) / 2 };
+    return {
+        x: (Math.min(...points.map(p => p.x)) + Math.max(...points.map(p => p.x))) / 2,
+        y: (Math.min(...points.map(p => p.y)) + Math.max(...points.map(p => p.y))) / 2
+    };
+}
+
+// The lot outline in lot feet, curved edges traced as short segments
+function getLotBoundaryFt(lotCfg) {
+    if (lotCfg.isCustomShape && lotCfg.customShapePoints && lotCfg.customShapePoints.length >= 3) return flattenOutline(lotCfg.customShapePoints);
+    const width = lotCfg.width || DEFAULT_LOT_WIDTH_FT, depth = lotCfg.depth || DEFAULT_LOT_DEPTH_FT;
+    return [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: depth }, { x: 0, y: depth }];
+}
+
+// Ground height under an element's (or custom house's) centre, where it stands in 3D
+function getGroundHeightUnderFt(elementData, lotCfg) {
+    return getGroundHeightFt(lotCfg, elementData.x + elementData.width / 2, elementData.y + elementData.depth / 2);
+}
+
+// Sets every vertex of a flat marker geometry (scene X/Z, any Y) just above the ground beneath it
+function drapeOnGround(geometry, lotCfg) {
+    const centre = getLotCentreFt(lotCfg);
+    const positions = geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+        positions.setY(i, getGroundHeightFt(lotCfg, positions.getX(i) + centre.x, positions.getZ(i) + centre.y) + MARKER_LIFT_FT);
+    }
+    positions.needsUpdate = true;
+    geometry.computeBoundingSphere();
+    return geometry;
+}
+
 
 export function resetCameraToNorthView() {
     if (camera && controls && currentLotConfigRef) {
@@ -217,7 +263,9 @@ export function resetCameraToNorthView() {
             effectiveDepth = bounds.maxY - bounds.minY;
         }
         
-        DEFAULT_NORTH_FACING_POSITION.set(0, effectiveDepth * 0.5, effectiveDepth * 0.6);
+        // South of the lot looking towards true north, which is plan-up turned by the site's rotation
+        const northRotation = getNorthRotationDeg(lotCfg) * Math.PI / 180;
+        DEFAULT_NORTH_FACING_POSITION.set(-Math.sin(northRotation) * effectiveDepth * 0.6, effectiveDepth * 0.5, Math.cos(northRotation) * effectiveDepth * 0.6);
         camera.position.copy(DEFAULT_NORTH_FACING_POSITION);
         controls.target.copy(DEFAULT_NORTH_FACING_TARGET); 
         camera.lookAt(DEFAULT_NORTH_FACING_TARGET); 
@@ -246,8 +294,11 @@ export function renderThreeScene() {
         if (controls) {
             controls.update(); 
             if (compassArrowElement3D) {
+                // Points at true north, which is turned clockwise from up on the plan by the site's rotation.
+                // Orbiting the camera clockwise (seen from above) lowers the azimuth and turns north anticlockwise on screen.
                 const azimuthalAngle = controls.getAzimuthalAngle();
-                compassArrowElement3D.style.transform = `rotate(${-azimuthalAngle}rad)`;
+                const northRotation = getNorthRotationDeg(currentLotConfigRef ? currentLotConfigRef() : null) * Math.PI / 180;
+                compassArrowElement3D.style.transform = `rotate(${northRotation + azimuthalAngle}rad)`;
             }
         }
         renderer.render(scene, camera); 
@@ -284,15 +335,16 @@ function onMouseClickIn3D(event) {
     if (appContextRef && appContextRef.isDrawing && appContextRef.isDrawing()) return; 
 
     const clickedResult = getClickedObjectIn3D(event);
+    const isAdditive = event.shiftKey; // Shift-click adds/removes from the selection, as in 2D
     if (clickedResult) {
         if (clickedResult.userData && clickedResult.userData.elementId !== undefined) {
-            if (onElementSelectCallback) onElementSelectCallback(clickedResult.userData.elementId, '3D');
+            if (onElementSelectCallback) onElementSelectCallback(clickedResult.userData.elementId, '3D', isAdditive);
         } else if (clickedResult.userData && clickedResult.userData.customHouseId !== undefined) {
-            if (onElementSelectCallback) onElementSelectCallback(clickedResult.userData.customHouseId, '3D');
+            if (onElementSelectCallback) onElementSelectCallback(clickedResult.userData.customHouseId, '3D', isAdditive);
         } else if (clickedResult.object && clickedResult.object.name === "ground") {
-             if (onElementSelectCallback) onElementSelectCallback(null, '3D'); 
+             if (onElementSelectCallback) onElementSelectCallback(null, '3D', isAdditive); 
         }
-    } else { if (onElementSelectCallback) onElementSelectCallback(null, '3D'); } 
+    } else { if (onElementSelectCallback) onElementSelectCallback(null, '3D', isAdditive); } 
 }
 
 export function addElementToThree(elementData, currentSeason) {
@@ -304,18 +356,14 @@ export function addElementToThree(elementData, currentSeason) {
         const modelLoaderInstance = new GLTFLoaderConstructor();
         let elementGroup = new THREE.Group();
         
-        const lotCenterX = lotCfg.isCustomShape && lotCfg.customShapePoints && lotCfg.customShapePoints.length > 0 ? 
-                            (Math.min(...lotCfg.customShapePoints.map(p => p.x)) + Math.max(...lotCfg.customShapePoints.map(p => p.x))) / 2 
-                            : 0; 
-        const lotCenterZ = lotCfg.isCustomShape && lotCfg.customShapePoints && lotCfg.customShapePoints.length > 0 ?
-                            (Math.min(...lotCfg.customShapePoints.map(p => p.y)) + Math.max(...lotCfg.customShapePoints.map(p => p.y))) / 2
-                            : 0;
-
-        const threeX = elementData.x + elementData.width / 2 - lotCenterX;
-        const threeZ = elementData.y + elementData.depth / 2 - lotCenterZ;
+        const lotCentre = getLotCentreFt(lotCfg);
+        const threeX = elementData.x + elementData.width / 2 - lotCentre.x;
+        const threeZ = elementData.y + elementData.depth / 2 - lotCentre.y;
         let threeY = 0; 
 
         let mainMesh; 
+        const isFreeform = hasElementOutline(elementData);
+        const isRoute = hasElementRoute(elementData);
 
         switch (elementData.type) {
             case 'house': 
@@ -347,10 +395,13 @@ export function addElementToThree(elementData, currentSeason) {
                 const mulchMaterial = new THREE.MeshStandardMaterial({ color: 0x967969, roughness: 0.9 });
                 textureLoader.load('assets/textures/mulch.jpg', (texture) => {
                     texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-                    texture.repeat.set(elementData.width / 2, elementData.depth / 2); 
+                    // Box UVs span the whole face; outline UVs are in feet. Either way one tile covers 2'.
+                    if (isFreeform) texture.repeat.set(0.5, 0.5);
+                    else texture.repeat.set(elementData.width / 2, elementData.depth / 2); 
                     texture.colorSpace = THREE.SRGBColorSpace;
                     mulchMaterial.map = texture; mulchMaterial.needsUpdate = true; renderThreeScene();
                 }, undefined, (err) => console.warn("Failed to load mulch texture.", err));
+                if (isFreeform) { mainMesh = createOutlineMesh(elementData, mulchMaterial); threeY = 0; break; }
                 mainMesh = new THREE.Mesh(new THREE.BoxGeometry(elementData.width, elementData.height, elementData.depth), mulchMaterial); 
                 threeY = elementData.height / 2; 
                 break;
@@ -370,36 +421,169 @@ export function addElementToThree(elementData, currentSeason) {
                 threeY = 0; loadAndConfigureTreeModel(elementGroup, elementData, currentSeason, modelLoaderInstance); break;
             case 'plant':
                 threeY = 0; loadAndConfigurePlantModel(elementGroup, elementData, modelLoaderInstance); break;
-            case 'fence_segment': mainMesh = new THREE.Mesh(new THREE.BoxGeometry(elementData.width, elementData.height, elementData.depth), new THREE.MeshStandardMaterial({color: 0x888888, roughness:0.7})); threeY = elementData.height / 2; break;
-            case 'patio': mainMesh = new THREE.Mesh(new THREE.BoxGeometry(elementData.width, elementData.height, elementData.depth), new THREE.MeshStandardMaterial({color: 0xcccccc, roughness:0.6, side:THREE.DoubleSide})); threeY = elementData.height / 2; break;
-            case 'path': mainMesh = new THREE.Mesh(new THREE.BoxGeometry(elementData.width, elementData.height, elementData.depth), new THREE.MeshStandardMaterial({color: 0xbbbbbb, roughness:0.7, side:THREE.DoubleSide})); threeY = elementData.height / 2; break;
+            case 'fence_segment':
+                if (isRoute) { mainMesh = createRouteFenceMesh(elementData); threeY = 0; break; }
+                mainMesh = new THREE.Mesh(new THREE.BoxGeometry(elementData.width, elementData.height, elementData.depth), new THREE.MeshStandardMaterial({color: 0x888888, roughness:0.7})); threeY = elementData.height / 2; break;
+            case 'patio':
+            case 'path': {
+                const pavingMaterial = new THREE.MeshStandardMaterial({ color: elementData.type === 'patio' ? 0xcccccc : 0xbbbbbb, roughness: elementData.type === 'patio' ? 0.6 : 0.7, side: THREE.DoubleSide });
+                if (isFreeform || isRoute) { mainMesh = createOutlineMesh(elementData, pavingMaterial); threeY = 0; break; }
+                mainMesh = new THREE.Mesh(new THREE.BoxGeometry(elementData.width, elementData.height, elementData.depth), pavingMaterial); threeY = elementData.height / 2; break;
+            }
+            case 'hedge': {
+                const hedgeMaterial = new THREE.MeshStandardMaterial({ color: 0x3f7a35, roughness: 1 });
+                if (isRoute) { mainMesh = createOutlineMesh(elementData, hedgeMaterial); threeY = 0; break; }
+                mainMesh = new THREE.Mesh(new THREE.BoxGeometry(elementData.width, elementData.height, elementData.depth), hedgeMaterial); threeY = elementData.height / 2; break;
+            }
+            case 'deck': mainMesh = createDeckMesh(elementData); threeY = 0; break;
             case 'sprinkler': mainMesh = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, elementData.height, 8), new THREE.MeshStandardMaterial({color: 0x5555ff, roughness:0.5})); threeY = elementData.height / 2; break;
             case 'rain_barrel': mainMesh = new THREE.Mesh(new THREE.CylinderGeometry(elementData.width/2, elementData.width/2, elementData.height, 16), new THREE.MeshStandardMaterial({color: 0x4060a0, roughness:0.4, metalness: 0.2})); threeY = elementData.height / 2; break;
             case 'bench': mainMesh = new THREE.Mesh(new THREE.BoxGeometry(elementData.width, elementData.height, elementData.depth), new THREE.MeshStandardMaterial({color: 0x964B00, roughness:0.85})); threeY = elementData.height / 2; break;
             case 'fire_pit':
                 const pitGeometry = new THREE.CylinderGeometry(elementData.width/2, elementData.width/2 * 0.8, elementData.height, 16, 1, true);
                 mainMesh = new THREE.Mesh(pitGeometry, new THREE.MeshStandardMaterial({color: 0x555555, roughness:0.7, side:THREE.DoubleSide})); threeY = elementData.height / 2; break;
-            case 'lawn_area':
-                mainMesh = new THREE.Mesh(new THREE.PlaneGeometry(elementData.width, elementData.depth), new THREE.MeshStandardMaterial({ color: 0x8BC34A, roughness:0.9, side: THREE.DoubleSide, transparent: true, opacity: 0.9 }));
+            case 'lawn_area': {
+                const lawnMaterial = new THREE.MeshStandardMaterial({ color: 0x8BC34A, roughness:0.9, side: THREE.DoubleSide, transparent: true, opacity: 0.9 });
+                if (isFreeform) { mainMesh = createOutlineMesh(elementData, lawnMaterial, true); threeY = elementData.height / 2 + 0.01; break; }
+                mainMesh = new THREE.Mesh(new THREE.PlaneGeometry(elementData.width, elementData.depth), lawnMaterial);
                 mainMesh.rotation.x = -Math.PI / 2; threeY = elementData.height / 2 + 0.01; break; 
+            }
             default: mainMesh = new THREE.Mesh(new THREE.BoxGeometry(elementData.width || 1, elementData.height || 1, elementData.depth || 1), new THREE.MeshStandardMaterial({ color: 0xff00ff })); 
                 threeY = (elementData.height || 1) / 2;
         }
 
         if (mainMesh) elementGroup.add(mainMesh);
         
-        elementGroup.position.set(threeX, threeY, threeZ);
+        // threeY is the element's own offset; it stands on the ground under its centre
+        elementGroup.position.set(threeX, threeY + getGroundHeightUnderFt(elementData, lotCfg), threeZ);
         if (elementData.rotation && appContextRef && appContextRef.ROTATABLE_ELEMENT_TYPES && appContextRef.ROTATABLE_ELEMENT_TYPES.includes(elementData.type)) {
-            elementGroup.rotation.y = THREE.MathUtils.degToRad(elementData.rotation);
+            elementGroup.rotation.y = -THREE.MathUtils.degToRad(elementData.rotation); // Clockwise on the plan, as in 2D
         }
 
         elementGroup.traverse(child => { if (child.isMesh) { child.castShadow = true; child.receiveShadow = true; } });
-        elementGroup.userData = { elementId: elementData.id, type: elementData.type }; 
+        elementGroup.userData = { elementId: elementData.id, type: elementData.type, baseY: threeY }; 
         scene.add(elementGroup); elementData.threeInstance = elementGroup; 
         renderThreeScene();
     } catch (error) { console.error(`Error adding element ID ${elementData.id} (type ${elementData.type}) to 3D scene:`, error); }
 }
 
+// Freeform beds, patios and paths (and the band around a drawn path or hedge): the outline extruded up to
+// the element's height, or laid flat for lawns. Rotating +90° about X takes the shape's +Y to +Z, so the
+// outline matches the 2D plan.
+function createOutlineMesh(elementData, material, isFlat = false) {
+    const outline = hasElementRoute(elementData) ? getRouteOutline(elementData) : flattenOutline(getSizedOutline(elementData));
+    const shape = new THREE.Shape(outline.map(p => new THREE.Vector2(p.x, p.y)));
+    const geometry = isFlat ? new THREE.ShapeGeometry(shape) : new THREE.ExtrudeGeometry(shape, { depth: elementData.height, bevelEnabled: false });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = Math.PI / 2;
+    if (!isFlat) mesh.position.y = elementData.height; // The extrusion runs down from here to the ground
+    return mesh;
+}
+
+// A drawn fence: a panel along each piece of the runs between gates, a post wherever the route puts one,
+// and a lighter, slightly lower leaf across each gate opening. Plan y becomes +Z, as in createOutlineMesh.
+function createRouteFenceMesh(elementData) {
+    const fence = new THREE.Group();
+    const panelMaterial = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.7 });
+    const postMaterial = new THREE.MeshStandardMaterial({ color: 0x6b5b4b, roughness: 0.85 });
+    const gateMaterial = new THREE.MeshStandardMaterial({ color: 0xa0825a, roughness: 0.8 });
+    const thickness = getRouteLineWidthFt(elementData);
+    const panelHeight = elementData.height * 0.9;
+    const addPanel = (start, end, height, material) => {
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        if (length < 1e-6) return;
+        const panel = new THREE.Mesh(new THREE.BoxGeometry(length, height, thickness), material);
+        panel.position.set((start.x + end.x) / 2, height / 2, (start.y + end.y) / 2);
+        panel.rotation.y = -Math.atan2(end.y - start.y, end.x - start.x);
+        fence.add(panel);
+    };
+    getRouteRuns(elementData).forEach(run => run.slice(1).forEach((p, i) => addPanel(run[i], p, panelHeight, panelMaterial)));
+    getRouteGates(elementData).forEach(({ start, end }) => addPanel(start, end, panelHeight * 0.9, gateMaterial));
+
+    const postSize = Math.max(thickness, FENCE_POST_SIZE_FT);
+    const postGeometry = new THREE.BoxGeometry(postSize, elementData.height, postSize);
+    getRoutePosts(elementData).forEach(p => {
+        const post = new THREE.Mesh(postGeometry, postMaterial);
+        post.position.set(p.x, elementData.height / 2, p.y);
+        fence.add(post);
+    });
+    return fence;
+}
+
+// A raised deck in its centred frame: the boards on posts, railings round the open sides and solid
+// steps down to the ground. Plan y becomes +Z, as in createOutlineMesh.
+function createDeckMesh(elementData) {
+    const deck = new THREE.Group();
+    const boardMaterial = new THREE.MeshStandardMaterial({ color: 0x9c7248, roughness: 0.8 });
+    const frameMaterial = new THREE.MeshStandardMaterial({ color: 0x7a5636, roughness: 0.85 });
+    const height = elementData.height;
+    const boardThickness = Math.min(DECK_BOARD_THICKNESS_FT, height);
+    const boards = new THREE.Mesh(new THREE.BoxGeometry(elementData.width, boardThickness, elementData.depth), boardMaterial);
+    boards.position.y = height - boardThickness / 2;
+    deck.add(boards);
+
+    // Posts at the corners and along the sides, wherever the boards are off the ground
+    const postHeight = height - boardThickness;
+    if (postHeight > 0.05) {
+        const postGeometry = new THREE.BoxGeometry(DECK_POST_SIZE_FT, postHeight, DECK_POST_SIZE_FT);
+        const inset = DECK_POST_SIZE_FT / 2;
+        const postCountX = Math.max(1, Math.ceil(elementData.width / DECK_POST_SPACING_FT));
+        const postCountZ = Math.max(1, Math.ceil(elementData.depth / DECK_POST_SPACING_FT));
+        for (let i = 0; i <= postCountX; i++) {
+            [-1, 1].forEach(side => {
+                const post = new THREE.Mesh(postGeometry, frameMaterial);
+                post.position.set(-elementData.width / 2 + inset + (elementData.width - 2 * inset) * i / postCountX, postHeight / 2, side * (elementData.depth / 2 - inset));
+                deck.add(post);
+            });
+        }
+        for (let i = 1; i < postCountZ; i++) {
+            [-1, 1].forEach(side => {
+                const post = new THREE.Mesh(postGeometry, frameMaterial);
+                post.position.set(side * (elementData.width / 2 - inset), postHeight / 2, -elementData.depth / 2 + inset + (elementData.depth - 2 * inset) * i / postCountZ);
+                deck.add(post);
+            });
+        }
+    }
+
+    // Railings: a top rail on balusters along each run
+    const railingHeight = getDeckRailingHeightFt(elementData);
+    getDeckRailings(elementData).forEach(({ start, end }) => {
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const angle = -Math.atan2(end.y - start.y, end.x - start.x);
+        const rail = new THREE.Mesh(new THREE.BoxGeometry(length, DECK_RAIL_SIZE_FT, DECK_RAIL_SIZE_FT), frameMaterial);
+        rail.position.set((start.x + end.x) / 2, height + railingHeight - DECK_RAIL_SIZE_FT / 2, (start.y + end.y) / 2);
+        rail.rotation.y = angle;
+        deck.add(rail);
+        const balusterCount = Math.max(1, Math.round(length / DECK_BALUSTER_SPACING_FT));
+        const balusterGeometry = new THREE.BoxGeometry(DECK_BALUSTER_SIZE_FT, railingHeight, DECK_BALUSTER_SIZE_FT);
+        for (let i = 0; i <= balusterCount; i++) {
+            const baluster = new THREE.Mesh(balusterGeometry, frameMaterial);
+            baluster.position.set(start.x + (end.x - start.x) * i / balusterCount, height + railingHeight / 2, start.y + (end.y - start.y) * i / balusterCount);
+            deck.add(baluster);
+        }
+    });
+
+    const stairs = getDeckStairs(elementData);
+    if (stairs) {
+        const stairWidth = Math.hypot(stairs.end.x - stairs.start.x, stairs.end.y - stairs.start.y);
+        stairs.treads.forEach(tread => {
+            const [a, b, c, d] = tread.corners;
+            const step = new THREE.Mesh(new THREE.BoxGeometry(stairWidth, tread.height, Math.hypot(d.x - a.x, d.y - a.y)), boardMaterial);
+            step.position.set((a.x + c.x) / 2, tread.height / 2, (a.y + c.y) / 2);
+            step.rotation.y = -Math.atan2(b.y - a.y, b.x - a.x);
+            deck.add(step);
+        });
+    }
+    return deck;
+}
+
+// Replaces an element's meshes after its size, type-specific data or position changed.
+export function rebuildElementInThree(elementData, currentSeason) {
+    if (elementData.threeInstance) removeElementFromThree(elementData.threeInstance);
+    elementData.threeInstance = null;
+    addElementToThree(elementData, currentSeason);
+}
+
 // --- Custom House 3D ---
 export function addCustomHouseToThree(houseData) {
     if (!scene || !currentLotConfigRef) return;
@@ -411,22 +595,13 @@ export function addCustomHouseToThree(houseData) {
     const lotCfg = currentLotConfigRef();
     if (!lotCfg) return;
     
-    const lotCenterX = lotCfg.isCustomShape && lotCfg.customShapePoints && lotCfg.customShapePoints.length > 0 ? 
-                        (Math.min(...lotCfg.customShapePoints.map(p => p.x)) + Math.max(...lotCfg.customShapePoints.map(p => p.x))) / 2 
-                        : 0;
-    const lotCenterZ = lotCfg.isCustomShape && lotCfg.customShapePoints && lotCfg.customShapePoints.length > 0 ?
-                        (Math.min(...lotCfg.customShapePoints.map(p => p.y)) + Math.max(...lotCfg.customShapePoints.map(p => p.y))) / 2
-                        : 0;
-
-    const houseThreeX = houseData.x + houseData.width / 2 - lotCenterX;
-    const houseThreeZ = houseData.y + houseData.depth / 2 - lotCenterZ;
-    
-    houseGroup.position.set(houseThreeX, 0, houseThreeZ); 
+    const lotCentre = getLotCentreFt(lotCfg);
+    houseGroup.position.set(houseData.x + houseData.width / 2 - lotCentre.x, getGroundHeightUnderFt(houseData, lotCfg), houseData.y + houseData.depth / 2 - lotCentre.y);
     if (houseData.rotation) {
-        houseGroup.rotation.y = THREE.MathUtils.degToRad(houseData.rotation);
+        houseGroup.rotation.y = -THREE.MathUtils.degToRad(houseData.rotation); // Clockwise on the plan, as in 2D
     }
     
-    houseGroup.userData = { customHouseId: houseData.id, type: 'custom_house' };
+    houseGroup.userData = { customHouseId: houseData.id, type: 'custom_house', baseY: 0 };
     scene.add(houseGroup);
     houseData.threeInstance = houseGroup; 
     renderThreeScene();
@@ -474,249 +649,155 @@ function createCustomHouseMesh(houseData) {
         side: THREE.DoubleSide 
     });
 
-    // Roof Material - always red MeshBasicMaterial
-    const roofMaterialRedBasic = new THREE.MeshBasicMaterial({ color: 0xff0000, side: THREE.DoubleSide });
-
+    const roofMaterial = new THREE.MeshStandardMaterial({
+        color: new THREE.Color(houseData.roofColor || '#7a4b3a'),
+        roughness: 0.9,
+        side: THREE.DoubleSide
+    });
 
     // --- Walls ---
-    const wallFootprintShape = new THREE.Shape();
-    if (houseData.outline && houseData.outline.length > 0) {
-        houseData.outline.forEach((p, i) => {
-            if (i === 0) wallFootprintShape.moveTo(p.x, p.y);
-            else wallFootprintShape.lineTo(p.x, p.y);
-        });
-        if (houseData.outline.length > 2 && 
-            (houseData.outline[0].x !== houseData.outline[houseData.outline.length - 1].x || 
-             houseData.outline[0].y !== houseData.outline[houseData.outline.length - 1].y)) {
-            wallFootprintShape.lineTo(houseData.outline[0].x, houseData.outline[0].y);
-        }
+    const hasOutline = houseData.outline && houseData.outline.length >= 3;
+    if (hasOutline) {
+        houseGroup.add(createHouseWallsMesh(houseData, wallMaterial));
     } else { // Fallback if no outline
-        const fallbackWidth = houseData.width || 10;
-        const fallbackDepth = houseData.depth || 10;
-        wallFootprintShape.moveTo(-fallbackWidth/2, -fallbackDepth/2);
-        wallFootprintShape.lineTo( fallbackWidth/2, -fallbackDepth/2);
-        wallFootprintShape.lineTo( fallbackWidth/2,  fallbackDepth/2);
-        wallFootprintShape.lineTo(-fallbackWidth/2,  fallbackDepth/2);
-        wallFootprintShape.closePath();
+        const wallMesh = new THREE.Mesh(new THREE.BoxGeometry(houseData.width || 10, houseData.wallHeight, houseData.depth || 10), wallMaterial);
+        wallMesh.position.y = houseData.wallHeight / 2;
+        wallMesh.castShadow = true;
+        wallMesh.receiveShadow = true;
+        houseGroup.add(wallMesh);
     }
 
-    const extrudeSettings = {
-        steps: 1,
-        depth: houseData.wallHeight, 
-        bevelEnabled: false
-    };
-    const wallGeometry = new THREE.ExtrudeGeometry(wallFootprintShape, extrudeSettings);
-    wallGeometry.rotateX(-Math.PI / 2);
-    wallGeometry.center(); 
-
-    const wallMesh = new THREE.Mesh(wallGeometry, wallMaterial);
-    wallMesh.position.y = houseData.wallHeight / 2; 
-    wallMesh.castShadow = true;
-    wallMesh.receiveShadow = true;
-    houseGroup.add(wallMesh);
+    // --- Upper storeys ---
+    // Each stands on a floor slab over the storey below, which shows as a terrace where it is set back
+    const levels = hasOutline ? getStoreyLevels(houseData) : [];
+    levels.slice(1).forEach((level, i) => {
+        const floorGeometry = createSlabGeometry(levels[i].outline, level.baseHeight + FLAT_ROOF_THICKNESS_FT);
+        floorGeometry.computeVertexNormals();
+        const floor = new THREE.Mesh(floorGeometry, roofMaterial);
+        floor.castShadow = true;
+        floor.receiveShadow = true;
+        houseGroup.add(floor);
+        houseGroup.add(createStoreyWallsMesh(houseData, level, wallMaterial));
+    });
 
     // --- Roof ---
-    const roofBaseOutline = houseData.outline || [ // Fallback for roof base if main outline was missing
-        {x: -houseData.width/2, y: -houseData.depth/2}, {x: houseData.width/2, y: -houseData.depth/2},
-        {x: houseData.width/2, y: houseData.depth/2}, {x: -houseData.width/2, y: houseData.depth/2}
-    ];
-
-    if (houseData.roofType === 'flat' && roofBaseOutline.length > 0) {
-        const flatRoofShape = new THREE.Shape();
-        roofBaseOutline.forEach((p, i) => {
-            if (i === 0) flatRoofShape.moveTo(p.x, p.y); else flatRoofShape.lineTo(p.x, p.y);
-        });
-         if (roofBaseOutline.length > 2 && (roofBaseOutline[0].x !== roofBaseOutline[roofBaseOutline.length - 1].x || roofBaseOutline[0].y !== roofBaseOutline[roofBaseOutline.length - 1].y)) {
-             flatRoofShape.lineTo(roofBaseOutline[0].x, roofBaseOutline[0].y);
-        }
-        const roofGeometry = new THREE.ShapeGeometry(flatRoofShape);
-        roofGeometry.center(); 
-        
-        const flatRoofMesh = new THREE.Mesh(roofGeometry, roofMaterialRedBasic);
-        flatRoofMesh.rotation.x = -Math.PI / 2; 
-        flatRoofMesh.position.y = houseData.wallHeight; 
-        flatRoofMesh.castShadow = true;
-        houseGroup.add(flatRoofMesh);
-
-    } else if (houseData.roofType === 'gabled' && roofBaseOutline.length > 0) {
-        const bounds = roofBaseOutline.reduce((acc, p) => ({
-            minX: Math.min(acc.minX, p.x), minY: Math.min(acc.minY, p.y),
-            maxX: Math.max(acc.maxX, p.x), maxY: Math.max(acc.maxY, p.y)
-        }), {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity});
-        
-        const roofFootprintWidth = bounds.maxX - bounds.minX; 
-        const roofFootprintDepth = bounds.maxY - bounds.minY; 
-        const roofPeakRelativeHeight = (houseData.roofPeakHeightRatio || 0.3) * Math.min(roofFootprintWidth, roofFootprintDepth);
-
-
-        const gableProfile = new THREE.Shape();
-        let extrusionLength;
-        let requiresYRotation = false;
-        const gableAlongX = (houseData.gableDirection === 'x_axis') || (!houseData.gableDirection && roofFootprintWidth >= roofFootprintDepth);
-
-        if (gableAlongX) { 
-            gableProfile.moveTo(-roofFootprintDepth / 2, 0); 
-            gableProfile.lineTo(roofFootprintDepth / 2, 0);  
-            gableProfile.lineTo(0, roofPeakRelativeHeight);        
-            gableProfile.closePath();
-            extrusionLength = roofFootprintWidth; 
-            requiresYRotation = true; 
-        } else { 
-            gableProfile.moveTo(-roofFootprintWidth / 2, 0);
-            gableProfile.lineTo(roofFootprintWidth / 2, 0);
-            gableProfile.lineTo(0, roofPeakRelativeHeight);
-            gableProfile.closePath();
-            extrusionLength = roofFootprintDepth; 
-        }
-        
-        const gableExtrudeSettings = { depth: extrusionLength, bevelEnabled: false };
-        const gableGeometry = new THREE.ExtrudeGeometry(gableProfile, gableExtrudeSettings);
-        
-        if (requiresYRotation) gableGeometry.rotateY(Math.PI / 2); 
-        gableGeometry.center(); 
+    if (hasOutline) houseGroup.add(createRoofMeshes(getRoofPlan(getRoofBase(houseData)), getHouseTopHeightFt(houseData), roofMaterial, wallMaterial));
+    return houseGroup;
+}
 
-        const gabledRoofMesh = new THREE.Mesh(gableGeometry, roofMaterialRedBasic);
-        gabledRoofMesh.position.y = houseData.wallHeight + roofPeakRelativeHeight / 2;
-        
-        gabledRoofMesh.castShadow = true;
-        houseGroup.add(gabledRoofMesh);
-
-    } else if (houseData.roofType === 'hipped' && roofBaseOutline.length > 0) {
-        const bounds = roofBaseOutline.reduce((acc, p) => ({
-            minX: Math.min(acc.minX, p.x), minY: Math.min(acc.minY, p.y),
-            maxX: Math.max(acc.maxX, p.x), maxY: Math.max(acc.maxY, p.y)
-        }), {minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity});
-
-        const footprintWidth = bounds.maxX - bounds.minX;
-        const footprintDepth = bounds.maxY - bounds.minY;
-        const peakHeight = (houseData.hipRoofPeakHeightRatio || 0.3) * Math.min(footprintWidth, footprintDepth); // Relative to wall top
-
-        const vertices = [];
-        const indices = [];
-
-        // Base vertices (at wall height, centered footprint)
-        const v0 = new THREE.Vector3(bounds.minX, houseData.wallHeight, bounds.minY); // Front-left
-        const v1 = new THREE.Vector3(bounds.maxX, houseData.wallHeight, bounds.minY); // Front-right
-        const v2 = new THREE.Vector3(bounds.maxX, houseData.wallHeight, bounds.maxY); // Back-right
-        const v3 = new THREE.Vector3(bounds.minX, houseData.wallHeight, bounds.maxY); // Back-left
-
-        // Ridge vertices (centered on footprint, at peak height)
-        // For a rectangular base, the ridge is shorter than the longer side by the amount the shorter side "cuts in"
-        let ridgePoint1, ridgePoint2;
-        if (footprintWidth > footprintDepth) { // Ridge along X-axis
-            const ridgeLength = footprintWidth - footprintDepth; // Assuming 45-degree hip slope
-            ridgePoint1 = new THREE.Vector3(bounds.minX + footprintDepth / 2, houseData.wallHeight + peakHeight, bounds.minY + footprintDepth/2);
-            ridgePoint2 = new THREE.Vector3(bounds.maxX - footprintDepth / 2, houseData.wallHeight + peakHeight, bounds.minY + footprintDepth/2);
-             // Correction: ridge should be centered along Z
-            ridgePoint1.z = bounds.minY + footprintDepth / 2;
-            ridgePoint2.z = bounds.minY + footprintDepth / 2;
-
-        } else if (footprintDepth > footprintWidth) { // Ridge along Z-axis
-            const ridgeLength = footprintDepth - footprintWidth; // Assuming 45-degree hip slope
-            ridgePoint1 = new THREE.Vector3(bounds.minX + footprintWidth/2, houseData.wallHeight + peakHeight, bounds.minY + footprintWidth / 2);
-            ridgePoint2 = new THREE.Vector3(bounds.minX + footprintWidth/2, houseData.wallHeight + peakHeight, bounds.maxY - footprintWidth / 2);
-            // Correction: ridge should be centered along X
-            ridgePoint1.x = bounds.minX + footprintWidth / 2;
-            ridgePoint2.x = bounds.minX + footprintWidth / 2;
-        } else { // Square base, ridge is a single point
-            ridgePoint1 = new THREE.Vector3(bounds.minX + footprintWidth/2, houseData.wallHeight + peakHeight, bounds.minY + footprintDepth/2);
-            ridgePoint2 = ridgePoint1.clone();
-        }
-        
-        // Adjust vertex positions to be relative to houseGroup origin (0,0,0)
-        // The houseData.outline points are already relative to house center.
-        // So v0,v1,v2,v3 need to be based on these relative outline points.
-        // And ridgePoint1, ridgePoint2 also relative to this center.
-
-        const basePoints = roofBaseOutline.map(p => new THREE.Vector3(p.x, 0, p.y)); // at Y=0 relative to houseGroup
-
-        // Assuming rectangular outline for simplicity for hipped roof points
-        const hFW = footprintWidth / 2; // half footprint width
-        const hFD = footprintDepth / 2; // half footprint depth
-
-        vertices.push(
-            // Base vertices (Y=0, will be translated up by houseData.wallHeight later)
-            -hFW, 0, -hFD, // 0: front-left-base
-             hFW, 0, -hFD, // 1: front-right-base
-             hFW, 0,  hFD, // 2: back-right-base
-            -hFW, 0,  hFD  // 3: back-left-base
-        );
+// One slab per wall, its outer face on the outline, with the doors and windows of straight walls
+// left open and filled with a door leaf or a pane of glass. Curved edges (arcs, bay windows) are
+// built from the same segments the 2D view draws. Plan y becomes +Z, as in createOutlineMesh.
+function createHouseWallsMesh(houseData, wallMaterial) {
+    const walls = new THREE.Group();
+    const doorMaterial = new THREE.MeshStandardMaterial({ color: 0x6b4a2f, roughness: 0.7 });
+    const glassMaterial = new THREE.MeshStandardMaterial({ color: 0x9ec9e0, roughness: 0.1, metalness: 0.1, transparent: true, opacity: 0.45 });
+    // A slab between two plan points, bottom to top feet above the ground, set `inset` feet into the house
+    const addSlab = (start, end, bottom, top, thickness, inset, material) => {
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        if (length < 1e-6 || top - bottom < 1e-6) return;
+        const inward = getInwardNormal(houseData, start, end);
+        const slab = new THREE.Mesh(new THREE.BoxGeometry(length, top - bottom, thickness), material);
+        slab.position.set((start.x + end.x) / 2 + inward.x * inset, (bottom + top) / 2, (start.y + end.y) / 2 + inward.y * inset);
+        slab.rotation.y = -Math.atan2(end.y - start.y, end.x - start.x);
+        slab.castShadow = material !== glassMaterial;
+        slab.receiveShadow = true;
+        walls.add(slab);
+    };
 
-        let rP1x, rP1z, rP2x, rP2z;
-        if (footprintWidth > footprintDepth) {
-            rP1x = -(footprintWidth/2 - footprintDepth/2); rP1z = 0;
-            rP2x =  (footprintWidth/2 - footprintDepth/2); rP2z = 0;
-        } else if (footprintDepth > footprintWidth) {
-            rP1x = 0; rP1z = -(footprintDepth/2 - footprintWidth/2);
-            rP2x = 0; rP2z =  (footprintDepth/2 - footprintWidth/2);
-        } else { // Square
-            rP1x = 0; rP1z = 0;
-            rP2x = 0; rP2z = 0;
-        }
-        vertices.push(
-            rP1x, peakHeight, rP1z, // 4: ridge point 1
-            rP2x, peakHeight, rP2z  // 5: ridge point 2
-        );
-        
-        // Define faces (indices for the vertices array)
-        indices.push(
-            0, 4, 1,  1, 4, 5,  1, 5, 2, // Front face (triangle, quad, triangle)
-            2, 5, 3,  3, 5, 4,  3, 4, 0  // Back face (triangle, quad, triangle)
-        );
-        if (footprintWidth > footprintDepth) { // Ridge along X
-             indices.length = 0; // Clear and redefine for trapezoids + triangles
-             indices.push(
-                0, 1, 4, // Front triangle (if ridge shorter than base) -> actually one side of hip
-                1, 5, 4, // Connects to ridge
-                
-                1, 2, 5, // Right side hip (triangle)
-                3, 0, 4, // Left side hip (triangle)
-
-                2, 3, 5, // Back trapezoid part 1
-                3, 4, 5  // Back trapezoid part 2
-             );
-             // Corrected for typical hipped roof on rectangle (W > D)
-             // Two trapezoids along W, two triangles along D
-             indices.length = 0;
-             // Front face (trapezoid along W)
-             indices.push(0, 1, 5); indices.push(0, 5, 4);
-             // Back face (trapezoid along W)
-             indices.push(3, 4, 5); indices.push(3, 5, 2);
-             // Left end (triangle along D)
-             indices.push(0, 4, 3);
-             // Right end (triangle along D)
-             indices.push(1, 2, 5);
-
-        } else if (footprintDepth > footprintWidth) { // Ridge along Z
-             indices.length = 0;
-             // Front face (triangle along W)
-             indices.push(0, 1, 4);
-             // Back face (triangle along W)
-             indices.push(3, 2, 5);
-             // Left side (trapezoid along D)
-             indices.push(0, 4, 5); indices.push(0, 5, 3);
-             // Right side (trapezoid along D)
-             indices.push(1, 2, 5); indices.push(1, 5, 4);
-        } else { // Square base, pyramid
-            indices.length = 0;
-            indices.push(0,1,4); // Front
-            indices.push(1,2,4); // Right
-            indices.push(2,3,4); // Back
-            indices.push(3,0,4); // Left
+    houseData.outline.forEach((corner, index) => {
+        const edge = getHouseEdgeFt(houseData, index);
+        if (edge.isCurved) {
+            const next = houseData.outline[(index + 1) % houseData.outline.length];
+            const path = [corner, ...getEdgePathFt(corner, next, corner.curve)];
+            path.slice(1).forEach((p, i) => addSlab(path[i], p, 0, houseData.wallHeight, WALL_THICKNESS_FT, WALL_THICKNESS_FT / 2, wallMaterial));
+            return;
         }
+        const pointAt = distance => ({
+            x: edge.start.x + (edge.end.x - edge.start.x) * distance / edge.lengthFt,
+            y: edge.start.y + (edge.end.y - edge.start.y) * distance / edge.lengthFt
+        });
+        getEdgeWallPieces(houseData, index).forEach(piece => {
+            addSlab(pointAt(piece.fromFt), pointAt(piece.toFt), piece.bottom, piece.top, WALL_THICKNESS_FT, WALL_THICKNESS_FT / 2, wallMaterial);
+        });
+        getEdgeOpeningSpans(houseData, index).forEach(span => {
+            const isDoor = span.opening.type === 'door';
+            addSlab(span.start, span.end, span.bottom, span.top, isDoor ? DOOR_LEAF_THICKNESS_FT : GLASS_THICKNESS_FT, WALL_THICKNESS_FT / 2, isDoor ? doorMaterial : glassMaterial);
+        });
+    });
+    return walls;
+}
 
+const FLAT_ROOF_THICKNESS_FT = 0.5;
+
+// Plain walls round an upper storey's outline (doors and windows are on the ground storey)
+function createStoreyWallsMesh(houseData, level, wallMaterial) {
+    const walls = new THREE.Group();
+    level.outline.forEach((start, i) => {
+        const end = level.outline[(i + 1) % level.outline.length];
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        if (length < 1e-6) return;
+        const inward = getInwardNormal(houseData, start, end);
+        const wall = new THREE.Mesh(new THREE.BoxGeometry(length, level.height, WALL_THICKNESS_FT), wallMaterial);
+        wall.position.set((start.x + end.x) / 2 + inward.x * WALL_THICKNESS_FT / 2, level.baseHeight + level.height / 2, (start.y + end.y) / 2 + inward.y * WALL_THICKNESS_FT / 2);
+        wall.rotation.y = -Math.atan2(end.y - start.y, end.x - start.x);
+        wall.castShadow = true;
+        wall.receiveShadow = true;
+        walls.add(wall);
+    });
+    return walls;
+}
+
+// A flat slab over a plan outline, its top at topHeight
+function createSlabGeometry(points, topHeight) {
+    const slabShape = new THREE.Shape(points.map(p => new THREE.Vector2(p.x, p.y)));
+    const slabGeometry = new THREE.ExtrudeGeometry(slabShape, { depth: FLAT_ROOF_THICKNESS_FT, bevelEnabled: false });
+    slabGeometry.rotateX(Math.PI / 2); // The extrusion runs down from the top of the slab
+    slabGeometry.translate(0, topHeight, 0);
+    return slabGeometry;
+}
 
-        const hipGeometry = new THREE.BufferGeometry();
-        hipGeometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-        hipGeometry.setIndex(indices);
-        hipGeometry.computeVertexNormals(); // Good for shading if not basic material
+function createRoofMeshes(plan, wallHeight, roofMaterial, wallMaterial) {
+    const roofGroup = new THREE.Group();
+    const addMesh = (geometry, material) => {
+        geometry.computeVertexNormals();
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        roofGroup.add(mesh);
+    };
 
-        const hipRoofMesh = new THREE.Mesh(hipGeometry, roofMaterialRedBasic);
-        hipRoofMesh.position.y = houseData.wallHeight; // Position base of roof at top of walls
-        hipRoofMesh.castShadow = true;
-        houseGroup.add(hipRoofMesh);
+    if (plan.type === 'flat') {
+        addMesh(createSlabGeometry(plan.eaves, wallHeight + FLAT_ROOF_THICKNESS_FT), roofMaterial);
+        return roofGroup;
     }
-    return houseGroup;
+
+    if (plan.type === 'shed') {
+        const topGeometry = new THREE.ShapeGeometry(new THREE.Shape(plan.eaves.map(p => new THREE.Vector2(p.x, p.y))));
+        const positions = topGeometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            const x = positions.getX(i), y = positions.getY(i);
+            positions.setXYZ(i, x, wallHeight + getShedRoofHeightFt(plan.shedPlane, { x, y }), y);
+        }
+        addMesh(topGeometry, roofMaterial);
+    } else {
+        addMesh(createPlanarFacesGeometry(plan.faces, wallHeight), roofMaterial);
+    }
+    if (plan.gableFaces.length > 0) addMesh(createPlanarFacesGeometry(plan.gableFaces, wallHeight), wallMaterial);
+    return roofGroup;
+}
+
+// Roof faces are the skeleton's convex strips (planar polygons of plan { x, y, z }), so a fan triangulates them
+function createPlanarFacesGeometry(faces, wallHeight) {
+    const vertices = [];
+    faces.forEach(face => {
+        for (let i = 1; i < face.length - 1; i++) {
+            [face[0], face[i], face[i + 1]].forEach(p => vertices.push(p.x, wallHeight + p.z, p.y));
+        }
+    });
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+    return geometry;
 }
 
 
@@ -782,6 +863,7 @@ async function loadAndConfigureHouseModel(group, houseData, modelLoaderInstance,
         group.add(fallbackMesh);
     }
     renderThreeScene();
+    if (onModelLoadedCallback) onModelLoadedCallback();
 }
 
 
@@ -873,6 +955,7 @@ async function loadAndConfigureTreeModel(group, treeData, season, modelLoaderIns
         _addFallbackTreeMesh(group, treeData);
     }
     renderThreeScene();
+    if (onModelLoadedCallback) onModelLoadedCallback();
 }
 
 function _applyTreeConfiguration(model, treeData) {
@@ -919,15 +1002,18 @@ export function updateSeasonalAssetsInThree(elements, newSeason) {
     renderThreeScene();
 }
 
+function getNorthRotationDeg(lotCfg) {
+    return lotCfg && lotCfg.site ? lotCfg.site.northRotationDeg || 0 : 0;
+}
+
 export function updateShadows(sunCalcPosition) {
     if (!sunlight || !sunCalcPosition || !scene || !currentLotConfigRef) return;
     const lotCfg = currentLotConfigRef();
     if(!lotCfg) return;
 
     const R = Math.max(lotCfg.width || DEFAULT_LOT_WIDTH_FT, lotCfg.depth || DEFAULT_LOT_DEPTH_FT, DEFAULT_LOT_WIDTH_FT) * 1.3; 
-    const phi = sunCalcPosition.azimuth + Math.PI; 
-    const theta = Math.PI / 2 - sunCalcPosition.altitude;
-    sunlight.position.set(R * Math.sin(theta) * Math.cos(phi), R * Math.cos(theta), R * Math.sin(theta) * Math.sin(phi));
+    const sunDirection = getSunDirection(sunCalcPosition, getNorthRotationDeg(lotCfg)); // Shared with the sun-hours analysis so both agree
+    sunlight.position.set(sunDirection.x * R, sunDirection.y * R, sunDirection.z * R);
     sunlight.target.position.set(0, 0, 0); 
     
     const intensityFactor = Math.max(0.1, Math.sin(sunCalcPosition.altitude)); 
@@ -937,9 +1023,122 @@ export function updateShadows(sunCalcPosition) {
 }
 
 
+// --- Sun Hours ---
+// For each point (lot feet), how many of the sun directions (scene unit vectors, see getSunDirection)
+// reach it unblocked by the casters, elements or custom houses with a 3D object. null without a 3D scene.
+export function countSunlitSamplesInThree(points, sunDirections, casters) {
+    if (!scene || !currentLotConfigRef) return null;
+    const counts = new Array(points.length).fill(0);
+    const lotCfg = currentLotConfigRef();
+    const lotCentre = getLotCentreFt(lotCfg);
+    scene.updateMatrixWorld(true);
+    // Each caster's box rules most rays out before any of its triangles are tested
+    const blockers = casters.filter(caster => caster.threeInstance)
+        .map(caster => ({ object: caster.threeInstance, box: new THREE.Box3().setFromObject(caster.threeInstance) }))
+        .filter(blocker => !blocker.box.isEmpty());
+    const sunRaycaster = new THREE.Raycaster();
+    const directions = sunDirections.map(d => new THREE.Vector3(d.x, d.y, d.z).normalize());
+    const origin = new THREE.Vector3();
+    points.forEach((point, i) => {
+        origin.set(point.x - lotCentre.x, getGroundHeightFt(lotCfg, point.x, point.y) + SUN_SAMPLE_LIFT_FT, point.y - lotCentre.y);
+        directions.forEach(direction => {
+            sunRaycaster.set(origin, direction);
+            const isShaded = blockers.some(blocker => sunRaycaster.ray.intersectsBox(blocker.box) && sunRaycaster.intersectObject(blocker.object, true).length > 0);
+            if (!isShaded) counts[i]++;
+        });
+    });
+    return counts;
+}
+
+// --- Design Check Markers ---
+// footprints: [[{ x, y }, ...]] polygons in lot feet. Replaces any previous markers.
+export function setWarningFootprintsInThree(footprints) {
+    if (!scene || !currentLotConfigRef) return;
+    if (warningMarkersGroup) {
+        warningMarkersGroup.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        scene.remove(warningMarkersGroup);
+        warningMarkersGroup = null;
+    }
+    if (!footprints || footprints.length === 0) return;
+
+    const lotCfg = currentLotConfigRef();
+    const lotCentre = getLotCentreFt(lotCfg);
+
+    warningMarkersGroup = new THREE.Group();
+    warningMarkersGroup.name = 'warningMarkers';
+    footprints.forEach(footprint => {
+        // Rotating +90° about X takes the shape's +Y to +Z, matching the plan; the ground then sets each vertex's height
+        const fillGeometry = new THREE.ShapeGeometry(new THREE.Shape(footprint.map(p => new THREE.Vector2(p.x - lotCentre.x, p.y - lotCentre.y)))).rotateX(Math.PI / 2);
+        const fill = new THREE.Mesh(drapeOnGround(fillGeometry, lotCfg),
+            new THREE.MeshBasicMaterial({ color: 0xff0000, transparent: true, opacity: 0.35, depthWrite: false, side: THREE.DoubleSide }));
+        const outline = new THREE.LineLoop(
+            drapeOnGround(new THREE.BufferGeometry().setFromPoints(footprint.map(p => new THREE.Vector3(p.x - lotCentre.x, 0, p.y - lotCentre.y))), lotCfg),
+            new THREE.LineBasicMaterial({ color: 0xff0000 }));
+        [fill, outline].forEach(marker => { marker.raycast = () => {}; }); // Markers never block selection clicks
+        warningMarkersGroup.add(fill, outline);
+    });
+    scene.add(warningMarkersGroup);
+}
+
+// --- Drainage Overlay ---
+const DRAINAGE_TINTS = { ponding: 0x2f6fe0, channel: 0x1fa89a };
+
+// regions: [{ kind: 'ponding' | 'channel', x, y, sizeFt }] square cells centred on x/y in lot feet,
+// tinted on the ground. Replaces any previous overlay; null or [] clears it.
+export function setDrainageOverlayInThree(regions) {
+    if (!scene || !currentLotConfigRef) return;
+    if (drainageOverlayGroup) {
+        drainageOverlayGroup.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        scene.remove(drainageOverlayGroup);
+        drainageOverlayGroup = null;
+    }
+    if (!regions || regions.length === 0) return;
+
+    const lotCfg = currentLotConfigRef();
+    const lotCentre = getLotCentreFt(lotCfg);
+    drainageOverlayGroup = new THREE.Group();
+    drainageOverlayGroup.name = 'drainageOverlay';
+    Object.entries(DRAINAGE_TINTS).forEach(([kind, colour]) => {
+        const cells = regions.filter(region => region.kind === kind);
+        if (cells.length === 0) return;
+        // Two triangles per cell, wound to face up (+Y) once plan y runs along +Z
+        const positions = cells.flatMap(cell => {
+            const half = cell.sizeFt / 2;
+            const left = cell.x - half - lotCentre.x, right = cell.x + half - lotCentre.x;
+            const near = cell.y - half - lotCentre.y, far = cell.y + half - lotCentre.y;
+            return [left, 0, near, left, 0, far, right, 0, far, left, 0, near, right, 0, far, right, 0, near];
+        });
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const mesh = new THREE.Mesh(drapeOnGround(geometry, lotCfg),
+            new THREE.MeshBasicMaterial({ color: colour, transparent: true, opacity: kind === 'ponding' ? 0.45 : 0.3, depthWrite: false, side: THREE.DoubleSide }));
+        mesh.raycast = () => {}; // The overlay never blocks selection clicks
+        drainageOverlayGroup.add(mesh);
+    });
+    scene.add(drainageOverlayGroup);
+}
+
+// Moves an element's (or custom house's) 3D object to match its plan position, standing on the ground
+export function updateElementPositionInThree(elementData) {
+    const threeObject = elementData.threeInstance;
+    if (!threeObject || !currentLotConfigRef) return;
+    const lotCfg = currentLotConfigRef();
+    const lotCentre = getLotCentreFt(lotCfg);
+    threeObject.position.set(
+        elementData.x + elementData.width / 2 - lotCentre.x,
+        (threeObject.userData.baseY || 0) + getGroundHeightUnderFt(elementData, lotCfg),
+        elementData.y + elementData.depth / 2 - lotCentre.y);
+}
+
 export function updateElementRotationInThree(threeObject, rotationDegrees) {
     if (threeObject) {
-        threeObject.rotation.y = THREE.MathUtils.degToRad(rotationDegrees);
+        threeObject.rotation.y = -THREE.MathUtils.degToRad(rotationDegrees);
         renderThreeScene();
     }
 }
@@ -994,11 +1193,13 @@ export function exportGLTFScene() {
         }
     });
 
-    const customHouseData = currentCustomHouseRef ? currentCustomHouseRef() : null;
-    if (customHouseData && customHouseData.threeInstance) {
-        const houseClone = customHouseData.threeInstance.clone(true);
-        exportContainerScene.add(houseClone);
-    }
+    const customHousesToExport = currentCustomHousesRef ? currentCustomHousesRef() : [];
+    customHousesToExport.forEach(houseData => {
+        if (houseData.threeInstance) {
+            const houseClone = houseData.threeInstance.clone(true);
+            exportContainerScene.add(houseClone);
+        }
+    });
     
     try {
         exporter.parse(exportContainerScene,
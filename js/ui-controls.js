@@ -1,10 +1,31 @@
 // js/ui-controls.js
 
+import { AREA_ELEMENT_TYPES, getElementAreaSqFt, hasElementOutline } from './features/element-outlines.js';
+import { ROUTE_DEFAULTS, hasElementRoute, getRouteLengthFt, getRouteLineWidthFt, getRoutePosts, getRouteGateSpansFt } from './features/routes.js';
+import { DECK_SIDES, DECK_DEFAULTS, getDeckStairs } from './features/decks.js';
+import { getStoreyLevels, getHouseTopHeightFt } from './features/storeys.js';
+import { DOWNSPOUT_REACH_FT, formatInches } from './features/drainage.js';
+import { SUN_EXPOSURE_CLASSES, formatSunRequirement } from './features/sunlight.js';
+
 // --- DOM Element References (ensure these are initialized in app.js or passed if needed) ---
 // It's generally better to get these from app.js to avoid null issues if DOM isn't ready
 // For example:
 // let customHouseControlsContainer; (initialized in app.js and passed or queried via a method)
 
+let appContextRef = null;
+let arrayToolElementId = null; // Element the array tool defaults were last filled in for
+let inspectorElementId = null; // Element whose type-specific inspector fields are currently built
+export function setAppContextForUiControls(context) {
+    appContextRef = context;
+}
+
+// Keyboard shortcuts must not steal native undo/typing from form fields
+function isTextEntryTarget(target) {
+    if (!target) return false;
+    if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+    return target.tagName === 'INPUT' && ['text', 'number', 'search'].includes(target.type);
+}
+
 // --- Initialization & Event Listeners ---
 export function setupEventListeners(handlers) {
     // General UI
@@ -18,7 +39,16 @@ export function setupEventListeners(handlers) {
     document.getElementById('arPreviewBtn').addEventListener('click', handlers.onArPreview);
     document.getElementById('seasonSelector').addEventListener('change', handlers.onSeasonChange);
     document.getElementById('timeOfDaySlider').addEventListener('input', handlers.onTimeChange);
+    document.getElementById('sunDateInput').addEventListener('change', (e) => handlers.onSunDateChange(e.target.value));
+    ['siteLatitudeInput', 'siteLongitudeInput', 'siteTimeZoneInput', 'siteNorthRotationInput'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => handlers.onSiteChange(readSiteSettings()));
+    });
+    const siteLocationQuery = document.getElementById('siteLocationQuery');
+    document.getElementById('findSiteLocationBtn').addEventListener('click', () => handlers.onFindSiteLocation(siteLocationQuery.value));
+    siteLocationQuery.addEventListener('keydown', (e) => { if (e.key === 'Enter') handlers.onFindSiteLocation(siteLocationQuery.value); });
     document.getElementById('orientNorthBtn').addEventListener('click', handlers.onOrientNorth);
+    document.getElementById('undoBtn').addEventListener('click', handlers.onUndo);
+    document.getElementById('redoBtn').addEventListener('click', handlers.onRedo);
 
 
     document.querySelectorAll('.element').forEach(button => {
@@ -30,6 +60,32 @@ export function setupEventListeners(handlers) {
     document.getElementById('addTreeBtn').addEventListener('click', handlers.onAddTree);
     document.getElementById('deleteElementBtn').addEventListener('click', handlers.onDeleteSelectedElement);
     
+    const groupRotateBtn = document.getElementById('groupRotateBtn');
+    if (groupRotateBtn) {
+        groupRotateBtn.addEventListener('click', () => handlers.onRotateSelection(document.getElementById('groupRotationInput').value));
+    }
+
+    const createArrayBtn = document.getElementById('createArrayBtn');
+    if (createArrayBtn) {
+        createArrayBtn.addEventListener('click', () => handlers.onCreateArray(
+            document.getElementById('arrayColumnsInput').value,
+            document.getElementById('arrayRowsInput').value,
+            document.getElementById('arraySpacingXInput').value,
+            document.getElementById('arraySpacingYInput').value
+        ));
+    }
+
+    const propertyInspector = document.getElementById('propertyInspectorContainer');
+    if (propertyInspector) {
+        // Delegated so the type-specific fields, which are rebuilt per selection, need no extra wiring
+        propertyInspector.addEventListener('input', (e) => {
+            if (e.target.dataset.property && e.target.tagName !== 'SELECT') handlers.onElementPropertyChange(e.target.dataset.property, e.target.value, true);
+        });
+        propertyInspector.addEventListener('change', (e) => {
+            if (e.target.dataset.property) handlers.onElementPropertyChange(e.target.dataset.property, e.target.value);
+        });
+    }
+
     const rotationInput = document.getElementById('elementRotationInput');
     if (rotationInput) {
         rotationInput.addEventListener('change', (e) => handlers.onElementRotationChange(e.target.value));
@@ -38,9 +94,48 @@ export function setupEventListeners(handlers) {
     
     // Deselect on Escape key or click outside interactive areas
     document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && !isTextEntryTarget(e.target)) {
+            const key = e.key.toLowerCase();
+            const shortcuts = {
+                z: e.shiftKey ? handlers.onRedo : handlers.onUndo,
+                y: handlers.onRedo,
+                c: handlers.onCopy,
+                v: handlers.onPaste,
+                d: handlers.onDuplicate // Also stops the browser's bookmark shortcut
+            };
+            // Copy only takes over with elements selected and no page text highlighted, so info panel
+            // values and issue messages can still be copied
+            const isPageTextCopy = key === 'c' && (!appContextRef || appContextRef.selectedElements().length === 0 ||
+                !window.getSelection().isCollapsed);
+            if (shortcuts[key] && !isPageTextCopy) {
+                e.preventDefault();
+                shortcuts[key]();
+                return;
+            }
+        }
+        const isVertexEditing = appContextRef && appContextRef.isVertexEditing && appContextRef.isVertexEditing();
+        const drawingEdgeTypes = { l: 'line', a: 'arc', c: 'bezier' };
+        if (!e.ctrlKey && !e.metaKey && !e.altKey && drawingEdgeTypes[e.key.toLowerCase()] && !isTextEntryTarget(e.target) &&
+            appContextRef && appContextRef.isDrawing && appContextRef.isDrawing()) {
+            handlers.onDrawingEdgeType(drawingEdgeTypes[e.key.toLowerCase()]);
+            return;
+        }
+        if ((e.key === 'Delete' || e.key === 'Backspace') && isVertexEditing && !isTextEntryTarget(e.target)) {
+            e.preventDefault();
+            handlers.onDeleteVertex();
+            return;
+        }
         if (e.key === 'Escape') {
             if (appContextRef && appContextRef.isDrawing && appContextRef.isDrawing()) {
                  // If drawing, Escape should cancel drawing (handled in app.js via specific cancel buttons for now)
+            } else if (isVertexEditing) {
+                handlers.onFinishVertexEdit();
+            } else if (appContextRef && appContextRef.isMeasuring && appContextRef.isMeasuring()) {
+                handlers.onExitMeasureTool();
+            } else if (appContextRef && appContextRef.isSculptingTerrain && appContextRef.isSculptingTerrain()) {
+                handlers.onExitTerrainSculpt();
+            } else if (appContextRef && appContextRef.isPlacingSpotElevations && appContextRef.isPlacingSpotElevations()) {
+                handlers.onExitPlaceSpots();
             } else {
                 handlers.onDeselectAll();
             }
@@ -51,10 +146,122 @@ export function setupEventListeners(handlers) {
 
     // Lot Configuration UI
     document.getElementById('updateLotRectBtn').addEventListener('click', handlers.onUpdateLotRect);
+    const surveyCallsInput = document.getElementById('surveyCallsInput');
+    document.getElementById('surveyLotBtn').addEventListener('click', () => {
+        showModal('surveyLotModal');
+        handlers.onSurveyCallsInput(surveyCallsInput.value);
+        surveyCallsInput.focus();
+    });
+    surveyCallsInput.addEventListener('input', () => handlers.onSurveyCallsInput(surveyCallsInput.value));
+    document.getElementById('createSurveyLotBtn').addEventListener('click', () => handlers.onCreateSurveyLot(surveyCallsInput.value));
+    document.getElementById('cancelSurveyLotBtn').addEventListener('click', () => hideModal('surveyLotModal'));
+    document.getElementById('closeSurveyLotModalCross').addEventListener('click', () => hideModal('surveyLotModal'));
+
+    document.getElementById('measureToolBtn').addEventListener('click', handlers.onToggleMeasureTool);
+    document.getElementById('pinDimensionBtn').addEventListener('click', handlers.onPinDimension);
+    document.getElementById('clearDimensionsBtn').addEventListener('click', handlers.onClearDimensions);
+
+    document.getElementById('sculptTerrainBtn').addEventListener('click', () => handlers.onToggleTerrainSculpt(readTerrainBrush()));
+    ['terrainBrushSelect', 'terrainBrushRadiusInput', 'terrainBrushStrengthInput'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => handlers.onTerrainBrushChange(readTerrainBrush()));
+    });
+    document.getElementById('resetTerrainBtn').addEventListener('click', handlers.onResetTerrain);
+
+    document.getElementById('placeSpotElevationsBtn').addEventListener('click', handlers.onTogglePlaceSpots);
+    const spotElevationList = document.getElementById('spotElevationList');
+    if (spotElevationList) {
+        spotElevationList.addEventListener('change', (e) => {
+            if (e.target.dataset.spotId) handlers.onUpdateSpotElevation(e.target.dataset.spotId, e.target.value);
+        });
+        spotElevationList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-spot-id]');
+            if (removeBtn) handlers.onRemoveSpotElevation(removeBtn.dataset.removeSpotId);
+        });
+    }
+    const gradingDisplaySettings = document.getElementById('gradingDisplaySettings');
+    if (gradingDisplaySettings) {
+        gradingDisplaySettings.addEventListener('change', () => handlers.onGradingDisplayChange({
+            showContours: document.getElementById('showContoursCheckbox').checked,
+            contourIntervalFt: parseFloat(document.getElementById('contourIntervalInput').value),
+            showSlopes: document.getElementById('showSlopesCheckbox').checked,
+            showDrainage: document.getElementById('showDrainageCheckbox').checked
+        }));
+    }
+
+    const sunHoursStartDate = document.getElementById('sunHoursStartDate');
+    if (sunHoursStartDate && !sunHoursStartDate.value) sunHoursStartDate.value = formatDateInputValue(new Date());
+    document.getElementById('analyzeSunHoursBtn').addEventListener('click', () => handlers.onAnalyzeSunHours(readSunHoursRange()));
+    document.getElementById('showSunHoursCheckbox').addEventListener('change', (e) => handlers.onToggleSunHours(e.target.checked));
+    document.getElementById('movePlantToSunBtn').addEventListener('click', handlers.onMovePlantToSun);
+    document.getElementById('swapPlantForSunBtn').addEventListener('click', handlers.onSwapPlantForSun);
+
+    const designIssuesList = document.getElementById('designIssuesList');
+    if (designIssuesList) {
+        designIssuesList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-issue-index]');
+            if (item) handlers.onSelectDesignIssue(parseInt(item.dataset.issueIndex));
+        });
+    }
+    const clearanceSettings = document.getElementById('clearanceSettings');
+    if (clearanceSettings) {
+        clearanceSettings.addEventListener('change', (e) => {
+            if (e.target.dataset.ruleId) handlers.onClearanceChange(e.target.dataset.ruleId, e.target.value);
+        });
+    }
+
+    const snapSettingsPanel = document.getElementById('snapSettingsPanel');
+    if (snapSettingsPanel) {
+        snapSettingsPanel.addEventListener('change', () => handlers.onSnapSettingsChange({
+            grid: document.getElementById('snapToGridCheckbox').checked,
+            gridSizeFt: parseFloat(document.getElementById('gridSizeInput').value),
+            angle: document.getElementById('snapToAngleCheckbox').checked,
+            angleStepDegrees: parseFloat(document.getElementById('angleSnapStepInput').value),
+            objects: document.getElementById('snapToObjectsCheckbox').checked
+        }));
+    }
     document.getElementById('drawLotShapeBtn').addEventListener('click', handlers.onDrawLotShape);
     document.getElementById('finishDrawingLotBtn').addEventListener('click', handlers.onFinishDrawingLot);
     document.getElementById('cancelDrawingLotBtn').addEventListener('click', handlers.onCancelDrawingLot);
 
+    // Setbacks & Easements
+    const lotRestrictionsPanel = document.getElementById('lotRestrictionsPanel');
+    if (lotRestrictionsPanel) {
+        lotRestrictionsPanel.addEventListener('change', (e) => {
+            if (e.target.dataset.setbackRole) handlers.onSetbackChange(e.target.dataset.setbackRole, e.target.value);
+            else if (e.target.dataset.edgeIndex !== undefined) handlers.onEdgeRoleChange(parseInt(e.target.dataset.edgeIndex), e.target.value);
+        });
+    }
+    document.getElementById('drawFreeformBtn').addEventListener('click', () => handlers.onDrawFreeform(document.getElementById('freeformTypeSelect').value));
+    document.getElementById('finishFreeformBtn').addEventListener('click', handlers.onFinishFreeform);
+    document.getElementById('cancelFreeformBtn').addEventListener('click', handlers.onCancelFreeform);
+    document.getElementById('drawRouteBtn').addEventListener('click', () => handlers.onDrawRoute(document.getElementById('routeTypeSelect').value));
+    document.getElementById('finishRouteBtn').addEventListener('click', handlers.onFinishRoute);
+    document.getElementById('cancelRouteBtn').addEventListener('click', handlers.onCancelRoute);
+    document.getElementById('drawEasementBtn').addEventListener('click', handlers.onDrawEasement);
+    document.getElementById('finishEasementBtn').addEventListener('click', handlers.onFinishEasement);
+    document.getElementById('cancelEasementBtn').addEventListener('click', handlers.onCancelEasement);
+    const easementList = document.getElementById('easementList');
+    if (easementList) {
+        easementList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-easement-id]');
+            if (removeBtn) handlers.onRemoveEasement(removeBtn.dataset.easementId);
+        });
+    }
+
+    // Vertex editing of finished outlines
+    document.getElementById('editLotShapeBtn').addEventListener('click', handlers.onEditLotShape);
+    document.getElementById('editHouseOutlineBtn').addEventListener('click', handlers.onEditHouseOutline);
+    document.getElementById('deleteVertexBtn').addEventListener('click', handlers.onDeleteVertex);
+    document.getElementById('finishVertexEditBtn').addEventListener('click', handlers.onFinishVertexEdit);
+    document.getElementById('setEdgeLengthBtn').addEventListener('click', () => handlers.onSetEdgeLength(document.getElementById('edgeLengthInput').value));
+    document.getElementById('edgeLengthInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handlers.onSetEdgeLength(e.target.value);
+    });
+    document.getElementById('edgeTypeSelect').addEventListener('change', (e) => handlers.onSetEdgeType(e.target.value));
+    document.getElementById('edgeRoofPitchSelect').addEventListener('change', (e) => handlers.onSetEdgeRoofPitch(e.target.value));
+    document.getElementById('addDoorBtn').addEventListener('click', () => handlers.onAddOpening('door'));
+    document.getElementById('addWindowBtn').addEventListener('click', () => handlers.onAddOpening('window'));
+
     // Home Builder UI
     document.getElementById('activateHomeBuilderBtn').addEventListener('click', handlers.onActivateHomeBuilder);
     document.getElementById('finishHomeBuilderBtn').addEventListener('click', handlers.onFinishHomeBuilder);
@@ -79,6 +286,46 @@ export function setupEventListeners(handlers) {
         wallColorInput.addEventListener('change', handlers.onUpdateCustomHouse);
         wallColorInput.addEventListener('input', handlers.onUpdateCustomHouse); // For live color update
     }
+
+    ['customHouseRoofPitchInput', 'customHouseEaveOverhangInput'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handlers.onUpdateCustomHouse);
+    });
+    const roofColorInput = document.getElementById('customHouseRoofColorInput');
+    roofColorInput.addEventListener('change', handlers.onUpdateCustomHouse);
+    roofColorInput.addEventListener('input', handlers.onUpdateCustomHouse);
+
+    // Upper storeys and doors and windows: the lists are rebuilt on every change, so only 'change' (not 'input') is handled
+    document.getElementById('addStoreyBtn').addEventListener('click', handlers.onAddStorey);
+    const storeysList = document.getElementById('houseStoreysList');
+    storeysList.addEventListener('change', (e) => {
+        if (e.target.dataset.storeyField) handlers.onUpdateStorey(parseInt(e.target.closest('[data-storey-index]').dataset.storeyIndex), e.target.dataset.storeyField, e.target.value);
+    });
+    storeysList.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('[data-remove-storey]');
+        if (removeBtn) handlers.onRemoveStorey(parseInt(removeBtn.closest('[data-storey-index]').dataset.storeyIndex));
+    });
+    const openingsList = document.getElementById('houseOpeningsList');
+    openingsList.addEventListener('change', (e) => {
+        if (e.target.dataset.openingField) handlers.onUpdateOpening(e.target.closest('[data-opening-id]').dataset.openingId, e.target.dataset.openingField, e.target.value);
+    });
+    openingsList.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('[data-remove-opening]');
+        if (removeBtn) handlers.onRemoveOpening(removeBtn.closest('[data-opening-id]').dataset.openingId);
+    });
+}
+
+// --- Undo/Redo Toolbar ---
+export function updateHistoryButtons({ canUndo, canRedo, undoLabel, redoLabel }) {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) {
+        undoBtn.disabled = !canUndo;
+        undoBtn.title = canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = !canRedo;
+        redoBtn.title = canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
 }
 
 // --- Modal Controls ---
@@ -109,42 +356,94 @@ export function toggleView(currentView, p5Container, threeContainer, toggleBtn)
 }
 
 // --- Element Information Panel ---
-export function showElementInfo(element, plantLibrary, customHouseData) {
+// `element` is a single element, an array of elements (multi-selection summary) or null.
+export function showElementInfo(element, plantLibrary) {
     const infoContent = document.getElementById('elementInfoContent');
     const deleteBtn = document.getElementById('deleteElementBtn');
     const rotationControls = document.getElementById('rotationControlContainer');
     const rotationInput = document.getElementById('elementRotationInput');
     const customHouseControls = document.getElementById('customHouseControlsContainer');
+    const groupControls = document.getElementById('groupControlsContainer');
+    const arrayTool = document.getElementById('arrayToolContainer');
+    const plantSunControls = document.getElementById('plantSunControls');
 
+    const sunCheck = element && !Array.isArray(element) && appContextRef && appContextRef.getPlantSunCheck ? appContextRef.getPlantSunCheck(element) : null;
+    if (plantSunControls) plantSunControls.classList.toggle('hidden', !(sunCheck && sunCheck.mismatch));
+    if (groupControls) groupControls.classList.toggle('hidden', !Array.isArray(element));
+    const canArray = element && !Array.isArray(element) && element.type !== 'custom_house';
+    if (arrayTool) arrayTool.classList.toggle('hidden', !canArray);
+    if (canArray && element.id !== arrayToolElementId) fillArrayToolDefaults(element);
+    if (!canArray) arrayToolElementId = null;
 
-    if (element) {
-        let detailsHtml = `<strong class="text-gray-800">${element.name || element.type}</strong><br>`;
+    if (Array.isArray(element)) {
+        infoContent.innerHTML = getSelectionSummaryHtml(element);
+        showPropertyInspector(null);
+        deleteBtn.classList.remove('hidden');
+        rotationControls.classList.add('hidden');
+        hideCustomHouseControls();
+    } else if (element) {
+        let detailsHtml = `<strong class="text-gray-800">${escapeHtml(element.name || element.type)}</strong><br>`;
         detailsHtml += `ID: ${element.id}<br>`;
         detailsHtml += `Type: ${element.type}<br>`;
-        detailsHtml += `Position (ft): X: ${element.x.toFixed(1)}, Y: ${element.y.toFixed(1)}<br>`;
-        if (element.width && element.depth) {
-            detailsHtml += `Size (ft): W: ${element.width.toFixed(1)}, D: ${element.depth.toFixed(1)}`;
-            if (element.height) detailsHtml += `, H: ${element.height.toFixed(1)}`; // This is wallHeight for custom_house
-            detailsHtml += `<br>`;
+        if (element.type === 'custom_house') {
+            // The house outline is edited through its own controls; only the derived footprint is shown
+            detailsHtml += `Position (ft): X: ${element.x.toFixed(1)}, Y: ${element.y.toFixed(1)}<br>`;
+            if (element.width && element.depth) detailsHtml += `Size (ft): W: ${element.width.toFixed(1)}, D: ${element.depth.toFixed(1)}<br>`;
+        }
+        if (AREA_ELEMENT_TYPES.includes(element.type)) {
+            detailsHtml += `Area: ${getElementAreaSqFt(element).toFixed(1)} sq ft${hasElementOutline(element) ? ' (freeform)' : ''}<br>`;
+        }
+        if (hasElementRoute(element)) {
+            detailsHtml += `Run Length: ${getRouteLengthFt(element).toFixed(1)} ft<br>`;
+            if (element.type === 'fence_segment') detailsHtml += `Posts: ${getRoutePosts(element).length}, Gates: ${getRouteGateSpansFt(element).length}<br>`;
+        }
+        const grade = appContextRef && appContextRef.getElementGrade ? appContextRef.getElementGrade(element) : null;
+        if (grade) {
+            detailsHtml += `Ground: ${grade.slopePercent.toFixed(1)}% slope (${grade.slopeClass.label.toLowerCase()}), ${grade.fallFt.toFixed(2)} ft fall across<br>`;
+        }
+        const drainage = appContextRef && appContextRef.getElementDrainage ? appContextRef.getElementDrainage(element) : null;
+        if (drainage && drainage.wetSpotDepthFt > 0) {
+            detailsHtml += `Drainage: sits in a wet spot, ponds up to ${formatInches(drainage.wetSpotDepthFt)}<br>`;
         }
-        if (element.rotation !== undefined) {
-            detailsHtml += `Rotation: ${element.rotation}°<br>`;
+        if (drainage && drainage.catchment) {
+            const { roofAreaSqFt, gallonsPerInch, fillsAfterInches } = drainage.catchment;
+            detailsHtml += roofAreaSqFt > 0
+                ? `Catches ${roofAreaSqFt.toFixed(0)} sq ft of roof: ${gallonsPerInch.toFixed(1)} gal per inch of rain, full after ${fillsAfterInches.toFixed(1)} in<br>`
+                : `Catches no roof: stand it within ${DOWNSPOUT_REACH_FT} ft of a house corner's downspout<br>`;
+        }
+        const sun = appContextRef && appContextRef.getElementSunHours ? appContextRef.getElementSunHours(element) : null;
+        if (sunCheck) {
+            // Plants are cast at their own centre, so this supersedes the heatmap reading
+            const verdict = sunCheck.mismatch === 'too_shady' ? ' <span class="text-red-600">(too shady)</span>'
+                : sunCheck.mismatch === 'too_sunny' ? ' <span class="text-red-600">(too sunny)</span>' : '';
+            detailsHtml += `Sun: needs ${formatSunRequirement(sunCheck.requirement)}, gets ${sunCheck.hours.toFixed(1)} h a day${verdict}<br>`;
+        } else if (sun) {
+            detailsHtml += `Sun: ${sun.hours.toFixed(1)} h of direct sun a day (${sun.exposure.label.toLowerCase()})${sun.isStale ? ', from an out-of-date analysis' : ''}<br>`;
+        }
+        if (element.type === 'deck') {
+            const stairs = getDeckStairs(element);
+            detailsHtml += `Deck: ${element.height.toFixed(1)} ft above grade, ${stairs ? `${stairs.treads.length + 1} steps down` : 'no stairs'}<br>`;
         }
 
         if (element.isPlant && element.data && plantLibrary) {
             const plantInfo = plantLibrary.find(p => p.id === element.data.id);
-            if (plantInfo) {
-                detailsHtml += `Variety: ${plantInfo.name}<br>`;
-                if (plantInfo.description) detailsHtml += `Desc: ${plantInfo.description}<br>`;
-            }
+            if (plantInfo && plantInfo.description) detailsHtml += `Desc: ${plantInfo.description}<br>`;
+            hideCustomHouseControls();
         } else if (element.isTree && element.data) {
-             detailsHtml += `Species: ${element.data.displayName || element.data.species}<br>`;
              detailsHtml += `Season: ${element.data.currentSeason || 'N/A'}<br>`;
-        } else if (element.type === 'custom_house' && customHouseData) {
-            detailsHtml += `Wall Height: ${customHouseData.wallHeight.toFixed(1)} ft<br>`;
-            detailsHtml += `Roof Type: ${customHouseData.roofType}<br>`;
-            detailsHtml += `Wall Color: <span style="display:inline-block; width:12px; height:12px; background-color:${customHouseData.wallColor}; border:1px solid #ccc; vertical-align:middle;"></span> ${customHouseData.wallColor}<br>`;
-            showCustomHouseControls(customHouseData.wallHeight, customHouseData.roofType, customHouseData.wallColor);
+             hideCustomHouseControls();
+        } else if (element.type === 'custom_house') {
+            detailsHtml += `Wall Height: ${element.wallHeight.toFixed(1)} ft<br>`;
+            detailsHtml += `Roof Type: ${element.roofType}`;
+            if (element.roofType && element.roofType !== 'flat') detailsHtml += `, ${element.roofPitch}/12 pitch`;
+            detailsHtml += `<br>`;
+            detailsHtml += `Eave Overhang: ${(element.eaveOverhang ?? 0).toFixed(1)} ft<br>`;
+            const levels = getStoreyLevels(element);
+            if (levels.length > 1) detailsHtml += `Storeys: ${levels.length} (${getHouseTopHeightFt(element).toFixed(1)} ft of wall)<br>`;
+            const openings = element.openings || [];
+            if (openings.length > 0) detailsHtml += `Doors/Windows: ${openings.filter(o => o.type === 'door').length} / ${openings.filter(o => o.type === 'window').length}<br>`;
+            detailsHtml += `Wall Color: <span style="display:inline-block; width:12px; height:12px; background-color:${element.wallColor}; border:1px solid #ccc; vertical-align:middle;"></span> ${element.wallColor}<br>`;
+            showCustomHouseControls(element);
         } else {
             hideCustomHouseControls();
         }
@@ -152,6 +451,7 @@ export function showElementInfo(element, plantLibrary, customHouseData) {
 
         infoContent.innerHTML = detailsHtml;
         deleteBtn.classList.remove('hidden');
+        showPropertyInspector(element.type === 'custom_house' ? null : element, plantLibrary);
         
         if (appContextRef && appContextRef.ROTATABLE_ELEMENT_TYPES && appContextRef.ROTATABLE_ELEMENT_TYPES.includes(element.type)) {
             rotationInput.value = Math.round(element.rotation || 0);
@@ -161,7 +461,8 @@ export function showElementInfo(element, plantLibrary, customHouseData) {
         }
 
     } else {
-        infoContent.innerHTML = "Select an element to see its details.";
+        infoContent.innerHTML = "Select an element to see its details. Shift-click or drag a box to select several.";
+        showPropertyInspector(null);
         deleteBtn.classList.add('hidden');
         rotationControls.classList.add('hidden');
         hideCustomHouseControls();
@@ -170,6 +471,134 @@ export function showElementInfo(element, plantLibrary, customHouseData) {
 }
 
 
+// --- Property Inspector ---
+// Type-specific fields edit `element.data`; their values are sent as 'data.<key>' properties
+function getInspectorDataFields(element, plantLibrary) {
+    if (element.isTree) {
+        const treeManifest = appContextRef && appContextRef.treeManifest ? appContextRef.treeManifest() : {};
+        return [
+            { property: 'data.species', label: 'Species', options: Object.keys(treeManifest).map(key => ({ value: key, label: treeManifest[key].displayName })), value: element.data.species },
+            { property: 'data.canopy', label: 'Canopy (ft)', min: 1, step: 0.5, value: element.width }
+        ];
+    }
+    if (element.isPlant) {
+        return [
+            { property: 'data.id', label: 'Variety', options: (plantLibrary || []).map(plant => ({ value: plant.id, label: plant.name })), value: element.data.id },
+            { property: 'data.spacing', label: 'Spacing (in)', min: 1, step: 1, value: element.width * 12 }
+        ];
+    }
+    if (hasElementRoute(element)) {
+        const fields = [{ property: 'data.lineWidth', label: 'Line Width (ft)', min: 0.1, step: 0.1, value: getRouteLineWidthFt(element) }];
+        if (element.type === 'fence_segment') {
+            const defaults = ROUTE_DEFAULTS.fence_segment;
+            fields.push(
+                { property: 'data.postSpacing', label: 'Post Spacing (ft)', min: 1, step: 0.5, value: element.data.postSpacing || defaults.postSpacing },
+                { property: 'data.gates', label: 'Gates At (ft along run, comma-separated)', isText: true, value: (element.data.gates || []).join(', ') },
+                { property: 'data.gateWidth', label: 'Gate Width (ft)', min: 1, step: 0.5, value: element.data.gateWidth || defaults.gateWidth }
+            );
+        }
+        return fields;
+    }
+    if (element.type === 'deck') {
+        const data = { ...DECK_DEFAULTS, ...element.data };
+        const sideOptions = [{ value: 'none', label: 'None' }, ...DECK_SIDES.map(side => ({ value: side, label: side.charAt(0).toUpperCase() + side.slice(1) }))];
+        return [
+            { property: 'data.railingHeight', label: 'Railing Height (ft, 0 for none)', min: 0, step: 0.25, value: data.railingHeight },
+            { property: 'data.attachedSide', label: 'Against House (no railing)', options: sideOptions, value: data.attachedSide },
+            { property: 'data.stairSide', label: 'Stairs', options: sideOptions, value: data.stairSide },
+            { property: 'data.stairWidth', label: 'Stair Width (ft)', min: 1, step: 0.5, value: data.stairWidth }
+        ];
+    }
+    return [];
+}
+
+function showPropertyInspector(element, plantLibrary) {
+    const inspector = document.getElementById('propertyInspectorContainer');
+    if (!inspector) return;
+    inspector.classList.toggle('hidden', !element);
+    if (!element) { inspectorElementId = null; return; }
+
+    const dataFields = getInspectorDataFields(element, plantLibrary);
+    const dataContainer = document.getElementById('inspectorDataFields');
+    // Rebuild the type-specific inputs only when the selection changes, so a field being edited keeps focus
+    if (element.id !== inspectorElementId) {
+        dataContainer.innerHTML = '';
+        dataFields.forEach(field => {
+            const wrapper = document.createElement('div');
+            const label = document.createElement('label');
+            label.className = 'block text-xs font-medium text-gray-700';
+            label.textContent = `${field.label}:`;
+            let input;
+            if (field.options) {
+                input = document.createElement('select');
+                field.options.forEach(option => input.add(new Option(option.label, option.value)));
+            } else if (field.isText) {
+                input = document.createElement('input');
+                input.type = 'text';
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.min = field.min;
+                input.step = field.step;
+            }
+            input.dataset.property = field.property;
+            input.className = 'p-1 border border-gray-300 rounded-md shadow-sm text-sm w-full';
+            wrapper.append(label, input);
+            dataContainer.appendChild(wrapper);
+        });
+        inspectorElementId = element.id;
+    }
+
+    const values = { name: element.name || '', x: element.x, y: element.y, width: element.width, depth: element.depth, height: element.height };
+    dataFields.forEach(field => { values[field.property] = field.value; });
+    inspector.querySelectorAll('[data-property]').forEach(input => {
+        if (input === document.activeElement) return; // Don't overwrite what the user is typing
+        const value = values[input.dataset.property];
+        input.value = typeof value === 'number' ? parseFloat(value.toFixed(2)) : (value ?? '');
+    });
+    // Uniform (round) elements are sized through a single dimension
+    const isUniform = appContextRef && appContextRef.UNIFORM_SIZE_ELEMENT_TYPES && appContextRef.UNIFORM_SIZE_ELEMENT_TYPES.includes(element.type);
+    document.getElementById('inspectorDepthInput').disabled = isUniform;
+    document.getElementById('inspectorWidthInput').disabled = !!(element.isTree || element.isPlant);
+}
+
+// Plants default to their library spacing (inches); other elements to edge-to-edge placement
+function fillArrayToolDefaults(element) {
+    const spacingInches = element.isPlant && element.data ? parseFloat(element.data.spacing) : NaN;
+    const spacingXFt = !isNaN(spacingInches) && spacingInches > 0 ? spacingInches / 12 : element.width;
+    const spacingYFt = !isNaN(spacingInches) && spacingInches > 0 ? spacingInches / 12 : element.depth;
+    document.getElementById('arraySpacingXInput').value = parseFloat(spacingXFt.toFixed(2));
+    document.getElementById('arraySpacingYInput').value = parseFloat(spacingYFt.toFixed(2));
+    arrayToolElementId = element.id;
+}
+
+// Element names are user text, so they are escaped before going into an info panel's HTML
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function getSelectionSummaryHtml(selection) {
+    const counts = {};
+    selection.forEach(el => {
+        const label = el.name || el.type;
+        counts[label] = (counts[label] || 0) + 1;
+    });
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    selection.forEach(el => {
+        minX = Math.min(minX, el.x); minY = Math.min(minY, el.y);
+        maxX = Math.max(maxX, el.x + el.width); maxY = Math.max(maxY, el.y + el.depth);
+    });
+
+    let summaryHtml = `<strong class="text-gray-800">${selection.length} elements selected</strong><br>`;
+    Object.keys(counts).sort().forEach(label => {
+        summaryHtml += `${counts[label]} × ${escapeHtml(label)}<br>`;
+    });
+    summaryHtml += `Extent (ft): W: ${(maxX - minX).toFixed(1)}, D: ${(maxY - minY).toFixed(1)}<br>`;
+    summaryHtml += `Origin (ft): X: ${minX.toFixed(1)}, Y: ${minY.toFixed(1)}<br>`;
+    return summaryHtml;
+}
+
+
 // --- Plant & Tree Selectors ---
 export function populatePlantSelector(plantLibrary, selectorElement) {
     if (!plantLibrary || !selectorElement) return;
@@ -219,6 +648,113 @@ export function updateLotConfigUI(width, depth, isDrawingLot) {
     }
 }
 
+// edges come from getLotEdgesFt(); formatDistance turns feet into a feet/inches label
+export function updateLotRestrictionsUI(setbacks, edges, easements, formatDistance) {
+    document.querySelectorAll('#lotRestrictionsPanel [data-setback-role]').forEach(input => {
+        if (document.activeElement !== input) input.value = setbacks[input.dataset.setbackRole] || 0;
+    });
+
+    const edgeRoles = document.getElementById('lotEdgeRoles');
+    if (edgeRoles) {
+        edgeRoles.innerHTML = '';
+        edges.forEach(edge => {
+            const label = document.createElement('label');
+            label.className = 'flex items-center justify-between gap-1';
+            label.textContent = `Edge ${edge.index + 1} (${formatDistance(edge.lengthFt)})`;
+            const select = document.createElement('select');
+            select.dataset.edgeIndex = edge.index;
+            select.className = 'p-1 border rounded text-sm text-gray-700';
+            ['front', 'side', 'rear'].forEach(role => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+                select.appendChild(option);
+            });
+            select.value = edge.role;
+            label.appendChild(select);
+            edgeRoles.appendChild(label);
+        });
+    }
+
+    const easementList = document.getElementById('easementList');
+    if (easementList) {
+        easementList.innerHTML = '';
+        easements.forEach(easement => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center justify-between gap-1';
+            item.append(easement.name || 'Easement'); // User text, never parsed as HTML
+            const removeBtn = document.createElement('button');
+            removeBtn.dataset.easementId = easement.id;
+            removeBtn.className = 'text-red-600 hover:text-red-800';
+            removeBtn.title = 'Remove easement';
+            removeBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
+            item.appendChild(removeBtn);
+            easementList.appendChild(item);
+        });
+    }
+}
+
+export function updateEasementDrawingUI(isDrawingEasement) {
+    document.getElementById('drawEasementBtn').classList.toggle('hidden', isDrawingEasement);
+    document.getElementById('finishEasementBtn').classList.toggle('hidden', !isDrawingEasement);
+    document.getElementById('cancelEasementBtn').classList.toggle('hidden', !isDrawingEasement);
+}
+
+export function updateFreeformDrawingUI(isDrawingOutline) {
+    document.getElementById('drawFreeformBtn').classList.toggle('hidden', isDrawingOutline);
+    document.getElementById('freeformTypeSelect').disabled = isDrawingOutline;
+    document.getElementById('finishFreeformBtn').classList.toggle('hidden', !isDrawingOutline);
+    document.getElementById('cancelFreeformBtn').classList.toggle('hidden', !isDrawingOutline);
+}
+
+export function updateRouteDrawingUI(isDrawingRoute) {
+    document.getElementById('drawRouteBtn').classList.toggle('hidden', isDrawingRoute);
+    document.getElementById('routeTypeSelect').disabled = isDrawingRoute;
+    document.getElementById('finishRouteBtn').classList.toggle('hidden', !isDrawingRoute);
+    document.getElementById('cancelRouteBtn').classList.toggle('hidden', !isDrawingRoute);
+}
+
+// traverse: from traverseSurveyCalls, or { error }
+export function updateSurveyClosureUI(traverse, formatDistance) {
+    const result = document.getElementById('surveyClosureResult');
+    const createBtn = document.getElementById('createSurveyLotBtn');
+    if (!result) return;
+    if (traverse.error) {
+        result.textContent = traverse.error;
+        result.className = 'text-sm text-red-700 mt-2';
+        createBtn.disabled = true;
+        return;
+    }
+    const precision = isFinite(traverse.precisionRatio) ? `1:${Math.round(traverse.precisionRatio).toLocaleString()}` : 'exact';
+    result.textContent = `${traverse.points.length} calls, perimeter ${formatDistance(traverse.perimeterFt)}. Closure error: ${formatDistance(traverse.closureErrorFt)} (${precision}).`;
+    result.className = 'text-sm text-gray-700 mt-2';
+    createBtn.disabled = false;
+}
+
+// targetLabel is null when no outline is being edited; selection comes from p5's onVertexEditSelect.
+// edgeRoofPitch is the selected house edge's entry in edgePitches (undefined for lot edges)
+export function updateVertexEditUI(targetLabel, selection, edgeRoofPitch) {
+    const panel = document.getElementById('vertexEditPanel');
+    if (!panel) return;
+    panel.classList.toggle('hidden', !targetLabel);
+    if (targetLabel) document.getElementById('vertexEditTargetLabel').textContent = targetLabel;
+    document.getElementById('deleteVertexBtn').disabled = !(selection && selection.type === 'vertex');
+    const isEdgeSelected = Boolean(selection && selection.type === 'edge');
+    document.getElementById('edgeLengthControls').classList.toggle('hidden', !isEdgeSelected);
+    if (isEdgeSelected) {
+        document.getElementById('edgeLengthInput').value = selection.lengthFt.toFixed(2);
+        document.getElementById('edgeTypeSelect').value = selection.edgeType || 'line';
+    }
+    document.getElementById('houseEdgeControls').classList.toggle('hidden', !isEdgeSelected || edgeRoofPitch === undefined);
+    const isCurvedEdge = Boolean(isEdgeSelected && selection.edgeType && selection.edgeType !== 'line');
+    ['addDoorBtn', 'addWindowBtn'].forEach(id => { document.getElementById(id).disabled = isCurvedEdge; }); // Openings go in straight walls
+    if (isEdgeSelected && edgeRoofPitch !== undefined) {
+        const pitchSelect = document.getElementById('edgeRoofPitchSelect');
+        pitchSelect.value = edgeRoofPitch === null ? '' : String(edgeRoofPitch);
+        if (pitchSelect.selectedIndex < 0) pitchSelect.value = ''; // A pitch saved outside the listed steps
+    }
+}
+
 export function updateHomeBuilderUI(isDrawingHouse) {
     const activateHomeBuilderBtn = document.getElementById('activateHomeBuilderBtn');
     const finishHomeBuilderBtn = document.getElementById('finishHomeBuilderBtn');
@@ -236,33 +772,325 @@ export function updateHomeBuilderUI(isDrawingHouse) {
 }
 
 
-export function showDrawingInstructions(element, mode) {
+const DRAWING_EDGE_TYPE_LABELS = { line: 'Straight', arc: 'Arc', bezier: 'Curve' };
+
+// edgeType is the shape of the edges being drawn, shown for the polygon modes
+export function showDrawingInstructions(element, mode, edgeType = 'line') {
     if (!element) return;
     let text = "Click to place points. Right-click or press 'Escape' to cancel. Press 'Enter' or click 'Finish' button to complete.";
+    text += ` Edges: ${DRAWING_EDGE_TYPE_LABELS[edgeType] || 'Straight'} (press L, A or C for straight, arc or curve; a curved edge takes a second click to set its bend).`;
     if (mode === 'lot_polygon') text = "Drawing Lot: " + text;
     else if (mode === 'home_builder_polygon') text = "Drawing House: " + text;
+    else if (mode === 'easement_polygon') text = "Drawing Easement: " + text;
+    else if (mode === 'element_polygon') text = "Drawing Outline: " + text;
+    else if (mode === 'element_polyline') text = "Drawing Route (open, at least 2 points): " + text;
+    else if (mode === 'vertex_edit') text = "Editing Outline: Drag corners or edge midpoints (the diamond on a curved edge bends it), click an edge to set its length or shape. Press 'Delete' to remove the selected corner, 'Escape' when done.";
+    else if (mode === 'spot_elevation') text = "Spot elevations: Click the plan to enter the surveyed elevation there, or click a spot to change it (leave it blank to remove the spot). Press 'Escape' when done.";
+    else if (mode === 'terrain') text = "Sculpting: Click or drag over the lot to shape the ground with the chosen brush. Flatten levels towards the height where each stroke starts. Press 'Escape' to stop.";
+    else if (mode === 'measure') text = "Measuring: Click two points (element centres, edges and the lot boundary snap). Click a pinned dimension's label to remove it. Press 'Escape' to stop.";
     element.textContent = text;
     element.classList.remove('hidden');
 }
 
+// --- Design Issues ---
+const DESIGN_ISSUE_ICONS = { lot: 'fa-border-style', overlap: 'fa-clone', clearance: 'fa-arrows-alt-h', setback: 'fa-compress-arrows-alt', easement: 'fa-road', wet_spot: 'fa-tint', sun: 'fa-sun' };
+
+// Clicking an entry selects the elements involved
+export function updateDesignIssuesUI(issues) {
+    const list = document.getElementById('designIssuesList');
+    if (!list) return;
+    list.innerHTML = '';
+    if (issues.length === 0) {
+        list.innerHTML = '<li class="text-gray-500">No issues found.</li>';
+        return;
+    }
+    issues.forEach((issue, index) => {
+        const item = document.createElement('li');
+        item.dataset.issueIndex = index;
+        item.className = 'text-red-700 cursor-pointer hover:underline';
+        item.innerHTML = `<i class="fas ${DESIGN_ISSUE_ICONS[issue.kind] || 'fa-exclamation-triangle'} mr-1"></i>`;
+        item.append(issue.message); // Element names are user text, so never parsed as HTML
+        list.appendChild(item);
+    });
+}
+
+// One number input per clearance rule; empty inputs fall back to the rule default
+export function populateClearanceSettings(rules, distances) {
+    const container = document.getElementById('clearanceSettings');
+    if (!container) return;
+    container.innerHTML = '';
+    rules.forEach(rule => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center justify-between gap-1';
+        label.textContent = rule.label;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 0;
+        input.step = 0.5;
+        input.placeholder = rule.minDistanceFt;
+        input.value = distances[rule.id] !== undefined ? distances[rule.id] : rule.minDistanceFt;
+        input.dataset.ruleId = rule.id;
+        input.className = 'p-1 border rounded w-16 text-sm text-gray-700';
+        label.appendChild(input);
+        container.appendChild(label);
+    });
+}
+
+// The brush set up in the terrain panel: { tool, radiusFt, strengthFt }
+function readTerrainBrush() {
+    const radiusFt = parseFloat(document.getElementById('terrainBrushRadiusInput').value);
+    const strengthFt = parseFloat(document.getElementById('terrainBrushStrengthInput').value);
+    return {
+        tool: document.getElementById('terrainBrushSelect').value,
+        radiusFt: radiusFt > 0 ? radiusFt : 8,
+        strengthFt: strengthFt > 0 ? strengthFt : 0.1
+    };
+}
+
+// The dates set up in the sun hours panel: { startDate, endDate } as local dates; a missing end is the
+// start day alone, a missing start today
+function readSunHoursRange() {
+    const startDate = parseDateInputValue(document.getElementById('sunHoursStartDate').value) || new Date();
+    const endDate = parseDateInputValue(document.getElementById('sunHoursEndDate').value) || startDate;
+    return { startDate, endDate };
+}
+
+// 'YYYY-MM-DD' from a date input, read as a local date (Date.parse would take it as UTC)
+function parseDateInputValue(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    return match ? new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])) : null;
+}
+
+function formatDateInputValue(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// --- Site Location ---
+// No place name: app.js keeps the looked-up one unless the coordinates have been retyped
+function readSiteSettings() {
+    return {
+        latitude: document.getElementById('siteLatitudeInput').value,
+        longitude: document.getElementById('siteLongitudeInput').value,
+        timeZone: document.getElementById('siteTimeZoneInput').value,
+        northRotationDeg: document.getElementById('siteNorthRotationInput').value
+    };
+}
+
+// sunDate is 'YYYY-MM-DD', or null for today
+export function updateSiteUI(site, sunDate) {
+    document.getElementById('siteLatitudeInput').value = site.latitude;
+    document.getElementById('siteLongitudeInput').value = site.longitude;
+    document.getElementById('siteTimeZoneInput').value = site.timeZone;
+    document.getElementById('siteNorthRotationInput').value = site.northRotationDeg;
+    const placeName = document.getElementById('sitePlaceName');
+    if (placeName) placeName.textContent = site.placeName ? `Site: ${site.placeName}` : 'Site: custom coordinates';
+    const sunDateInput = document.getElementById('sunDateInput');
+    if (sunDateInput) sunDateInput.value = sunDate || formatDateInputValue(new Date());
+}
+
+// state: { isAnalyzing, progress (0..1), summary ({ [exposureId]: fraction }, null before any analysis),
+// days, isStale }
+export function updateSunHoursUI(state) {
+    const analyzeBtn = document.getElementById('analyzeSunHoursBtn');
+    if (analyzeBtn) {
+        analyzeBtn.disabled = state.isAnalyzing;
+        analyzeBtn.innerHTML = state.isAnalyzing
+            ? `<i class="fas fa-spinner fa-spin mr-2"></i>Analyzing… ${Math.round(state.progress * 100)}%`
+            : '<i class="fas fa-sun mr-2"></i>Analyze Sun Hours';
+    }
+    const list = document.getElementById('sunHoursSummary');
+    if (!list) return;
+    list.innerHTML = '';
+    if (!state.summary) return;
+    SUN_EXPOSURE_CLASSES.forEach(exposure => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center gap-1';
+        const swatch = document.createElement('span');
+        swatch.className = 'inline-block w-3 h-3 rounded-sm border border-gray-400';
+        swatch.style.backgroundColor = `rgb(${exposure.colour.join(', ')})`;
+        const range = exposure.minHours > 0 ? `${exposure.minHours}+ h` : `under ${SUN_EXPOSURE_CLASSES[SUN_EXPOSURE_CLASSES.indexOf(exposure) - 1].minHours} h`;
+        item.append(swatch, `${exposure.label} (${range}): ${Math.round(state.summary[exposure.id] * 100)}% of the lot`);
+        list.appendChild(item);
+    });
+    const note = document.createElement('li');
+    note.className = state.isStale ? 'text-orange-700' : 'text-gray-500';
+    note.textContent = state.isStale ? 'The design has changed since this analysis; run it again to update.'
+        : `Average daily hours of direct sun over ${state.days} day${state.days === 1 ? '' : 's'}.`;
+    list.appendChild(note);
+}
+
+// progress: 0..1 while "move to a suitable spot" searches, null otherwise
+export function updatePlantSunSearchUI(progress) {
+    const moveBtn = document.getElementById('movePlantToSunBtn');
+    if (!moveBtn) return;
+    moveBtn.disabled = progress !== null;
+    moveBtn.innerHTML = progress !== null
+        ? `<i class="fas fa-spinner fa-spin mr-1"></i>Searching… ${Math.round(progress * 100)}%`
+        : '<i class="fas fa-arrows-alt mr-1"></i>Move to a Suitable Spot';
+}
+
+export function updateGradingUI(spots, isPlacing) {
+    const placeBtn = document.getElementById('placeSpotElevationsBtn');
+    if (placeBtn) {
+        placeBtn.classList.toggle('control-button-secondary', isPlacing);
+        placeBtn.innerHTML = isPlacing ? '<i class="fas fa-check-circle mr-2"></i>Done Placing Spots' : '<i class="fas fa-map-marker-alt mr-2"></i>Place Spot Elevations';
+    }
+    const list = document.getElementById('spotElevationList');
+    if (!list) return;
+    list.innerHTML = '';
+    spots.forEach((spot, i) => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center justify-between gap-1';
+        item.append(`#${i + 1} (${spot.x.toFixed(1)}, ${spot.y.toFixed(1)})`);
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '0.1';
+        input.value = spot.elevation;
+        input.dataset.spotId = spot.id;
+        input.title = 'Elevation (ft)';
+        input.className = 'p-1 border rounded w-20 text-sm text-gray-700';
+        const removeBtn = document.createElement('button');
+        removeBtn.dataset.removeSpotId = spot.id;
+        removeBtn.className = 'text-red-600 hover:text-red-800';
+        removeBtn.title = 'Remove spot elevation';
+        removeBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
+        item.append(input, removeBtn);
+        list.appendChild(item);
+    });
+}
+
+export function updateTerrainToolUI(isActive) {
+    const sculptBtn = document.getElementById('sculptTerrainBtn');
+    if (sculptBtn) {
+        sculptBtn.classList.toggle('control-button-secondary', isActive);
+        sculptBtn.innerHTML = isActive ? '<i class="fas fa-times-circle mr-2"></i>Stop Sculpting' : '<i class="fas fa-mountain mr-2"></i>Sculpt Terrain';
+    }
+}
+
+// distanceText is null until a measurement has both points
+export function updateMeasureToolUI(isActive, distanceText) {
+    const measureBtn = document.getElementById('measureToolBtn');
+    const resultLabel = document.getElementById('measureResult');
+    const pinBtn = document.getElementById('pinDimensionBtn');
+    if (measureBtn) {
+        measureBtn.classList.toggle('control-button-secondary', isActive);
+        measureBtn.innerHTML = isActive ? '<i class="fas fa-times-circle mr-2"></i>Stop Measuring' : '<i class="fas fa-ruler mr-2"></i>Measure';
+    }
+    if (resultLabel) {
+        resultLabel.textContent = distanceText ? `Distance: ${distanceText}` : (isActive ? 'Click the first point.' : '');
+        resultLabel.classList.toggle('hidden', !isActive);
+    }
+    if (pinBtn) pinBtn.disabled = !distanceText;
+}
+
 export function hideDrawingInstructions(element) {
     if (element) element.classList.add('hidden');
 }
 
-export function showCustomHouseControls(wallHeight, roofType, wallColor) {
+export function showCustomHouseControls(house) {
     const container = document.getElementById('customHouseControlsContainer');
     const wallHeightInput = document.getElementById('customHouseWallHeightInput'); // Renamed from customHouseHeightInput
     const roofSelect = document.getElementById('customHouseRoofTypeSelect');
     const wallColorInput = document.getElementById('customHouseWallColorInput');
 
     if (container && wallHeightInput && roofSelect && wallColorInput) {
-        wallHeightInput.value = wallHeight;
-        roofSelect.value = roofType;
-        wallColorInput.value = wallColor;
+        wallHeightInput.value = house.wallHeight;
+        roofSelect.value = house.roofType;
+        wallColorInput.value = house.wallColor;
+        document.getElementById('customHouseRoofPitchInput').value = house.roofPitch;
+        document.getElementById('customHouseEaveOverhangInput').value = house.eaveOverhang;
+        document.getElementById('customHouseRoofColorInput').value = house.roofColor;
+        renderHouseOpeningsList(house);
+        renderHouseStoreysList(house);
         container.classList.remove('hidden');
     }
 }
 
+// Upper storeys, lowest first, each with its wall height and setback from the storey below
+function renderHouseStoreysList(house) {
+    const list = document.getElementById('houseStoreysList');
+    if (!list) return;
+    list.innerHTML = '';
+    (house.storeys || []).forEach((storey, index) => {
+        const item = document.createElement('li');
+        item.dataset.storeyIndex = index;
+        item.className = 'grid grid-cols-5 gap-1 items-end';
+        const name = document.createElement('span');
+        name.textContent = `Floor ${index + 2}`;
+        item.appendChild(name);
+        [{ field: 'height', label: 'Walls', min: 1 }, { field: 'setback', label: 'Setback', min: 0 }].forEach(({ field, label, min }) => {
+            const fieldLabel = document.createElement('label');
+            fieldLabel.className = 'block col-span-2';
+            fieldLabel.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = String(min);
+            input.step = '0.5';
+            input.value = storey[field];
+            input.dataset.storeyField = field;
+            input.className = 'p-1 border rounded w-full text-xs text-gray-700';
+            fieldLabel.appendChild(input);
+            item.appendChild(fieldLabel);
+        });
+        const removeBtn = document.createElement('button');
+        removeBtn.dataset.removeStorey = 'true';
+        removeBtn.className = 'text-red-600 hover:text-red-800 col-start-5 justify-self-end';
+        removeBtn.title = 'Remove storey';
+        removeBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    });
+}
+
+const OPENING_FIELDS = [
+    { field: 'offset', label: 'Along' },
+    { field: 'width', label: 'W' },
+    { field: 'height', label: 'H' },
+    { field: 'sill', label: 'Sill' }
+];
+
+// One row per door or window: which wall it is on, its size and position in feet, and a remove button
+function renderHouseOpeningsList(house) {
+    const list = document.getElementById('houseOpeningsList');
+    if (!list) return;
+    list.innerHTML = '';
+    const openings = house.openings || [];
+    document.getElementById('houseOpeningsEmpty').classList.toggle('hidden', openings.length > 0);
+    openings.forEach(opening => {
+        const item = document.createElement('li');
+        item.dataset.openingId = opening.id;
+        item.className = 'border rounded p-1';
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between';
+        header.textContent = `${opening.type === 'door' ? 'Door' : 'Window'} · wall ${opening.edge + 1}`;
+        const removeBtn = document.createElement('button');
+        removeBtn.dataset.removeOpening = 'true';
+        removeBtn.className = 'text-red-600 hover:text-red-800';
+        removeBtn.title = `Remove ${opening.type}`;
+        removeBtn.innerHTML = '<i class="fas fa-trash-alt"></i>';
+        header.appendChild(removeBtn);
+        item.appendChild(header);
+        const fields = document.createElement('div');
+        fields.className = 'grid grid-cols-4 gap-1 mt-1';
+        OPENING_FIELDS.filter(({ field }) => field !== 'sill' || opening.type !== 'door').forEach(({ field, label }) => {
+            const fieldLabel = document.createElement('label');
+            fieldLabel.className = 'block';
+            fieldLabel.textContent = label;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = '0.25';
+            input.value = opening[field];
+            input.dataset.openingField = field;
+            input.className = 'p-1 border rounded w-full text-xs text-gray-700';
+            fieldLabel.appendChild(input);
+            fields.appendChild(fieldLabel);
+        });
+        item.appendChild(fields);
+        list.appendChild(item);
+    });
+}
+
 export function hideCustomHouseControls() {
     const container = document.getElementById('customHouseControlsContainer');
     if (container) {